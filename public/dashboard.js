@@ -9,6 +9,7 @@ document.addEventListener("DOMContentLoaded", () => {
       health: document.getElementById("health-metrics"),
       rps: document.getElementById("rps-metric"),
       avgResponse: document.getElementById("avg-response-metric"),
+      latencyPercentiles: document.getElementById("latency-percentiles-metric"),
       errorRate: document.getElementById("error-rate-metric"),
     },
     lists: {
@@ -19,6 +20,20 @@ document.addEventListener("DOMContentLoaded", () => {
     forms: {
       blocklist: document.getElementById("blocklist-form"),
       ipInput: document.getElementById("ip-input"),
+      blocklistMessage: document.getElementById("blocklist-message"),
+      login: document.getElementById("login-form"),
+      loginKey: document.getElementById("login-api-key"),
+      loginError: document.getElementById("login-error"),
+    },
+    session: {
+      info: document.getElementById("session-info"),
+      owner: document.getElementById("session-owner"),
+      role: document.getElementById("session-role"),
+      logout: document.getElementById("logout-button"),
+    },
+    shadow: {
+      report: document.getElementById("shadow-report"),
+      since: document.getElementById("shadow-since"),
     },
     charts: {
       traffic: document.getElementById("traffic-chart")?.getContext("2d"),
@@ -30,6 +45,7 @@ document.addEventListener("DOMContentLoaded", () => {
   let trafficChart;
   let chartIntervalSeconds = 60; // Default to 1 minute
   let websocket;
+  let session = loadSession();
 
   // --- Chart Configuration ---
   const chartConfig = {
@@ -102,6 +118,187 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // --- Functions ---
 
+  // --- Authentication ---
+  // The session token from /api/auth/login is kept for the browser tab only
+
+  function loadSession() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem("daasrSession"));
+      if (stored && new Date(stored.expiresAt) > new Date()) return stored;
+    } catch (error) {
+      // Ignore malformed entries
+    }
+    sessionStorage.removeItem("daasrSession");
+    return null;
+  }
+
+  function setSession(newSession) {
+    session = newSession;
+    if (session) {
+      sessionStorage.setItem("daasrSession", JSON.stringify(session));
+    } else {
+      sessionStorage.removeItem("daasrSession");
+    }
+    renderSession();
+  }
+
+  function renderSession() {
+    const signedIn = Boolean(session);
+    elements.forms.login?.classList.toggle("hidden", signedIn);
+    elements.session.info?.classList.toggle("hidden", !signedIn);
+    if (signedIn) {
+      elements.session.owner.textContent = session.owner;
+      elements.session.role.textContent = session.role;
+      fetchBlocklist();
+      fetchShadowReport();
+    } else {
+      if (elements.lists.blocklist) {
+        elements.lists.blocklist.innerHTML = '<li class="text-gray-500">Sign in to view blocked IPs</li>';
+      }
+      if (elements.shadow.report) {
+        elements.shadow.report.innerHTML = '<tr><td colspan="6" class="py-2 text-gray-500">Sign in to view the shadow report</td></tr>';
+        elements.shadow.since.textContent = "";
+      }
+    }
+  }
+
+  // Fetch with the session token; a 401 means the session ended
+  async function authFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (session) headers.Authorization = `Bearer ${session.token}`;
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) setSession(null);
+    return response;
+  }
+
+  async function login(apiKey) {
+    const response = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ apiKey }),
+    });
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.message || "Sign in failed");
+    setSession(body.data);
+  }
+
+  function showBlocklistMessage(text) {
+    const element = elements.forms.blocklistMessage;
+    if (!element) return;
+    element.textContent = text || "";
+    element.classList.toggle("hidden", !text);
+  }
+
+  async function fetchBlocklist() {
+    if (!elements.lists.blocklist || !session) return;
+
+    try {
+      const response = await authFetch("/api/blocklist");
+      if (!response.ok) throw new Error("Failed to fetch blocklist");
+
+      const data = await response.json();
+      const entries = data.data?.blocklist || [];
+      const list = elements.lists.blocklist;
+      list.innerHTML = "";
+      if (entries.length === 0) {
+        list.innerHTML = '<li class="text-gray-500">No blocked IPs</li>';
+        return;
+      }
+      entries.forEach((entry) => {
+        const li = document.createElement("li");
+        li.className = "flex justify-between items-center text-sm";
+        const label = document.createElement("span");
+        label.textContent = entry;
+        const remove = document.createElement("button");
+        remove.className = "text-red-500 hover:text-red-700";
+        remove.textContent = "Unblock";
+        remove.addEventListener("click", () => updateBlocklist("remove", entry));
+        li.append(label, remove);
+        list.appendChild(li);
+      });
+    } catch (error) {
+      console.error('Error fetching blocklist:', error);
+    }
+  }
+
+  async function updateBlocklist(action, ip) {
+    if (!session) {
+      showBlocklistMessage("Sign in as an operator to change the blocklist.");
+      return;
+    }
+
+    const response = await authFetch(`/api/blocklist/${action}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ip }),
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      showBlocklistMessage("Your session has ended. Sign in again.");
+    } else if (response.status === 403) {
+      showBlocklistMessage(body.message || "Your role cannot change the blocklist.");
+    } else if (!response.ok) {
+      showBlocklistMessage(body.error || "Blocklist update failed.");
+    } else {
+      showBlocklistMessage("");
+      fetchBlocklist();
+    }
+  }
+
+  // --- Shadow Mode ---
+  // Candidate configurations next to the enforcing one; extra and fewer
+  // 429s are requests only the candidate, or only the live limits, block
+
+  async function fetchShadowReport() {
+    if (!elements.shadow.report || !session) return;
+
+    try {
+      const response = await authFetch("/api/shadow/report");
+      if (!response.ok) throw new Error("Failed to fetch shadow report");
+
+      const report = (await response.json()).data;
+      const body = elements.shadow.report;
+      body.innerHTML = "";
+      elements.shadow.since.textContent = report.enabled
+        ? `Comparing since ${new Date(report.since).toLocaleString()}`
+        : "Shadow mode is off (set shadow.enabled and shadow.candidates)";
+
+      const rows = [
+        { name: "Live (enforced)", ...report.enforcing, extra: "-", fewer: "-" },
+        ...report.candidates.map((candidate) => ({
+          name: candidate.name,
+          requests: candidate.requests,
+          blocked: candidate.wouldBlock,
+          blockRate: candidate.blockRate,
+          extra: candidate.wouldBlockAllowed,
+          fewer: candidate.wouldAllowBlocked,
+        })),
+      ];
+      rows.forEach((row) => {
+        const tr = document.createElement("tr");
+        tr.className = "border-t border-gray-200 dark:border-gray-700";
+        [
+          row.name,
+          row.requests,
+          row.blocked,
+          `${(row.blockRate * 100).toFixed(1)}%`,
+          row.extra,
+          row.fewer,
+        ].forEach((value) => {
+          const td = document.createElement("td");
+          td.className = "py-2";
+          td.textContent = value;
+          tr.appendChild(td);
+        });
+        body.appendChild(tr);
+      });
+    } catch (error) {
+      console.error('Error fetching shadow report:', error);
+    }
+  }
+
   function initializeChart() {
     if (elements.charts.traffic) {
       trafficChart = new Chart(elements.charts.traffic, chartConfig);
@@ -218,6 +415,13 @@ document.addEventListener("DOMContentLoaded", () => {
       if (elements.metrics.avgResponse) {
         elements.metrics.avgResponse.textContent = `${stats.averageResponseTime || 0}ms`;
       }
+      if (elements.metrics.latencyPercentiles) {
+        const percentiles = stats.latencyPercentiles || {};
+        const format = (value) => (value === null || value === undefined ? '--' : `${Math.round(value)}ms`);
+        elements.metrics.latencyPercentiles.textContent = ['p50', 'p90', 'p99', 'p999']
+          .map((name) => `${name} ${format(percentiles[name])}`)
+          .join(' · ');
+      }
       if (elements.metrics.errorRate) {
         const errorRate = ((stats.errorRate || 0) * 100).toFixed(2);
         elements.metrics.errorRate.textContent = `${errorRate}%`;
@@ -327,6 +531,35 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // --- Event Listeners ---
+  if (elements.forms.login) {
+    elements.forms.login.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      elements.forms.loginError.classList.add("hidden");
+      try {
+        await login(elements.forms.loginKey.value.trim());
+        elements.forms.loginKey.value = "";
+      } catch (error) {
+        elements.forms.loginError.textContent = error.message;
+        elements.forms.loginError.classList.remove("hidden");
+      }
+    });
+  }
+
+  if (elements.session.logout) {
+    elements.session.logout.addEventListener("click", () => setSession(null));
+  }
+
+  if (elements.forms.blocklist) {
+    elements.forms.blocklist.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const ip = elements.forms.ipInput.value.trim();
+      if (!ip) return;
+      updateBlocklist("add", ip).then(() => {
+        elements.forms.ipInput.value = "";
+      });
+    });
+  }
+
   if (elements.charts.intervalSelector) {
     elements.charts.intervalSelector.addEventListener("change", (e) => {
       chartIntervalSeconds = parseInt(e.target.value);
@@ -344,6 +577,12 @@ document.addEventListener("DOMContentLoaded", () => {
   
   // Initialize chart
   initializeChart();
+
+  // Restore the admin session, if any
+  renderSession();
+
+  // Refresh the shadow report while signed in
+  setInterval(fetchShadowReport, 10000);
   
   // Try WebSocket connection first, fallback to polling
   if (typeof WebSocket !== 'undefined') {
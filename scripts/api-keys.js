@@ -0,0 +1,106 @@
+/**
+ * API Key Administration
+ *
+ * Manages the API key registry file directly, e.g. to issue the first key
+ * before the admin endpoints can be reached. Changes are recorded in the
+ * audit log with the local user as the actor.
+ *
+ * Usage:
+ *   node scripts/api-keys.js list
+ *   node scripts/api-keys.js issue <owner> [tier] [expiresAt] [--role=admin]
+ *   node scripts/api-keys.js rotate <id> [gracePeriodMs]
+ *   node scripts/api-keys.js revoke <id>
+ *
+ * @module apiKeys
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const os = require("os");
+const apiKeyRegistry = require("../src/services/apiKeyRegistry");
+const auditLog = require("../src/services/auditLog");
+
+const [command, ...rest] = process.argv.slice(2);
+const args = rest.filter((arg) => !arg.startsWith("--"));
+const roleFlag = rest.find((arg) => arg.startsWith("--role="));
+
+const actor = {
+  subject: "cli",
+  owner: os.userInfo().username,
+  role: null,
+  method: "cli",
+  ip: null,
+};
+
+function printIssued(issued) {
+  console.log(`Key:  ${issued.key}`);
+  console.log("Store it now; it cannot be shown again.");
+  console.table([issued.record]);
+}
+
+try {
+  switch (command) {
+    case "list":
+      console.table(apiKeyRegistry.list());
+      break;
+
+    case "issue": {
+      const issued = apiKeyRegistry.issue({
+        owner: args[0],
+        tier: args[1] || undefined,
+        expiresAt: args[2] || null,
+        role: roleFlag ? roleFlag.slice("--role=".length) : null,
+      });
+      auditLog.record({
+        actor,
+        action: "apiKey.issue",
+        target: issued.record.id,
+        before: null,
+        after: issued.record,
+      });
+      printIssued(issued);
+      break;
+    }
+
+    case "rotate": {
+      const before = apiKeyRegistry.get(args[0]);
+      const gracePeriodMs = parseInt(args[1], 10) || 0;
+      const issued = apiKeyRegistry.rotate(args[0], { gracePeriodMs });
+      if (!issued) throw new Error(`API key ${args[0]} not found`);
+      auditLog.record({
+        actor,
+        action: "apiKey.rotate",
+        target: args[0],
+        before,
+        after: apiKeyRegistry.get(args[0]),
+        metadata: { replacement: issued.record.id, gracePeriodMs },
+      });
+      printIssued(issued);
+      break;
+    }
+
+    case "revoke": {
+      const before = apiKeyRegistry.get(args[0]);
+      const record = apiKeyRegistry.revoke(args[0]);
+      if (!record) throw new Error(`API key ${args[0]} not found`);
+      auditLog.record({
+        actor,
+        action: "apiKey.revoke",
+        target: args[0],
+        before,
+        after: record,
+      });
+      console.table([record]);
+      break;
+    }
+
+    default:
+      console.log(
+        "Usage: node scripts/api-keys.js <list|issue|rotate|revoke> [args]"
+      );
+      process.exitCode = command ? 1 : 0;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
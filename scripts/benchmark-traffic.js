@@ -0,0 +1,140 @@
+/**
+ * Traffic Monitor Benchmark
+ *
+ * Compares the per-second ring buffer used by TrafficMonitor with the
+ * previous per-request array storage, replaying the hot path of the DAASR
+ * middleware (record request, read stats, record response) against a
+ * simulated clock.
+ *
+ * Usage: node scripts/benchmark-traffic.js [requestsPerSecond] [seconds]
+ *
+ * @module benchmarkTraffic
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const { performance } = require("perf_hooks");
+const trafficMonitor = require("../src/services/trafficMonitor");
+
+const { TrafficMonitor } = trafficMonitor;
+
+/**
+ * Per-request array storage as TrafficMonitor kept it before the ring
+ * buffer: every record filters the hour of history, every stats read
+ * filters the last minute
+ */
+class ArrayTrafficMonitor {
+  constructor(now) {
+    this.now = now;
+    this.requestHistory = [];
+    this.responseTimeHistory = [];
+    this.errorHistory = [];
+  }
+
+  recordRequest(requestData) {
+    const now = this.now();
+    this.requestHistory.push({ timestamp: now, ...requestData });
+    const oneHourAgo = now - 3600000;
+    this.requestHistory = this.requestHistory.filter(
+      (req) => req.timestamp > oneHourAgo
+    );
+  }
+
+  recordResponse(responseData) {
+    const now = this.now();
+    this.responseTimeHistory.push({ timestamp: now, ...responseData });
+    if (responseData.statusCode >= 400) {
+      this.errorHistory.push({ timestamp: now, ...responseData });
+    }
+    const oneHourAgo = now - 3600000;
+    this.responseTimeHistory = this.responseTimeHistory.filter(
+      (res) => res.timestamp > oneHourAgo
+    );
+    this.errorHistory = this.errorHistory.filter(
+      (err) => err.timestamp > oneHourAgo
+    );
+  }
+
+  getCurrentStats() {
+    const oneMinuteAgo = this.now() - 60000;
+    const requests = this.requestHistory.filter(
+      (req) => req.timestamp > oneMinuteAgo
+    );
+    const responses = this.responseTimeHistory.filter(
+      (res) => res.timestamp > oneMinuteAgo
+    );
+    const errors = this.errorHistory.filter(
+      (err) => err.timestamp > oneMinuteAgo
+    );
+    const total = responses.reduce((sum, res) => sum + res.responseTime, 0);
+
+    return {
+      requestsPerMinute: requests.length,
+      averageResponseTime: responses.length ? total / responses.length : 0,
+      peakResponseTime: Math.max(0, ...responses.map((r) => r.responseTime)),
+      errorRate: requests.length ? errors.length / requests.length : 0,
+    };
+  }
+}
+
+/**
+ * Replay a request stream against a monitor and time it
+ */
+function run(name, createMonitor, requestsPerSecond, seconds) {
+  let clock = Date.now();
+  const monitor = createMonitor(() => clock);
+  const total = requestsPerSecond * seconds;
+  const step = 1000 / requestsPerSecond;
+
+  const start = performance.now();
+  for (let i = 0; i < total; i++) {
+    clock += step;
+    monitor.recordRequest({
+      ip: `10.0.0.${i % 50}`,
+      method: "GET",
+      url: `/api/items/${i % 20}`,
+      userAgent: "bench",
+    });
+    monitor.getCurrentStats();
+    monitor.recordResponse({
+      responseTime: 20 + (i % 200),
+      statusCode: i % 50 === 0 ? 500 : 200,
+    });
+  }
+  const elapsed = performance.now() - start;
+
+  if (monitor.stopMonitoring) {
+    monitor.stopMonitoring();
+  }
+
+  return {
+    implementation: name,
+    requests: total,
+    totalMs: Math.round(elapsed),
+    microsPerRequest: Math.round((elapsed / total) * 1000 * 100) / 100,
+  };
+}
+
+const requestsPerSecond = parseInt(process.argv[2], 10) || 100;
+const seconds = parseInt(process.argv[3], 10) || 60;
+
+console.log(
+  `Replaying ${requestsPerSecond} req/s for ${seconds}s of simulated time`
+);
+console.table([
+  run(
+    "array (previous)",
+    (now) => new ArrayTrafficMonitor(now),
+    requestsPerSecond,
+    seconds
+  ),
+  run(
+    "ring buffer",
+    (now) => new TrafficMonitor({ now, autoStart: false }),
+    requestsPerSecond,
+    seconds
+  ),
+]);
+
+// The shared instance schedules periodic logging on load
+trafficMonitor.stopMonitoring();
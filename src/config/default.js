@@ -8,154 +8,1399 @@
  * @version 1.0.0
  */
 
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { isDeepStrictEqual } = require("util");
 const Joi = require("joi");
+const yaml = require("js-yaml");
+const {
+  COUNTING_ALGORITHMS,
+  BURST_ALGORITHMS,
+} = require("../utils/countingAlgorithms");
+
+/**
+ * Revisions kept in the configuration history
+ */
+const MAX_CONFIG_REVISIONS = 100;
+
+/**
+ * Keys that only the configuration file or environment can set
+ */
+const STARTUP_ONLY_KEYS = ["configFile", "configStorePath"];
+
+/**
+ * Resource adaptation curve: below `start` the resource factor is 1.0, above
+ * `end` it is `minFactor`, and in between it falls linearly
+ * @param {number} start - Reading at which limits start shrinking
+ * @param {number} end - Reading at which limits reach their floor
+ * @param {number} minFactor - Factor applied at or above `end`
+ * @returns {Object} Joi schema with defaults
+ */
+const resourceCurveSchema = (start, end, minFactor) =>
+  Joi.object({
+    start: Joi.number().min(0).default(start),
+    end: Joi.number().greater(Joi.ref("start")).default(end),
+    minFactor: Joi.number().min(0.05).max(1).default(minFactor),
+  }).default();
+
+/**
+ * Piecewise curve mapping a reading to a value (see `evaluateCurve` in
+ * utils/helpers). `at` and `value` may name a numeric setting, so a curve
+ * follows that setting when it changes.
+ * @param {string} mode - "step" or "linear"
+ * @param {Array<Object>} points - Default { at, value } points
+ * @param {Object} [valueSchema] - Schema for numeric values
+ * @returns {Object} Joi schema with defaults
+ */
+const factorCurveSchema = (mode, points, valueSchema = Joi.number().min(0)) =>
+  Joi.object({
+    mode: Joi.string().valid("step", "linear").default(mode),
+    points: Joi.array()
+      .items(
+        Joi.object({
+          at: Joi.alternatives()
+            .try(Joi.number().min(0), Joi.string())
+            .required(),
+          value: Joi.alternatives().try(valueSchema, Joi.string()).required(),
+        })
+      )
+      .min(1)
+      .default(() => points.map((point) => ({ ...point }))),
+  }).default();
+
+/**
+ * Rate limit policy for a set of routes. Limits and window left unset
+ * inherit the global settings; algorithm options left unset follow the
+ * feature flags and the global counting settings. Limits are in cost units.
+ */
+const rateLimitPolicySchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-zA-Z0-9_.-]+$/)
+    .required(),
+  method: Joi.alternatives()
+    .try(Joi.string(), Joi.array().items(Joi.string()).min(1))
+    .default("*"),
+  path: Joi.string()
+    .pattern(/^(\*|\/.*)$/)
+    .required(), // "/users/:id", "/protected/*" or "*"
+  baseRateLimit: Joi.number().integer().min(1).max(10000),
+  minRateLimit: Joi.number().integer().min(1).max(1000),
+  maxRateLimit: Joi.number().integer().min(1).max(10000),
+  windowSize: Joi.number().integer().min(1000).max(3600000), // counting window
+  // Units a request uses (default 1), plus units charged afterwards per
+  // second of response time (default 0)
+  cost: Joi.number().integer().min(0).max(10000),
+  costPerSecond: Joi.number().min(0).max(10000),
+  algorithm: Joi.object({
+    adaptive: Joi.boolean(), // scale with traffic and system load
+    burstDetection: Joi.boolean(),
+    counting: Joi.string().valid(...COUNTING_ALGORITHMS),
+    burstAllowance: Joi.number().min(0.01).max(10),
+  }).default(),
+});
+
+/**
+ * Limits for one API key tier
+ */
+const apiKeyTierSchema = Joi.object({
+  maxRequests: Joi.number().integer().min(1).required(), // per 15 minutes
+  dailyQuota: Joi.number().integer().min(1), // units per calendar day
+  monthlyQuota: Joi.number().integer().min(1), // units per calendar month
+});
+
+/**
+ * Whether a time zone name is known to Intl (e.g. "UTC", "Europe/Berlin")
+ */
+const timeZoneSchema = Joi.string().custom((value) => {
+  new Intl.DateTimeFormat("en-US", { timeZone: value }); // throws if unknown
+  return value;
+}, "IANA time zone");
+
+/**
+ * Priority class for load shedding. A request belongs to the first class
+ * whose paths and API key tiers (each optional) both match it.
+ */
+const priorityClassSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-zA-Z0-9_.-]+$/)
+    .required(),
+  paths: Joi.array()
+    .items(Joi.string().pattern(/^(\*|\/.*)$/))
+    .min(1),
+  tiers: Joi.array().items(Joi.string()).min(1),
+});
+
+/**
+ * Priority classes, highest first, applied when none are configured
+ */
+const DEFAULT_PRIORITY_CLASSES = [
+  { name: "critical", paths: ["/health", "/api/*"] },
+  { name: "enterprise", tiers: ["enterprise", "premium"] },
+  { name: "standard", tiers: ["standard"] },
+  { name: "anonymous" },
+];
+
+/**
+ * Settings a shadow candidate can override: those the DAASR algorithm reads
+ * while deciding a limit
+ */
+const SHADOW_SETTINGS = [
+  "baseRateLimit",
+  "minRateLimit",
+  "maxRateLimit",
+  "windowSize",
+  "countingAlgorithm",
+  "burstAllowance",
+  "highTrafficThreshold",
+  "mediumTrafficThreshold",
+  "criticalErrorRate",
+  "warningErrorRate",
+  "criticalResponseTime",
+  "warningResponseTime",
+  "newUserBonus",
+  "burstPenalty",
+  "adaptationMode",
+  "controller",
+  "factorCurves",
+  "rateLimitPolicies",
+  "resourceCurves",
+  "resourceMetricsMaxAge",
+  "enableAdaptiveLimits",
+  "enableBurstDetection",
+];
+
+/**
+ * Candidate DAASR configuration evaluated in shadow mode. Each setting is
+ * checked against its own schema; settings left out follow the live
+ * configuration.
+ */
+const shadowCandidateSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-zA-Z0-9_.-]+$/)
+    .required(),
+  settings: Joi.object()
+    .pattern(Joi.string().valid(...SHADOW_SETTINGS), Joi.any())
+    .default({})
+    .custom((settings) => {
+      const validated = {};
+      for (const [key, value] of Object.entries(settings)) {
+        const result = configSchema.extract(key).label(key).validate(value);
+        if (result.error) {
+          throw new Error(result.error.message);
+        }
+        validated[key] = result.value;
+      }
+      return validated;
+    }, "shadow settings"),
+});
+
+/**
+ * Policies applied when none are configured
+ */
+const DEFAULT_RATE_LIMIT_POLICIES = [
+  {
+    name: "analytics",
+    method: "GET",
+    path: "/protected/analytics",
+    baseRateLimit: 20,
+    minRateLimit: 5,
+    maxRateLimit: 100,
+    windowSize: 60000,
+  },
+];
 
 // Configuration schema validation
+//
+// Every leaf is read from an environment variable named after its path
+// (`clientKey.header` -> `DAASR_CLIENT_KEY_HEADER`) unless `meta({ env })`
+// names another. Arrays of objects and pattern objects are read as JSON.
+// Descriptions become the comments of the generated env template.
 const configSchema = Joi.object({
   // Rate limiting settings
-  baseRateLimit: Joi.number().integer().min(1).max(10000).default(100),
-  minRateLimit: Joi.number().integer().min(1).max(1000).default(10),
-  maxRateLimit: Joi.number().integer().min(1).max(10000).default(1000),
+  baseRateLimit: Joi.number()
+    .integer()
+    .min(1)
+    .max(10000)
+    .default(100)
+    .description("Requests per window before adaptation"),
+  minRateLimit: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .default(10)
+    .description("Lowest adapted limit"),
+  maxRateLimit: Joi.number()
+    .integer()
+    .min(1)
+    .max(10000)
+    .default(1000)
+    .description("Highest adapted limit"),
 
   // Timing settings
   adjustmentInterval: Joi.number()
     .integer()
     .min(1000)
     .max(300000)
-    .default(30000),
-  windowSize: Joi.number().integer().min(1000).max(3600000).default(900000),
+    .default(30000)
+    .description("How often limits are recalculated (ms)"),
+  windowSize: Joi.number()
+    .integer()
+    .min(1000)
+    .max(3600000)
+    .default(900000)
+    .description("Rate limit window (ms)"),
+  countingAlgorithm: Joi.string()
+    .valid(...COUNTING_ALGORITHMS)
+    .default("fixed-window")
+    .description(
+      "How requests are counted (fixed-window, token-bucket, " +
+        "sliding-window, sliding-log or gcra)"
+    ),
+  burstAllowance: Joi.number()
+    .min(0.01)
+    .max(10)
+    .default(1)
+    .description("Burst allowance as a multiple of the limit"),
 
   // Traffic thresholds
-  highTrafficThreshold: Joi.number().integer().min(1).max(10000).default(1000),
-  mediumTrafficThreshold: Joi.number().integer().min(1).max(1000).default(100),
+  highTrafficThreshold: Joi.number()
+    .integer()
+    .min(1)
+    .max(10000)
+    .default(1000)
+    .description("Requests per second considered high traffic"),
+  mediumTrafficThreshold: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .default(100)
+    .description("Requests per second considered medium traffic"),
 
   // Error rate thresholds
-  criticalErrorRate: Joi.number().min(0).max(1).default(0.1),
-  warningErrorRate: Joi.number().min(0).max(1).default(0.05),
+  criticalErrorRate: Joi.number()
+    .min(0)
+    .max(1)
+    .default(0.1)
+    .description("Critical error rate (0.0 - 1.0)"),
+  warningErrorRate: Joi.number()
+    .min(0)
+    .max(1)
+    .default(0.05)
+    .description("Warning error rate (0.0 - 1.0)"),
 
   // Response time thresholds (ms)
   criticalResponseTime: Joi.number()
     .integer()
     .min(100)
     .max(10000)
-    .default(1000),
-  warningResponseTime: Joi.number().integer().min(100).max(5000).default(500),
+    .default(1000)
+    .description("Critical average response time (ms)"),
+  warningResponseTime: Joi.number()
+    .integer()
+    .min(100)
+    .max(5000)
+    .default(500)
+    .description("Warning average response time (ms)"),
 
   // User behavior settings
-  newUserBonus: Joi.number().min(0.5).max(2.0).default(1.2),
-  burstPenalty: Joi.number().min(0.1).max(1.0).default(0.5),
+  newUserBonus: Joi.number()
+    .min(0.5)
+    .max(2.0)
+    .default(1.2)
+    .description("Limit multiplier for new clients"),
+  burstPenalty: Joi.number()
+    .min(0.1)
+    .max(1.0)
+    .default(0.5)
+    .description("Limit multiplier for bursting clients"),
+  offenseRetention: Joi.number()
+    .integer()
+    .min(1000)
+    .max(86400000)
+    .default(900000)
+    .description("How long a rate limit offense counts against a client (ms)"),
+
+  // Traffic adaptation: step-wise factor curves, or a controller holding
+  // latency and error rate under their targets
+  adaptationMode: Joi.string()
+    .valid("curves", "controller")
+    .default("curves")
+    .description("How traffic adapts limits (curves or controller)"),
+  controller: Joi.object({
+    algorithm: Joi.string()
+      .valid("aimd", "pid")
+      .default("aimd")
+      .description("Controller algorithm (aimd or pid)"),
+    latencyPercentile: Joi.string()
+      .valid("p50", "p90", "p95", "p99")
+      .default("p95")
+      .description("Latency percentile held under the target"),
+    targetLatency: Joi.number()
+      .integer()
+      .min(1)
+      .max(60000)
+      .default(500)
+      .description("Latency target (ms)"),
+    targetErrorRate: Joi.number()
+      .greater(0)
+      .max(1)
+      .default(0.05)
+      .description("Error rate target (0.0 - 1.0)"),
+    interval: Joi.number()
+      .integer()
+      .min(100)
+      .max(300000)
+      .default(5000)
+      .description("Time between adjustments (ms)"),
+    smoothing: Joi.number()
+      .greater(0)
+      .max(1)
+      .default(0.3)
+      .description("Moving average weight of the newest reading"),
+    minFactor: Joi.number()
+      .min(0.01)
+      .max(1)
+      .default(0.1)
+      .description("Lowest limit factor"),
+    maxFactor: Joi.number()
+      .min(1)
+      .max(10)
+      .default(1.0)
+      .description("Highest limit factor"),
+    increaseStep: Joi.number()
+      .greater(0)
+      .max(1)
+      .default(0.05)
+      .description("AIMD: factor added while on target"),
+    decreaseFactor: Joi.number()
+      .min(0.1)
+      .less(1)
+      .default(0.7)
+      .description("AIMD: factor multiplied by when off target"),
+    kp: Joi.number().min(0).max(10).default(0.5).description("PID: gain"),
+    ki: Joi.number()
+      .min(0)
+      .max(10)
+      .default(0.1)
+      .description("PID: integral gain (per second)"),
+    kd: Joi.number()
+      .min(0)
+      .max(10)
+      .default(0.05)
+      .description("PID: derivative gain (seconds)"),
+  }).default(),
+
+  // Algorithm factors (the most constrained traffic factor wins)
+  factorCurves: Joi.object({
+    // Requests per second -> traffic factor
+    requestsPerSecond: factorCurveSchema("step", [
+      { at: 0, value: 1.0 },
+      { at: "mediumTrafficThreshold", value: 0.9 },
+      { at: 500, value: 0.7 },
+      { at: "highTrafficThreshold", value: 0.5 },
+    ]),
+    // Error rate -> traffic factor
+    errorRate: factorCurveSchema("step", [
+      { at: 0, value: 1.0 },
+      { at: "warningErrorRate", value: 0.8 },
+      { at: "criticalErrorRate", value: 0.6 },
+    ]),
+    // Average response time (ms) -> traffic factor
+    responseTime: factorCurveSchema("step", [
+      { at: 0, value: 1.0 },
+      { at: "warningResponseTime", value: 0.9 },
+      { at: "criticalResponseTime", value: 0.7 },
+    ]),
+    // Client requests in the last minute -> burst factor
+    burst: factorCurveSchema("linear", [
+      { at: 0, value: 1.0 },
+      { at: 50, value: "burstPenalty" },
+    ]),
+    // Client requests in total -> reputation factor
+    reputation: factorCurveSchema("step", [
+      { at: 0, value: "newUserBonus" },
+      { at: 9, value: 1.0 },
+    ]),
+    // Recent offenses -> penalty factor
+    offenses: factorCurveSchema("linear", [
+      { at: 0, value: 1.0 },
+      { at: 5, value: 0.5 },
+    ]),
+    // Requests per second -> window size (ms)
+    windowSize: factorCurveSchema(
+      "step",
+      [
+        { at: 0, value: 900000 },
+        { at: 10, value: 300000 },
+        { at: "mediumTrafficThreshold", value: 60000 },
+      ],
+      Joi.number().integer().min(1000).max(3600000)
+    ),
+  })
+    .default()
+    .meta({ env: "DAASR_FACTOR_CURVES", json: true })
+    .description("Algorithm factor curves (JSON object)"),
+
+  // Per-route policies (most specific method and path match wins)
+  rateLimitPolicies: Joi.array()
+    .items(rateLimitPolicySchema)
+    .unique("name")
+    .default(() =>
+      DEFAULT_RATE_LIMIT_POLICIES.map((policy) => ({ ...policy }))
+    )
+    .description("Per-route rate limit policies (JSON array)"),
+
+  // Shadow mode (candidate configurations evaluated but not enforced)
+  shadow: Joi.object({
+    enabled: Joi.boolean()
+      .default(false)
+      .description("Evaluate the shadow candidates next to the live limits"),
+    candidates: Joi.array()
+      .items(shadowCandidateSchema)
+      .unique("name")
+      .default([])
+      .description("Candidate configurations (JSON array)"),
+    logDecisions: Joi.boolean()
+      .default(true)
+      .description("Log each request a candidate would have blocked"),
+    maxIdentities: Joi.number()
+      .integer()
+      .min(1)
+      .max(100000)
+      .default(1000)
+      .description("Identities tracked per candidate in the shadow report"),
+  }).default(),
+
+  // Client identity (how requests are keyed for limits, blocks and stats)
+  clientKey: Joi.object({
+    strategy: Joi.string()
+      .valid("ip", "apiKey", "jwt", "header", "composite")
+      .default("ip")
+      .description("Client identity (ip, apiKey, jwt, header or composite)"),
+    header: Joi.string()
+      .lowercase()
+      .default("x-client-id")
+      .description("Header identifying clients for the header strategy"),
+    composite: Joi.array()
+      .items(
+        Joi.string().valid("ip", "apiKey", "jwt", "header", "route", "method")
+      )
+      .min(1)
+      .default(["ip", "route"])
+      .description("Key parts for the composite strategy (comma separated)"),
+    jwt: Joi.object({
+      secret: Joi.string()
+        .allow("")
+        .default("")
+        .meta({ env: "DAASR_JWT_SECRET", secret: true })
+        .description("HS256 shared secret for client JWTs"),
+      publicKey: Joi.string()
+        .allow("")
+        .default("")
+        .meta({ env: "DAASR_JWT_PUBLIC_KEY", escapedNewlines: true })
+        .description("RS256 public key (PEM, \\n for newlines)"),
+      algorithms: Joi.array()
+        .items(Joi.string().valid("HS256", "RS256"))
+        .min(1)
+        .default(["HS256", "RS256"])
+        .meta({ env: "DAASR_JWT_ALGORITHMS" })
+        .description("Accepted JWT algorithms"),
+      issuer: Joi.string()
+        .allow("")
+        .default("")
+        .meta({ env: "DAASR_JWT_ISSUER" })
+        .description("Required JWT issuer"),
+      audience: Joi.string()
+        .allow("")
+        .default("")
+        .meta({ env: "DAASR_JWT_AUDIENCE" })
+        .description("Required JWT audience"),
+    }).default(),
+  }).default(),
+
+  // API keys (requests without a valid key use the anonymous tier)
+  apiKeyTiers: Joi.object({
+    anonymous: apiKeyTierSchema.required(),
+  })
+    .pattern(/^[a-z0-9_-]+$/, apiKeyTierSchema)
+    .default({
+      anonymous: { maxRequests: 100 },
+      standard: { maxRequests: 100 },
+      premium: { maxRequests: 1000 },
+      enterprise: { maxRequests: 10000 },
+    })
+    .description("API key tiers and their limits (JSON object)"),
+  apiKeyStorePath: Joi.string()
+    .allow("")
+    .default("data/api-keys.json")
+    .description("API key registry file (empty keeps keys in memory only)"),
+
+  // Daily and monthly quotas (limits per tier in apiKeyTiers)
+  quotas: Joi.object({
+    enabled: Joi.boolean()
+      .default(true)
+      .description("Enforce the dailyQuota and monthlyQuota of API key tiers"),
+    timeZone: timeZoneSchema
+      .default("UTC")
+      .description("Time zone whose midnight resets quotas (IANA name)"),
+    softLimit: Joi.number()
+      .min(0.01)
+      .max(1)
+      .default(0.8)
+      .description("Share of a quota used before clients are warned"),
+    flushInterval: Joi.number()
+      .integer()
+      .min(0)
+      .max(60000)
+      .default(5000)
+      .description("How often quota usage is written to disk (ms, 0 = always)"),
+  }).default(),
+  quotaStorePath: Joi.string()
+    .allow("")
+    .default("data/quotas.json")
+    .description("Quota usage file (empty keeps usage in memory only)"),
+
+  // Audit log of admin changes (JSON Lines, append-only)
+  auditLogPath: Joi.string()
+    .allow("")
+    .default("data/audit.jsonl")
+    .description("Audit log file (empty keeps entries in memory only)"),
+
+  // Admin API authentication
+  auth: Joi.object({
+    enabled: Joi.boolean()
+      .default(true)
+      .description("Require authentication for admin routes"),
+    sessionSecret: Joi.string()
+      .allow("")
+      .default("")
+      .meta({ env: "DAASR_SESSION_SECRET", secret: true })
+      .description("Signs session tokens (random per process when empty)"),
+    sessionTtl: Joi.number()
+      .integer()
+      .min(60000)
+      .max(86400000)
+      .default(3600000)
+      .meta({ env: "DAASR_SESSION_TTL" })
+      .description("Session lifetime (ms)"),
+  }).default(),
+
+  // Resource adaptation (system load scales limits down)
+  resourceCurves: Joi.object({
+    cpu: resourceCurveSchema(70, 95, 0.3), // host CPU %
+    memory: resourceCurveSchema(80, 95, 0.4), // host memory %
+    loadPerCore: resourceCurveSchema(1, 3, 0.4), // 1m load / cores
+    eventLoopLag: resourceCurveSchema(50, 500, 0.3), // ms
+  })
+    .default()
+    .meta({ env: "DAASR_RESOURCE_CURVES", json: true })
+    .description("Resource adaptation curves (JSON object)"),
+  resourceMetricsMaxAge: Joi.number()
+    .integer()
+    .min(1000)
+    .max(300000)
+    .default(30000)
+    .description("Ignore system metrics older than this (ms)"),
+
+  // Concurrency limiting and load shedding
+  concurrency: Joi.object({
+    enabled: Joi.boolean()
+      .default(true)
+      .description("Limit requests in flight and shed load when overloaded"),
+    maxInFlight: Joi.number()
+      .integer()
+      .min(1)
+      .max(100000)
+      .default(100)
+      .description("Requests handled at once"),
+    maxQueue: Joi.number()
+      .integer()
+      .min(0)
+      .max(100000)
+      .default(200)
+      .description("Requests waiting for a slot"),
+    queueTimeout: Joi.number()
+      .integer()
+      .min(0)
+      .max(60000)
+      .default(5000)
+      .description("Longest wait for a slot before shedding (ms)"),
+    maxEventLoopLag: Joi.number()
+      .min(1)
+      .max(10000)
+      .default(200)
+      .description(
+        "Event loop lag above which the lowest priority class is shed; " +
+          "each further multiple sheds one more class (ms)"
+      ),
+    retryAfter: Joi.number()
+      .integer()
+      .min(1)
+      .max(3600)
+      .default(1)
+      .description("Retry-After sent with shed requests (s)"),
+    priorityClasses: Joi.array()
+      .items(priorityClassSchema)
+      .min(1)
+      .unique("name")
+      .default(() => DEFAULT_PRIORITY_CLASSES.map((cls) => ({ ...cls })))
+      .description("Priority classes, highest first (JSON array)"),
+  }).default(),
 
   // Logging settings
   logLevel: Joi.string()
     .valid("error", "warn", "info", "debug")
-    .default("info"),
-  productionLogging: Joi.boolean().default(false),
+    .default("info")
+    .description("Log level (error, warn, info or debug)"),
+  productionLogging: Joi.boolean()
+    .default(false)
+    .description("Production log format (default on when NODE_ENV=production)"),
 
   // Feature flags
-  enableAdaptiveLimits: Joi.boolean().default(true),
-  enableUserTracking: Joi.boolean().default(true),
-  enableBurstDetection: Joi.boolean().default(true),
+  enableAdaptiveLimits: Joi.boolean()
+    .default(true)
+    .description("Scale limits with traffic and system load"),
+  enableUserTracking: Joi.boolean()
+    .default(true)
+    .description("Track per-client behavior"),
+  enableBurstDetection: Joi.boolean()
+    .default(true)
+    .description("Penalize bursting clients"),
+  debugHeader: Joi.boolean()
+    .default(true)
+    .description(
+      "Answer X-DAASR-Debug: 1 from admin API keys with a factor trace"
+    ),
 
   // API settings
-  apiPort: Joi.number().integer().min(1000).max(65535).default(3000),
-  apiPrefix: Joi.string().default("/api"),
+  apiPort: Joi.number()
+    .integer()
+    .min(1000)
+    .max(65535)
+    .default(3000)
+    .description("API port"),
+  apiPrefix: Joi.string().default("/api").description("API route prefix"),
 
   // Security settings
-  trustProxy: Joi.boolean().default(false),
-  enableCors: Joi.boolean().default(true),
+  trustProxy: Joi.boolean()
+    .default(false)
+    .description("Trust X-Forwarded-For from a reverse proxy"),
+  enableCors: Joi.boolean().default(true).description("Enable CORS"),
   corsOrigin: Joi.alternatives()
     .try(Joi.string(), Joi.array().items(Joi.string()))
-    .default("*"),
+    .default("*")
+    .description("Allowed CORS origin"),
 
   // Monitoring settings
-  enableMetrics: Joi.boolean().default(true),
-  metricsPort: Joi.number().integer().min(1000).max(65535).default(9090),
+  enableMetrics: Joi.boolean()
+    .default(true)
+    .description("Expose metrics"),
+  metricsPort: Joi.number()
+    .integer()
+    .min(1000)
+    .max(65535)
+    .default(9090)
+    .description("Metrics port"),
 
   // Cache settings
-  cacheSize: Joi.number().integer().min(100).max(1000000).default(10000),
-  cacheTTL: Joi.number().integer().min(1000).max(86400000).default(3600000),
+  cacheSize: Joi.number()
+    .integer()
+    .min(100)
+    .max(1000000)
+    .default(10000)
+    .description("Maximum cached entries"),
+  cacheTTL: Joi.number()
+    .integer()
+    .min(1000)
+    .max(86400000)
+    .default(3600000)
+    .description("Cache entry lifetime (ms)"),
+
+  // Store settings (shared state for rate limiting)
+  rateLimitStore: Joi.string()
+    .valid("memory", "redis")
+    .default("memory")
+    .meta({ env: "RATE_LIMIT_STORE" })
+    .description("Rate limit store (memory, or redis when REDIS_URL is set)"),
+  redisUrl: Joi.string()
+    .uri({ scheme: ["redis", "rediss"] })
+    .allow("")
+    .default("")
+    .meta({ env: "REDIS_URL" })
+    .description("Redis connection URL"),
+  redisKeyPrefix: Joi.string()
+    .default("daasr:")
+    .description("Prefix of Redis keys"),
+  redisCommandTimeout: Joi.number()
+    .integer()
+    .min(10)
+    .default(1000)
+    .description("Most ms a Redis command may take before failing open"),
+
+  // Configuration sources
+  configFile: Joi.string()
+    .allow("")
+    .default("config/daasr.yaml")
+    .description("YAML or JSON configuration file (skipped when missing)"),
+  configWatchInterval: Joi.number()
+    .integer()
+    .min(0)
+    .max(60000)
+    .default(2000)
+    .description("How often the configuration file is checked (ms, 0 = off)"),
+  configStorePath: Joi.string()
+    .allow("")
+    .default("data/config.json")
+    .description("Runtime overrides and their history (empty = memory)"),
 });
 
-class ConfigManager {
+/**
+ * Violation for a setting that must not exceed another
+ * @param {Object} values - Configuration values
+ * @param {string} lower - Setting that must be the smaller one
+ * @param {string} upper - Setting that must be the larger one
+ * @param {string} reason - Why the order matters
+ * @param {string} [prefix] - Path of the object holding both settings
+ * @returns {Array<Object>} Zero or one violation
+ */
+function orderViolation(values, lower, upper, reason, prefix = "") {
+  const low = values[lower];
+  const high = values[upper];
+  if (typeof low !== "number" || typeof high !== "number" || low <= high) {
+    return [];
+  }
+  return [
+    {
+      path: `${prefix}${lower}`,
+      message:
+        `${lower} (${low}) must not exceed ${upper} (${high}): ` + reason,
+    },
+  ];
+}
+
+/**
+ * Violations of min <= base <= max for a set of rate limits; limits left
+ * unset are not compared
+ * @param {Object} limits - { baseRateLimit, minRateLimit, maxRateLimit }
+ * @param {string} [prefix] - Path of the object the limits belong to
+ * @returns {Array<Object>} Violations
+ */
+function limitViolations(limits, prefix = "") {
+  const { baseRateLimit: base, minRateLimit: min, maxRateLimit: max } = limits;
+  const ordering = orderViolation(
+    limits,
+    "minRateLimit",
+    "maxRateLimit",
+    "adapted limits are kept between the two",
+    prefix
+  );
+  if (ordering.length > 0 || typeof base !== "number") {
+    return ordering;
+  }
+  if (typeof min === "number" && typeof max === "number") {
+    return base >= min && base <= max
+      ? []
+      : [
+          {
+            path: `${prefix}baseRateLimit`,
+            message:
+              `baseRateLimit (${base}) must be between minRateLimit and ` +
+              `maxRateLimit (${min}-${max}): adaptation starts from the ` +
+              "base limit and stays within that range",
+          },
+        ];
+  }
+  return [
+    ...orderViolation(
+      limits,
+      "minRateLimit",
+      "baseRateLimit",
+      "adaptation starts from the base limit",
+      prefix
+    ),
+    ...orderViolation(
+      limits,
+      "baseRateLimit",
+      "maxRateLimit",
+      "adaptation starts from the base limit",
+      prefix
+    ),
+  ];
+}
+
+/**
+ * Rules spanning several settings. Each lists the settings it reads, so it
+ * is skipped when one of them is invalid on its own, and returns its
+ * violations as { path, message }.
+ */
+const CONSISTENCY_RULES = [
+  {
+    keys: ["baseRateLimit", "minRateLimit", "maxRateLimit"],
+    check: (values) => limitViolations(values),
+  },
+  {
+    keys: ["warningErrorRate", "criticalErrorRate"],
+    check: (values) =>
+      orderViolation(
+        values,
+        "warningErrorRate",
+        "criticalErrorRate",
+        "the warning level has to be reached before the critical one"
+      ),
+  },
+  {
+    keys: ["warningResponseTime", "criticalResponseTime"],
+    check: (values) =>
+      orderViolation(
+        values,
+        "warningResponseTime",
+        "criticalResponseTime",
+        "the warning level has to be reached before the critical one"
+      ),
+  },
+  {
+    keys: ["mediumTrafficThreshold", "highTrafficThreshold"],
+    check: (values) =>
+      orderViolation(
+        values,
+        "mediumTrafficThreshold",
+        "highTrafficThreshold",
+        "traffic counts as medium before it counts as high"
+      ),
+  },
+  {
+    // Only the limits a policy sets; inherited ones are clamped to them
+    keys: ["rateLimitPolicies"],
+    check: (values) =>
+      values.rateLimitPolicies.flatMap((policy, index) =>
+        limitViolations(policy, `rateLimitPolicies.${index}.`).map(
+          (violation) => ({
+            ...violation,
+            message: `Policy "${policy.name}": ${violation.message}`,
+          })
+        )
+      ),
+  },
+  {
+    // Burst algorithms hold at most the burst, which shrinks with the limit
+    keys: [
+      "rateLimitPolicies",
+      "minRateLimit",
+      "maxRateLimit",
+      "countingAlgorithm",
+      "burstAllowance",
+    ],
+    check: (values) =>
+      values.rateLimitPolicies.flatMap((policy, index) => {
+        const algorithm = policy.algorithm || {};
+        const counting = algorithm.counting || values.countingAlgorithm;
+        let capacity = policy.maxRateLimit || values.maxRateLimit;
+        let name = `maxRateLimit (${capacity})`;
+        if (BURST_ALGORITHMS.includes(counting)) {
+          const allowance = algorithm.burstAllowance || values.burstAllowance;
+          const min = policy.minRateLimit || values.minRateLimit;
+          capacity = Math.max(1, Math.round(min * allowance));
+          name = `the smallest ${counting} burst (${capacity})`;
+        }
+        if (policy.cost === undefined || policy.cost <= capacity) {
+          return [];
+        }
+        return [
+          {
+            path: `rateLimitPolicies.${index}.cost`,
+            message:
+              `Policy "${policy.name}": cost (${policy.cost}) must not ` +
+              `exceed ${name}: no request could ever be allowed`,
+          },
+        ];
+      }),
+  },
+  {
+    keys: ["factorCurves"],
+    check: (values) =>
+      Object.entries(values.factorCurves).flatMap(([name, curve]) =>
+        curve.points.flatMap((point, index) =>
+          ["at", "value"]
+            .filter(
+              (field) =>
+                typeof point[field] === "string" &&
+                typeof values[point[field]] !== "number"
+            )
+            .map((field) => ({
+              path: `factorCurves.${name}.points.${index}.${field}`,
+              message:
+                `factorCurves.${name} refers to "${point[field]}", which ` +
+                "is not a numeric setting: curve points may only name " +
+                "settings such as highTrafficThreshold",
+            }))
+        )
+      ),
+  },
+  {
+    // Points naming a setting move with it, and may pass a fixed point.
+    // Two named points are ordered by the rules on the settings themselves.
+    keys: [
+      "factorCurves",
+      "mediumTrafficThreshold",
+      "highTrafficThreshold",
+      "warningErrorRate",
+      "criticalErrorRate",
+      "warningResponseTime",
+      "criticalResponseTime",
+    ],
+    check: (values) =>
+      Object.entries(values.factorCurves).flatMap(([name, curve]) => {
+        const describe = (at) =>
+          typeof at === "string" ? `${at} (${values[at]})` : String(at);
+        const resolve = (at) => (typeof at === "string" ? values[at] : at);
+
+        return curve.points.flatMap((point, index) => {
+          const previous = curve.points[index - 1];
+          if (
+            !previous ||
+            (typeof point.at === "string" &&
+              typeof previous.at === "string") ||
+            typeof resolve(point.at) !== "number" ||
+            typeof resolve(previous.at) !== "number" ||
+            resolve(point.at) >= resolve(previous.at)
+          ) {
+            return [];
+          }
+          return [
+            {
+              path: `factorCurves.${name}.points.${index}.at`,
+              message:
+                `factorCurves.${name} point ${describe(point.at)} comes ` +
+                `after ${describe(previous.at)}: curve points have to be ` +
+                "in ascending order",
+            },
+          ];
+        });
+      }),
+  },
+  {
+    keys: ["apiKeyTiers"],
+    check: (values) =>
+      Object.entries(values.apiKeyTiers).flatMap(([name, tier]) =>
+        orderViolation(
+          tier,
+          "dailyQuota",
+          "monthlyQuota",
+          "the daily quota could never be reached",
+          `apiKeyTiers.${name}.`
+        )
+      ),
+  },
+  {
+    // A candidate's settings must also satisfy the rules above once they
+    // replace the live ones
+    keys: ["shadow", ...SHADOW_SETTINGS],
+    check: (values) =>
+      values.shadow.candidates.flatMap((candidate, index) => {
+        const overridden = Object.keys(candidate.settings);
+        const merged = { ...values, ...candidate.settings };
+        return CONSISTENCY_RULES.filter(
+          (rule) =>
+            !rule.keys.includes("shadow") &&
+            rule.keys.some((key) => overridden.includes(key))
+        )
+          .flatMap((rule) => rule.check(merged))
+          .map((violation) => ({
+            path: `shadow.candidates.${index}.settings.${violation.path}`,
+            message:
+              `Shadow candidate "${candidate.name}": ` + violation.message,
+          }));
+      }),
+  },
+  {
+    keys: ["rateLimitStore", "redisUrl"],
+    check: (values) =>
+      values.rateLimitStore === "redis" && !values.redisUrl
+        ? [
+            {
+              path: "redisUrl",
+              message:
+                "redisUrl is required when rateLimitStore is redis: " +
+                "the store has no server to connect to",
+            },
+          ]
+        : [],
+  },
+  {
+    keys: ["clientKey"],
+    check: ({ clientKey }) => {
+      const { jwt } = clientKey;
+      const usesJwt =
+        clientKey.strategy === "jwt" ||
+        (clientKey.strategy === "composite" &&
+          clientKey.composite.includes("jwt"));
+      const canVerify =
+        (jwt.algorithms.includes("HS256") && jwt.secret) ||
+        (jwt.algorithms.includes("RS256") && jwt.publicKey);
+      if (!usesJwt || canVerify) {
+        return [];
+      }
+      return [
+        {
+          path: "clientKey.jwt",
+          message:
+            "clientKey.jwt needs a secret (HS256) or public key (RS256) " +
+            "for an accepted algorithm when clients are keyed by JWT: " +
+            "without one no token verifies",
+        },
+      ];
+    },
+  },
+];
+
+/**
+ * Validate a complete configuration: each setting on its own, then the
+ * rules between settings
+ *
+ * Every violation is reported, not just the first.
+ *
+ * @param {Object} values - Configuration values (defaults are filled in)
+ * @returns {Object} { value, violations }, each violation { path, message }
+ */
+function validateConfig(values) {
+  const { error, value } = configSchema.validate(values, {
+    abortEarly: false,
+  });
+  const violations = error
+    ? error.details.map((detail) => ({
+        path: detail.path.join("."),
+        message: detail.message,
+      }))
+    : [];
+
+  const invalid = new Set(violations.map((entry) => entry.path.split(".")[0]));
+  CONSISTENCY_RULES.filter(
+    (rule) => !rule.keys.some((key) => invalid.has(key))
+  ).forEach((rule) => violations.push(...rule.check(value)));
+
+  return { value, violations };
+}
+
+/**
+ * Error listing configuration violations
+ * @param {Array<Object>} violations - { path, message } entries
+ * @param {string} [prefix] - Text before the messages
+ * @returns {Error} Error with the violations in `violations`
+ */
+function validationError(violations, prefix = "") {
+  const error = new Error(
+    prefix + violations.map((entry) => entry.message).join("; ")
+  );
+  error.violations = violations;
+  return error;
+}
+
+/**
+ * Mask secrets in a full or partial configuration object
+ * @param {Object} values - Configuration values
+ * @returns {Object} Copy safe to return from the API or write to logs
+ */
+function redactSecrets(values) {
+  const redacted = { ...values };
+  const mask = (secret) => (secret ? "[redacted]" : "");
+
+  if (redacted.clientKey && redacted.clientKey.jwt) {
+    const { jwt } = redacted.clientKey;
+    redacted.clientKey = {
+      ...redacted.clientKey,
+      jwt: { ...jwt, secret: mask(jwt.secret) },
+    };
+  }
+  if (redacted.auth) {
+    redacted.auth = {
+      ...redacted.auth,
+      sessionSecret: mask(redacted.auth.sessionSecret),
+    };
+  }
+  return redacted;
+}
+
+/**
+ * Environment variable name of a config path
+ * @param {Array<string>} keyPath - e.g. ["clientKey", "header"]
+ * @returns {string} e.g. "DAASR_CLIENT_KEY_HEADER"
+ */
+function toEnvName(keyPath) {
+  return [
+    "DAASR",
+    ...keyPath.map((key) => key.replace(/([a-z0-9])([A-Z])/g, "$1_$2")),
+  ]
+    .join("_")
+    .toUpperCase();
+}
+
+/**
+ * List the environment variables the schema maps, depth first
+ * @param {Object} description - Joi description of an object schema
+ * @param {Array<string>} [prefix] - Path of the described object
+ * @returns {Array<Object>} { name, path, type, json, allowEmpty,
+ *     escapedNewlines, description }
+ */
+function describeEnvVariables(description, prefix = []) {
+  const variables = [];
+
+  Object.entries(description.keys || {}).forEach(([key, child]) => {
+    const keyPath = [...prefix, key];
+    const meta = Object.assign({}, ...(child.metas || []));
+    const isArrayOfObjects =
+      child.type === "array" &&
+      (child.items || []).some((item) => item.type === "object");
+    const json =
+      Boolean(meta.json) ||
+      isArrayOfObjects ||
+      (child.type === "object" && Boolean(child.patterns));
+
+    if (child.type === "object" && !json) {
+      variables.push(...describeEnvVariables(child, keyPath));
+      return;
+    }
+
+    variables.push({
+      name: meta.env || toEnvName(keyPath),
+      path: keyPath,
+      type: child.type,
+      json,
+      allowEmpty: (child.allow || []).includes(""),
+      escapedNewlines: Boolean(meta.escapedNewlines),
+      description: (child.flags && child.flags.description) || "",
+    });
+  });
+
+  return variables;
+}
+
+/**
+ * Environment variables of every configuration setting
+ */
+const ENV_VARIABLES = describeEnvVariables(configSchema.describe());
+
+/**
+ * Read a value at a path of a nested object
+ */
+function getPath(object, keyPath) {
+  return keyPath.reduce(
+    (value, key) => (value === undefined ? undefined : value[key]),
+    object
+  );
+}
+
+/**
+ * Set a value at a path of a nested object, creating parents as needed
+ */
+function setPath(object, keyPath, value) {
+  const parent = keyPath
+    .slice(0, -1)
+    .reduce((node, key) => (node[key] = node[key] || {}), object);
+  parent[keyPath[keyPath.length - 1]] = value;
+}
+
+/**
+ * Merge plain objects recursively; arrays and other values are replaced
+ * @param {Object} target - Lower layer
+ * @param {Object} source - Higher layer
+ * @returns {Object} New merged object
+ */
+function deepMerge(target, source) {
+  const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  const merged = { ...target };
+
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key])
+        ? deepMerge(merged[key], value)
+        : value;
+  });
+  return merged;
+}
+
+/**
+ * Read configuration values from environment variables
+ *
+ * Values are left as strings for Joi to convert, so "0" and "false" are
+ * kept. Empty values are ignored unless the setting allows "".
+ *
+ * @param {Object} env - Environment, e.g. process.env
+ * @returns {Object} Partial configuration
+ */
+function readEnvLayer(env) {
+  const layer = {};
+
+  ENV_VARIABLES.forEach((variable) => {
+    const raw = env[variable.name];
+    if (raw === undefined || (raw === "" && !variable.allowEmpty)) {
+      return;
+    }
+
+    let value = raw;
+    if (variable.json) {
+      try {
+        value = JSON.parse(raw);
+      } catch (error) {
+        throw new Error(
+          `${variable.name} must be valid JSON: ${error.message}`
+        );
+      }
+    } else if (variable.type === "array") {
+      value = raw
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+    } else if (variable.escapedNewlines) {
+      value = raw.replace(/\\n/g, "\n");
+    }
+
+    setPath(layer, variable.path, value);
+  });
+
+  return layer;
+}
+
+/**
+ * Read a YAML or JSON configuration file
+ * @param {string} filePath - .yaml, .yml or .json file
+ * @returns {Object} Partial configuration; empty when the file is missing
+ */
+function readConfigFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return {};
+  }
+
+  const text = fs.readFileSync(filePath, "utf8");
+  let values;
+  try {
+    values =
+      path.extname(filePath) === ".json" ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+  }
+
+  if (values === undefined || values === null) {
+    return {};
+  }
+  if (typeof values !== "object" || Array.isArray(values)) {
+    throw new Error(`${filePath} must contain a mapping of settings`);
+  }
+  return values;
+}
+
+/**
+ * Manages the layered configuration: schema defaults, then the
+ * configuration file, then environment variables, then runtime overrides.
+ *
+ * Emits `reload` ({ file, changed }) when the watched file changed the
+ * configuration and `reloadError` (Error) when an edit was rejected.
+ */
+class ConfigManager extends EventEmitter {
   constructor() {
+    super();
     this.config = null;
+    this.baseConfig = null; // defaults, file and environment
+    this.configFile = null;
+    this.watchedFile = null;
+    this.storePath = null;
+    this.overrides = {}; // runtime changes, persisted to storePath
+    this.version = 0;
+    this.history = []; // revisions, oldest first
     this.loadConfig();
   }
 
   /**
-   * Load configuration from environment variables and defaults
+   * Load configuration from defaults, the configuration file, environment
+   * variables and stored runtime overrides
+   *
+   * Nothing changes unless the result validates, so a bad edit of the file
+   * leaves the running configuration in place.
    */
   loadConfig() {
-    const envConfig = {
-      // Rate limiting settings
-      baseRateLimit: parseInt(process.env.DAASR_BASE_RATE_LIMIT) || 100,
-      minRateLimit: parseInt(process.env.DAASR_MIN_RATE_LIMIT) || 10,
-      maxRateLimit: parseInt(process.env.DAASR_MAX_RATE_LIMIT) || 1000,
-
-      // Timing settings
-      adjustmentInterval:
-        parseInt(process.env.DAASR_ADJUSTMENT_INTERVAL) || 30000,
-      windowSize: parseInt(process.env.DAASR_WINDOW_SIZE) || 900000,
-
-      // Traffic thresholds
-      highTrafficThreshold:
-        parseInt(process.env.DAASR_HIGH_TRAFFIC_THRESHOLD) || 1000,
-      mediumTrafficThreshold:
-        parseInt(process.env.DAASR_MEDIUM_TRAFFIC_THRESHOLD) || 100,
-
-      // Error rate thresholds
-      criticalErrorRate:
-        parseFloat(process.env.DAASR_CRITICAL_ERROR_RATE) || 0.1,
-      warningErrorRate:
-        parseFloat(process.env.DAASR_WARNING_ERROR_RATE) || 0.05,
-
-      // Response time thresholds (ms)
-      criticalResponseTime:
-        parseInt(process.env.DAASR_CRITICAL_RESPONSE_TIME) || 1000,
-      warningResponseTime:
-        parseInt(process.env.DAASR_WARNING_RESPONSE_TIME) || 500,
-
-      // User behavior settings
-      newUserBonus: parseFloat(process.env.DAASR_NEW_USER_BONUS) || 1.2,
-      burstPenalty: parseFloat(process.env.DAASR_BURST_PENALTY) || 0.5,
-
-      // Logging settings
-      logLevel: process.env.DAASR_LOG_LEVEL || "info",
-      productionLogging: process.env.NODE_ENV === "production",
-
-      // Feature flags
-      enableAdaptiveLimits:
-        process.env.DAASR_ENABLE_ADAPTIVE_LIMITS !== "false",
-      enableUserTracking: process.env.DAASR_ENABLE_USER_TRACKING !== "false",
-      enableBurstDetection:
-        process.env.DAASR_ENABLE_BURST_DETECTION !== "false",
-
-      // API settings
-      apiPort: parseInt(process.env.DAASR_API_PORT) || 3000,
-      apiPrefix: process.env.DAASR_API_PREFIX || "/api",
-
-      // Security settings
-      trustProxy: process.env.DAASR_TRUST_PROXY === "true",
-      enableCors: process.env.DAASR_ENABLE_CORS !== "false",
-      corsOrigin: process.env.DAASR_CORS_ORIGIN || "*",
-
-      // Monitoring settings
-      enableMetrics: process.env.DAASR_ENABLE_METRICS !== "false",
-      metricsPort: parseInt(process.env.DAASR_METRICS_PORT) || 9090,
-
-      // Cache settings
-      cacheSize: parseInt(process.env.DAASR_CACHE_SIZE) || 10000,
-      cacheTTL: parseInt(process.env.DAASR_CACHE_TTL) || 3600000,
-    };
+    const envLayer = readEnvLayer(process.env);
+    const configFile =
+      envLayer.configFile !== undefined
+        ? envLayer.configFile
+        : configSchema.extract("configFile").validate(undefined).value;
+
+    const layers = deepMerge(readConfigFile(configFile), envLayer);
+    layers.configFile = configFile;
+
+    // Settings derived from other variables when not set explicitly
+    if (layers.rateLimitStore === undefined && layers.redisUrl) {
+      layers.rateLimitStore = "redis";
+    }
+    if (
+      layers.productionLogging === undefined &&
+      process.env.NODE_ENV === "production"
+    ) {
+      layers.productionLogging = true;
+    }
 
     // Validate configuration
-    const { error, value } = configSchema.validate(envConfig);
+    const { value, violations } = validateConfig(layers);
 
-    if (error) {
-      throw new Error(`Configuration validation error: ${error.message}`);
+    if (violations.length > 0) {
+      throw validationError(violations, "Configuration validation error: ");
     }
 
-    this.config = value;
+    // Runtime overrides from earlier runs win over the other layers
+    const storePath = value.configStorePath || null;
+    const stored = this.readOverrides(storePath);
+
+    const merged = validateConfig({ ...value, ...stored.overrides });
+    if (merged.violations.length > 0) {
+      throw validationError(
+        merged.violations,
+        `Invalid configuration overrides in ${storePath}: `
+      );
+    }
+
+    this.configFile = configFile || null;
+    this.baseConfig = value;
+    this.storePath = storePath;
+    this.overrides = stored.overrides;
+    this.version = stored.version;
+    this.history = stored.history;
+    this.config = merged.value;
+  }
+
+  /**
+   * Read runtime overrides and their history from the store file
+   * @param {string|null} storePath - Store file
+   * @returns {Object} { overrides, version, history }
+   */
+  readOverrides(storePath) {
+    if (!storePath || !fs.existsSync(storePath)) {
+      return { overrides: {}, version: 0, history: [] };
+    }
+
+    const data = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    return {
+      overrides: data.overrides || {},
+      version: data.version || 0,
+      history: data.history || [],
+    };
+  }
+
+  /**
+   * Write runtime overrides and their history (atomically, via rename)
+   */
+  saveOverrides() {
+    if (!this.storePath) return;
+
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const tempPath = `${this.storePath}.${process.pid}.tmp`;
+    const data = {
+      version: this.version,
+      overrides: this.overrides,
+      history: this.history,
+    };
+
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.storePath);
   }
 
   /**
@@ -166,6 +1411,14 @@ class ConfigManager {
     return { ...this.config };
   }
 
+  /**
+   * Get current configuration with secrets masked, for display
+   * @returns {Object} Configuration object safe to return from the API
+   */
+  getRedactedConfig() {
+    return redactSecrets(this.getConfig());
+  }
+
   /**
    * Get specific configuration value
    * @param {string} key - Configuration key
@@ -179,83 +1432,319 @@ class ConfigManager {
    * Update configuration (for runtime adjustments)
    * @param {string} key - Configuration key
    * @param {*} value - New value
+   * @param {Object} [options] - See `update`
+   * @returns {Object} The new revision
    */
-  set(key, value) {
-    const { error } = configSchema.extract(key).validate(value);
-    if (error) {
-      throw new Error(
-        `Invalid configuration value for ${key}: ${error.message}`
-      );
+  set(key, value, options = {}) {
+    return this.update({ [key]: value }, options);
+  }
+
+  /**
+   * Change several keys at once and persist them as a new revision
+   *
+   * The result is validated as a whole, so either every change is applied
+   * or none is.
+   *
+   * @param {Object} changes - Keys and their new values
+   * @param {Object} [options]
+   * @param {Object} [options.actor] - Who made the change
+   * @returns {Object} The new revision
+   * @throws {Error} Listing every violation in `error.violations`
+   */
+  update(changes, { actor = null } = {}) {
+    const result = this.validate(changes);
+    if (!result.valid) {
+      throw validationError(result.violations);
+    }
+
+    return this.applyOverrides(result.overrides, {
+      actor,
+      changes: result.changes,
+    });
+  }
+
+  /**
+   * Check changes without applying them: each key on its own, then the
+   * configuration they would produce as a whole
+   * @param {Object} changes - Keys and their new values
+   * @returns {Object} { valid, violations, changes, overrides } where
+   *     `changes` holds the validated values with nested defaults filled in
+   */
+  validate(changes) {
+    const keys = Object.keys(changes || {});
+    if (keys.length === 0) {
+      return {
+        valid: false,
+        violations: [{ path: "", message: "No configuration changes given" }],
+        changes: {},
+        overrides: this.overrides,
+      };
+    }
+
+    const violations = [];
+    const validated = {};
+    keys.forEach((key) => {
+      if (!Object.prototype.hasOwnProperty.call(this.config, key)) {
+        violations.push({
+          path: key,
+          message: `Invalid configuration key: ${key}`,
+        });
+        return;
+      }
+      if (STARTUP_ONLY_KEYS.includes(key)) {
+        violations.push({
+          path: key,
+          message: `${key} cannot be changed at runtime`,
+        });
+        return;
+      }
+
+      const { error, value } = configSchema
+        .extract(key)
+        .label(key)
+        .validate(changes[key], { abortEarly: false });
+      if (error) {
+        error.details.forEach((detail) => {
+          violations.push({
+            path: [key, ...detail.path].join("."),
+            message:
+              `Invalid configuration value for ${key}: ` + detail.message,
+          });
+        });
+        return;
+      }
+      validated[key] = value;
+    });
+
+    // Rules between settings, with the valid changes applied
+    const overrides = { ...this.overrides, ...validated };
+    violations.push(
+      ...validateConfig({ ...this.getBaseConfig(), ...overrides }).violations
+    );
+
+    return {
+      valid: violations.length === 0,
+      violations,
+      changes: validated,
+      overrides,
+    };
+  }
+
+  /**
+   * Restore the overrides of an earlier revision as a new revision
+   * @param {number} version - Revision to restore (0 restores no overrides)
+   * @param {Object} [options]
+   * @param {Object} [options.actor] - Who rolled back
+   * @returns {Object} The new revision
+   */
+  rollback(version, { actor = null } = {}) {
+    const target = Number(version);
+    let overrides;
+
+    if (target === 0) {
+      overrides = {};
+    } else {
+      const revision = this.history.find((entry) => entry.version === target);
+      if (!revision) {
+        throw new Error(`Configuration version ${version} not found`);
+      }
+      overrides = revision.overrides;
     }
 
-    this.config[key] = value;
+    const changes = {};
+    const base = this.getBaseConfig();
+    new Set([...Object.keys(this.overrides), ...Object.keys(overrides)])
+      .forEach((key) => {
+        changes[key] = key in overrides ? overrides[key] : base[key];
+      });
+
+    return this.applyOverrides(overrides, {
+      actor,
+      changes,
+      rollbackOf: target,
+    });
   }
 
   /**
-   * Reload configuration from environment
+   * Validate a new set of overrides against the whole schema, then apply,
+   * record and persist it
+   */
+  applyOverrides(overrides, { actor, changes, rollbackOf }) {
+    const { value, violations } = validateConfig({
+      ...this.getBaseConfig(),
+      ...overrides,
+    });
+    if (violations.length > 0) {
+      throw validationError(violations, "Invalid configuration: ");
+    }
+
+    const revision = {
+      version: this.version + 1,
+      timestamp: new Date().toISOString(),
+      actor,
+      changes,
+      overrides,
+    };
+    if (rollbackOf !== undefined) {
+      revision.rollbackOf = rollbackOf;
+    }
+
+    this.config = value;
+    this.overrides = overrides;
+    this.version = revision.version;
+    this.history = [...this.history, revision].slice(-MAX_CONFIG_REVISIONS);
+    this.saveOverrides();
+
+    return revision;
+  }
+
+  /**
+   * Configuration without runtime overrides (environment and defaults)
+   */
+  getBaseConfig() {
+    return { ...this.baseConfig };
+  }
+
+  /**
+   * Get the current version and past revisions, secrets masked
+   * @returns {Object} { version, revisions } with the newest revision first
+   */
+  getHistory() {
+    return {
+      version: this.version,
+      revisions: [...this.history].reverse().map((revision) => ({
+        ...revision,
+        changes: redactSecrets(revision.changes),
+        overrides: redactSecrets(revision.overrides),
+      })),
+    };
+  }
+
+  /**
+   * Reload configuration from the file and environment; runtime overrides
+   * are reapplied
    */
   reload() {
     this.loadConfig();
   }
 
+  /**
+   * Reload after the configuration file changed
+   * @returns {Array<string>|null} Keys whose value changed, or null when
+   *     the new configuration was rejected
+   */
+  reloadFile() {
+    const before = this.config;
+
+    try {
+      this.loadConfig();
+    } catch (error) {
+      this.emit("reloadError", error);
+      return null;
+    }
+
+    const changed = Object.keys(this.config).filter(
+      (key) => !isDeepStrictEqual(before[key], this.config[key])
+    );
+    if (changed.length > 0) {
+      this.emit("reload", {
+        file: this.configFile,
+        changed,
+        before: redactSecrets(before),
+        after: this.getRedactedConfig(),
+      });
+    }
+    return changed;
+  }
+
+  /**
+   * Watch the configuration file and reload when it changes
+   *
+   * The file is polled every `configWatchInterval` ms, which also notices
+   * files replaced by editors or created after startup. The watcher does
+   * not keep the process alive.
+   *
+   * @returns {boolean} True when watching started
+   */
+  watch() {
+    const interval = this.config.configWatchInterval;
+    if (this.watchedFile || !this.configFile || interval === 0) {
+      return false;
+    }
+
+    this.watchedFile = this.configFile;
+    fs.watchFile(
+      this.watchedFile,
+      { interval, persistent: false },
+      (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          this.reloadFile();
+        }
+      }
+    );
+    return true;
+  }
+
+  /**
+   * Stop watching the configuration file
+   */
+  unwatch() {
+    if (this.watchedFile) {
+      fs.unwatchFile(this.watchedFile);
+      this.watchedFile = null;
+    }
+  }
+
+  /**
+   * Get the environment variables the configuration reads
+   * @returns {Array<Object>} { name, path, description, default }
+   */
+  getEnvVariables() {
+    const defaults = configSchema.validate({}).value;
+
+    return ENV_VARIABLES.map((variable) => ({
+      name: variable.name,
+      path: variable.path.join("."),
+      description: variable.description,
+      default: getPath(defaults, variable.path),
+    }));
+  }
+
   /**
    * Get configuration as environment variables template
+   *
+   * Generated from the schema, so every setting is listed with its
+   * default.
+   *
    * @returns {string} Environment variables template
    */
   getEnvTemplate() {
-    return `# DAASR Configuration Environment Variables
-# Copy this file to .env and modify as needed
-
-# Rate limiting settings
-DAASR_BASE_RATE_LIMIT=100
-DAASR_MIN_RATE_LIMIT=10
-DAASR_MAX_RATE_LIMIT=1000
-
-# Timing settings (milliseconds)
-DAASR_ADJUSTMENT_INTERVAL=30000
-DAASR_WINDOW_SIZE=900000
-
-# Traffic thresholds
-DAASR_HIGH_TRAFFIC_THRESHOLD=1000
-DAASR_MEDIUM_TRAFFIC_THRESHOLD=100
-
-# Error rate thresholds (0.0 - 1.0)
-DAASR_CRITICAL_ERROR_RATE=0.1
-DAASR_WARNING_ERROR_RATE=0.05
-
-# Response time thresholds (milliseconds)
-DAASR_CRITICAL_RESPONSE_TIME=1000
-DAASR_WARNING_RESPONSE_TIME=500
-
-# User behavior settings
-DAASR_NEW_USER_BONUS=1.2
-DAASR_BURST_PENALTY=0.5
-
-# Logging settings
-DAASR_LOG_LEVEL=info
-
-# Feature flags (true/false)
-DAASR_ENABLE_ADAPTIVE_LIMITS=true
-DAASR_ENABLE_USER_TRACKING=true
-DAASR_ENABLE_BURST_DETECTION=true
-
-# API settings
-DAASR_API_PORT=3000
-DAASR_API_PREFIX=/api
-
-# Security settings
-DAASR_TRUST_PROXY=false
-DAASR_ENABLE_CORS=true
-DAASR_CORS_ORIGIN=*
-
-# Monitoring settings
-DAASR_ENABLE_METRICS=true
-DAASR_METRICS_PORT=9090
-
-# Cache settings
-DAASR_CACHE_SIZE=10000
-DAASR_CACHE_TTL=3600000
-`;
+    const lines = [
+      "# DAASR Configuration Environment Variables",
+      "# Generated from the configuration schema. Copy this file to .env and",
+      "# modify as needed; unset variables keep their defaults.",
+    ];
+    const defaults = configSchema.validate({}).value;
+
+    ENV_VARIABLES.forEach((variable) => {
+      const value = getPath(defaults, variable.path);
+      let text;
+      if (variable.json) {
+        text = JSON.stringify(value);
+      } else if (Array.isArray(value)) {
+        text = value.join(",");
+      } else {
+        text = String(value);
+      }
+
+      lines.push("");
+      if (variable.description) {
+        lines.push(`# ${variable.description}`);
+      }
+      lines.push(`${variable.name}=${text}`);
+    });
+
+    return `${lines.join("\n")}\n`;
   }
 }
 
@@ -263,3 +1752,4 @@ DAASR_CACHE_TTL=3600000
 const configManager = new ConfigManager();
 
 module.exports = configManager;
+module.exports.ConfigManager = ConfigManager;
@@ -26,11 +26,20 @@ require("dotenv").config();
 
 // Enhanced enterprise modules
 const daasrMiddleware = require("./middleware/daasr");
+const concurrencyMiddleware = require("./middleware/concurrency");
 const blocklistMiddleware = require("./middleware/blocklist");
+const quotaMiddleware = require("./middleware/quota");
 const trafficMonitor = require("./services/trafficMonitor");
 const SystemMetricsCollector = require("./services/systemMetrics");
 const AlertingSystem = require("./services/alerting");
+const MetricsResolver = require("./services/metricsResolver");
 const config = require("./config/default");
+const { getClientKey } = require("./utils/keyExtractor");
+const apiKeyRegistry = require("./services/apiKeyRegistry");
+const quotaManager = require("./services/quotaManager");
+const { requireRole } = require("./middleware/auth");
+const auditLog = require("./services/auditLog");
+const { actorFromRequest } = require("./services/auditLog");
 
 // Initialize enterprise monitoring systems
 const systemMetrics = new SystemMetricsCollector({
@@ -39,11 +48,53 @@ const systemMetrics = new SystemMetricsCollector({
   maxDataPoints: 86400 // 24 hours of data
 });
 
+// Export HTTP metrics with their proper Prometheus types
+systemMetrics.registry.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests received',
+  labelNames: ['method', 'status_code', 'endpoint']
+});
+systemMetrics.registry.counter({
+  name: 'http_responses_total',
+  help: 'HTTP responses sent',
+  labelNames: ['method', 'status_code']
+});
+systemMetrics.registry.histogram({
+  name: 'http_request_duration_ms',
+  help: 'HTTP request duration in milliseconds',
+  labelNames: ['method', 'status_code', 'endpoint'],
+  buckets: [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+});
+systemMetrics.registry.counter({
+  name: 'rate_limit_exceeded_total',
+  help: 'Requests rejected by the enterprise rate limiter',
+  labelNames: ['endpoint']
+});
+
+/**
+ * Endpoint label for HTTP metrics: the matched route pattern, or the rate
+ * limit policy, never the raw URL, so clients cannot create series at will
+ */
+const metricEndpoint = (req) => {
+  if (req.route) return (req.baseUrl || '') + req.route.path;
+  if (req.rateLimit) return `policy:${req.rateLimit.policy}`;
+  return 'unmatched';
+};
+
+// Let DAASR scale limits down when the host is under pressure
+daasrMiddleware.daasrAlgorithm.setMetricsSource(systemMetrics);
+
+// Shed load on event loop lag and export queue depth and shed counts
+const { concurrencyLimiter } = concurrencyMiddleware;
+concurrencyLimiter.setMetricsSource(systemMetrics);
+concurrencyLimiter.registerMetrics(systemMetrics.registry);
+
 const alertingSystem = new AlertingSystem({
   enabled: true,
   checkInterval: 30000, // 30 seconds
   escalationTimeout: 300000, // 5 minutes
-  maxAlerts: 10000
+  maxAlerts: 10000,
+  metricsResolver: new MetricsResolver({ systemMetrics, trafficMonitor })
 });
 
 // Configure Enhanced Winston Logger with Structured Logging
@@ -168,17 +219,6 @@ app.use(
       write: (message) => {
         const logData = message.trim();
         logger.info(logData, { type: 'access' });
-        
-        // Extract metrics for real-time monitoring
-        const requestMatch = logData.match(/(\d+\.\d+\.\d+\.\d+).*?"([A-Z]+)\s+([^\s]+).*?"\s+(\d+)\s+(\d+|\-)/);
-        if (requestMatch) {
-          const [, ip, method, url, status, size] = requestMatch;
-          systemMetrics.addCustomMetric('http_requests_total', 1, {
-            method,
-            status_code: status,
-            endpoint: url
-          });
-        }
       },
     },
   })
@@ -197,12 +237,19 @@ app.use((req, res, next) => {
   
   res.on('finish', () => {
     const duration = Date.now() - startTime;
+    const endpoint = metricEndpoint(req);
+    
+    systemMetrics.addCustomMetric('http_requests_total', 1, {
+      method: req.method,
+      status_code: res.statusCode.toString(),
+      endpoint
+    });
     
     // Record response time metrics
     systemMetrics.addCustomMetric('http_request_duration_ms', duration, {
       method: req.method,
       status_code: res.statusCode.toString(),
-      endpoint: req.route?.path || req.path
+      endpoint
     });
     
     // Record status code metrics
@@ -239,6 +286,10 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "..", "public", "index.html"));
 });
 
+// Cap requests in flight; under overload the lowest priority classes
+// (anonymous first, health and admin last) get 503 with Retry-After
+app.use(concurrencyMiddleware);
+
 // Enhanced health check endpoint with detailed system information
 app.get("/health", (req, res) => {
   const systemHealth = systemMetrics.getHealthStatus();
@@ -282,7 +333,7 @@ app.get("/api/enterprise/metrics", (req, res) => {
 
 app.get("/api/enterprise/metrics/prometheus", (req, res) => {
   const prometheusMetrics = systemMetrics.exportMetrics('prometheus');
-  res.set('Content-Type', 'text/plain');
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
   res.send(prometheusMetrics);
 });
 
@@ -298,13 +349,23 @@ app.get("/api/enterprise/alerts", (req, res) => {
   });
 });
 
-app.post("/api/enterprise/alerts/suppress/:alertId", (req, res) => {
+app.post("/api/enterprise/alerts/suppress/:alertId", requireRole('operator'), (req, res) => {
   const { alertId } = req.params;
-  const { duration = 300000 } = req.body; // 5 minutes default
+  const { duration = 300000 } = req.body || {}; // 5 minutes default
+  const findAlert = () => alertingSystem.getActiveAlerts().find(alert => alert.id === alertId);
+  const before = findAlert();
   
   const suppressed = alertingSystem.suppressAlert(alertId, duration);
   
   if (suppressed) {
+    auditLog.record({
+      actor: actorFromRequest(req),
+      action: 'alert.suppress',
+      target: alertId,
+      before: { suppressedUntil: before.suppressedUntil || null },
+      after: { suppressedUntil: findAlert().suppressedUntil },
+      metadata: { ruleId: before.ruleId, duration }
+    });
     res.json({ message: "Alert suppressed", alertId, duration });
   } else {
     res.status(404).json({ error: "Alert not found" });
@@ -333,24 +394,25 @@ app.get("/api/enterprise/system", (req, res) => {
 
 const protectedRouter = express.Router();
 
+// Tier of the request's API key (anonymous without a valid key), resolved
+// once per request
+const resolveApiKeyTier = (req) => {
+  if (!req.apiKeyTier) {
+    req.apiKeyTier = apiKeyRegistry.resolveTier(req.headers['x-api-key']);
+  }
+  return req.apiKeyTier;
+};
+
 // Enhanced rate limiting with enterprise features
 const enterpriseLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: (req) => {
-    // Dynamic limits based on user tier or API key
-    const apiKey = req.headers['x-api-key'];
-    if (apiKey === process.env.ENTERPRISE_API_KEY) {
-      return 10000; // Enterprise tier
-    } else if (apiKey === process.env.PREMIUM_API_KEY) {
-      return 1000; // Premium tier
-    }
-    return 100; // Standard tier
-  },
+  max: (req) => resolveApiKeyTier(req).maxRequests, // limits come from the key's tier
+  keyGenerator: (req) => getClientKey(req),
   message: (req, res) => {
-    const tier = req.headers['x-api-key'] ? 'authenticated' : 'anonymous';
+    const { tier } = resolveApiKeyTier(req);
     return {
       error: "Rate limit exceeded",
-      message: "Too many requests from this IP, please try again later.",
+      message: "Too many requests from this client, please try again later.",
       tier,
       retryAfter: Math.ceil(15 * 60), // 15 minutes in seconds
       documentation: "https://docs.daasr.com/rate-limiting"
@@ -361,6 +423,8 @@ const enterpriseLimiter = rateLimit({
   onLimitReached: (req, res, options) => {
     logger.warn('Rate limit exceeded', {
       ip: req.ip,
+      clientKey: getClientKey(req),
+      tier: resolveApiKeyTier(req).tier,
       userAgent: req.get('User-Agent'),
       endpoint: req.path,
       method: req.method
@@ -368,13 +432,14 @@ const enterpriseLimiter = rateLimit({
     
     // Trigger alert for excessive rate limiting
     systemMetrics.addCustomMetric('rate_limit_exceeded_total', 1, {
-      endpoint: req.path,
-      ip: req.ip
+      endpoint: metricEndpoint(req)
     });
   }
 });
 
 protectedRouter.use(daasrMiddleware);
+// Daily and monthly quotas count the units DAASR priced the request at
+protectedRouter.use(quotaMiddleware);
 protectedRouter.use(enterpriseLimiter);
 
 // Enhanced protected endpoints
@@ -589,6 +654,27 @@ alertingSystem.on('alertTriggered', (alert) => {
   });
 });
 
+// Quota warnings are broadcast like alerts
+quotaManager.on('softLimit', (warning) => {
+  logger.warn('Quota soft limit reached', warning);
+
+  const payload = {
+    type: 'alert',
+    payload: {
+      ruleId: 'quota_soft_limit',
+      state: 'warning',
+      ...warning,
+      timestamp: Date.now()
+    }
+  };
+
+  wss.clients.forEach((client) => {
+    if (client.readyState === 1) {
+      client.send(JSON.stringify(payload));
+    }
+  });
+});
+
 // Start monitoring services
 systemMetrics.start();
 alertingSystem.start();
@@ -609,6 +695,14 @@ const gracefulShutdown = (signal) => {
     // Stop monitoring services
     systemMetrics.stop();
     alertingSystem.stop();
+
+    // Write quota usage counted since the last flush
+    quotaManager.flush();
+
+    // Release the shared rate limit store connection
+    daasrMiddleware.daasrAlgorithm.store.close().catch((error) => {
+      logger.error('Error closing rate limit store', { error: error.message });
+    });
     
     // Close WebSocket connections
     wss.clients.forEach((client) => {
@@ -644,6 +738,33 @@ server.listen(PORT, () => {
     ]
   });
   
+  if (!config.get("auth").enabled) {
+    logger.warn("Admin API authentication is disabled (DAASR_AUTH_ENABLED=false)");
+  } else if (!apiKeyRegistry.list().some((key) => key.role === 'admin' && key.status === 'active')) {
+    logger.warn("No admin API key exists; issue one with: npm run keys -- issue <owner> <tier> --role=admin (the running server picks it up)");
+  }
+
+  // Hot reload the configuration file; rejected edits keep the running config
+  config.on('reload', ({ file, changed, before, after }) => {
+    logger.info('Configuration file reloaded', { file, changed });
+    changed.forEach((key) => {
+      auditLog.record({
+        actor: { subject: 'config-file', owner: null, role: null, method: 'file', ip: null },
+        action: 'config.reload',
+        target: key,
+        before: before[key],
+        after: after[key],
+        metadata: { file }
+      });
+    });
+  });
+  config.on('reloadError', (error) => {
+    logger.error('Configuration file change rejected', { file: config.configFile, error: error.message });
+  });
+  if (config.watch()) {
+    logger.info('Watching configuration file', { file: config.configFile });
+  }
+
   // Log initial system state
   const initialMetrics = systemMetrics.getCurrentMetrics();
   logger.info("Initial system metrics", initialMetrics);
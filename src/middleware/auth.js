@@ -0,0 +1,218 @@
+/**
+ * Authentication Middleware
+ *
+ * Protects the admin API with role-based access control. Callers present
+ * an API key from the key registry (`x-api-key`) or a bearer token: either
+ * a session token issued by `POST /api/auth/login` or a JWT signed with the
+ * keys configured under `clientKey.jwt` carrying a `role` claim.
+ *
+ * Missing or invalid credentials are answered with 401, valid credentials
+ * whose role is too low with 403.
+ *
+ * @module auth
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const winston = require("winston");
+const config = require("../config/default");
+const apiKeyRegistry = require("../services/apiKeyRegistry");
+const { signJwt, verifyJwt } = require("../utils/jwt");
+
+const { ROLES } = apiKeyRegistry;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/daasr.log" }),
+    new winston.transports.Console(),
+  ],
+});
+
+// Used when no session secret is configured; sessions then end on restart
+const fallbackSessionSecret = crypto.randomBytes(32).toString("hex");
+
+/**
+ * Secret session tokens are signed with
+ */
+function getSessionSecret() {
+  return config.get("auth").sessionSecret || fallbackSessionSecret;
+}
+
+/**
+ * Check whether a role grants at least the required role
+ * @param {string} role - Role held
+ * @param {string} requiredRole - Role needed
+ * @returns {boolean} True when `role` is at least `requiredRole`
+ */
+function hasRole(role, requiredRole) {
+  if (!ROLES.includes(role)) return false;
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Issue a session token for an authenticated principal
+ * @param {Object} principal - { subject, owner, role }
+ * @returns {Object} { token, expiresAt }
+ */
+function issueSessionToken(principal) {
+  const ttl = config.get("auth").sessionTtl;
+  const token = signJwt(
+    {
+      typ: "session",
+      sub: principal.subject,
+      owner: principal.owner,
+      role: principal.role,
+    },
+    getSessionSecret(),
+    { expiresInMs: ttl }
+  );
+
+  return { token, expiresAt: new Date(Date.now() + ttl).toISOString() };
+}
+
+/**
+ * Identify the caller of a request
+ * @param {Object} req - Express request object
+ * @returns {Object} { principal } when valid credentials were presented,
+ *     { error: "missing" } or { error: "invalid" } otherwise
+ */
+function authenticate(req) {
+  const authorization = req.get("Authorization") || "";
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization);
+  const apiKey = req.get("x-api-key");
+
+  if (bearer) {
+    const session = verifyJwt(bearer[1], {
+      secret: getSessionSecret(),
+      algorithms: ["HS256"],
+    });
+    if (session && session.typ === "session") {
+      // Revoking or expiring the key ends its sessions too
+      const keyId = String(session.sub).replace(/^apikey:/, "");
+      const record = apiKeyRegistry.get(keyId);
+      if (!record || record.status !== "active") {
+        return { error: "invalid" };
+      }
+
+      return {
+        principal: {
+          subject: session.sub,
+          owner: session.owner,
+          role: record.role,
+          method: "session",
+        },
+      };
+    }
+
+    const claims = verifyJwt(bearer[1], config.get("clientKey").jwt);
+    if (claims && claims.typ !== "session" && typeof claims.sub === "string") {
+      return {
+        principal: {
+          subject: claims.sub,
+          owner: claims.sub,
+          role: ROLES.includes(claims.role) ? claims.role : null,
+          method: "jwt",
+        },
+      };
+    }
+
+    return { error: "invalid" };
+  }
+
+  if (apiKey) {
+    const record = apiKeyRegistry.verify(apiKey);
+    if (!record) return { error: "invalid" };
+
+    return {
+      principal: {
+        subject: `apikey:${record.id}`,
+        owner: record.owner,
+        role: record.role || null,
+        method: "apiKey",
+      },
+    };
+  }
+
+  return { error: "missing" };
+}
+
+/**
+ * Require a minimum role for a route
+ *
+ * Sets `req.principal` for the handler. When authentication is disabled
+ * (`auth.enabled: false`) every request is let through.
+ *
+ * @param {string} requiredRole - viewer, operator or admin
+ * @returns {Function} Express middleware function
+ */
+function requireRole(requiredRole) {
+  if (!ROLES.includes(requiredRole)) {
+    throw new Error(`Unknown role: ${requiredRole}`);
+  }
+
+  return function roleMiddleware(req, res, next) {
+    if (!config.get("auth").enabled) {
+      req.principal = { subject: "anonymous", role: "admin", method: "none" };
+      return next();
+    }
+
+    const { principal, error } = authenticate(req);
+
+    if (!principal) {
+      logger.warn("Admin API authentication failed", {
+        ip: req.ip,
+        method: req.method,
+        url: req.originalUrl,
+        reason: error,
+      });
+
+      res.set("WWW-Authenticate", 'Bearer realm="daasr"');
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+        code: error === "missing" ? "AUTH_REQUIRED" : "INVALID_CREDENTIALS",
+        message:
+          error === "missing"
+            ? "Authentication is required. Send an API key or bearer token."
+            : "The API key or bearer token is invalid or expired.",
+      });
+    }
+
+    if (!hasRole(principal.role, requiredRole)) {
+      logger.warn("Admin API access denied", {
+        subject: principal.subject,
+        role: principal.role,
+        requiredRole,
+        method: req.method,
+        url: req.originalUrl,
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        code: "INSUFFICIENT_ROLE",
+        message: `This action requires the ${requiredRole} role.`,
+        requiredRole,
+        role: principal.role,
+      });
+    }
+
+    req.principal = principal;
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  hasRole,
+  issueSessionToken,
+  ROLES,
+};
@@ -1,7 +1,7 @@
 /**
  * Blocklist Middleware
  *
- * Checks if the incoming request's IP is in the blocklist.
+ * Checks if the incoming request's IP or client key is in the blocklist.
  *
  * @module blocklist
  * @author DAASR Team
@@ -9,6 +9,7 @@
  */
 
 const blocklistManager = require("../services/blocklistManager");
+const { getClientKey } = require("../utils/keyExtractor");
 
 function blocklistMiddleware(req, res, next) {
   const ip = req.ip || req.connection.remoteAddress;
@@ -21,6 +22,15 @@ function blocklistMiddleware(req, res, next) {
     });
   }
 
+  // Clients keyed by API key, JWT subject or header are blocked wherever
+  // they connect from
+  if (blocklistManager.isBlocked(getClientKey(req))) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "This client has been blocked.",
+    });
+  }
+
   // If the IP is not blocked, proceed to the next middleware
   next();
 }
@@ -0,0 +1,394 @@
+/**
+ * Concurrency Limiter Middleware
+ *
+ * Caps the number of requests handled at once, whatever their rate, so a
+ * few slow calls cannot pile up and exhaust the process. Requests over the
+ * cap wait in a bounded queue ordered by priority class. When the queue is
+ * full, a wait times out or the event loop lags, the lowest priority
+ * requests are shed with 503 and Retry-After.
+ *
+ * @module concurrency
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const winston = require("winston");
+const config = require("../config/default");
+const apiKeyRegistry = require("../services/apiKeyRegistry");
+const { compilePolicies, matchPolicy } = require("../utils/policyMatcher");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/daasr.log" }),
+    new winston.transports.Console(),
+  ],
+});
+
+/**
+ * In-flight request limiter with a priority wait queue
+ */
+class ConcurrencyLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.metricsSource] - System metrics provider used
+   *     for the event loop lag (e.g. SystemMetricsCollector)
+   */
+  constructor(options = {}) {
+    this.metricsSource = options.metricsSource || null;
+    this.inFlight = 0;
+    this.queue = []; // highest priority first, then oldest first
+    this.shedCounts = {};
+    this.metrics = null;
+    this.compiledClasses = { source: null, classes: [] };
+  }
+
+  /**
+   * Set the system metrics provider used for the event loop lag
+   * @param {Object} metricsSource - Object exposing `getLatestMetric(category)`
+   */
+  setMetricsSource(metricsSource) {
+    this.metricsSource = metricsSource;
+  }
+
+  /**
+   * Export in-flight requests, queue depth and shed counts
+   * @param {MetricsRegistry} registry - Registry to register the metrics in
+   */
+  registerMetrics(registry) {
+    this.metrics = {
+      inFlight: registry.gauge({
+        name: "concurrency_in_flight",
+        help: "Requests being handled",
+      }),
+      queueDepth: registry.gauge({
+        name: "concurrency_queue_depth",
+        help: "Requests waiting for a slot",
+        labelNames: ["class"],
+      }),
+      shed: registry.counter({
+        name: "load_shed_total",
+        help: "Requests shed under overload",
+        labelNames: ["class", "reason"],
+      }),
+    };
+    this.updateGauges();
+  }
+
+  /**
+   * Get the configured priority classes, compiling their paths when the
+   * configuration changes
+   * @returns {Array<Object>} Classes, highest priority first
+   */
+  getClasses() {
+    const classes = config.get("concurrency").priorityClasses;
+
+    if (this.compiledClasses.source !== classes) {
+      this.compiledClasses = {
+        source: classes,
+        classes: classes.map((cls) => ({
+          name: cls.name,
+          tiers: cls.tiers || null,
+          paths: cls.paths
+            ? compilePolicies(
+                cls.paths.map((path) => ({ name: cls.name, path }))
+              )
+            : null,
+        })),
+      };
+    }
+
+    return this.compiledClasses.classes;
+  }
+
+  /**
+   * Find the priority class of a request: the first class whose paths and
+   * API key tiers match it, or the lowest class when none does
+   * @param {Object} req - Express request object
+   * @returns {{name: string, priority: number}} Class and its rank (0 is
+   *     the highest)
+   */
+  classify(req) {
+    if (!req.apiKeyTier) {
+      req.apiKeyTier = apiKeyRegistry.resolveTier(req.headers["x-api-key"]);
+    }
+
+    const classes = this.getClasses();
+    const path = (req.baseUrl || "") + req.path;
+    const index = classes.findIndex(
+      (cls) =>
+        (!cls.paths || matchPolicy(cls.paths, req.method, path) !== null) &&
+        (!cls.tiers || cls.tiers.includes(req.apiKeyTier.tier))
+    );
+    const priority = index === -1 ? classes.length - 1 : index;
+
+    return { name: classes[priority].name, priority };
+  }
+
+  /**
+   * Read the latest event loop lag from the metrics source
+   *
+   * Samples older than `resourceMetricsMaxAge` are ignored so a stalled
+   * collector cannot keep shedding load.
+   *
+   * @returns {number|null} Lag in ms, or null when unavailable
+   */
+  getEventLoopLag() {
+    if (!this.metricsSource) return null;
+
+    const { eventLoop } = this.metricsSource.getLatestMetric("process");
+    if (
+      !eventLoop ||
+      Date.now() - eventLoop.timestamp > config.get("resourceMetricsMaxAge")
+    ) {
+      return null;
+    }
+    return eventLoop.lag;
+  }
+
+  /**
+   * Number of lowest priority classes shed because of event loop lag: one
+   * once the lag passes `maxEventLoopLag`, one more for each further
+   * multiple. The highest class is never shed for lag.
+   * @param {Object} settings - Concurrency settings
+   * @returns {number} Classes to shed
+   */
+  getLagShedding(settings) {
+    const lag = this.getEventLoopLag();
+    if (lag === null || lag <= settings.maxEventLoopLag) {
+      return 0;
+    }
+    return Math.min(
+      settings.priorityClasses.length - 1,
+      Math.floor(lag / settings.maxEventLoopLag)
+    );
+  }
+
+  /**
+   * Take an in-flight slot, waiting in the queue if none is free
+   *
+   * A full queue makes room for a request by shedding the newest waiter of
+   * a lower class, if there is one.
+   *
+   * @param {{name: string, priority: number}} cls - Request's class
+   * @param {Object} [settings] - Concurrency settings (defaults to the
+   *     `concurrency` configuration)
+   * @returns {Promise<string|null>} null once the request holds a slot
+   *     (call `release` when it completes), otherwise why it was shed
+   */
+  acquire(cls, settings = config.get("concurrency")) {
+    const classCount = settings.priorityClasses.length;
+    if (cls.priority >= classCount - this.getLagShedding(settings)) {
+      return Promise.resolve(this.recordShed(cls.name, "event_loop_lag"));
+    }
+
+    if (this.inFlight < settings.maxInFlight) {
+      this.inFlight += 1;
+      this.updateGauges();
+      return Promise.resolve(null);
+    }
+
+    if (this.queue.length >= settings.maxQueue) {
+      const lowest = this.queue[this.queue.length - 1];
+      if (!lowest || lowest.priority <= cls.priority) {
+        return Promise.resolve(this.recordShed(cls.name, "queue_full"));
+      }
+      this.removeWaiter(lowest, "queue_full");
+    }
+
+    return new Promise((resolve) => {
+      const waiter = { ...cls, resolve };
+      waiter.timer = setTimeout(
+        () => this.removeWaiter(waiter, "queue_timeout"),
+        settings.queueTimeout
+      );
+
+      const position = this.queue.findIndex(
+        (queued) => queued.priority > cls.priority
+      );
+      this.queue.splice(
+        position === -1 ? this.queue.length : position,
+        0,
+        waiter
+      );
+      this.updateGauges();
+    });
+  }
+
+  /**
+   * Give back a slot and hand it to the highest priority waiter
+   */
+  release() {
+    this.inFlight = Math.max(0, this.inFlight - 1);
+
+    const { maxInFlight } = config.get("concurrency");
+    while (this.queue.length > 0 && this.inFlight < maxInFlight) {
+      const waiter = this.queue.shift();
+      clearTimeout(waiter.timer);
+      this.inFlight += 1;
+      waiter.resolve(null);
+    }
+
+    this.updateGauges();
+  }
+
+  /**
+   * Shed a waiting request
+   */
+  removeWaiter(waiter, reason) {
+    const index = this.queue.indexOf(waiter);
+    if (index === -1) return;
+
+    this.queue.splice(index, 1);
+    clearTimeout(waiter.timer);
+    waiter.resolve(this.recordShed(waiter.name, reason));
+    this.updateGauges();
+  }
+
+  /**
+   * Count a shed request
+   * @returns {string} The reason
+   */
+  recordShed(className, reason) {
+    const counts = this.shedCounts[className] || {};
+    counts[reason] = (counts[reason] || 0) + 1;
+    this.shedCounts[className] = counts;
+
+    if (this.metrics) {
+      this.metrics.shed.inc({ class: className, reason });
+    }
+    return reason;
+  }
+
+  /**
+   * Publish the in-flight count and queue depth per class
+   */
+  updateGauges() {
+    if (!this.metrics) return;
+
+    this.metrics.inFlight.set({}, this.inFlight);
+    const depths = this.getQueueDepths();
+    for (const cls of this.getClasses()) {
+      this.metrics.queueDepth.set({ class: cls.name }, depths[cls.name] || 0);
+    }
+  }
+
+  /**
+   * Count waiting requests per class
+   * @returns {Object} Depth keyed by class name
+   */
+  getQueueDepths() {
+    const depths = {};
+    for (const waiter of this.queue) {
+      depths[waiter.name] = (depths[waiter.name] || 0) + 1;
+    }
+    return depths;
+  }
+
+  /**
+   * Get the limiter state
+   * @returns {Object} In-flight requests, queue depths, shed counts and the
+   *     event loop lag
+   */
+  getState() {
+    return {
+      inFlight: this.inFlight,
+      queued: this.queue.length,
+      queueDepths: this.getQueueDepths(),
+      shed: this.shedCounts,
+      eventLoopLag: this.getEventLoopLag(),
+    };
+  }
+
+  /**
+   * Respond to a shed request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {{name: string}} cls - Request's class
+   * @param {string} reason - Why it was shed
+   * @param {Object} settings - Concurrency settings
+   */
+  handleShed(req, res, cls, reason, settings) {
+    logger.warn("Request shed", {
+      priorityClass: cls.name,
+      reason,
+      inFlight: this.inFlight,
+      queued: this.queue.length,
+      url: req.url,
+    });
+
+    res.set("Retry-After", String(settings.retryAfter));
+    res.status(503).json({
+      error: "Service overloaded",
+      reason,
+      priorityClass: cls.name,
+      retryAfter: settings.retryAfter,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// Create singleton instance
+const concurrencyLimiter = new ConcurrencyLimiter();
+
+/**
+ * Concurrency limiter Express middleware
+ *
+ * Holds each request's slot until its response finishes or the connection
+ * closes.
+ *
+ * @param {Object} options - Configuration options
+ * @param {ConcurrencyLimiter} [options.limiter] - Limiter instance (defaults
+ *     to the singleton)
+ * @returns {Function} Express middleware function
+ */
+function createConcurrencyMiddleware(options = {}) {
+  const limiter = options.limiter || concurrencyLimiter;
+
+  return async function concurrencyMiddleware(req, res, next) {
+    const settings = config.get("concurrency");
+    if (!settings.enabled) {
+      return next();
+    }
+
+    const cls = limiter.classify(req);
+    let admitted = false;
+    let done = false;
+    const release = () => {
+      done = true;
+      if (admitted) {
+        admitted = false;
+        limiter.release();
+      }
+    };
+    res.on("finish", release);
+    res.on("close", release);
+
+    const reason = await limiter.acquire(cls, settings);
+    if (reason) {
+      return limiter.handleShed(req, res, cls, reason, settings);
+    }
+
+    admitted = true;
+    // The client went away while waiting
+    if (done) {
+      return release();
+    }
+
+    req.priorityClass = cls.name;
+    next();
+  };
+}
+
+// Export middleware
+module.exports = createConcurrencyMiddleware();
+
+// Export for testing
+module.exports.ConcurrencyLimiter = ConcurrencyLimiter;
+module.exports.createConcurrencyMiddleware = createConcurrencyMiddleware;
+module.exports.concurrencyLimiter = concurrencyLimiter;
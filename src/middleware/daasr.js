@@ -9,11 +9,21 @@
  * @version 1.0.0
  */
 
-const rateLimit = require("express-rate-limit");
 const winston = require("winston");
 const config = require("../config/default");
 const trafficMonitor = require("../services/trafficMonitor");
-const { normalizeTrafficData } = require("../utils/helpers");
+const AdaptiveController = require("../services/adaptiveController");
+const { createStore, MemoryStore } = require("../stores");
+const {
+  normalizeTrafficData,
+  calculateCurveFactor,
+  evaluateCurve,
+} = require("../utils/helpers");
+const { compilePolicies, matchPolicy } = require("../utils/policyMatcher");
+const { getClientKey } = require("../utils/keyExtractor");
+const { BURST_ALGORITHMS } = require("../utils/countingAlgorithms");
+const ShadowEvaluator = require("../services/shadowEvaluator");
+const apiKeyRegistry = require("../services/apiKeyRegistry");
 
 // Configure logger
 const logger = winston.createLogger({
@@ -39,35 +49,200 @@ const logger = winston.createLogger({
  * 5. User behavior patterns
  */
 class DAASRAlgorithm {
-  constructor() {
+  /**
+   * @param {Object} options - Algorithm options
+   * @param {Object} [options.store] - Shared store for counters, offenses and reputation
+   * @param {Object} [options.metricsSource] - System metrics provider (e.g. SystemMetricsCollector)
+   * @param {AdaptiveController} [options.controller] - Controller used when
+   *     `adaptationMode` is "controller"
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   * @param {Object} [options.config] - Settings source exposing `get(key)`
+   *     and `getConfig()` (defaults to the live configuration)
+   * @param {boolean} [options.shadow=false] - Decide limits without
+   *     recording request history or logging adjustments, for candidates
+   *     evaluated next to the enforcing algorithm
+   * @param {Map} [options.userPatterns] - Request history to read (shadow
+   *     candidates share the enforcing algorithm's)
+   *
+   * A shadow algorithm given a controller only reads its factor; the
+   * algorithm owning the controller adjusts it.
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.config = options.config || config;
+    this.shadow = Boolean(options.shadow);
+    this.store = options.store || new MemoryStore({ now: this.now });
+    this.metricsSource = options.metricsSource || null;
+    this.controller = options.controller || new AdaptiveController();
+    this.ownsController = !(this.shadow && options.controller);
+    if (this.ownsController) {
+      this.controller.on("decision", (decision) => {
+        const level = decision.action === "hold" ? "debug" : "info";
+        logger.log(level, "DAASR controller adjustment", decision);
+      });
+    }
     this.trafficHistory = new Map();
-    this.userPatterns = new Map();
+    this.userPatterns = options.userPatterns || new Map();
     this.currentLimits = new Map();
-    this.lastAdjustment = Date.now();
+    this.lastAdjustment = this.now();
     this.adjustmentInterval = config.adjustmentInterval || 30000; // 30 seconds
+    this.compiledPolicies = { source: null, compiled: [] };
+  }
+
+  /**
+   * Resolve the rate limit policy for a request
+   *
+   * The most specific configured policy wins; requests no policy matches use
+   * the "default" policy built from the global settings. Settings a policy
+   * leaves unset are filled in from the global configuration.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Full request path
+   * @returns {Object} Resolved policy
+   */
+  resolvePolicy(method, path) {
+    const baseConfig = this.config.getConfig();
+    const policies = baseConfig.rateLimitPolicies;
+
+    // Recompile only when the configured policies are replaced
+    if (this.compiledPolicies.source !== policies) {
+      this.compiledPolicies = {
+        source: policies,
+        compiled: compilePolicies(policies),
+      };
+    }
+
+    const policy = matchPolicy(
+      this.compiledPolicies.compiled,
+      method,
+      path
+    ) || { name: "default" };
+    const algorithm = policy.algorithm || {};
+
+    return {
+      name: policy.name,
+      baseRateLimit: policy.baseRateLimit || baseConfig.baseRateLimit,
+      minRateLimit: policy.minRateLimit || baseConfig.minRateLimit,
+      maxRateLimit: policy.maxRateLimit || baseConfig.maxRateLimit,
+      windowSize: policy.windowSize || null,
+      cost: policy.cost !== undefined ? policy.cost : 1,
+      costPerSecond: policy.costPerSecond || 0,
+      algorithm: {
+        adaptive:
+          algorithm.adaptive !== undefined
+            ? algorithm.adaptive
+            : baseConfig.enableAdaptiveLimits,
+        burstDetection:
+          algorithm.burstDetection !== undefined
+            ? algorithm.burstDetection
+            : baseConfig.enableBurstDetection,
+        counting: algorithm.counting || baseConfig.countingAlgorithm,
+        burstAllowance: algorithm.burstAllowance || baseConfig.burstAllowance,
+      },
+    };
+  }
+
+  /**
+   * Create a shadow copy deciding limits from other settings; it shares
+   * this algorithm's store, request history, metrics source and clock
+   * @param {Object} settings - Settings source exposing `get(key)` and
+   *     `getConfig()`
+   * @param {Object} [options]
+   * @param {AdaptiveController} [options.controller] - Controller to read
+   *     the factor of (defaults to a new one of the shadow's own)
+   * @param {Map} [options.userPatterns] - Request history to read instead
+   *     of this algorithm's
+   * @returns {DAASRAlgorithm} Shadow algorithm
+   */
+  createShadow(settings, options = {}) {
+    return new DAASRAlgorithm({
+      config: settings,
+      shadow: true,
+      store: this.store,
+      userPatterns: options.userPatterns || this.userPatterns,
+      metricsSource: this.metricsSource,
+      controller: options.controller,
+      now: this.now,
+    });
+  }
+
+  /**
+   * Set the system metrics provider used by the resource factor
+   * @param {Object} metricsSource - Object exposing `getLatestMetric(category)`
+   */
+  setMetricsSource(metricsSource) {
+    this.metricsSource = metricsSource;
+  }
+
+  /**
+   * Refresh an identity's shared state (reputation and offenses) from the store
+   *
+   * The calculation methods stay synchronous and read from `userPatterns`, so
+   * this must run before `calculateDynamicLimit` for each request. If the store
+   * is unavailable the locally cached state is used instead.
+   *
+   * @param {string} identifier - IP address or user identifier
+   * @returns {Promise<Object>} The identity's cached history
+   */
+  async loadIdentityState(identifier) {
+    const now = this.now();
+    const userHistory = this.userPatterns.get(identifier) || {
+      requests: [],
+      offenses: [],
+    };
+
+    try {
+      const [reputation, offenses] = await Promise.all([
+        this.store.recordActivity(identifier, now),
+        this.store.getOffenses(
+          identifier,
+          now - this.config.get("offenseRetention")
+        ),
+      ]);
+      userHistory.reputation = reputation;
+      userHistory.offenses = offenses;
+    } catch (error) {
+      logger.error("DAASR store unavailable, using local state", {
+        identifier,
+        error: error.message,
+      });
+    }
+
+    this.userPatterns.set(identifier, userHistory);
+    return userHistory;
   }
 
   /**
    * Calculate dynamic rate limit based on current conditions
    * @param {string} identifier - IP address or user identifier
-   * @param {Object} requestData - Request metadata
-   * @returns {Object} Rate limit configuration
+   * @param {Object} requestData - Request metadata; `cost` overrides the
+   *     policy's cost in units
+   * @param {Object} [policy] - Resolved policy (defaults to the policy for
+   *     the request's method and URL)
+   * @returns {Object} Rate limit configuration; `factors` holds the base
+   *     limit and the factors it was multiplied by
    */
-  calculateDynamicLimit(identifier, requestData) {
-    const now = Date.now();
+  calculateDynamicLimit(identifier, requestData, policy) {
+    const now = this.now();
     const trafficStats = trafficMonitor.getCurrentStats();
 
-    // Get base configuration
-    const baseConfig = config.getConfig();
+    // Get the limits for this route
+    const routePolicy =
+      policy || this.resolvePolicy(requestData.method, requestData.url);
+    const { adaptive, burstDetection, counting, burstAllowance } =
+      routePolicy.algorithm;
 
     // Calculate traffic multiplier
-    const trafficMultiplier = this.calculateTrafficMultiplier(trafficStats);
+    const trafficMultiplier = adaptive
+      ? this.calculateTrafficMultiplier(trafficStats)
+      : 1.0;
 
-    // Calculate burst factor
-    const burstFactor = this.calculateBurstFactor(identifier, requestData);
+    // Calculate burst factor (history is recorded either way)
+    const burstScore = this.calculateBurstFactor(identifier, requestData);
+    const burstFactor = burstDetection ? burstScore : 1.0;
 
     // Calculate resource factor
-    const resourceFactor = this.calculateResourceFactor();
+    const resourceFactor = adaptive ? this.calculateResourceFactor() : 1.0;
 
     // Calculate user reputation factor
     const reputationFactor = this.calculateUserReputation(identifier);
@@ -76,11 +251,11 @@ class DAASRAlgorithm {
     const penaltyFactor = this.calculatePenaltyFactor(identifier);
 
     // Calculate final rate limit
-    const baseLimit = baseConfig.baseRateLimit;
+    const baseLimit = routePolicy.baseRateLimit;
     const dynamicLimit = Math.max(
-      baseConfig.minRateLimit,
+      routePolicy.minRateLimit,
       Math.min(
-        baseConfig.maxRateLimit,
+        routePolicy.maxRateLimit,
         Math.round(
           baseLimit *
             trafficMultiplier *
@@ -92,19 +267,31 @@ class DAASRAlgorithm {
       )
     );
 
-    // Calculate window size based on traffic pattern
-    const windowSize = this.calculateWindowSize(trafficStats);
+    // Calculate window size based on traffic pattern unless the policy
+    // fixes it
+    const windowSize =
+      routePolicy.windowSize || this.calculateWindowSize(trafficStats);
+
+    // The burst allowance scales with the adapted limit
+    const burst = Math.max(1, Math.round(dynamicLimit * burstAllowance));
+
+    // Units this request uses out of the limit
+    const cost =
+      requestData.cost !== undefined ? requestData.cost : routePolicy.cost;
 
     // Log adjustment
-    if (now - this.lastAdjustment > this.adjustmentInterval) {
+    if (!this.shadow && now - this.lastAdjustment > this.adjustmentInterval) {
       logger.info("DAASR adjustment", {
         identifier,
+        policy: routePolicy.name,
         dynamicLimit,
         trafficMultiplier,
         burstFactor,
         resourceFactor,
         reputationFactor,
         windowSize,
+        counting,
+        burst,
       });
       this.lastAdjustment = now;
     }
@@ -112,42 +299,85 @@ class DAASRAlgorithm {
     return {
       windowMs: windowSize,
       max: dynamicLimit,
+      burst,
+      counting,
+      cost,
+      policy: routePolicy.name,
+      factors: {
+        baseLimit,
+        trafficMultiplier,
+        burstFactor,
+        resourceFactor,
+        reputationFactor,
+        penaltyFactor,
+      },
       message: {
         error: "Rate limit exceeded",
         retryAfter: Math.ceil(windowSize / 1000),
         limit: dynamicLimit,
+        policy: routePolicy.name,
         algorithm: "DAASR-v1",
       },
       standardHeaders: true,
       legacyHeaders: false,
       handler: (req, res) => {
-        this.handleRateLimit(req, res, dynamicLimit, windowSize);
+        this.handleRateLimit(
+          req,
+          res,
+          dynamicLimit,
+          windowSize,
+          routePolicy.name
+        );
       },
     };
   }
 
   /**
-   * Calculate traffic multiplier based on current traffic volume
+   * Evaluate one of the configured factor curves
+   *
+   * Curve points naming a setting (e.g. "highTrafficThreshold") use its
+   * current value, so runtime config changes apply to the next request.
+   *
+   * @param {string} name - Curve under `factorCurves`
+   * @param {number} reading - Current reading
+   * @returns {number} Curve value
+   */
+  evaluateFactorCurve(name, reading) {
+    return evaluateCurve(
+      reading,
+      this.config.get("factorCurves")[name],
+      (key) => this.config.get(key)
+    );
+  }
+
+  /**
+   * Calculate traffic multiplier based on current traffic volume, error
+   * rate and response time; the most constrained one wins
+   *
+   * In "controller" adaptation mode the controller's factor is used
+   * instead.
+   *
    * @param {Object} trafficStats - Current traffic statistics
    * @returns {number} Traffic multiplier
    */
   calculateTrafficMultiplier(trafficStats) {
-    const { requestsPerSecond, averageResponseTime, errorRate } = trafficStats;
-
-    // High traffic = lower limits
-    if (requestsPerSecond > 1000) return 0.5;
-    if (requestsPerSecond > 500) return 0.7;
-    if (requestsPerSecond > 100) return 0.9;
-
-    // High error rate = lower limits
-    if (errorRate > 0.1) return 0.6;
-    if (errorRate > 0.05) return 0.8;
+    if (this.config.get("adaptationMode") === "controller") {
+      if (!this.ownsController) {
+        return this.controller.factor;
+      }
+      return this.controller.getFactor(
+        trafficStats,
+        this.config.get("controller")
+      );
+    }
 
-    // High response time = lower limits
-    if (averageResponseTime > 1000) return 0.7;
-    if (averageResponseTime > 500) return 0.9;
+    const { requestsPerSecond, averageResponseTime, errorRate } = trafficStats;
 
-    return 1.0;
+    return Math.min(
+      this.evaluateFactorCurve("requestsPerSecond", requestsPerSecond || 0),
+      this.evaluateFactorCurve("errorRate", errorRate || 0),
+      this.evaluateFactorCurve("responseTime", averageResponseTime || 0)
+    );
   }
 
   /**
@@ -162,13 +392,21 @@ class DAASRAlgorithm {
       burstScore: 1.0,
     };
 
-    const now = Date.now();
+    const now = this.now();
     const recentRequests = userHistory.requests.filter(
       (req) => now - req.timestamp < 60000 // Last minute
     );
 
     // Calculate burst score
-    const burstScore = Math.max(0.5, 1 - recentRequests.length / 100);
+    const burstScore = this.evaluateFactorCurve(
+      "burst",
+      recentRequests.length
+    );
+
+    // Shadow candidates only read the history the enforcing algorithm keeps
+    if (this.shadow) {
+      return burstScore;
+    }
 
     // Update user history
     userHistory.requests.push({
@@ -187,14 +425,61 @@ class DAASRAlgorithm {
     return burstScore;
   }
 
+  /**
+   * Read the latest resource utilization from the metrics source
+   *
+   * Samples older than `resourceMetricsMaxAge` are ignored so a stalled
+   * collector cannot pin limits low.
+   *
+   * @returns {Object} Readings keyed by resource curve (undefined when unavailable)
+   */
+  getResourceReadings() {
+    if (!this.metricsSource) return {};
+
+    const system = this.metricsSource.getLatestMetric("system");
+    const processMetrics = this.metricsSource.getLatestMetric("process");
+    const maxAge = this.config.get("resourceMetricsMaxAge");
+    const now = this.now();
+    const fresh = (sample) => sample && now - sample.timestamp <= maxAge;
+
+    return {
+      cpu: fresh(system.cpu) ? system.cpu.overall : undefined,
+      memory: fresh(system.memory)
+        ? system.memory.system && system.memory.system.usagePercent
+        : undefined,
+      loadPerCore:
+        fresh(system.load) && system.cpu && system.cpu.count
+          ? system.load.load1 / system.cpu.count
+          : undefined,
+      eventLoopLag: fresh(processMetrics.eventLoop)
+        ? processMetrics.eventLoop.lag
+        : undefined,
+    };
+  }
+
   /**
    * Calculate resource factor based on system load
+   *
+   * Each resource reading is mapped through its configured curve and the most
+   * constrained resource wins.
+   *
    * @returns {number} Resource factor
    */
   calculateResourceFactor() {
-    // This would typically integrate with system monitoring
-    // For now, return 1.0 as placeholder
-    return 1.0;
+    const curves = this.config.get("resourceCurves");
+    const readings = this.getResourceReadings();
+
+    let factor = 1.0;
+    for (const [resource, value] of Object.entries(readings)) {
+      if (typeof value === "number" && Number.isFinite(value)) {
+        factor = Math.min(
+          factor,
+          calculateCurveFactor(value, curves[resource])
+        );
+      }
+    }
+
+    return factor;
   }
 
   /**
@@ -204,19 +489,18 @@ class DAASRAlgorithm {
    */
   calculateUserReputation(identifier) {
     const userHistory = this.userPatterns.get(identifier);
-    if (!userHistory) return 1.2; // New users get a bonus
 
-    // Calculate reputation based on historical behavior
-    const totalRequests = userHistory.requests.length;
-    const recentRequests = userHistory.requests.filter(
-      (req) => Date.now() - req.timestamp < 3600000 // Last hour
-    ).length;
-
-    // New users get slightly higher limits
-    if (totalRequests < 10) return 1.2;
+    // Calculate reputation based on historical behavior (shared across
+    // replicas when the store has a record, local history otherwise); new
+    // users get a bonus by default
+    let totalRequests = 0;
+    if (userHistory) {
+      totalRequests = userHistory.reputation
+        ? userHistory.reputation.totalRequests
+        : userHistory.requests.length;
+    }
 
-    // Active users get standard limits
-    return 1.0;
+    return this.evaluateFactorCurve("reputation", totalRequests);
   }
 
   /**
@@ -230,16 +514,15 @@ class DAASRAlgorithm {
       return 1.0;
     }
 
-    // Reduce penalty over time (e.g., one offense "forgiven" every 15 minutes)
-    const now = Date.now();
-    const fifteenMinutes = 15 * 60 * 1000;
+    // Offenses are forgiven once older than `offenseRetention`
+    const now = this.now();
+    const retention = this.config.get("offenseRetention");
     userHistory.offenses = userHistory.offenses.filter(
-      (offenseTime) => now - offenseTime < fifteenMinutes
+      (offenseTime) => now - offenseTime < retention
     );
 
-    // Apply penalty: 10% reduction for each recent offense, up to a max of 50%
-    const penalty = Math.max(0.5, 1.0 - userHistory.offenses.length * 0.1);
-    return penalty;
+    // By default 10% less for each recent offense, down to 50%
+    return this.evaluateFactorCurve("offenses", userHistory.offenses.length);
   }
 
   /**
@@ -251,9 +534,210 @@ class DAASRAlgorithm {
     const { requestsPerSecond } = trafficStats;
 
     // Shorter windows for high traffic, longer for low traffic
-    if (requestsPerSecond > 100) return 60000; // 1 minute
-    if (requestsPerSecond > 10) return 5 * 60000; // 5 minutes
-    return 15 * 60000; // 15 minutes
+    return Math.round(
+      this.evaluateFactorCurve("windowSize", requestsPerSecond || 0)
+    );
+  }
+
+  /**
+   * Count a request against a rate limit decision
+   *
+   * "fixed-window" counts with the store's window counters; the other
+   * algorithms keep their own state in the store. Token bucket and GCRA
+   * allow `decision.burst` units at once, refilled at `decision.max` per
+   * window.
+   *
+   * @param {string} key - Limiter key (policy and identifier)
+   * @param {Object} decision - Result of `calculateDynamicLimit`
+   * @param {Object} [options]
+   * @param {number} [options.cost] - Units to count (defaults to
+   *     `decision.cost`, or 1)
+   * @param {boolean} [options.force=false] - Count the units even over the
+   *     limit
+   * @returns {Promise<Object>} { allowed, limit, used, remaining,
+   *     resetTime, retryAfter } in units, with `retryAfter` in ms
+   */
+  async consume(key, decision, options = {}) {
+    const counting = decision.counting || "fixed-window";
+    const burst = decision.burst || decision.max;
+    let cost = options.cost;
+    if (cost === undefined) {
+      cost = decision.cost !== undefined ? decision.cost : 1;
+    }
+
+    if (counting === "fixed-window") {
+      const counter = await this.store.increment(key, decision.windowMs, cost);
+      const allowed = counter.totalHits <= decision.max;
+      return {
+        allowed,
+        limit: decision.max,
+        used: counter.totalHits,
+        remaining: Math.max(0, decision.max - counter.totalHits),
+        resetTime: counter.resetTime,
+        retryAfter: allowed
+          ? 0
+          : Math.max(0, counter.resetTime.getTime() - this.now()),
+      };
+    }
+
+    const result = await this.store.consume(key, {
+      algorithm: counting,
+      limit: decision.max,
+      windowMs: decision.windowMs,
+      burst,
+      cost,
+      force: Boolean(options.force),
+    });
+    const bursting = BURST_ALGORITHMS.includes(counting);
+    const limit = bursting ? burst : decision.max;
+    if (!result.allowed && bursting && cost > burst) {
+      logger.warn("DAASR request cost exceeds the burst, it can never pass", {
+        key,
+        policy: decision.policy,
+        counting,
+        cost,
+        burst,
+      });
+    }
+    return { ...result, limit, used: limit - result.remaining };
+  }
+
+  /**
+   * Charge units after the fact, e.g. for a slow response; the units are
+   * counted even when they take the client over its limit
+   * @param {string} key - Limiter key (policy and identifier)
+   * @param {Object} decision - Decision the request was counted with
+   * @param {number} units - Units to charge
+   * @returns {Promise<Object>} Counter state after the charge
+   */
+  charge(key, decision, units) {
+    return this.consume(key, decision, { cost: units, force: true });
+  }
+
+  /**
+   * Read a client's budget under a decision without counting anything
+   * @param {string} key - Limiter key (policy and identifier)
+   * @param {Object} decision - Result of `calculateDynamicLimit`
+   * @returns {Promise<Object>} { allowed, limit, used, remaining, resetTime,
+   *     retryAfter } as a request of 0 units would see them
+   */
+  async peek(key, decision) {
+    const counting = decision.counting || "fixed-window";
+    const burst = decision.burst || decision.max;
+
+    if (counting === "fixed-window") {
+      const counter = await this.store.get(key);
+      const used = counter ? counter.totalHits : 0;
+      const resetTime = counter
+        ? counter.resetTime
+        : new Date(this.now() + decision.windowMs);
+      const allowed = used <= decision.max;
+      return {
+        allowed,
+        limit: decision.max,
+        used,
+        remaining: Math.max(0, decision.max - used),
+        resetTime,
+        retryAfter: allowed
+          ? 0
+          : Math.max(0, resetTime.getTime() - this.now()),
+      };
+    }
+
+    const result = await this.store.peek(key, {
+      algorithm: counting,
+      limit: decision.max,
+      windowMs: decision.windowMs,
+      burst,
+    });
+    const limit = BURST_ALGORITHMS.includes(counting) ? burst : decision.max;
+    return { ...result, limit, used: limit - result.remaining };
+  }
+
+  /**
+   * Explain the limit an identity's next request would get: the factors
+   * behind it, the window and the budget left
+   *
+   * Nothing is recorded: the identity's reputation, offenses and budget
+   * are only read from the store, and the decision is made by a shadow
+   * copy over a copy of its history.
+   *
+   * @param {string} identifier - Client key, as the middleware derives it
+   * @param {Object} [request] - { method = "GET", path = "/" } of the
+   *     request to explain, which select the policy
+   * @returns {Promise<Object>} Explanation; rejects when the store is
+   *     unavailable
+   */
+  async explain(identifier, { method = "GET", path = "/" } = {}) {
+    const now = this.now();
+    const history = this.userPatterns.get(identifier) || {
+      requests: [],
+      offenses: [],
+    };
+    const [storedReputation, offenses] = await Promise.all([
+      this.store.getReputation(identifier),
+      this.store.getOffenses(
+        identifier,
+        now - this.config.get("offenseRetention")
+      ),
+    ]);
+    const reputation = storedReputation || history.reputation;
+
+    const probe = this.createShadow(this.config, {
+      controller: this.controller,
+      userPatterns: new Map([
+        [identifier, { ...history, reputation, offenses }],
+      ]),
+    });
+    const policy = probe.resolvePolicy(method, path);
+    const decision = probe.calculateDynamicLimit(
+      identifier,
+      { method, url: path, timestamp: now },
+      policy
+    );
+    const key = `${policy.name}:${identifier}`;
+    const budget = await probe.peek(key, decision);
+    const trafficStats = trafficMonitor.getCurrentStats();
+
+    return {
+      identity: identifier,
+      method,
+      path,
+      policy: policy.name,
+      limit: decision.max,
+      minRateLimit: policy.minRateLimit,
+      maxRateLimit: policy.maxRateLimit,
+      factors: decision.factors,
+      adaptive: policy.algorithm.adaptive,
+      burstDetection: policy.algorithm.burstDetection,
+      adaptationMode: this.config.get("adaptationMode"),
+      windowMs: decision.windowMs,
+      counting: decision.counting,
+      burst: decision.burst,
+      cost: decision.cost,
+      budget: {
+        limit: budget.limit,
+        used: budget.used,
+        remaining: budget.remaining,
+        resetTime: budget.resetTime.toISOString(),
+        retryAfter: budget.retryAfter,
+      },
+      inputs: {
+        recentRequests: history.requests.filter(
+          (req) => now - req.timestamp < 60000
+        ).length,
+        totalRequests: reputation
+          ? reputation.totalRequests
+          : history.requests.length,
+        offenses: offenses.length,
+        traffic: {
+          requestsPerSecond: trafficStats.requestsPerSecond,
+          averageResponseTime: trafficStats.averageResponseTime,
+          errorRate: trafficStats.errorRate,
+        },
+        resources: probe.getResourceReadings(),
+      },
+    };
   }
 
   /**
@@ -262,21 +746,33 @@ class DAASRAlgorithm {
    * @param {Object} res - Express response object
    * @param {number} limit - Current rate limit
    * @param {number} windowSize - Rate limit window size
+   * @param {string} [policyName] - Name of the policy that was exceeded
    */
-  handleRateLimit(req, res, limit, windowSize) {
-    const identifier = req.ip || req.connection.remoteAddress;
+  handleRateLimit(req, res, limit, windowSize, policyName = "default") {
+    const identifier = req.rateLimit ? req.rateLimit.key : getClientKey(req);
 
     // Record the offense
     const userHistory = this.userPatterns.get(identifier) || {
       requests: [],
       offenses: [],
     };
+    const now = this.now();
     userHistory.offenses = userHistory.offenses || [];
-    userHistory.offenses.push(Date.now());
+    userHistory.offenses.push(now);
     this.userPatterns.set(identifier, userHistory);
 
+    this.store
+      .recordOffense(identifier, now, this.config.get("offenseRetention"))
+      .catch((error) => {
+        logger.error("Failed to record offense", {
+          identifier,
+          error: error.message,
+        });
+      });
+
     logger.warn("Rate limit exceeded", {
       identifier,
+      policy: policyName,
       limit,
       windowSize,
       userAgent: req.get("User-Agent"),
@@ -284,80 +780,255 @@ class DAASRAlgorithm {
       offenseCount: userHistory.offenses.length,
     });
 
+    // Counting algorithms know when the next request fits; otherwise the
+    // whole window is the upper bound
+    const retryAfter =
+      req.rateLimit && req.rateLimit.retryAfter !== undefined
+        ? req.rateLimit.retryAfter
+        : windowSize;
+
     res.status(429).json({
       error: "Rate limit exceeded",
-      retryAfter: Math.ceil(windowSize / 1000),
+      retryAfter: Math.ceil(retryAfter / 1000),
       limit,
+      policy: policyName,
       algorithm: "DAASR-v1",
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(now).toISOString(),
     });
   }
 }
 
-// Create singleton instance
-const daasrAlgorithm = new DAASRAlgorithm();
+// Create singleton instance backed by the configured store
+const daasrAlgorithm = new DAASRAlgorithm({
+  store: createStore({
+    onError: (error) => {
+      logger.error("DAASR store connection error", { error: error.message });
+    },
+  }),
+});
+
+// Shadow candidates evaluated next to the singleton
+const shadowEvaluator = new ShadowEvaluator({ algorithm: daasrAlgorithm });
+
+/**
+ * Whether a request asked for the factor trace and may see it: the
+ * `debugHeader` setting must be on, and the request must send
+ * `X-DAASR-Debug: 1` with an admin API key
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+function wantsTrace(req) {
+  if (!config.get("debugHeader") || req.get("X-DAASR-Debug") !== "1") {
+    return false;
+  }
+  const record = apiKeyRegistry.verify(req.headers["x-api-key"]);
+  return Boolean(record && record.role === "admin");
+}
+
+/**
+ * Compact trace of the factors behind a decision, e.g.
+ * "default;limit=90;base=100;traffic=0.9;burst=1;resource=1;reputation=1;
+ * penalty=1;window=60;counting=fixed-window;cost=1;remaining=89"
+ * @param {Object} decision - Result of `calculateDynamicLimit`
+ * @param {Object} result - Result of `consume`
+ * @returns {string} X-DAASR-Debug header value
+ */
+function formatTrace(decision, result) {
+  const { factors } = decision;
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  return [
+    decision.policy,
+    `limit=${decision.max}`,
+    `base=${factors.baseLimit}`,
+    `traffic=${round(factors.trafficMultiplier)}`,
+    `burst=${round(factors.burstFactor)}`,
+    `resource=${round(factors.resourceFactor)}`,
+    `reputation=${round(factors.reputationFactor)}`,
+    `penalty=${round(factors.penaltyFactor)}`,
+    `window=${Math.ceil(decision.windowMs / 1000)}`,
+    `counting=${decision.counting}`,
+    `cost=${decision.cost}`,
+    `remaining=${result.remaining}`,
+  ].join(";");
+}
 
 /**
  * DAASR Express middleware
+ *
+ * Counts each request's cost in units per identifier and route policy in the
+ * algorithm's store against the dynamically calculated limit and window,
+ * with the policy's counting algorithm. Each policy has its own counter, so
+ * an expensive route does not use up the budget of cheap ones. Store failures
+ * fail open so an unreachable Redis does not take the API down with it.
+ *
  * @param {Object} options - Configuration options
+ * @param {DAASRAlgorithm} [options.algorithm] - Algorithm instance (defaults to the singleton)
+ * @param {Function} [options.keyGenerator] - Maps a request to an identifier
+ *     (defaults to the configured client key)
+ * @param {Function} [options.cost] - Prices a request in units from the
+ *     request and `{ policy, cost }` (the policy's static cost), e.g. by
+ *     page or body size
+ * @param {ShadowEvaluator} [options.shadow] - Evaluates the shadow
+ *     candidates (defaults to the singleton's, or a new one for another
+ *     algorithm)
  * @returns {Function} Express middleware function
  */
 function createDAASRMiddleware(options = {}) {
-  const limiter = rateLimit({
-    // `max` and `windowMs` are calculated dynamically for each request
-    max: (req) => {
-      const identifier = req.ip || req.connection.remoteAddress;
+  const algorithm = options.algorithm || daasrAlgorithm;
+  const shadow =
+    options.shadow ||
+    (options.algorithm ? new ShadowEvaluator({ algorithm }) : shadowEvaluator);
+  const keyGenerator = options.keyGenerator || getClientKey;
+
+  /**
+   * Units a request uses: the cost hook's price (rounded up to whole
+   * units), or the policy's static cost when there is no hook or it fails
+   */
+  const priceRequest = (req, policy) => {
+    if (!options.cost) {
+      return policy.cost;
+    }
+
+    try {
+      const cost = options.cost(req, { policy, cost: policy.cost });
+      if (typeof cost === "number" && Number.isFinite(cost) && cost >= 0) {
+        return Math.ceil(cost);
+      }
+      logger.warn("DAASR cost hook returned an invalid cost", {
+        policy: policy.name,
+        cost,
+      });
+    } catch (error) {
+      logger.warn("DAASR cost hook failed", {
+        policy: policy.name,
+        error: error.message,
+      });
+    }
+    return policy.cost;
+  };
+
+  return async function daasrMiddleware(req, res, next) {
+    const identifier = keyGenerator(req);
+    const path = (req.baseUrl || "") + req.path;
+    let policy;
+    let key;
+    let decision;
+    let result;
+    let shadowRun = null;
+
+    try {
+      policy = algorithm.resolvePolicy(req.method, path);
+      key = `${policy.name}:${identifier}`;
+      await algorithm.loadIdentityState(identifier);
       const requestData = {
         url: req.url,
         method: req.method,
         userAgent: req.get("User-Agent"),
-        timestamp: Date.now(),
+        timestamp: algorithm.now(),
       };
-      const dynamicConfig = daasrAlgorithm.calculateDynamicLimit(
+
+      // Candidates decide first, reading the history before this request
+      // is added to it, as the enforcing algorithm does
+      if (shadow.isEnabled()) {
+        shadowRun = shadow.evaluate(
+          identifier,
+          path,
+          requestData,
+          (candidatePolicy) => priceRequest(req, candidatePolicy)
+        );
+      }
+
+      decision = algorithm.calculateDynamicLimit(
         identifier,
-        requestData
+        { ...requestData, cost: priceRequest(req, policy) },
+        policy
       );
-      return dynamicConfig.max;
-    },
-    windowMs: (req) => {
-      const identifier = req.ip || req.connection.remoteAddress;
-      const requestData = {
-        url: req.url,
-        method: req.method,
-        userAgent: req.get("User-Agent"),
-        timestamp: Date.now(),
-      };
-      const dynamicConfig = daasrAlgorithm.calculateDynamicLimit(
+      result = await algorithm.consume(key, decision);
+    } catch (error) {
+      logger.error("DAASR store error, allowing request", {
         identifier,
-        requestData
-      );
-      return dynamicConfig.windowMs;
-    },
-    handler: (req, res, next, options) => {
-      const identifier = req.ip || req.connection.remoteAddress;
-      const requestData = {
-        url: req.url,
-        method: req.method,
-        userAgent: req.get("User--Agent"),
-        timestamp: Date.now(),
-      };
-      const dynamicConfig = daasrAlgorithm.calculateDynamicLimit(
-        identifier,
-        requestData
-      );
-      daasrAlgorithm.handleRateLimit(
+        policy: policy && policy.name,
+        error: error.message,
+      });
+      return next();
+    }
+
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((result.resetTime.getTime() - algorithm.now()) / 1000)
+    );
+    const windowSeconds = Math.ceil(decision.windowMs / 1000);
+    const burstParameter = BURST_ALGORITHMS.includes(decision.counting)
+      ? `;burst=${result.limit}`
+      : "";
+
+    res.set({
+      "RateLimit-Policy": `${decision.max};w=${windowSeconds}${burstParameter}`,
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+    if (wantsTrace(req)) {
+      res.set("X-DAASR-Debug", formatTrace(decision, result));
+    }
+
+    if (shadowRun) {
+      const enforced = { policy: policy.name, allowed: result.allowed };
+      shadowRun
+        .then((outcomes) => shadow.record(identifier, enforced, outcomes))
+        .catch((error) => {
+          logger.error("DAASR shadow recording failed", {
+            identifier,
+            error: error.message,
+          });
+        });
+    }
+
+    req.rateLimit = {
+      limit: result.limit,
+      used: result.used,
+      remaining: result.remaining,
+      resetTime: result.resetTime,
+      retryAfter: result.retryAfter,
+      key: identifier,
+      policy: policy.name,
+      algorithm: decision.counting || "fixed-window",
+      cost: decision.cost !== undefined ? decision.cost : 1,
+    };
+
+    if (!result.allowed) {
+      res.set("Retry-After", String(Math.ceil(result.retryAfter / 1000)));
+      return algorithm.handleRateLimit(
         req,
         res,
-        dynamicConfig.max,
-        dynamicConfig.windowMs
+        decision.max,
+        decision.windowMs,
+        policy.name
       );
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    ...options,
-  });
+    }
+
+    // Slow responses cost extra, charged once they finish
+    if (policy.costPerSecond > 0) {
+      const startedAt = algorithm.now();
+      res.on("finish", () => {
+        const seconds = (algorithm.now() - startedAt) / 1000;
+        const units = Math.floor(seconds * policy.costPerSecond);
+        if (units > 0) {
+          algorithm.charge(key, decision, units).catch((error) => {
+            logger.error("Failed to charge response time cost", {
+              identifier,
+              policy: policy.name,
+              units,
+              error: error.message,
+            });
+          });
+        }
+      });
+    }
 
-  return limiter;
+    next();
+  };
 }
 
 // Export middleware
@@ -365,3 +1036,6 @@ module.exports = createDAASRMiddleware();
 
 // Export for testing
 module.exports.DAASRAlgorithm = DAASRAlgorithm;
+module.exports.createDAASRMiddleware = createDAASRMiddleware;
+module.exports.daasrAlgorithm = daasrAlgorithm;
+module.exports.shadowEvaluator = shadowEvaluator;
@@ -0,0 +1,123 @@
+/**
+ * Quota Middleware
+ *
+ * Enforces the daily and monthly quotas of the request's API key tier.
+ * Requests with a valid key count against the key; others against their
+ * client key. Past the soft limit responses carry an X-Quota-Warning
+ * header; once a quota is used up requests get 429 with the
+ * QUOTA_EXCEEDED code until it resets.
+ *
+ * @module quota
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const winston = require("winston");
+const config = require("../config/default");
+const apiKeyRegistry = require("../services/apiKeyRegistry");
+const quotaManager = require("../services/quotaManager");
+const { getClientKey } = require("../utils/keyExtractor");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/daasr.log" }),
+    new winston.transports.Console(),
+  ],
+});
+
+/**
+ * Identity a request's quotas are counted against
+ * @param {Object} req - Express request object
+ * @returns {string} API key id, or the client key without a valid key
+ */
+function getQuotaIdentity(req) {
+  if (!req.apiKeyTier) {
+    req.apiKeyTier = apiKeyRegistry.resolveTier(req.headers["x-api-key"]);
+  }
+  return req.apiKeyTier.keyId || getClientKey(req);
+}
+
+/**
+ * Quota Express middleware
+ *
+ * Counts the units the rate limiter priced the request at (1 when it has
+ * not run), so mount it after the DAASR middleware.
+ *
+ * @param {Object} options - Configuration options
+ * @param {QuotaManager} [options.manager] - Quota manager (defaults to the
+ *     singleton)
+ * @returns {Function} Express middleware function
+ */
+function createQuotaMiddleware(options = {}) {
+  const manager = options.manager || quotaManager;
+
+  return function quotaMiddleware(req, res, next) {
+    if (!config.get("quotas").enabled) {
+      return next();
+    }
+
+    const identity = getQuotaIdentity(req);
+    const units = req.rateLimit ? req.rateLimit.cost : 1;
+    const result = manager.consume(identity, req.apiKeyTier, units);
+
+    if (!result.allowed) {
+      const quota = result.usage[result.exceeded];
+      const retryAfter = Math.max(
+        0,
+        Math.ceil((Date.parse(quota.resetAt) - manager.now()) / 1000)
+      );
+
+      logger.warn("Quota exceeded", {
+        identity,
+        tier: req.apiKeyTier.tier,
+        quota: result.exceeded,
+        limit: quota.limit,
+        used: quota.used,
+        url: req.url,
+      });
+
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: "Quota exceeded",
+        code: "QUOTA_EXCEEDED",
+        quota: result.exceeded,
+        limit: quota.limit,
+        used: quota.used,
+        resetAt: quota.resetAt,
+        retryAfter,
+        tier: req.apiKeyTier.tier,
+        timestamp: new Date(manager.now()).toISOString(),
+      });
+    }
+
+    if (result.warnings.length > 0) {
+      res.set(
+        "X-Quota-Warning",
+        result.warnings
+          .map((period) => {
+            const quota = result.usage[period];
+            return (
+              `${period};used=${quota.used};limit=${quota.limit}` +
+              `;reset=${quota.resetAt}`
+            );
+          })
+          .join(", ")
+      );
+    }
+
+    next();
+  };
+}
+
+// Export middleware
+module.exports = createQuotaMiddleware();
+
+// Export for testing
+module.exports.createQuotaMiddleware = createQuotaMiddleware;
+module.exports.getQuotaIdentity = getQuotaIdentity;
@@ -11,9 +11,17 @@
 const express = require("express");
 const router = express.Router();
 const trafficMonitor = require("../services/trafficMonitor");
+const { latencyPercentiles } = require("../services/trafficMonitor");
 const config = require("../config/default");
 const { getMemoryUsage } = require("../utils/helpers");
 const blocklistManager = require("../services/blocklistManager");
+const apiKeyRegistry = require("../services/apiKeyRegistry");
+const auditLog = require("../services/auditLog");
+const quotaManager = require("../services/quotaManager");
+const { actorFromRequest } = require("../services/auditLog");
+const { getClientKey } = require("../utils/keyExtractor");
+const { daasrAlgorithm, shadowEvaluator } = require("../middleware/daasr");
+const { requireRole, issueSessionToken } = require("../middleware/auth");
 
 /**
  * GET /api/stats
@@ -23,12 +31,14 @@ router.get("/stats", (req, res) => {
   try {
     const stats = trafficMonitor.getCurrentStats();
     const patterns = trafficMonitor.getTrafficPatterns();
+    const endpointLatency = trafficMonitor.getEndpointLatency();
 
     res.json({
       success: true,
       data: {
         stats,
         patterns,
+        endpointLatency,
         timestamp: new Date().toISOString(),
       },
     });
@@ -41,6 +51,37 @@ router.get("/stats", (req, res) => {
   }
 });
 
+/**
+ * GET /api/stats/latency
+ * Get the serialized latency sketch for merging across nodes
+ */
+router.get("/stats/latency", (req, res) => {
+  try {
+    const minutes = parseInt(req.query.minutes) || 1;
+    const sketch = trafficMonitor.getLatencySketch(
+      minutes,
+      req.query.endpoint
+    );
+
+    res.json({
+      success: true,
+      data: {
+        minutes,
+        endpoint: req.query.endpoint || null,
+        percentiles: latencyPercentiles(sketch),
+        sketch: sketch.toJSON(),
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve latency sketch",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/health
  * Get system health status
@@ -71,9 +112,9 @@ router.get("/health", (req, res) => {
  * GET /api/config
  * Get current configuration
  */
-router.get("/config", (req, res) => {
+router.get("/config", requireRole("viewer"), (req, res) => {
   try {
-    const currentConfig = config.getConfig();
+    const currentConfig = config.getRedactedConfig();
 
     res.json({
       success: true,
@@ -91,46 +132,176 @@ router.get("/config", (req, res) => {
   }
 });
 
+/**
+ * Record one audit entry per configuration key a revision changed
+ * @param {Object} req - Express request
+ * @param {Object} before - Redacted configuration before the revision
+ * @param {Object} revision - Revision from the config manager
+ * @param {string} action - Audit action
+ */
+function auditConfigRevision(req, before, revision, action) {
+  const after = config.getRedactedConfig();
+  Object.keys(revision.changes).forEach((key) => {
+    auditLog.record({
+      actor: actorFromRequest(req),
+      action,
+      target: key,
+      before: before[key],
+      after: after[key],
+      metadata: { version: revision.version },
+    });
+  });
+}
+
+/**
+ * Read configuration changes from a request body
+ * @param {Object} body - { key, value } or { changes: { key: value, ... } }
+ * @returns {Object|null} Changes, or null when the body has none
+ */
+function readConfigChanges(body) {
+  const { key, value, changes } = body || {};
+  const updates = changes || (key ? { [key]: value } : null);
+
+  if (
+    !updates ||
+    typeof updates !== "object" ||
+    Object.values(updates).some((entry) => entry === undefined)
+  ) {
+    return null;
+  }
+  return updates;
+}
+
 /**
  * POST /api/config
  * Update configuration (admin only)
+ *
+ * Body: { key, value } for one key, or { changes: { key: value, ... } } to
+ * change several keys atomically
  */
-router.post("/config", (req, res) => {
+router.post("/config", requireRole("admin"), (req, res) => {
+  const updates = readConfigChanges(req.body);
+  if (!updates) {
+    return res.status(400).json({
+      success: false,
+      error: "Missing key or value in request body",
+    });
+  }
+  const { key, value, changes } = req.body;
+
   try {
-    const { key, value } = req.body;
+    // Update configuration, recording secrets masked
+    const before = config.getRedactedConfig();
+    const revision = config.update(updates, {
+      actor: actorFromRequest(req),
+    });
+    auditConfigRevision(req, before, revision, "config.update");
 
-    if (!key || value === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing key or value in request body",
-      });
-    }
+    res.json({
+      success: true,
+      data: {
+        ...(changes ? {} : { key, value }),
+        version: revision.version,
+        keys: Object.keys(revision.changes),
+        message: "Configuration updated successfully",
+        timestamp: revision.timestamp,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: "Failed to update configuration",
+      message: error.message,
+      violations: error.violations || [],
+    });
+  }
+});
 
-    // Validate key exists
-    const currentConfig = config.getConfig();
-    if (!(key in currentConfig)) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid configuration key",
-      });
-    }
+/**
+ * POST /api/config/validate
+ * Check configuration changes without applying them (dry run)
+ *
+ * Takes the same body as POST /api/config and lists every violation, both
+ * of single settings and of rules between settings.
+ */
+router.post("/config/validate", requireRole("admin"), (req, res) => {
+  const updates = readConfigChanges(req.body);
+  if (!updates) {
+    return res.status(400).json({
+      success: false,
+      error: "Missing key or value in request body",
+    });
+  }
 
-    // Update configuration
-    config.set(key, value);
+  const { valid, violations, changes } = config.validate(updates);
+  res.json({
+    success: true,
+    data: {
+      valid,
+      violations,
+      keys: Object.keys(changes),
+      version: config.version,
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * GET /api/config/history
+ * Get the configuration version and past revisions, newest first
+ */
+router.get("/config/history", requireRole("viewer"), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...config.getHistory(),
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * POST /api/config/rollback/:version
+ * Restore the runtime overrides of an earlier version as a new revision
+ */
+router.post("/config/rollback/:version", requireRole("admin"), (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 0) {
+    return res.status(400).json({
+      success: false,
+      error: "Version must be a non-negative integer",
+    });
+  }
+  if (
+    version !== 0 &&
+    !config.getHistory().revisions.some((entry) => entry.version === version)
+  ) {
+    return res.status(404).json({
+      success: false,
+      error: `Configuration version ${version} not found`,
+    });
+  }
+
+  try {
+    const before = config.getRedactedConfig();
+    const revision = config.rollback(version, {
+      actor: actorFromRequest(req),
+    });
+    auditConfigRevision(req, before, revision, "config.rollback");
 
     res.json({
       success: true,
       data: {
-        key,
-        value,
-        message: "Configuration updated successfully",
-        timestamp: new Date().toISOString(),
+        version: revision.version,
+        rollbackOf: version,
+        keys: Object.keys(revision.changes),
+        timestamp: revision.timestamp,
       },
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(400).json({
       success: false,
-      error: "Failed to update configuration",
+      error: "Failed to roll back configuration",
       message: error.message,
     });
   }
@@ -166,9 +337,27 @@ router.get("/history", (req, res) => {
  * POST /api/reset
  * Reset traffic statistics (admin only)
  */
-router.post("/reset", (req, res) => {
+router.post("/reset", requireRole("operator"), (req, res) => {
   try {
+    const {
+      totalRequests,
+      totalErrors,
+      peakRequestsPerSecond,
+      peakResponseTime,
+    } = trafficMonitor.getCurrentStats();
     trafficMonitor.reset();
+    auditLog.record({
+      actor: actorFromRequest(req),
+      action: "stats.reset",
+      target: "traffic",
+      before: {
+        totalRequests,
+        totalErrors,
+        peakRequestsPerSecond,
+        peakResponseTime,
+      },
+      after: { totalRequests: 0, totalErrors: 0 },
+    });
 
     res.json({
       success: true,
@@ -197,6 +386,7 @@ router.get("/test-rate-limit", (req, res) => {
       message: "Rate limit test successful",
       timestamp: new Date().toISOString(),
       ip: req.ip,
+      clientKey: getClientKey(req),
     },
   });
 });
@@ -227,6 +417,7 @@ router.get("/status", (req, res) => {
           adaptiveLimits: config.enableAdaptiveLimits,
           userTracking: config.enableUserTracking,
           burstDetection: config.enableBurstDetection,
+          adaptationMode: config.adaptationMode,
         },
         timestamp: new Date().toISOString(),
       },
@@ -240,11 +431,89 @@ router.get("/status", (req, res) => {
   }
 });
 
+/**
+ * GET /api/controller
+ * Get the adaptive controller's state and recent decisions, newest first
+ *
+ * Query: limit (decisions, default 20, at most 100)
+ */
+router.get("/controller", requireRole("viewer"), (req, res) => {
+  const { controller } = daasrAlgorithm;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  res.json({
+    success: true,
+    data: {
+      mode: config.get("adaptationMode"),
+      settings: config.get("controller"),
+      state: controller.getState(),
+      decisions: controller.getDecisions(limit),
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * GET /api/shadow/report
+ * Compare the shadow candidates with the enforcing configuration
+ *
+ * Query: limit (identities per candidate, default 10, at most 100)
+ */
+router.get("/shadow/report", requireRole("viewer"), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+  res.json({
+    success: true,
+    data: {
+      ...shadowEvaluator.getReport({ limit }),
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * GET /api/limits/explain
+ * Explain the limit a client's next request would get: the factors behind
+ * it, the window and the budget left
+ *
+ * Query: identity (client key, required), method (default GET), path
+ * (default /)
+ */
+router.get("/limits/explain", requireRole("viewer"), async (req, res) => {
+  const { identity, method = "GET", path = "/" } = req.query;
+  if (typeof identity !== "string" || identity === "") {
+    return res.status(400).json({
+      success: false,
+      error: "Identity is required",
+    });
+  }
+
+  try {
+    const explanation = await daasrAlgorithm.explain(identity, {
+      method: String(method).toUpperCase(),
+      path: String(path),
+    });
+    res.json({
+      success: true,
+      data: {
+        ...explanation,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to explain limits",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/blocklist
  * Get the list of blocked IPs
  */
-router.get("/blocklist", (req, res) => {
+router.get("/blocklist", requireRole("viewer"), (req, res) => {
   res.json({
     success: true,
     data: {
@@ -256,55 +525,278 @@ router.get("/blocklist", (req, res) => {
 
 /**
  * POST /api/blocklist/add
- * Add an IP to the blocklist
+ * Add an IP or client key to the blocklist
  */
-router.post("/blocklist/add", (req, res) => {
-  const { ip } = req.body;
-  if (!ip) {
-    return res
-      .status(400)
-      .json({ success: false, error: "IP address is required" });
+router.post("/blocklist/add", requireRole("operator"), (req, res) => {
+  const { ip, key } = req.body;
+  const entry = key || ip;
+  const label = key ? "Client key" : "IP";
+  if (!entry) {
+    return res.status(400).json({
+      success: false,
+      error: "IP address or client key is required",
+    });
   }
 
-  const added = blocklistManager.add(ip);
+  const added = blocklistManager.add(entry);
   if (added) {
+    auditLog.record({
+      actor: actorFromRequest(req),
+      action: "blocklist.add",
+      target: entry,
+      before: { blocked: false },
+      after: { blocked: true },
+    });
     res.json({
       success: true,
-      message: `IP ${ip} has been added to the blocklist.`,
+      message: `${label} ${entry} has been added to the blocklist.`,
     });
   } else {
     res
       .status(409)
-      .json({ success: false, error: `IP ${ip} is already in the blocklist.` });
+      .json({
+        success: false,
+        error: `${label} ${entry} is already in the blocklist.`,
+      });
   }
 });
 
 /**
  * POST /api/blocklist/remove
- * Remove an IP from the blocklist
+ * Remove an IP or client key from the blocklist
  */
-router.post("/blocklist/remove", (req, res) => {
-  const { ip } = req.body;
-  if (!ip) {
-    return res
-      .status(400)
-      .json({ success: false, error: "IP address is required" });
+router.post("/blocklist/remove", requireRole("operator"), (req, res) => {
+  const { ip, key } = req.body;
+  const entry = key || ip;
+  const label = key ? "Client key" : "IP";
+  if (!entry) {
+    return res.status(400).json({
+      success: false,
+      error: "IP address or client key is required",
+    });
   }
 
-  const removed = blocklistManager.remove(ip);
+  const removed = blocklistManager.remove(entry);
   if (removed) {
+    auditLog.record({
+      actor: actorFromRequest(req),
+      action: "blocklist.remove",
+      target: entry,
+      before: { blocked: true },
+      after: { blocked: false },
+    });
     res.json({
       success: true,
-      message: `IP ${ip} has been removed from the blocklist.`,
+      message: `${label} ${entry} has been removed from the blocklist.`,
     });
   } else {
     res
       .status(404)
       .json({
         success: false,
-        error: `IP ${ip} was not found in the blocklist.`,
+        error: `${label} ${entry} was not found in the blocklist.`,
       });
   }
 });
 
+/**
+ * GET /api/keys
+ * List API keys (hashes are never returned)
+ */
+router.get("/keys", requireRole("admin"), (req, res) => {
+  const keys = apiKeyRegistry.list({
+    owner: req.query.owner,
+    includeRevoked: req.query.includeRevoked !== "false",
+  });
+
+  res.json({
+    success: true,
+    data: {
+      keys,
+      tiers: config.get("apiKeyTiers"),
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * POST /api/keys
+ * Issue an API key; the plaintext key is only returned in this response
+ */
+router.post("/keys", requireRole("admin"), (req, res) => {
+  const { owner, tier, role, expiresAt } = req.body || {};
+
+  try {
+    const issued = apiKeyRegistry.issue({ owner, tier, role, expiresAt });
+    auditLog.record({
+      actor: actorFromRequest(req),
+      action: "apiKey.issue",
+      target: issued.record.id,
+      before: null,
+      after: issued.record,
+    });
+    res.status(201).json({ success: true, data: issued });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: "Failed to issue API key",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/keys/:id/rotate
+ * Replace a key; the old one is revoked, or expires after `gracePeriodMs`
+ */
+router.post("/keys/:id/rotate", requireRole("admin"), (req, res) => {
+  const gracePeriodMs = Number((req.body || {}).gracePeriodMs) || 0;
+
+  try {
+    const before = apiKeyRegistry.get(req.params.id);
+    const issued = apiKeyRegistry.rotate(req.params.id, { gracePeriodMs });
+    if (!issued) {
+      return res
+        .status(404)
+        .json({ success: false, error: "API key not found" });
+    }
+
+    const previous = apiKeyRegistry.get(req.params.id);
+    auditLog.record({
+      actor: actorFromRequest(req),
+      action: "apiKey.rotate",
+      target: req.params.id,
+      before,
+      after: previous,
+      metadata: { replacement: issued.record.id, gracePeriodMs },
+    });
+
+    res.json({ success: true, data: { ...issued, previous } });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: "Failed to rotate API key",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/keys/:id/revoke
+ * Revoke a key
+ */
+router.post("/keys/:id/revoke", requireRole("admin"), (req, res) => {
+  const before = apiKeyRegistry.get(req.params.id);
+  const record = apiKeyRegistry.revoke(req.params.id);
+  if (!record) {
+    return res.status(404).json({ success: false, error: "API key not found" });
+  }
+
+  auditLog.record({
+    actor: actorFromRequest(req),
+    action: "apiKey.revoke",
+    target: req.params.id,
+    before,
+    after: record,
+  });
+
+  res.json({ success: true, data: { record } });
+});
+
+/**
+ * GET /api/quotas/:key
+ * Daily and monthly quota usage of an API key (by id) or, for clients
+ * without a key, of a client key
+ */
+router.get("/quotas/:key", requireRole("viewer"), (req, res) => {
+  const tiers = config.get("apiKeyTiers");
+  const record = apiKeyRegistry.get(req.params.key);
+  const tier = record && tiers[record.tier] ? record.tier : "anonymous";
+
+  res.json({
+    success: true,
+    data: {
+      key: req.params.key,
+      keyId: record ? record.id : null,
+      tier,
+      usage: quotaManager.getUsage(req.params.key, tiers[tier]),
+      timeZone: config.get("quotas").timeZone,
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * GET /api/audit
+ * Page through the audit log, newest first
+ *
+ * Query: action, actor, target, since, until, limit, offset
+ */
+router.get("/audit", requireRole("operator"), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...auditLog.query(req.query),
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * GET /api/audit/export
+ * Download matching audit entries as JSON Lines, oldest first
+ */
+router.get("/audit/export", requireRole("operator"), (req, res) => {
+  res
+    .attachment("audit.jsonl")
+    .type("application/x-ndjson")
+    .send(auditLog.toJsonl(req.query));
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange an API key with an admin role for a session token
+ */
+router.post("/auth/login", (req, res) => {
+  const { apiKey } = req.body || {};
+  const record = apiKey ? apiKeyRegistry.verify(apiKey) : null;
+
+  if (!record) {
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized",
+      code: apiKey ? "INVALID_CREDENTIALS" : "AUTH_REQUIRED",
+      message: "A valid API key is required to sign in.",
+    });
+  }
+
+  if (!record.role) {
+    return res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      code: "INSUFFICIENT_ROLE",
+      message: "This API key has no dashboard role.",
+      requiredRole: "viewer",
+      role: null,
+    });
+  }
+
+  const principal = {
+    subject: `apikey:${record.id}`,
+    owner: record.owner,
+    role: record.role,
+  };
+  const session = issueSessionToken(principal);
+
+  res.json({ success: true, data: { ...session, ...principal } });
+});
+
+/**
+ * GET /api/auth/me
+ * Describe the authenticated caller
+ */
+router.get("/auth/me", requireRole("viewer"), (req, res) => {
+  res.json({ success: true, data: req.principal });
+});
+
 module.exports = router;
@@ -0,0 +1,252 @@
+/**
+ * Adaptive Controller
+ *
+ * Adjusts a global limit factor over time to hold a service level objective
+ * (tail latency and error rate under their targets), as an alternative to
+ * the step-wise traffic curves. Readings are smoothed with an exponential
+ * moving average, then fed to an AIMD or PID controller. Every adjustment is
+ * kept as a decision so the controller's behavior can be inspected.
+ *
+ * @module adaptiveController
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const EventEmitter = require("events");
+const config = require("../config/default");
+const { exponentialMovingAverage } = require("../utils/helpers");
+
+/**
+ * Decisions kept for inspection
+ */
+const MAX_DECISIONS = 100;
+
+/**
+ * Round a reading for display in decisions and state
+ */
+const round = (value, digits = 4) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Emits `decision` (Object) after every adjustment.
+ */
+class AdaptiveController extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   */
+  constructor(options = {}) {
+    super();
+    this.now = options.now || Date.now;
+    this.reset();
+  }
+
+  /**
+   * Return to the initial state (factor 1.0, no history)
+   */
+  reset() {
+    this.algorithm = null;
+    this.factor = 1.0;
+    this.smoothedLatency = null;
+    this.smoothedErrorRate = null;
+    this.integral = 0;
+    this.previousError = null;
+    this.lastAdjustment = null;
+    this.adjustments = 0;
+    this.decisions = [];
+  }
+
+  /**
+   * Get the current factor, adjusting it first once the configured interval
+   * has passed since the last adjustment
+   * @param {Object} stats - Traffic statistics (`latencyPercentiles`,
+   *     `errorRate`)
+   * @param {Object} [settings] - Controller settings (defaults to the
+   *     `controller` configuration)
+   * @returns {number} Limit factor
+   */
+  getFactor(stats, settings = config.get("controller")) {
+    const now = this.now();
+    if (
+      this.lastAdjustment === null ||
+      now - this.lastAdjustment >= settings.interval
+    ) {
+      this.adjust(stats, settings, now);
+    }
+    return this.factor;
+  }
+
+  /**
+   * Smooth the readings, run the controller and record the decision
+   * @param {Object} stats - Traffic statistics
+   * @param {Object} settings - Controller settings
+   * @param {number} [now] - Time of the adjustment
+   * @returns {Object} The decision
+   */
+  adjust(stats, settings, now = this.now()) {
+    const elapsed =
+      this.lastAdjustment === null
+        ? settings.interval
+        : Math.max(now - this.lastAdjustment, 1);
+
+    // Switching algorithms starts the new one without old PID terms
+    if (this.algorithm !== settings.algorithm) {
+      this.integral = 0;
+      this.previousError = null;
+      this.algorithm = settings.algorithm;
+    }
+
+    const percentiles = stats.latencyPercentiles || {};
+    const latency = percentiles[settings.latencyPercentile];
+    const errorRate = stats.errorRate || 0;
+    const previousFactor = this.factor;
+    let action = "hold";
+    let reason;
+    let pressure = null;
+
+    if (latency === null || latency === undefined) {
+      reason = `no ${settings.latencyPercentile} latency samples`;
+    } else {
+      this.smoothedLatency = exponentialMovingAverage(
+        latency,
+        this.smoothedLatency,
+        settings.smoothing
+      );
+      this.smoothedErrorRate = exponentialMovingAverage(
+        errorRate,
+        this.smoothedErrorRate,
+        settings.smoothing
+      );
+
+      // Above 1 the objective is missed
+      const latencyPressure = this.smoothedLatency / settings.targetLatency;
+      const errorPressure = this.smoothedErrorRate / settings.targetErrorRate;
+      pressure = Math.max(latencyPressure, errorPressure);
+
+      this.factor =
+        settings.algorithm === "pid"
+          ? this.runPid(pressure, elapsed / 1000, settings)
+          : this.runAimd(pressure, settings);
+
+      if (this.factor > previousFactor) action = "increase";
+      if (this.factor < previousFactor) action = "decrease";
+      reason =
+        errorPressure > latencyPressure && errorPressure > 1
+          ? `error rate ${round(this.smoothedErrorRate * 100, 2)}% over ` +
+            `target ${round(settings.targetErrorRate * 100, 2)}%`
+          : `${settings.latencyPercentile} latency ` +
+            `${round(this.smoothedLatency, 1)}ms ` +
+            `${latencyPressure > 1 ? "over" : "within"} target ` +
+            `${settings.targetLatency}ms`;
+    }
+
+    const decision = {
+      timestamp: new Date(now).toISOString(),
+      algorithm: settings.algorithm,
+      action,
+      reason,
+      previousFactor: round(previousFactor),
+      factor: round(this.factor),
+      latency: latency === undefined ? null : latency,
+      errorRate: round(errorRate),
+      smoothedLatency: round(this.smoothedLatency, 2),
+      smoothedErrorRate: round(this.smoothedErrorRate),
+      pressure: round(pressure),
+    };
+
+    this.lastAdjustment = now;
+    this.adjustments += 1;
+    this.decisions = [...this.decisions, decision].slice(-MAX_DECISIONS);
+    this.emit("decision", decision);
+
+    return decision;
+  }
+
+  /**
+   * Additive increase while the objective holds, multiplicative decrease
+   * when it is missed
+   * @param {number} pressure - Worst reading relative to its target
+   * @param {Object} settings - Controller settings
+   * @returns {number} New factor
+   */
+  runAimd(pressure, settings) {
+    const factor =
+      pressure > 1
+        ? this.factor * settings.decreaseFactor
+        : this.factor + settings.increaseStep;
+    return this.clamp(factor, settings);
+  }
+
+  /**
+   * PID on the headroom (1 - pressure) around a factor of 1.0
+   *
+   * The integral only grows while the output is not held at a bound in the
+   * same direction, so a long overload does not delay recovery.
+   *
+   * @param {number} pressure - Worst reading relative to its target
+   * @param {number} seconds - Time since the last adjustment
+   * @param {Object} settings - Controller settings
+   * @returns {number} New factor
+   */
+  runPid(pressure, seconds, settings) {
+    const error = 1 - pressure;
+    const integral = this.integral + error * seconds;
+    const derivative =
+      this.previousError === null
+        ? 0
+        : (error - this.previousError) / seconds;
+
+    const output =
+      1 +
+      settings.kp * error +
+      settings.ki * integral +
+      settings.kd * derivative;
+    const factor = this.clamp(output, settings);
+
+    const saturated = factor !== output;
+    if (!saturated || Math.sign(error) !== Math.sign(output - factor)) {
+      this.integral = integral;
+    }
+    this.previousError = error;
+
+    return factor;
+  }
+
+  /**
+   * Keep a factor within the configured bounds
+   */
+  clamp(factor, settings) {
+    return Math.min(settings.maxFactor, Math.max(settings.minFactor, factor));
+  }
+
+  /**
+   * Get the controller state and its latest decision
+   * @returns {Object} Controller state
+   */
+  getState() {
+    return {
+      algorithm: this.algorithm,
+      factor: round(this.factor),
+      smoothedLatency: round(this.smoothedLatency, 2),
+      smoothedErrorRate: round(this.smoothedErrorRate),
+      integral: round(this.integral),
+      adjustments: this.adjustments,
+      lastAdjustment:
+        this.lastAdjustment === null
+          ? null
+          : new Date(this.lastAdjustment).toISOString(),
+      lastDecision: this.decisions[this.decisions.length - 1] || null,
+    };
+  }
+
+  /**
+   * Get recent decisions, newest first
+   * @param {number} [limit=20] - Number of decisions
+   * @returns {Array<Object>} Decisions
+   */
+  getDecisions(limit = 20) {
+    return this.decisions.slice(-limit).reverse();
+  }
+}
+
+module.exports = AdaptiveController;
@@ -0,0 +1,521 @@
+/**
+ * Alert Rule Expressions
+ *
+ * A small PromQL-inspired expression language for alert rules. Expressions
+ * combine instant metric values and range functions over stored time series
+ * with arithmetic, comparisons and `and`/`or`/`not`:
+ *
+ *   avg_over_time(system.cpu.overall[5m]) > 80
+ *   rate(http_requests_total[1m]) > 100 and application.error_rate > 5
+ *   p95(http_request_duration_ms{endpoint="/protected/data"}[5m]) > 750
+ *
+ * Expressions are parsed once when a rule is added (syntax errors are thrown
+ * there) and evaluated against a MetricsResolver on every check.
+ *
+ * @module alertExpressions
+ * @author DAASR Enterprise Team
+ * @version 2.0.0
+ */
+
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60000,
+    h: 3600000,
+    d: 86400000
+};
+
+const COMPARISON_OPERATORS = ['>', '<', '>=', '<=', '==', '!='];
+const LABEL_OPERATORS = ['=', '!=', '=~', '!~'];
+
+/**
+ * Raised when an expression cannot be parsed
+ */
+class ExpressionSyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} at position ${position}`);
+        this.name = 'ExpressionSyntaxError';
+        this.position = position;
+    }
+}
+
+/**
+ * Parse a duration literal such as `30s`, `5m` or `1h`
+ * @returns {number} Duration in milliseconds
+ */
+function parseDuration(text) {
+    const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)$/.exec(text);
+    if (!match) {
+        throw new Error(`Invalid duration: ${text}`);
+    }
+    return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// --- Range functions ---
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Quantile with linear interpolation between closest ranks
+ */
+function quantile(q, values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = q * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Total increase over a series. Event series (one sample per occurrence) sum
+ * their values; sampled series are treated as counters, so a drop is a reset.
+ */
+function increase(series) {
+    const values = series.points.map((point) => point.value);
+    if (series.kind === 'events') {
+        return values.reduce((sum, v) => sum + v, 0);
+    }
+
+    let total = 0;
+    for (let i = 1; i < values.length; i++) {
+        const delta = values[i] - values[i - 1];
+        total += delta >= 0 ? delta : values[i];
+    }
+    return total;
+}
+
+const percentileFunction = (q) => ({
+    args: ['range'],
+    evaluate: ([series]) => quantile(q, series.points.map((p) => p.value))
+});
+
+/**
+ * Supported functions. `args` lists argument kinds: `range` must be a range
+ * selector (`metric[5m]`), `scalar` any other expression.
+ */
+const FUNCTIONS = {
+    avg_over_time: { args: ['range'], evaluate: ([s]) => mean(s.points.map((p) => p.value)) },
+    min_over_time: { args: ['range'], evaluate: ([s]) => Math.min(...s.points.map((p) => p.value)) },
+    max_over_time: { args: ['range'], evaluate: ([s]) => Math.max(...s.points.map((p) => p.value)) },
+    sum_over_time: { args: ['range'], evaluate: ([s]) => s.points.reduce((sum, p) => sum + p.value, 0) },
+    count_over_time: { args: ['range'], evaluate: ([s]) => s.points.length, allowEmpty: true },
+    increase: { args: ['range'], evaluate: ([s]) => increase(s), allowEmpty: true },
+    rate: { args: ['range'], evaluate: ([s]) => increase(s) / (s.range / 1000), allowEmpty: true },
+    quantile_over_time: {
+        args: ['scalar', 'range'],
+        evaluate: ([q, s]) => quantile(q, s.points.map((p) => p.value))
+    },
+    p50: percentileFunction(0.5),
+    p90: percentileFunction(0.9),
+    p95: percentileFunction(0.95),
+    p99: percentileFunction(0.99),
+    p999: percentileFunction(0.999),
+    abs: { args: ['scalar'], evaluate: ([value]) => Math.abs(value) }
+};
+
+// --- Tokenizer ---
+
+const TOKEN_PATTERNS = [
+    ['whitespace', /^\s+/],
+    ['duration', /^\d+(?:\.\d+)?(?:ms|s|m|h|d)(?![A-Za-z0-9_])/],
+    ['number', /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/],
+    ['string', /^"(?:[^"\\]|\\.)*"/],
+    ['identifier', /^[A-Za-z_][A-Za-z0-9_.:]*/],
+    ['operator', /^(?:>=|<=|==|!=|=~|!~|[-+*/%<>=(){}[\],])/]
+];
+
+function tokenize(source) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < source.length) {
+        const rest = source.slice(position);
+        const matched = TOKEN_PATTERNS.find(([, pattern]) => pattern.test(rest));
+        if (!matched) {
+            throw new ExpressionSyntaxError(`Unexpected character '${rest[0]}'`, position);
+        }
+
+        const [type, pattern] = matched;
+        const text = pattern.exec(rest)[0];
+        if (type !== 'whitespace') {
+            tokens.push({ type, text, position });
+        }
+        position += text.length;
+    }
+
+    tokens.push({ type: 'end', text: '', position });
+    return tokens;
+}
+
+// --- Parser ---
+
+class Parser {
+    constructor(source) {
+        this.tokens = tokenize(source);
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOperator(...operators) {
+        const token = this.peek();
+        return token.type === 'operator' && operators.includes(token.text);
+    }
+
+    isKeyword(keyword) {
+        const token = this.peek();
+        return token.type === 'identifier' && token.text === keyword;
+    }
+
+    expect(text) {
+        const token = this.next();
+        if (token.text !== text) {
+            throw new ExpressionSyntaxError(`Expected '${text}' but found ${describeToken(token)}`, token.position);
+        }
+        return token;
+    }
+
+    parse() {
+        const node = this.parseOr();
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw new ExpressionSyntaxError(`Unexpected ${describeToken(token)}`, token.position);
+        }
+        return node;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isKeyword('or')) {
+            this.next();
+            left = { type: 'binary', op: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseComparison();
+        while (this.isKeyword('and')) {
+            this.next();
+            left = { type: 'binary', op: 'and', left, right: this.parseComparison() };
+        }
+        return left;
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        if (this.isOperator(...COMPARISON_OPERATORS)) {
+            const op = this.next().text;
+            return { type: 'binary', op, left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOperator('+', '-')) {
+            const op = this.next().text;
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isOperator('*', '/', '%')) {
+            const op = this.next().text;
+            left = { type: 'binary', op, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOperator('-')) {
+            this.next();
+            return { type: 'unary', op: '-', operand: this.parseUnary() };
+        }
+        if (this.isKeyword('not')) {
+            this.next();
+            return { type: 'unary', op: 'not', operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number') {
+            this.next();
+            return { type: 'number', value: parseFloat(token.text) };
+        }
+
+        if (this.isOperator('(')) {
+            this.next();
+            const node = this.parseOr();
+            this.expect(')');
+            return node;
+        }
+
+        if (token.type === 'identifier' && !['and', 'or', 'not'].includes(token.text)) {
+            this.next();
+            if (this.isOperator('(')) {
+                return this.parseCall(token);
+            }
+            const selector = this.parseSelector(token);
+            if (selector.range !== null) {
+                throw new ExpressionSyntaxError(
+                    `Range selector '${token.text}[...]' must be passed to a range function`,
+                    token.position
+                );
+            }
+            return selector;
+        }
+
+        throw new ExpressionSyntaxError(`Unexpected ${describeToken(token)}`, token.position);
+    }
+
+    parseCall(nameToken) {
+        const definition = FUNCTIONS[nameToken.text];
+        if (!definition) {
+            throw new ExpressionSyntaxError(`Unknown function '${nameToken.text}'`, nameToken.position);
+        }
+
+        this.expect('(');
+        const args = [];
+        definition.args.forEach((kind, i) => {
+            if (i > 0) this.expect(',');
+            args.push(kind === 'range' ? this.parseRangeArgument() : this.parseOr());
+        });
+
+        if (!this.isOperator(')')) {
+            const token = this.peek();
+            throw new ExpressionSyntaxError(
+                `${nameToken.text}() takes ${definition.args.length} argument(s), found ${describeToken(token)}`,
+                token.position
+            );
+        }
+        this.next();
+
+        return { type: 'call', name: nameToken.text, args };
+    }
+
+    parseRangeArgument() {
+        const token = this.next();
+        if (token.type !== 'identifier') {
+            throw new ExpressionSyntaxError(`Expected a range selector but found ${describeToken(token)}`, token.position);
+        }
+
+        const selector = this.parseSelector(token);
+        if (selector.range === null) {
+            throw new ExpressionSyntaxError(
+                `Expected a range such as '${token.text}[5m]'`,
+                this.peek().position
+            );
+        }
+        return selector;
+    }
+
+    parseSelector(nameToken) {
+        const matchers = [];
+
+        if (this.isOperator('{')) {
+            this.next();
+            while (!this.isOperator('}')) {
+                if (matchers.length > 0) this.expect(',');
+
+                const label = this.next();
+                if (label.type !== 'identifier') {
+                    throw new ExpressionSyntaxError(`Expected a label name but found ${describeToken(label)}`, label.position);
+                }
+
+                const op = this.next();
+                if (op.type !== 'operator' || !LABEL_OPERATORS.includes(op.text)) {
+                    throw new ExpressionSyntaxError(`Expected a label operator but found ${describeToken(op)}`, op.position);
+                }
+
+                const value = this.next();
+                if (value.type !== 'string') {
+                    throw new ExpressionSyntaxError(`Expected a quoted label value but found ${describeToken(value)}`, value.position);
+                }
+
+                matchers.push(createMatcher(label.text, op.text, JSON.parse(value.text), value.position));
+            }
+            this.next();
+        }
+
+        let range = null;
+        if (this.isOperator('[')) {
+            this.next();
+            const duration = this.next();
+            if (duration.type !== 'duration') {
+                throw new ExpressionSyntaxError(`Expected a duration such as 5m but found ${describeToken(duration)}`, duration.position);
+            }
+            range = parseDuration(duration.text);
+            this.expect(']');
+        }
+
+        return { type: 'selector', name: nameToken.text, matchers, range };
+    }
+}
+
+function describeToken(token) {
+    return token.type === 'end' ? 'end of expression' : `'${token.text}'`;
+}
+
+function createMatcher(label, op, value, position) {
+    const matcher = { label, op, value };
+    if (op === '=~' || op === '!~') {
+        try {
+            matcher.pattern = new RegExp(`^(?:${value})$`);
+        } catch (error) {
+            throw new ExpressionSyntaxError(
+                `Invalid regular expression for label '${label}': ${error.message}`,
+                position
+            );
+        }
+    }
+    return matcher;
+}
+
+/**
+ * Check whether a set of labels satisfies all matchers
+ */
+function matchLabels(labels = {}, matchers = []) {
+    return matchers.every(({ label, op, value, pattern }) => {
+        const actual = labels[label] === undefined ? '' : String(labels[label]);
+        switch (op) {
+            case '=': return actual === value;
+            case '!=': return actual !== value;
+            case '=~': return pattern.test(actual);
+            case '!~': return !pattern.test(actual);
+            default: return false;
+        }
+    });
+}
+
+/**
+ * Parse an expression into an AST
+ * @throws {ExpressionSyntaxError} When the expression is invalid
+ */
+function parseExpression(source) {
+    if (typeof source !== 'string' || source.trim().length === 0) {
+        throw new ExpressionSyntaxError('Expression must be a non-empty string', 0);
+    }
+    return new Parser(source).parse();
+}
+
+// --- Evaluator ---
+
+/**
+ * Evaluate a node. Missing data propagates as null so rules without samples
+ * are skipped rather than firing or resolving.
+ */
+function evaluateNode(node, context) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+
+        case 'selector':
+            return context.resolver.resolveSelector(node.name, node.matchers);
+
+        case 'call': {
+            const definition = FUNCTIONS[node.name];
+            const args = node.args.map((arg, i) => (definition.args[i] === 'range'
+                ? {
+                    ...context.resolver.getSeries(arg.name, arg.matchers, context.now - arg.range, context.now),
+                    range: arg.range
+                }
+                : evaluateNode(arg, context)));
+
+            if (args.some((arg) => arg === null)) return null;
+            if (!definition.allowEmpty && args.some((arg) => arg.points && arg.points.length === 0)) {
+                return null;
+            }
+            return definition.evaluate(args);
+        }
+
+        case 'unary': {
+            const operand = evaluateNode(node.operand, context);
+            if (operand === null) return null;
+            return node.op === '-' ? -operand : !operand;
+        }
+
+        case 'binary':
+            return evaluateBinary(node, context);
+
+        default:
+            throw new Error(`Unknown expression node: ${node.type}`);
+    }
+}
+
+function evaluateBinary(node, context, left = evaluateNode(node.left, context)) {
+
+    // Three-valued logic: a definite answer wins over missing data
+    if (node.op === 'and' || node.op === 'or') {
+        const right = evaluateNode(node.right, context);
+        const short = node.op === 'and' ? false : true;
+        if (left === short || right === short) return short;
+        if (left === null || right === null) return null;
+        return !short;
+    }
+
+    const right = evaluateNode(node.right, context);
+    if (left === null || right === null) return null;
+
+    switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? null : left / right;
+        case '%': return right === 0 ? null : left % right;
+        case '>': return left > right;
+        case '<': return left < right;
+        case '>=': return left >= right;
+        case '<=': return left <= right;
+        case '==': return left === right;
+        case '!=': return left !== right;
+        default:
+            throw new Error(`Unknown operator: ${node.op}`);
+    }
+}
+
+/**
+ * Evaluate a parsed expression
+ *
+ * For a top-level comparison, `value` is the left-hand side (the observed
+ * value shown in alerts) and `matched` the comparison result. For `and`/`or`
+ * both are the boolean result. For a plain numeric expression `matched` is
+ * undefined and the rule's condition/threshold apply.
+ *
+ * @param {Object} ast - Parsed expression
+ * @param {Object} context - { resolver, now }
+ * @returns {{value: (number|boolean|null), matched: (boolean|null|undefined)}} Result
+ */
+function evaluateExpression(ast, context) {
+    if (ast.type === 'binary' && COMPARISON_OPERATORS.includes(ast.op)) {
+        const value = evaluateNode(ast.left, context);
+        const matched = evaluateBinary(ast, context, value);
+        return { value, matched };
+    }
+
+    const value = evaluateNode(ast, context);
+    if (typeof value === 'boolean') {
+        return { value, matched: value };
+    }
+    return { value, matched: value === null ? null : undefined };
+}
+
+module.exports = {
+    parseExpression,
+    evaluateExpression,
+    parseDuration,
+    matchLabels,
+    ExpressionSyntaxError,
+    FUNCTIONS
+};
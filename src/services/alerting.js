@@ -11,19 +11,25 @@
 
 const EventEmitter = require('events');
 const winston = require('winston');
+const { parseExpression, evaluateExpression } = require('./alertExpressions');
 
 class AlertingSystem extends EventEmitter {
     constructor(options = {}) {
         super();
         
+        const { metricsResolver, ...settings } = options;
+        
         this.config = {
-            enabled: options.enabled !== false,
-            checkInterval: options.checkInterval || 30000, // 30 seconds
-            escalationTimeout: options.escalationTimeout || 300000, // 5 minutes
-            maxAlerts: options.maxAlerts || 1000,
-            ...options
+            enabled: settings.enabled !== false,
+            checkInterval: settings.checkInterval || 30000, // 30 seconds
+            escalationTimeout: settings.escalationTimeout || 300000, // 5 minutes
+            maxAlerts: settings.maxAlerts || 1000,
+            ...settings
         };
         
+        // Resolves rule metric paths to live values (see MetricsResolver)
+        this.metricsResolver = metricsResolver || null;
+        
         // Alert rules storage
         this.rules = new Map();
         this.activeAlerts = new Map();
@@ -59,6 +65,13 @@ class AlertingSystem extends EventEmitter {
         
         this.initializeDefaultRules();
         this.initializeDefaultChannels();
+        
+        // Collector snapshots are forwarded here by the application
+        this.on('systemMetrics', (metrics) => {
+            if (this.metricsResolver) {
+                this.metricsResolver.observe(metrics);
+            }
+        });
     }
     
     /**
@@ -243,18 +256,31 @@ class AlertingSystem extends EventEmitter {
     
     /**
      * Add alert rule
+     *
+     * A rule watches either a single `metric` compared with `condition` and
+     * `threshold`, or an `expression` (see alertExpressions). Expressions are
+     * parsed here, so syntax errors surface when the rule is added.
+     *
+     * @throws {Error} When the rule has no metric or expression, or the expression is invalid
      */
     addRule(rule) {
+        if (!rule.metric && !rule.expression) {
+            throw new Error(`Alert rule ${rule.id} requires a metric or an expression`);
+        }
+        const compiledExpression = rule.expression ? this.compileExpression(rule) : null;
+        
         const ruleWithDefaults = {
             id: rule.id,
             name: rule.name,
             description: rule.description || '',
-            metric: rule.metric,
+            metric: rule.metric || null,
+            expression: rule.expression || null,
             condition: rule.condition || 'greater_than',
             threshold: rule.threshold,
             duration: rule.duration || 60000,
             severity: rule.severity || 'warning',
             enabled: rule.enabled !== false,
+            lastError: null,
             channels: rule.channels || ['console', 'logfile'],
             suppressionTime: rule.suppressionTime || 300000, // 5 minutes
             escalation: rule.escalation || null,
@@ -264,12 +290,38 @@ class AlertingSystem extends EventEmitter {
             triggerCount: 0
         };
         
+        this.setCompiledExpression(ruleWithDefaults, compiledExpression);
         this.rules.set(rule.id, ruleWithDefaults);
         this.logger.info('Alert rule added', { ruleId: rule.id, name: rule.name });
         
         return ruleWithDefaults;
     }
     
+    /**
+     * Parse a rule's expression
+     * @throws {ExpressionSyntaxError} With the rule id prefixed to the message
+     */
+    compileExpression(rule) {
+        try {
+            return parseExpression(rule.expression);
+        } catch (error) {
+            error.message = `Invalid expression for alert rule ${rule.id}: ${error.message}`;
+            throw error;
+        }
+    }
+    
+    /**
+     * Attach a parsed expression without exposing it in serialized rules
+     */
+    setCompiledExpression(rule, compiledExpression) {
+        Object.defineProperty(rule, 'compiledExpression', {
+            value: compiledExpression,
+            writable: true,
+            enumerable: false,
+            configurable: true
+        });
+    }
+    
     /**
      * Remove alert rule
      */
@@ -289,6 +341,9 @@ class AlertingSystem extends EventEmitter {
     updateRule(ruleId, updates) {
         const rule = this.rules.get(ruleId);
         if (rule) {
+            if (updates.expression) {
+                this.setCompiledExpression(rule, this.compileExpression({ id: ruleId, ...updates }));
+            }
             Object.assign(rule, updates);
             this.logger.info('Alert rule updated', { ruleId, updates });
             return rule;
@@ -337,11 +392,15 @@ class AlertingSystem extends EventEmitter {
             
             try {
                 this.evaluateRule(rule);
+                rule.lastError = null;
             } catch (error) {
+                rule.lastError = error.message;
                 this.logger.error('Error evaluating alert rule', {
                     ruleId,
+                    metric: rule.metric,
                     error: error.message
                 });
+                this.emit('ruleError', { ruleId, metric: rule.metric, error });
             }
         }
         
@@ -353,14 +412,11 @@ class AlertingSystem extends EventEmitter {
      * Evaluate a single alert rule
      */
     evaluateRule(rule) {
-        // Get current metric value (this would be integrated with your metrics system)
-        const metricValue = this.getMetricValue(rule.metric);
-        if (metricValue === null || metricValue === undefined) {
+        const { value: metricValue, conditionMet } = this.evaluateRuleCondition(rule);
+        if (metricValue === null || metricValue === undefined || conditionMet === null) {
             return;
         }
         
-        // Check condition
-        const conditionMet = this.evaluateCondition(metricValue, rule.condition, rule.threshold);
         const now = Date.now();
         const alertKey = `${rule.id}`;
         
@@ -410,20 +466,46 @@ class AlertingSystem extends EventEmitter {
     }
     
     /**
-     * Get metric value (placeholder - integrate with your metrics system)
+     * Evaluate a rule's metric or expression
+     * @returns {{value: *, conditionMet: (boolean|null)}} Observed value and whether the rule matches
      */
-    getMetricValue(metricPath) {
-        // This should be integrated with your SystemMetricsCollector
-        // For now, return simulated values
-        const simulated = {
-            'system.cpu.overall': Math.random() * 100,
-            'system.memory.usagePercent': Math.random() * 100,
-            'system.load.load1': Math.random() * 8,
-            'application.response_time': Math.random() * 2000,
-            'application.error_rate': Math.random() * 10
+    evaluateRuleCondition(rule) {
+        if (rule.compiledExpression) {
+            if (!this.metricsResolver) {
+                throw new Error('No metrics resolver configured');
+            }
+            
+            const { value, matched } = evaluateExpression(rule.compiledExpression, {
+                resolver: this.metricsResolver,
+                now: Date.now()
+            });
+            
+            // Plain numeric expressions fall back to condition/threshold
+            const conditionMet = matched === undefined
+                ? this.evaluateCondition(value, rule.condition, rule.threshold)
+                : matched;
+            return { value, conditionMet };
+        }
+        
+        const value = this.getMetricValue(rule.metric);
+        const hasValue = value !== null && value !== undefined;
+        return {
+            value,
+            conditionMet: hasValue ? this.evaluateCondition(value, rule.condition, rule.threshold) : null
         };
+    }
+    
+    /**
+     * Get the current value of a rule's metric
+     * @returns {number|null} Metric value, or null when no sample exists yet
+     * @throws {Error} When no resolver is configured or the path is unknown
+     */
+    getMetricValue(metricPath) {
+        if (!this.metricsResolver) {
+            throw new Error('No metrics resolver configured');
+        }
         
-        return simulated[metricPath] || null;
+        return this.metricsResolver.resolve(metricPath);
     }
     
     /**
@@ -651,6 +733,9 @@ class AlertingSystem extends EventEmitter {
      */
     formatAlertMessage(alert) {
         const rule = alert.rule;
+        if (rule.expression) {
+            return `${rule.name}: ${rule.description} (${rule.expression}, value ${alert.currentValue})`;
+        }
         return `${rule.name}: ${rule.description} (${alert.currentValue} ${rule.condition} ${rule.threshold})`;
     }
     
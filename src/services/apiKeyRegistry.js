@@ -0,0 +1,366 @@
+/**
+ * API Key Registry
+ *
+ * Issues and verifies API keys. Only a SHA-256 hash of each key is kept;
+ * the plaintext is returned once, when the key is issued or rotated. Each
+ * key has an owner, a tier (which decides its limits), an optional admin
+ * API role, an optional expiry and a revoked flag. The registry is
+ * persisted to a local JSON file, which is re-read when it changes on disk,
+ * so keys managed with `scripts/api-keys.js` apply to a running server.
+ *
+ * @module apiKeyRegistry
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const winston = require("winston");
+const config = require("../config/default");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/daasr.log" }),
+    new winston.transports.Console(),
+  ],
+});
+
+/**
+ * Prefix of every issued key, so leaked keys are easy to spot in scans
+ */
+const KEY_PREFIX = "daasr";
+
+/**
+ * Admin API roles a key can carry, least privileged first
+ */
+const ROLES = ["viewer", "operator", "admin"];
+
+/**
+ * How often lookups check the registry file for changes (ms)
+ */
+const REFRESH_INTERVAL = 1000;
+
+/**
+ * Hash a plaintext key for storage and lookup
+ * @param {string} key - Plaintext API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+class ApiKeyRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON file the registry is
+   *     persisted to (null keeps it in memory only)
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? null : options.filePath;
+    this.now = options.now || Date.now;
+    this.keys = new Map(); // id -> record
+    this.hashes = new Map(); // hash -> id
+    this.loadedMtime = null; // mtime of the file the records came from
+    this.checkedAt = 0;
+
+    this.load();
+  }
+
+  /**
+   * Get the registry file's modification time
+   * @returns {number|null} mtime in ms, or null when there is no file
+   */
+  fileMtime() {
+    try {
+      return fs.statSync(this.filePath).mtimeMs;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Load records from the registry file, if there is one; an unreadable
+   * file is logged and the records already loaded are kept (none at startup)
+   */
+  load() {
+    if (!this.filePath) return;
+
+    this.checkedAt = Date.now();
+    this.loadedMtime = this.fileMtime();
+    if (this.loadedMtime === null) {
+      this.keys.clear();
+      this.hashes.clear();
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      logger.error("Failed to load API keys, keeping the loaded keys", {
+        filePath: this.filePath,
+        error: error.message,
+      });
+      return;
+    }
+
+    this.keys.clear();
+    this.hashes.clear();
+    (data.keys || []).forEach((record) => {
+      this.keys.set(record.id, record);
+      this.hashes.set(record.hash, record.id);
+    });
+  }
+
+  /**
+   * Reload the registry file if another process changed it
+   * @param {boolean} [force=false] - Check now instead of at most once per
+   *     REFRESH_INTERVAL (changes always check, so they never overwrite
+   *     keys written by another process)
+   */
+  refresh(force = false) {
+    if (!this.filePath) return;
+    if (!force && Date.now() - this.checkedAt < REFRESH_INTERVAL) return;
+
+    this.checkedAt = Date.now();
+    if (this.fileMtime() !== this.loadedMtime) {
+      this.load();
+    }
+  }
+
+  /**
+   * Write all records to the registry file (atomically, via rename)
+   */
+  save() {
+    if (!this.filePath) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const data = { version: 1, keys: [...this.keys.values()] };
+
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+    this.loadedMtime = this.fileMtime();
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} options
+   * @param {string} options.owner - Who the key belongs to
+   * @param {string} [options.tier="standard"] - Tier from `apiKeyTiers`
+   * @param {string|null} [options.role] - Admin API role (viewer, operator
+   *     or admin); null for keys that only call the protected API
+   * @param {number|string|null} [options.expiresAt] - Expiry (ms or ISO date)
+   * @returns {Object} { key, record } — the plaintext key is not stored
+   */
+  issue({ owner, tier = "standard", role = null, expiresAt = null } = {}) {
+    if (!owner || typeof owner !== "string") {
+      throw new Error("API key owner is required");
+    }
+    if (!config.get("apiKeyTiers")[tier]) {
+      throw new Error(`Unknown API key tier: ${tier}`);
+    }
+    if (role !== null && !ROLES.includes(role)) {
+      throw new Error(`Unknown API key role: ${role}`);
+    }
+
+    const expiry = expiresAt === null ? null : new Date(expiresAt).getTime();
+    if (expiry !== null && !Number.isFinite(expiry)) {
+      throw new Error("Invalid API key expiry");
+    }
+
+    this.refresh(true);
+
+    const id = crypto.randomBytes(6).toString("hex");
+    const secret = crypto.randomBytes(24).toString("base64url");
+    const key = `${KEY_PREFIX}_${id}_${secret}`;
+    const record = {
+      id,
+      owner,
+      tier,
+      role,
+      hash: hashKey(key),
+      createdAt: this.now(),
+      expiresAt: expiry,
+      revoked: false,
+      revokedAt: null,
+      rotatedTo: null,
+    };
+
+    this.keys.set(id, record);
+    this.hashes.set(record.hash, id);
+    this.save();
+
+    return { key, record: this.describe(record) };
+  }
+
+  /**
+   * Replace a key with a new one for the same owner, tier, role and expiry
+   *
+   * The old key is revoked immediately, or keeps working until the grace
+   * period ends so clients can switch over.
+   *
+   * @param {string} id - Key id
+   * @param {Object} [options]
+   * @param {number} [options.gracePeriodMs=0] - How long the old key stays
+   *     valid
+   * @returns {Object|null} { key, record } for the new key, or null if the
+   *     id is unknown
+   */
+  rotate(id, { gracePeriodMs = 0 } = {}) {
+    this.refresh(true);
+    const original = this.keys.get(id);
+    if (!original) return null;
+    if (original.revoked) {
+      throw new Error(`API key ${id} is revoked`);
+    }
+
+    const issued = this.issue({
+      owner: original.owner,
+      tier: original.tier,
+      role: original.role || null,
+      expiresAt: original.expiresAt,
+    });
+
+    // Issuing may have reloaded the file, replacing the record objects
+    const record = this.keys.get(id);
+    record.rotatedTo = issued.record.id;
+    if (gracePeriodMs > 0) {
+      const graceEnd = this.now() + gracePeriodMs;
+      record.expiresAt =
+        record.expiresAt === null
+          ? graceEnd
+          : Math.min(record.expiresAt, graceEnd);
+    } else {
+      record.revoked = true;
+      record.revokedAt = this.now();
+    }
+    this.save();
+
+    return issued;
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} id - Key id
+   * @returns {Object|null} Updated record, or null if not found
+   */
+  revoke(id) {
+    this.refresh(true);
+    const record = this.keys.get(id);
+    if (!record) return null;
+
+    if (!record.revoked) {
+      record.revoked = true;
+      record.revokedAt = this.now();
+      this.save();
+    }
+    return this.describe(record);
+  }
+
+  /**
+   * Look up a presented key
+   * @param {string} key - Plaintext key from the request
+   * @returns {Object|null} Record of a valid key, or null when the key is
+   *     unknown, revoked or expired
+   */
+  verify(key) {
+    if (!key) return null;
+
+    this.refresh();
+    const id = this.hashes.get(hashKey(key));
+    const record = id && this.keys.get(id);
+    if (!record || record.revoked) return null;
+    if (record.expiresAt !== null && this.now() >= record.expiresAt) {
+      return null;
+    }
+
+    return this.describe(record);
+  }
+
+  /**
+   * Resolve the limits that apply to a presented key
+   * @param {string} [key] - Plaintext key from the request
+   * @returns {Object} { tier, keyId, owner, ...tier limits }; requests
+   *     without a valid key get the anonymous tier
+   */
+  resolveTier(key) {
+    const tiers = config.get("apiKeyTiers");
+    const record = this.verify(key);
+
+    if (!record || !tiers[record.tier]) {
+      return {
+        tier: "anonymous",
+        keyId: null,
+        owner: null,
+        ...tiers.anonymous,
+      };
+    }
+
+    return {
+      tier: record.tier,
+      keyId: record.id,
+      owner: record.owner,
+      ...tiers[record.tier],
+    };
+  }
+
+  /**
+   * Get a key's record
+   * @param {string} id - Key id
+   * @returns {Object|null} Record without its hash
+   */
+  get(id) {
+    this.refresh();
+    const record = this.keys.get(id);
+    return record ? this.describe(record) : null;
+  }
+
+  /**
+   * List keys
+   * @param {Object} [filters]
+   * @param {string} [filters.owner] - Only keys of this owner
+   * @param {boolean} [filters.includeRevoked=true] - Include revoked keys
+   * @returns {Array<Object>} Records without hashes, oldest first
+   */
+  list({ owner, includeRevoked = true } = {}) {
+    this.refresh();
+    return [...this.keys.values()]
+      .filter((record) => !owner || record.owner === owner)
+      .filter((record) => includeRevoked || !record.revoked)
+      .map((record) => this.describe(record));
+  }
+
+  /**
+   * Public view of a record: hash omitted, status derived
+   */
+  describe(record) {
+    const view = { ...record };
+    delete view.hash;
+    let status = "active";
+    if (record.revoked) {
+      status = "revoked";
+    } else if (record.expiresAt !== null && this.now() >= record.expiresAt) {
+      status = "expired";
+    }
+    return { ...view, status };
+  }
+}
+
+// Create a singleton instance persisted to the configured file
+const apiKeyRegistry = new ApiKeyRegistry({
+  filePath: config.get("apiKeyStorePath") || null,
+});
+
+module.exports = apiKeyRegistry;
+module.exports.ApiKeyRegistry = ApiKeyRegistry;
+module.exports.hashKey = hashKey;
+module.exports.ROLES = ROLES;
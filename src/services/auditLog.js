@@ -0,0 +1,219 @@
+/**
+ * Audit Log
+ *
+ * Append-only record of administrative changes: who made them, when, what
+ * they changed, and the value before and after. Entries are appended to a
+ * JSON Lines file and never rewritten, so the file can be shipped to other
+ * systems or reviewed with standard tools after an incident.
+ *
+ * @module auditLog
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/default");
+
+/**
+ * Largest page `query` returns
+ */
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Describe the caller of an admin request for an audit entry
+ * @param {Object} req - Express request (after `requireRole`)
+ * @returns {Object} { subject, owner, role, method, ip }
+ */
+function actorFromRequest(req) {
+  const principal = req.principal || {};
+  return {
+    subject: principal.subject || "anonymous",
+    owner: principal.owner || null,
+    role: principal.role || null,
+    method: principal.method || "none",
+    ip: req.ip || null,
+  };
+}
+
+/**
+ * Parse a time filter given as ms since epoch or a date string
+ * @returns {number|null} ms since epoch, or null when not set or invalid
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const time = /^\d+$/.test(String(value))
+    ? Number(value)
+    : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+class AuditLog {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON Lines file entries are
+   *     appended to (null keeps them in memory only)
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? null : options.filePath;
+    this.now = options.now || Date.now;
+    this.entries = [];
+
+    this.load();
+  }
+
+  /**
+   * Load earlier entries from the log file, if there is one
+   *
+   * Lines that do not parse (e.g. one cut short by a crash) are skipped.
+   */
+  load() {
+    this.entries = [];
+
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    fs.readFileSync(this.filePath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .forEach((line) => {
+        try {
+          this.entries.push(JSON.parse(line));
+        } catch {
+          // Skip the damaged line
+        }
+      });
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} change
+   * @param {Object} change.actor - Who made the change (see
+   *     `actorFromRequest`)
+   * @param {string} change.action - What was done, e.g. "config.update"
+   * @param {string} [change.target] - What it was done to, e.g. a config key
+   * @param {*} [change.before] - Value before the change
+   * @param {*} [change.after] - Value after the change
+   * @param {Object} [change.metadata] - Other details
+   * @returns {Object} The stored entry
+   */
+  record({ actor, action, target = null, before, after, metadata = {} }) {
+    if (!action) {
+      throw new Error("Audit entry action is required");
+    }
+
+    const last = this.entries[this.entries.length - 1];
+    const timestamp = this.now();
+    const entry = {
+      id: last ? last.id + 1 : 1,
+      timestamp: new Date(timestamp).toISOString(),
+      actor,
+      action,
+      target,
+      before: before === undefined ? null : before,
+      after: after === undefined ? null : after,
+      metadata,
+    };
+
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, {
+        mode: 0o600,
+      });
+    }
+    this.entries.push(entry);
+
+    return entry;
+  }
+
+  /**
+   * Find entries matching the filters, oldest first
+   * @param {Object} [filters]
+   * @param {string} [filters.action] - Action, or comma separated actions;
+   *     "blocklist" also matches "blocklist.add" and "blocklist.remove"
+   * @param {string} [filters.actor] - Actor subject or owner
+   * @param {string} [filters.target] - Target
+   * @param {number|string} [filters.since] - Earliest time (ms or date)
+   * @param {number|string} [filters.until] - Latest time (ms or date)
+   * @returns {Array<Object>} Matching entries
+   */
+  filter({ action, actor, target, since, until } = {}) {
+    const actions = action
+      ? String(action)
+          .split(",")
+          .map((value) => value.trim())
+          .filter(Boolean)
+      : [];
+    const from = parseTime(since);
+    const to = parseTime(until);
+
+    return this.entries.filter((entry) => {
+      const time = new Date(entry.timestamp).getTime();
+      if (
+        actions.length > 0 &&
+        !actions.some(
+          (value) =>
+            entry.action === value || entry.action.startsWith(`${value}.`)
+        )
+      ) {
+        return false;
+      }
+      if (
+        actor &&
+        entry.actor.subject !== actor &&
+        entry.actor.owner !== actor
+      ) {
+        return false;
+      }
+      if (target && entry.target !== target) return false;
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Page through matching entries, newest first
+   * @param {Object} [filters] - See `filter`, plus:
+   * @param {number} [filters.limit=50] - Page size (at most 1000)
+   * @param {number} [filters.offset=0] - Entries to skip
+   * @returns {Object} { entries, total, limit, offset }
+   */
+  query(filters = {}) {
+    const limit = Math.min(
+      Math.max(parseInt(filters.limit, 10) || 50, 1),
+      MAX_PAGE_SIZE
+    );
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    const matches = this.filter(filters).reverse();
+
+    return {
+      entries: matches.slice(offset, offset + limit),
+      total: matches.length,
+      limit,
+      offset,
+    };
+  }
+
+  /**
+   * Export matching entries as JSON Lines, oldest first
+   * @param {Object} [filters] - See `filter`
+   * @returns {string} One JSON entry per line
+   */
+  toJsonl(filters = {}) {
+    return this.filter(filters)
+      .map((entry) => `${JSON.stringify(entry)}\n`)
+      .join("");
+  }
+}
+
+// Create a singleton instance persisted to the configured file
+const auditLog = new AuditLog({
+  filePath: config.get("auditLogPath") || null,
+});
+
+module.exports = auditLog;
+module.exports.AuditLog = AuditLog;
+module.exports.actorFromRequest = actorFromRequest;
@@ -0,0 +1,410 @@
+/**
+ * Metrics Registry
+ *
+ * Typed application metrics (counter, gauge, histogram, summary) with one
+ * series per unique label set, rendered in the Prometheus text exposition
+ * format (version 0.0.4).
+ *
+ * @module metricsRegistry
+ * @author DAASR Enterprise Team
+ * @version 2.0.0
+ */
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Default histogram buckets, suited to latencies in milliseconds
+ */
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Default summary quantiles
+ */
+const DEFAULT_QUANTILES = [0.5, 0.9, 0.99];
+
+/**
+ * Default number of series kept per metric
+ */
+const DEFAULT_MAX_SERIES = 1000;
+
+/**
+ * Escape a label value: backslash, double quote and line feed
+ */
+function escapeLabelValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape HELP text: backslash and line feed
+ */
+function escapeHelp(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value, spelling out the special floats
+ */
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Render a label set as `{a="1",b="2"}`, or an empty string
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base class for a metric family: validates labels and keeps one state
+ * object per label set, evicting the least recently updated series past
+ * `maxSeries` so unbounded label values cannot grow memory without limit
+ */
+class Metric {
+    /**
+     * @param {string} type - Exposition type
+     * @param {Object} options - Metric options
+     * @param {string} options.name - Metric name
+     * @param {string} [options.help] - Help text
+     * @param {Array<string>} [options.labelNames] - Allowed label names (any when omitted)
+     * @param {number} [options.maxSeries=1000] - Series kept before the least recently updated is evicted
+     */
+    constructor(type, options = {}) {
+        if (!METRIC_NAME.test(options.name || '')) {
+            throw new Error(`Invalid metric name: ${options.name}`);
+        }
+
+        this.type = type;
+        this.name = options.name;
+        this.help = options.help || options.name;
+        this.labelNames = options.labelNames || null;
+        this.maxSeries = options.maxSeries || DEFAULT_MAX_SERIES;
+        this.series = new Map();
+
+        (this.labelNames || []).forEach(label => this.validateLabelName(label));
+    }
+
+    validateLabelName(label) {
+        if (!LABEL_NAME.test(label) || label.startsWith('__')) {
+            throw new Error(`Invalid label name for ${this.name}: ${label}`);
+        }
+    }
+
+    /**
+     * Get (creating if needed) the state of the series for a label set
+     */
+    getSeries(labels = {}) {
+        const normalized = {};
+        Object.keys(labels).sort().forEach(label => {
+            if (labels[label] === undefined) return;
+            if (this.labelNames && !this.labelNames.includes(label)) {
+                throw new Error(`Unknown label for ${this.name}: ${label}`);
+            }
+            this.validateLabelName(label);
+            normalized[label] = String(labels[label]);
+        });
+
+        // Re-inserting keeps the map ordered from least to most recently used
+        const key = JSON.stringify(normalized);
+        const state = this.series.get(key) || { labels: normalized, ...this.initialState() };
+        this.series.delete(key);
+        this.series.set(key, state);
+
+        if (this.series.size > this.maxSeries) {
+            this.series.delete(this.series.keys().next().value);
+        }
+        return state;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    /**
+     * Render HELP, TYPE and every series of this family
+     */
+    render() {
+        const lines = [
+            `# HELP ${this.name} ${escapeHelp(this.help)}`,
+            `# TYPE ${this.name} ${this.type}`
+        ];
+        for (const state of this.series.values()) {
+            lines.push(...this.renderSeries(state));
+        }
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    initialState() {
+        return { value: 0 };
+    }
+
+    inc(labels = {}, value = 1) {
+        if (value < 0) {
+            throw new Error(`Counter ${this.name} cannot be decreased`);
+        }
+        this.getSeries(labels).value += value;
+    }
+
+    record(labels, value) {
+        this.inc(labels, value);
+    }
+
+    get(labels = {}) {
+        return this.getSeries(labels).value;
+    }
+
+    renderSeries(state) {
+        return [`${this.name}${formatLabels(state.labels)} ${formatValue(state.value)}`];
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    initialState() {
+        return { value: 0 };
+    }
+
+    set(labels = {}, value) {
+        this.getSeries(labels).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.getSeries(labels).value += value;
+    }
+
+    dec(labels = {}, value = 1) {
+        this.getSeries(labels).value -= value;
+    }
+
+    record(labels, value) {
+        this.set(labels, value);
+    }
+
+    get(labels = {}) {
+        return this.getSeries(labels).value;
+    }
+
+    renderSeries(state) {
+        return [`${this.name}${formatLabels(state.labels)} ${formatValue(state.value)}`];
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {Object} options - Metric options plus `buckets` (upper bounds)
+     */
+    constructor(options = {}) {
+        super('histogram', options);
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    validateLabelName(label) {
+        if (label === 'le') {
+            throw new Error(`Histogram ${this.name} cannot use the label "le"`);
+        }
+        super.validateLabelName(label);
+    }
+
+    initialState() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels = {}, value) {
+        const state = this.getSeries(labels);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                state.counts[index]++;
+            }
+        });
+        state.sum += value;
+        state.count++;
+    }
+
+    record(labels, value) {
+        this.observe(labels, value);
+    }
+
+    get(labels = {}) {
+        const state = this.getSeries(labels);
+        return { buckets: this.buckets, counts: [...state.counts], sum: state.sum, count: state.count };
+    }
+
+    renderSeries(state) {
+        // Bucket counts are already cumulative: each observation is counted
+        // in every bucket whose bound it does not exceed
+        const lines = this.buckets.map((bound, index) =>
+            `${this.name}_bucket${formatLabels({ ...state.labels, le: formatValue(bound) })} ${state.counts[index]}`
+        );
+        lines.push(`${this.name}_bucket${formatLabels({ ...state.labels, le: '+Inf' })} ${state.count}`);
+        lines.push(`${this.name}_sum${formatLabels(state.labels)} ${formatValue(state.sum)}`);
+        lines.push(`${this.name}_count${formatLabels(state.labels)} ${state.count}`);
+        return lines;
+    }
+}
+
+class Summary extends Metric {
+    /**
+     * @param {Object} options - Metric options plus `quantiles` and
+     *     `maxSamples` (observations kept per series for quantiles)
+     */
+    constructor(options = {}) {
+        super('summary', options);
+        this.quantiles = options.quantiles || DEFAULT_QUANTILES;
+        this.maxSamples = options.maxSamples || 1000;
+    }
+
+    validateLabelName(label) {
+        if (label === 'quantile') {
+            throw new Error(`Summary ${this.name} cannot use the label "quantile"`);
+        }
+        super.validateLabelName(label);
+    }
+
+    initialState() {
+        return { samples: [], sum: 0, count: 0 };
+    }
+
+    observe(labels = {}, value) {
+        const state = this.getSeries(labels);
+        state.samples.push(value);
+        if (state.samples.length > this.maxSamples) {
+            state.samples.shift();
+        }
+        state.sum += value;
+        state.count++;
+    }
+
+    record(labels, value) {
+        this.observe(labels, value);
+    }
+
+    /**
+     * Calculate a quantile over the retained observations (nearest rank)
+     */
+    quantile(state, q) {
+        if (state.samples.length === 0) return NaN;
+
+        const sorted = [...state.samples].sort((a, b) => a - b);
+        const rank = Math.max(0, Math.ceil(q * sorted.length) - 1);
+        return sorted[rank];
+    }
+
+    get(labels = {}) {
+        const state = this.getSeries(labels);
+        const quantiles = {};
+        this.quantiles.forEach(q => {
+            quantiles[q] = this.quantile(state, q);
+        });
+        return { quantiles, sum: state.sum, count: state.count };
+    }
+
+    renderSeries(state) {
+        const lines = this.quantiles.map(q =>
+            `${this.name}${formatLabels({ ...state.labels, quantile: String(q) })} ${formatValue(this.quantile(state, q))}`
+        );
+        lines.push(`${this.name}_sum${formatLabels(state.labels)} ${formatValue(state.sum)}`);
+        lines.push(`${this.name}_count${formatLabels(state.labels)} ${state.count}`);
+        return lines;
+    }
+}
+
+const METRIC_TYPES = { counter: Counter, gauge: Gauge, histogram: Histogram, summary: Summary };
+
+class MetricsRegistry {
+    /**
+     * @param {Object} [options] - Registry options
+     * @param {number} [options.maxSeries] - Default series limit of the registered metrics
+     */
+    constructor(options = {}) {
+        this.metrics = new Map();
+        this.maxSeries = options.maxSeries || DEFAULT_MAX_SERIES;
+    }
+
+    /**
+     * Register a metric, or return the existing one of the same name
+     * @throws {Error} When the name is registered with a different type
+     */
+    register(type, options) {
+        const existing = this.metrics.get(options.name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`Metric ${options.name} is already registered as a ${existing.type}`);
+            }
+            return existing;
+        }
+
+        const MetricType = METRIC_TYPES[type];
+        if (!MetricType) {
+            throw new Error(`Unknown metric type: ${type}`);
+        }
+
+        const metric = new MetricType({ maxSeries: this.maxSeries, ...options });
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register('counter', options);
+    }
+
+    gauge(options) {
+        return this.register('gauge', options);
+    }
+
+    histogram(options) {
+        return this.register('histogram', options);
+    }
+
+    summary(options) {
+        return this.register('summary', options);
+    }
+
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /**
+     * Clear every series, keeping the registered metric definitions
+     */
+    reset() {
+        this.metrics.forEach(metric => metric.reset());
+    }
+
+    /**
+     * Render all metrics in the Prometheus text exposition format
+     */
+    render() {
+        const families = Array.from(this.metrics.values()).map(metric => metric.render());
+        return families.length > 0 ? `${families.join('\n\n')}\n` : '';
+    }
+}
+
+module.exports = MetricsRegistry;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
+module.exports.Summary = Summary;
+module.exports.escapeLabelValue = escapeLabelValue;
+module.exports.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+module.exports.DEFAULT_MAX_SERIES = DEFAULT_MAX_SERIES;
@@ -0,0 +1,265 @@
+/**
+ * Metrics Resolver
+ *
+ * Maps dotted metric paths used by alert rules (e.g. `system.cpu.overall`,
+ * `application.error_rate`) and custom metric names onto live data from the
+ * SystemMetricsCollector and the traffic monitor.
+ *
+ * @module metricsResolver
+ * @author DAASR Enterprise Team
+ * @version 2.0.0
+ */
+
+const { matchLabels } = require('./alertExpressions');
+
+/**
+ * Paths kept for compatibility with rule definitions that predate the
+ * collector's sample layout
+ */
+const PATH_ALIASES = {
+    'system.memory.usagePercent': 'system.memory.system.usagePercent'
+};
+
+/**
+ * Application metrics derived from traffic monitor statistics
+ */
+const APPLICATION_METRICS = {
+    'application.response_time': (stats) => stats.averageResponseTime,
+    'application.peak_response_time': (stats) => stats.peakResponseTime,
+    'application.error_rate': (stats) => stats.errorRate * 100, // percent
+    'application.requests_per_second': (stats) => stats.requestsPerSecond,
+    'application.requests_per_minute': (stats) => stats.requestsPerMinute,
+    'application.total_requests': (stats) => stats.totalRequests,
+    'application.total_errors': (stats) => stats.totalErrors
+};
+
+/**
+ * Raised when a metric path does not name any known metric
+ */
+class UnknownMetricError extends Error {
+    constructor(metricPath) {
+        super(`Unknown metric: ${metricPath}`);
+        this.name = 'UnknownMetricError';
+        this.metricPath = metricPath;
+    }
+}
+
+class MetricsResolver {
+    /**
+     * @param {Object} sources - Metric sources
+     * @param {Object} [sources.systemMetrics] - SystemMetricsCollector instance
+     * @param {Object} [sources.trafficMonitor] - Traffic monitor instance
+     */
+    constructor(sources = {}) {
+        this.systemMetrics = sources.systemMetrics || null;
+        this.trafficMonitor = sources.trafficMonitor || null;
+        this.snapshot = null;
+    }
+
+    /**
+     * Record the latest collector snapshot ({ timestamp, system, process })
+     */
+    observe(snapshot) {
+        this.snapshot = snapshot;
+    }
+
+    /**
+     * Resolve a metric path to its current value
+     * @param {string} metricPath - Dotted path or custom metric name
+     * @returns {number|null} Current value, or null when no sample exists yet
+     * @throws {UnknownMetricError} When the path does not name a metric
+     */
+    resolve(metricPath) {
+        if (typeof metricPath !== 'string' || metricPath.length === 0) {
+            throw new UnknownMetricError(String(metricPath));
+        }
+
+        const path = PATH_ALIASES[metricPath] || metricPath;
+        const [root, ...segments] = path.split('.');
+
+        if (root === 'system' || root === 'process') {
+            return this.resolveSample(root, segments, metricPath);
+        }
+
+        if (root === 'application') {
+            return this.resolveApplication(metricPath);
+        }
+
+        if (this.systemMetrics && this.systemMetrics.getCustomMetricSeries(path)) {
+            return this.resolveCustom(path);
+        }
+
+        throw new UnknownMetricError(metricPath);
+    }
+
+    /**
+     * Resolve an instant selector, optionally filtered by label matchers
+     * @param {string} metricPath - Dotted path or custom metric name
+     * @param {Array} matchers - Label matchers (custom metrics only)
+     * @returns {number|null} Current value
+     */
+    resolveSelector(metricPath, matchers = []) {
+        if (matchers.length === 0) {
+            return this.resolve(metricPath);
+        }
+
+        const series = this.systemMetrics && this.systemMetrics.getCustomMetricSeries(metricPath);
+        if (!series) {
+            throw new Error(`Label matchers are only supported on custom metrics: ${metricPath}`);
+        }
+
+        for (let i = series.length - 1; i >= 0; i--) {
+            if (matchLabels(series[i].labels, matchers)) {
+                return series[i].value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the stored samples of a metric within a time range
+     *
+     * System and process paths read the collector's per-sample history and
+     * are `samples` series; custom metrics record one sample per event and
+     * are `events` series (see alert expression `rate`/`increase`).
+     *
+     * @param {string} metricPath - Dotted path or custom metric name
+     * @param {Array} matchers - Label matchers (custom metrics only)
+     * @param {number} startTime - Range start (ms since epoch, inclusive)
+     * @param {number} endTime - Range end (ms since epoch, inclusive)
+     * @returns {{kind: string, points: Array<{timestamp: number, value: number}>}} Series
+     */
+    getSeries(metricPath, matchers, startTime, endTime) {
+        const path = PATH_ALIASES[metricPath] || metricPath;
+        const [root, subcategory, ...segments] = path.split('.');
+
+        if (root === 'application') {
+            if (!APPLICATION_METRICS[metricPath]) {
+                throw new UnknownMetricError(metricPath);
+            }
+            throw new Error(`Metric ${metricPath} has no stored series; use it without a range`);
+        }
+
+        if (!this.systemMetrics) {
+            return { kind: 'samples', points: [] };
+        }
+
+        if (root === 'system' || root === 'process') {
+            if (matchers.length > 0) {
+                throw new Error(`Label matchers are only supported on custom metrics: ${metricPath}`);
+            }
+            if (!subcategory || !this.systemMetrics.metrics[root][subcategory]) {
+                throw new UnknownMetricError(metricPath);
+            }
+
+            const samples = this.systemMetrics.getMetricsRange(root, subcategory, startTime, endTime);
+            const points = samples.map((sample) => {
+                const value = segments.reduce(
+                    (node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined),
+                    sample
+                );
+                if (typeof value !== 'number') {
+                    throw new UnknownMetricError(metricPath);
+                }
+                return { timestamp: sample.timestamp, value };
+            });
+
+            return { kind: 'samples', points };
+        }
+
+        const series = this.systemMetrics.getCustomMetricSeries(path);
+        if (!series) {
+            throw new UnknownMetricError(metricPath);
+        }
+
+        const points = series
+            .filter((sample) => sample.timestamp >= startTime && sample.timestamp <= endTime)
+            .filter((sample) => matchLabels(sample.labels, matchers))
+            .map((sample) => ({ timestamp: sample.timestamp, value: sample.value }));
+
+        return { kind: 'events', points };
+    }
+
+    /**
+     * Resolve a path inside the latest system or process sample
+     */
+    resolveSample(category, segments, metricPath) {
+        const sample = this.getLatestSample(category);
+        if (!sample) {
+            return null; // Collector has not produced a sample yet
+        }
+
+        const value = segments.reduce(
+            (node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined),
+            sample
+        );
+
+        if (typeof value !== 'number') {
+            throw new UnknownMetricError(metricPath);
+        }
+
+        return value;
+    }
+
+    /**
+     * Get the latest sample for a category, preferring pushed snapshots
+     */
+    getLatestSample(category) {
+        if (this.snapshot && this.snapshot[category]) {
+            return this.snapshot[category];
+        }
+
+        if (this.systemMetrics) {
+            const latest = this.systemMetrics.getLatestMetric(category);
+            return Object.keys(latest).length > 0 ? latest : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve an application metric from traffic statistics
+     */
+    resolveApplication(metricPath) {
+        const extractor = APPLICATION_METRICS[metricPath];
+        if (!extractor) {
+            throw new UnknownMetricError(metricPath);
+        }
+
+        if (!this.trafficMonitor) {
+            return null;
+        }
+
+        return extractor(this.trafficMonitor.getCurrentStats());
+    }
+
+    /**
+     * Resolve a custom metric to its most recent value
+     */
+    resolveCustom(name) {
+        const series = this.systemMetrics.getCustomMetricSeries(name);
+        if (series.length === 0) {
+            return null;
+        }
+
+        return series[series.length - 1].value;
+    }
+
+    /**
+     * List the metric paths that can currently be resolved
+     */
+    getAvailableMetrics() {
+        const custom = this.systemMetrics
+            ? this.systemMetrics.getStatistics().customMetrics
+            : [];
+
+        return {
+            aliases: Object.keys(PATH_ALIASES),
+            application: Object.keys(APPLICATION_METRICS),
+            custom
+        };
+    }
+}
+
+module.exports = MetricsResolver;
+module.exports.UnknownMetricError = UnknownMetricError;
@@ -0,0 +1,237 @@
+/**
+ * Linux procfs Parsers
+ *
+ * Parses the kernel counters exposed in /proc/stat, /proc/diskstats and
+ * /proc/net/dev, and turns two consecutive readings into utilisation
+ * percentages and per-second rates. Parsers take file contents so they can
+ * be exercised against fixtures; `readProcFile` resolves paths against a
+ * configurable root for the same reason.
+ *
+ * @module procfs
+ * @author DAASR Enterprise Team
+ * @version 2.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Column order of the cpu lines in /proc/stat (clock ticks). `guest` and
+ * `guest_nice` are already included in `user`/`nice` and are skipped.
+ */
+const CPU_FIELDS = ['user', 'nice', 'system', 'idle', 'iowait', 'irq', 'softirq', 'steal'];
+
+/**
+ * /proc/diskstats always reports sectors of 512 bytes, whatever the device's
+ * physical sector size
+ */
+const SECTOR_SIZE = 512;
+
+/**
+ * Virtual block devices that carry no real I/O
+ */
+const IGNORED_DEVICES = /^(loop|ram|zram)\d+$/;
+
+/**
+ * Read a file below the proc root
+ * @param {string} root - Mount point of procfs (normally `/proc`)
+ * @param {string} relativePath - Path inside procfs, e.g. `net/dev`
+ * @returns {Promise<string>} File contents
+ */
+async function readProcFile(root, relativePath) {
+    return fs.readFile(path.join(root, relativePath), 'utf8');
+}
+
+/**
+ * Count the processes on the host (the numeric entries of procfs)
+ * @param {string} root - Mount point of procfs
+ * @returns {Promise<number>} Process count
+ */
+async function countProcesses(root) {
+    const entries = await fs.readdir(root);
+    return entries.filter(entry => /^\d+$/.test(entry)).length;
+}
+
+/**
+ * Parse /proc/stat CPU counters
+ * @param {string} text - Contents of /proc/stat
+ * @returns {{total: Object, cores: Array<Object>, procsRunning: number, procsBlocked: number}}
+ *     Tick counters per CPU_FIELDS and scheduler queue lengths
+ */
+function parseProcStat(text) {
+    const result = { total: null, cores: [], procsRunning: null, procsBlocked: null };
+
+    text.split('\n').forEach(line => {
+        const procs = line.match(/^procs_(running|blocked)\s+(\d+)/);
+        if (procs) {
+            result[procs[1] === 'running' ? 'procsRunning' : 'procsBlocked'] = Number(procs[2]);
+            return;
+        }
+
+        const match = line.match(/^cpu(\d*)\s+(.*)$/);
+        if (!match) return;
+
+        const values = match[2].trim().split(/\s+/).map(Number);
+        const times = {};
+        CPU_FIELDS.forEach((field, index) => {
+            times[field] = values[index] || 0;
+        });
+
+        if (match[1] === '') {
+            result.total = times;
+        } else {
+            result.cores[Number(match[1])] = times;
+        }
+    });
+
+    if (!result.total) {
+        throw new Error('No aggregate cpu line in /proc/stat');
+    }
+
+    return result;
+}
+
+/**
+ * Calculate CPU utilisation between two tick readings
+ * @param {Object} previous - Earlier counters from parseProcStat
+ * @param {Object} current - Later counters from parseProcStat
+ * @returns {{usage: number, user: number, system: number, iowait: number, steal: number}} Percentages
+ */
+function calculateCPUUsage(previous, current) {
+    const deltas = {};
+    let total = 0;
+    CPU_FIELDS.forEach(field => {
+        deltas[field] = Math.max(0, current[field] - previous[field]);
+        total += deltas[field];
+    });
+
+    if (total === 0) {
+        return { usage: 0, user: 0, system: 0, iowait: 0, steal: 0 };
+    }
+
+    // Time spent waiting on I/O is idle from the CPU's point of view
+    const busy = total - deltas.idle - deltas.iowait;
+    const percent = value => Math.round((value / total) * 10000) / 100;
+
+    return {
+        usage: percent(busy),
+        user: percent(deltas.user + deltas.nice),
+        system: percent(deltas.system + deltas.irq + deltas.softirq),
+        iowait: percent(deltas.iowait),
+        steal: percent(deltas.steal)
+    };
+}
+
+/**
+ * Parse /proc/diskstats
+ *
+ * Partitions are dropped when their parent device is listed, so summing the
+ * result does not count the same I/O twice.
+ *
+ * @param {string} text - Contents of /proc/diskstats
+ * @returns {Object<string, Object>} Counters keyed by device name
+ */
+function parseDiskStats(text) {
+    const devices = {};
+
+    text.split('\n').forEach(line => {
+        const columns = line.trim().split(/\s+/);
+        if (columns.length < 14) return;
+
+        const name = columns[2];
+        if (IGNORED_DEVICES.test(name)) return;
+
+        const values = columns.slice(3).map(Number);
+        devices[name] = {
+            reads: values[0],
+            readBytes: values[2] * SECTOR_SIZE,
+            readTimeMs: values[3],
+            writes: values[4],
+            writtenBytes: values[6] * SECTOR_SIZE,
+            writeTimeMs: values[7],
+            inProgress: values[8],
+            ioTimeMs: values[9]
+        };
+    });
+
+    const names = Object.keys(devices);
+    names.forEach(name => {
+        const isPartition = names.some(parent =>
+            parent !== name &&
+            name.startsWith(parent) &&
+            /^p?\d+$/.test(name.slice(parent.length))
+        );
+        if (isPartition) {
+            delete devices[name];
+        }
+    });
+
+    return devices;
+}
+
+/**
+ * Parse /proc/net/dev
+ * @param {string} text - Contents of /proc/net/dev
+ * @returns {Object<string, Object>} Counters keyed by interface name
+ */
+function parseNetDev(text) {
+    const interfaces = {};
+
+    // The first two lines are column headers
+    text.split('\n').slice(2).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+
+        const name = line.slice(0, separator).trim();
+        const values = line.slice(separator + 1).trim().split(/\s+/).map(Number);
+        if (values.length < 16) return;
+
+        interfaces[name] = {
+            rxBytes: values[0],
+            rxPackets: values[1],
+            rxErrors: values[2],
+            rxDropped: values[3],
+            txBytes: values[8],
+            txPackets: values[9],
+            txErrors: values[10],
+            txDropped: values[11]
+        };
+    });
+
+    return interfaces;
+}
+
+/**
+ * Convert two counter readings into per-second rates
+ *
+ * Counters that went backwards (device reset or wrap) report a rate of 0.
+ *
+ * @param {Object} previous - Earlier counters
+ * @param {Object} current - Later counters
+ * @param {number} elapsedMs - Time between the readings
+ * @returns {Object} `<counter>PerSec` for every counter in `current`
+ */
+function calculateRates(previous, current, elapsedMs) {
+    const rates = {};
+
+    Object.keys(current).forEach(field => {
+        const delta = previous ? current[field] - previous[field] : 0;
+        rates[`${field}PerSec`] = elapsedMs > 0 && delta > 0
+            ? Math.round((delta / elapsedMs) * 1000 * 100) / 100
+            : 0;
+    });
+
+    return rates;
+}
+
+module.exports = {
+    CPU_FIELDS,
+    SECTOR_SIZE,
+    readProcFile,
+    countProcesses,
+    parseProcStat,
+    calculateCPUUsage,
+    parseDiskStats,
+    parseNetDev,
+    calculateRates
+};
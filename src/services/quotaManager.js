@@ -0,0 +1,332 @@
+/**
+ * Quota Manager
+ *
+ * Counts each identity's usage per calendar day and month against the
+ * `dailyQuota` and `monthlyQuota` of its API key tier. Periods follow the
+ * configured time zone, so a daily quota resets at local midnight and a
+ * monthly one on the 1st. Usage is persisted to a local JSON file so a
+ * restart does not hand out fresh quotas; writes are batched every
+ * `quotas.flushInterval` ms.
+ *
+ * Emits "softLimit" once per identity and period when usage reaches the
+ * `quotas.softLimit` share of a quota.
+ *
+ * @module quotaManager
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const winston = require("winston");
+const config = require("../config/default");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/daasr.log" }),
+    new winston.transports.Console(),
+  ],
+});
+
+/**
+ * Quota periods and the tier setting holding each one's limit
+ */
+const PERIODS = { daily: "dailyQuota", monthly: "monthlyQuota" };
+
+const formatters = new Map(); // time zone -> Intl.DateTimeFormat
+
+/**
+ * Calendar date and time of an instant in a time zone
+ * @param {number} timestamp - ms since epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function zonedParts(timestamp, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+
+  const formatter = formatters.get(timeZone);
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(timestamp)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * Instant of local midnight on a date in a time zone; out of range months
+ * and days roll over as with Date.UTC
+ * @returns {number} ms since epoch
+ */
+function zonedMidnight(year, month, day, timeZone) {
+  const local = Date.UTC(year, month - 1, day);
+  const offsetAt = (timestamp) => {
+    const p = zonedParts(timestamp, timeZone);
+    const wall = Date.UTC(
+      p.year,
+      p.month - 1,
+      p.day,
+      p.hour,
+      p.minute,
+      p.second
+    );
+    return wall - Math.floor(timestamp / 1000) * 1000;
+  };
+
+  // The offset at the guess can differ from the one at midnight across a
+  // DST change, so correct once with the offset at the first estimate
+  const estimate = local - offsetAt(local);
+  return local - offsetAt(estimate);
+}
+
+/**
+ * The calendar period an instant falls in
+ * @param {string} period - "daily" or "monthly"
+ * @param {number} timestamp - ms since epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {{id: string, resetAt: number}} Period id (e.g. "2026-10-18" or
+ *     "2026-10") and when the next period starts
+ */
+function getPeriod(period, timestamp, timeZone) {
+  const { year, month, day } = zonedParts(timestamp, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+
+  if (period === "monthly") {
+    return {
+      id: `${year}-${pad(month)}`,
+      resetAt: zonedMidnight(year, month + 1, 1, timeZone),
+    };
+  }
+  return {
+    id: `${year}-${pad(month)}-${pad(day)}`,
+    resetAt: zonedMidnight(year, month, day + 1, timeZone),
+  };
+}
+
+class QuotaManager extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON file usage is persisted
+   *     to (null keeps it in memory only)
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath === undefined ? null : options.filePath;
+    this.now = options.now || Date.now;
+    this.usage = new Map(); // identity -> { daily, monthly } counters
+    this.saveTimer = null;
+
+    this.load();
+  }
+
+  /**
+   * Load usage from the quota file, if there is one; an unreadable file is
+   * logged and usage starts empty
+   */
+  load() {
+    this.usage.clear();
+
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      logger.error("Failed to load quota usage, starting empty", {
+        filePath: this.filePath,
+        error: error.message,
+      });
+      return;
+    }
+    Object.entries(data.usage || {}).forEach(([identity, counters]) => {
+      this.usage.set(identity, counters);
+    });
+  }
+
+  /**
+   * Write usage to the quota file (atomically, via rename), leaving out
+   * identities with nothing counted in the current periods
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.filePath) return;
+
+    const { timeZone } = config.get("quotas");
+    const now = this.now();
+    const current = {};
+    Object.keys(PERIODS).forEach((period) => {
+      current[period] = getPeriod(period, now, timeZone).id;
+    });
+    for (const [identity, counters] of this.usage) {
+      const active = Object.keys(PERIODS).some(
+        (period) =>
+          counters[period] && counters[period].period === current[period]
+      );
+      if (!active) this.usage.delete(identity);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const data = { version: 1, usage: Object.fromEntries(this.usage) };
+
+    fs.writeFileSync(tempPath, JSON.stringify(data), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Save now, or within `quotas.flushInterval` ms
+   */
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+
+    const { flushInterval } = config.get("quotas");
+    if (flushInterval === 0) {
+      this.flush();
+      return;
+    }
+    this.saveTimer = setTimeout(() => this.flush(), flushInterval);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write pending usage to disk, logging rather than throwing on failure
+   */
+  flush() {
+    try {
+      this.save();
+    } catch (error) {
+      logger.error("Failed to save quota usage", {
+        filePath: this.filePath,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Usage of an identity in the current periods
+   * @param {string} identity - API key id or client key
+   * @param {Object} tier - Tier limits (e.g. from `resolveTier`)
+   * @returns {Object} Per period { period, limit, used, remaining, resetAt
+   *     (ISO date) }; limit and remaining are null without a quota
+   */
+  getUsage(identity, tier) {
+    const { timeZone } = config.get("quotas");
+    const counters = this.usage.get(identity) || {};
+    const now = this.now();
+    const usage = {};
+
+    Object.entries(PERIODS).forEach(([period, setting]) => {
+      const { id, resetAt } = getPeriod(period, now, timeZone);
+      const counter = counters[period];
+      const used = counter && counter.period === id ? counter.used : 0;
+      const limit = tier[setting] || null;
+
+      usage[period] = {
+        period: id,
+        limit,
+        used,
+        remaining: limit === null ? null : Math.max(0, limit - used),
+        resetAt: new Date(resetAt).toISOString(),
+      };
+    });
+
+    return usage;
+  }
+
+  /**
+   * Count units against an identity's quotas
+   *
+   * Nothing is counted when the units would take any quota over its limit.
+   *
+   * @param {string} identity - API key id or client key
+   * @param {Object} tier - Tier limits (e.g. from `resolveTier`)
+   * @param {number} [units=1] - Units the request uses
+   * @returns {Object} { allowed, exceeded, usage, warnings }: `exceeded` is
+   *     the period whose quota is used up (or null) and `warnings` the
+   *     periods past the soft limit
+   */
+  consume(identity, tier, units = 1) {
+    const settings = config.get("quotas");
+    const limited = Object.keys(PERIODS).filter(
+      (period) => tier[PERIODS[period]]
+    );
+    if (limited.length === 0) {
+      return { allowed: true, exceeded: null, usage: null, warnings: [] };
+    }
+
+    const usage = this.getUsage(identity, tier);
+    const exceeded = limited.find(
+      (period) => usage[period].used + units > usage[period].limit
+    );
+    if (exceeded) {
+      return { allowed: false, exceeded, usage, warnings: [] };
+    }
+
+    const counters = this.usage.get(identity) || {};
+    const warnings = [];
+    for (const period of limited) {
+      const current = usage[period];
+      let counter = counters[period];
+      if (!counter || counter.period !== current.period) {
+        counter = { period: current.period, used: 0, warned: false };
+        counters[period] = counter;
+      }
+
+      counter.used += units;
+      current.used = counter.used;
+      current.remaining = Math.max(0, current.limit - counter.used);
+
+      if (counter.used >= current.limit * settings.softLimit) {
+        warnings.push(period);
+        if (!counter.warned) {
+          counter.warned = true;
+          this.emit("softLimit", {
+            identity,
+            tier: tier.tier,
+            quota: period,
+            ...current,
+          });
+        }
+      }
+    }
+
+    this.usage.set(identity, counters);
+    this.scheduleSave();
+
+    return { allowed: true, exceeded: null, usage, warnings };
+  }
+}
+
+// Create a singleton instance persisted to the configured file
+const quotaManager = new QuotaManager({
+  filePath: config.get("quotaStorePath") || null,
+});
+
+module.exports = quotaManager;
+module.exports.QuotaManager = QuotaManager;
+module.exports.getPeriod = getPeriod;
+module.exports.PERIODS = PERIODS;
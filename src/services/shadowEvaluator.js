@@ -0,0 +1,286 @@
+/**
+ * Shadow Evaluator
+ *
+ * Evaluates candidate DAASR configurations (`shadow.candidates`) on live
+ * traffic next to the enforcing one, without enforcing them. Each candidate
+ * keeps its own counters in the shared store and reads the same request
+ * history, reputation and offenses as the enforcing algorithm. Requests a
+ * candidate would have blocked are logged and counted per policy and
+ * identity, so `getReport` can compare candidates with what was enforced.
+ *
+ * @module shadowEvaluator
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const winston = require("winston");
+const config = require("../config/default");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/daasr.log" }),
+    new winston.transports.Console(),
+  ],
+});
+
+/**
+ * Settings source reading a candidate's settings over the live
+ * configuration
+ * @param {Object} settings - Validated candidate settings
+ * @returns {Object} Object exposing `get(key)` and `getConfig()`
+ */
+function createOverlay(settings) {
+  return {
+    get: (key) =>
+      Object.prototype.hasOwnProperty.call(settings, key)
+        ? settings[key]
+        : config.get(key),
+    getConfig: () => ({ ...config.getConfig(), ...settings }),
+  };
+}
+
+/**
+ * Share of requests blocked
+ */
+function blockRate(blocked, requests) {
+  return requests > 0 ? blocked / requests : 0;
+}
+
+class ShadowEvaluator {
+  /**
+   * @param {Object} options
+   * @param {DAASRAlgorithm} options.algorithm - Enforcing algorithm; each
+   *     candidate is created with its `createShadow`
+   */
+  constructor(options = {}) {
+    this.algorithm = options.algorithm;
+    this.candidates = { source: null, list: [] };
+    this.reset();
+  }
+
+  /**
+   * Whether shadow mode is on and has candidates to evaluate
+   * @returns {boolean}
+   */
+  isEnabled() {
+    const settings = config.get("shadow");
+    return settings.enabled && settings.candidates.length > 0;
+  }
+
+  /**
+   * Get the candidates, creating their algorithms when the configured
+   * candidates change; a change also starts a new report, so candidates
+   * are always compared over the same traffic
+   * @returns {Array<Object>} { name, settings, algorithm } per candidate
+   */
+  getCandidates() {
+    const { candidates } = config.get("shadow");
+
+    if (this.candidates.source !== candidates) {
+      this.candidates = {
+        source: candidates,
+        list: candidates.map((candidate) => ({
+          name: candidate.name,
+          settings: candidate.settings,
+          algorithm: this.algorithm.createShadow(
+            createOverlay(candidate.settings)
+          ),
+        })),
+      };
+      this.reset();
+    }
+
+    return this.candidates.list;
+  }
+
+  /**
+   * Decide a request with every candidate and count it against their limits
+   *
+   * The decisions are made before this returns, so call it before the
+   * enforcing algorithm records the request in its history. Candidate
+   * failures are logged and never reach the caller.
+   *
+   * @param {string} identifier - Client identifier
+   * @param {string} path - Full request path
+   * @param {Object} requestData - Request metadata, as for
+   *     `calculateDynamicLimit`
+   * @param {Function} [price] - Units a request costs under a candidate's
+   *     policy (defaults to the policy's static cost)
+   * @returns {Promise<Array<Object>>} { candidate, policy, allowed, limit,
+   *     remaining } per candidate
+   */
+  evaluate(identifier, path, requestData, price = (policy) => policy.cost) {
+    let decisions;
+    try {
+      decisions = this.getCandidates().map(({ name, algorithm }) => {
+        const policy = algorithm.resolvePolicy(requestData.method, path);
+        const decision = algorithm.calculateDynamicLimit(
+          identifier,
+          { ...requestData, cost: price(policy) },
+          policy
+        );
+        return { name, algorithm, policy, decision };
+      });
+    } catch (error) {
+      logger.error("DAASR shadow evaluation failed", {
+        identifier,
+        error: error.message,
+      });
+      return Promise.resolve([]);
+    }
+
+    return Promise.all(
+      decisions.map(async ({ name, algorithm, policy, decision }) => {
+        try {
+          const result = await algorithm.consume(
+            `shadow:${name}:${policy.name}:${identifier}`,
+            decision
+          );
+          return {
+            candidate: name,
+            policy: policy.name,
+            allowed: result.allowed,
+            limit: result.limit,
+            remaining: result.remaining,
+          };
+        } catch (error) {
+          logger.error("DAASR shadow store error", {
+            candidate: name,
+            identifier,
+            error: error.message,
+          });
+          return null;
+        }
+      })
+    ).then((outcomes) => outcomes.filter(Boolean));
+  }
+
+  /**
+   * Count a request's enforced outcome and its candidates' outcomes
+   * @param {string} identifier - Client identifier
+   * @param {Object} enforced - { policy, allowed } of the enforcing algorithm
+   * @param {Array<Object>} outcomes - Result of `evaluate`
+   */
+  record(identifier, enforced, outcomes) {
+    const settings = config.get("shadow");
+    const { enforcing } = this.stats;
+
+    enforcing.requests += 1;
+    enforcing.blocked += enforced.allowed ? 0 : 1;
+    const enforcedPolicy = enforcing.policies[enforced.policy] || {
+      requests: 0,
+      blocked: 0,
+    };
+    enforcedPolicy.requests += 1;
+    enforcedPolicy.blocked += enforced.allowed ? 0 : 1;
+    enforcing.policies[enforced.policy] = enforcedPolicy;
+
+    for (const outcome of outcomes) {
+      const stats = this.getCandidateStats(outcome.candidate);
+      const policy = stats.policies[outcome.policy] || {
+        requests: 0,
+        wouldBlock: 0,
+      };
+      stats.requests += 1;
+      policy.requests += 1;
+      stats.policies[outcome.policy] = policy;
+
+      if (outcome.allowed) {
+        stats.wouldAllowBlocked += enforced.allowed ? 0 : 1;
+        continue;
+      }
+
+      stats.wouldBlock += 1;
+      policy.wouldBlock += 1;
+      stats.wouldBlockAllowed += enforced.allowed ? 1 : 0;
+
+      // Most recently blocked identities are kept when the map is full
+      const blocked = (stats.identities.get(identifier) || 0) + 1;
+      stats.identities.delete(identifier);
+      stats.identities.set(identifier, blocked);
+      if (stats.identities.size > settings.maxIdentities) {
+        stats.identities.delete(stats.identities.keys().next().value);
+      }
+
+      if (settings.logDecisions) {
+        logger.info("DAASR shadow candidate would block", {
+          candidate: outcome.candidate,
+          policy: outcome.policy,
+          identifier,
+          limit: outcome.limit,
+          enforcedAllowed: enforced.allowed,
+        });
+      }
+    }
+  }
+
+  /**
+   * Get (or start) a candidate's counts
+   */
+  getCandidateStats(name) {
+    if (!this.stats.candidates[name]) {
+      this.stats.candidates[name] = {
+        requests: 0,
+        wouldBlock: 0,
+        wouldBlockAllowed: 0, // blocked by the candidate only
+        wouldAllowBlocked: 0, // blocked by the enforcing algorithm only
+        policies: {},
+        identities: new Map(), // identifier -> would-block count
+      };
+    }
+    return this.stats.candidates[name];
+  }
+
+  /**
+   * Start a new report
+   */
+  reset() {
+    this.stats = {
+      since: Date.now(),
+      enforcing: { requests: 0, blocked: 0, policies: {} },
+      candidates: {},
+    };
+  }
+
+  /**
+   * Compare the candidates with the enforcing configuration
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - Identities listed per candidate,
+   *     most blocked first
+   * @returns {Object} { enabled, since, enforcing, candidates }
+   */
+  getReport({ limit = 10 } = {}) {
+    const candidates = this.getCandidates();
+    const { enforcing } = this.stats;
+
+    return {
+      enabled: this.isEnabled(),
+      since: new Date(this.stats.since).toISOString(),
+      enforcing: {
+        ...enforcing,
+        blockRate: blockRate(enforcing.blocked, enforcing.requests),
+      },
+      candidates: candidates.map(({ name, settings }) => {
+        const { identities, ...stats } = this.getCandidateStats(name);
+        return {
+          name,
+          settings,
+          ...stats,
+          blockRate: blockRate(stats.wouldBlock, stats.requests),
+          topIdentities: [...identities]
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, limit)
+            .map(([identity, wouldBlock]) => ({ identity, wouldBlock })),
+        };
+      }),
+    };
+  }
+}
+
+module.exports = ShadowEvaluator;
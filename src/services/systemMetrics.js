@@ -11,9 +11,27 @@
 
 const os = require('os');
 const fs = require('fs').promises;
-const { performance } = require('perf_hooks');
+const { performance, monitorEventLoopDelay, PerformanceObserver, constants } = require('perf_hooks');
 const EventEmitter = require('events');
 const winston = require('winston');
+const procfs = require('./procfs');
+const MetricsRegistry = require('./metricsRegistry');
+
+/**
+ * Names for the `detail.kind` of `gc` performance entries
+ */
+const GC_KINDS = {
+    [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+    [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+    [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+    [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+/**
+ * Sampling interval of the event loop delay timer (ms). The histogram
+ * records the full time between timer ticks, so this is subtracted.
+ */
+const EVENT_LOOP_RESOLUTION = 10;
 
 class SystemMetricsCollector extends EventEmitter {
     constructor(options = {}) {
@@ -22,6 +40,18 @@ class SystemMetricsCollector extends EventEmitter {
         this.retentionPeriod = options.retentionPeriod || 3600000; // 1 hour
         this.maxDataPoints = options.maxDataPoints || 3600; // 1 hour of data
         
+        // Linux collectors read kernel counters from procfs; other platforms
+        // (or an unreadable /proc) fall back to the portable os module
+        this.procRoot = options.procRoot || '/proc';
+        this.useProcfs = options.useProcfs !== undefined
+            ? options.useProcfs
+            : process.platform === 'linux';
+        this.filesystems = options.filesystems || ['/'];
+        
+        // Typed series for Prometheus export. Custom metrics not registered
+        // here beforehand are exported as gauges of their latest value.
+        this.registry = options.registry || new MetricsRegistry();
+        
         // Metrics storage with circular buffers
         this.metrics = {
             system: {
@@ -55,6 +85,16 @@ class SystemMetricsCollector extends EventEmitter {
         
         this.isCollecting = false;
         this.collectTimer = null;
+        this.previousCPUTimes = null;
+        this.previousProcStat = null;
+        this.previousDiskStats = null;
+        this.previousNetDev = null;
+        
+        // Event loop and GC instrumentation, active while collecting
+        this.eventLoopDelay = null;
+        this.previousELU = null;
+        this.gcObserver = null;
+        this.gcStats = {};
         
         // Logger for metrics
         this.logger = winston.createLogger({
@@ -94,6 +134,7 @@ class SystemMetricsCollector extends EventEmitter {
         if (this.isCollecting) return;
         
         this.isCollecting = true;
+        this.startInstrumentation();
         this.collectTimer = setInterval(() => {
             this.collectAllMetrics();
         }, this.collectInterval);
@@ -117,11 +158,53 @@ class SystemMetricsCollector extends EventEmitter {
             clearInterval(this.collectTimer);
             this.collectTimer = null;
         }
+        this.stopInstrumentation();
         
         this.logger.info('System metrics collection stopped');
         this.emit('stopped');
     }
     
+    /**
+     * Start event loop delay sampling and GC observation
+     */
+    startInstrumentation() {
+        this.eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION });
+        this.eventLoopDelay.enable();
+        this.previousELU = performance.eventLoopUtilization();
+        
+        this.gcObserver = new PerformanceObserver(list => {
+            list.getEntries().forEach(entry => this.recordGC(entry));
+        });
+        this.gcObserver.observe({ entryTypes: ['gc'] });
+    }
+    
+    /**
+     * Stop event loop delay sampling and GC observation
+     */
+    stopInstrumentation() {
+        if (this.eventLoopDelay) {
+            this.eventLoopDelay.disable();
+            this.eventLoopDelay = null;
+        }
+        if (this.gcObserver) {
+            this.gcObserver.disconnect();
+            this.gcObserver = null;
+        }
+        this.previousELU = null;
+    }
+    
+    /**
+     * Accumulate a `gc` performance entry into per-kind pause statistics
+     */
+    recordGC(entry) {
+        const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'unknown';
+        const stats = this.gcStats[kind] || (this.gcStats[kind] = { count: 0, duration: 0, maxDuration: 0 });
+        
+        stats.count++;
+        stats.duration += entry.duration;
+        stats.maxDuration = Math.max(stats.maxDuration, entry.duration);
+    }
+    
     /**
      * Collect all metrics
      */
@@ -156,13 +239,14 @@ class SystemMetricsCollector extends EventEmitter {
      * Collect system-level metrics
      */
     async collectSystemMetrics() {
+        const timestamp = Date.now();
         const metrics = {
-            timestamp: Date.now(),
+            timestamp,
             cpu: await this.getCPUMetrics(),
             memory: this.getMemoryMetrics(),
-            disk: await this.getDiskMetrics(),
-            network: await this.getNetworkMetrics(),
-            load: this.getLoadMetrics()
+            disk: await this.getDiskMetrics(timestamp),
+            network: await this.getNetworkMetrics(timestamp),
+            load: await this.getLoadMetrics()
         };
         
         return metrics;
@@ -172,12 +256,83 @@ class SystemMetricsCollector extends EventEmitter {
      * Get CPU metrics
      */
     async getCPUMetrics() {
+        if (this.useProcfs) {
+            try {
+                return await this.getProcCPUMetrics();
+            } catch (error) {
+                this.logger.warn('Falling back to os.cpus() for CPU metrics', { error: error.message });
+                this.useProcfs = false;
+            }
+        }
+        
+        return this.getOSCPUMetrics();
+    }
+    
+    /**
+     * Get CPU metrics from /proc/stat tick deltas since the previous sample
+     */
+    async getProcCPUMetrics() {
+        const current = procfs.parseProcStat(await procfs.readProcFile(this.procRoot, 'stat'));
+        const previous = this.previousProcStat;
+        this.previousProcStat = current;
+        
+        const usage = previous
+            ? procfs.calculateCPUUsage(previous.total, current.total)
+            : procfs.calculateCPUUsage(current.total, current.total);
         const cpus = os.cpus();
-        const usage = process.cpuUsage();
         
-        // Calculate CPU usage percentage
-        const totalCPU = usage.user + usage.system;
-        const cpuPercent = (totalCPU / 1000000) / os.cpus().length;
+        const coreMetrics = current.cores.map((times, index) => {
+            const coreUsage = previous && previous.cores[index]
+                ? procfs.calculateCPUUsage(previous.cores[index], times)
+                : procfs.calculateCPUUsage(times, times);
+            
+            return {
+                core: index,
+                usage: coreUsage.usage,
+                user: coreUsage.user,
+                system: coreUsage.system,
+                iowait: coreUsage.iowait,
+                frequency: cpus[index] ? cpus[index].speed : null,
+                model: cpus[index] ? cpus[index].model : null
+            };
+        });
+        
+        return {
+            overall: usage.usage,
+            user: usage.user,
+            system: usage.system,
+            iowait: usage.iowait,
+            steal: usage.steal,
+            cores: coreMetrics,
+            count: coreMetrics.length,
+            architecture: os.arch(),
+            loadAverage: os.loadavg(),
+            source: 'procfs'
+        };
+    }
+    
+    /**
+     * Get CPU metrics from os.cpus(), for platforms without procfs
+     */
+    getOSCPUMetrics() {
+        const cpus = os.cpus();
+        
+        // Calculate host CPU usage percentage from the change in busy/idle
+        // time across all cores since the previous sample
+        const totals = cpus.reduce((acc, cpu) => {
+            const times = cpu.times;
+            acc.idle += times.idle;
+            acc.total += times.user + times.nice + times.sys + times.idle + times.irq;
+            return acc;
+        }, { idle: 0, total: 0 });
+        
+        let cpuPercent = 0;
+        if (this.previousCPUTimes) {
+            const totalDelta = totals.total - this.previousCPUTimes.total;
+            const idleDelta = totals.idle - this.previousCPUTimes.idle;
+            cpuPercent = totalDelta > 0 ? ((totalDelta - idleDelta) / totalDelta) * 100 : 0;
+        }
+        this.previousCPUTimes = totals;
         
         // Get per-core metrics
         const coreMetrics = cpus.map((cpu, index) => {
@@ -199,7 +354,8 @@ class SystemMetricsCollector extends EventEmitter {
             cores: coreMetrics,
             count: cpus.length,
             architecture: os.arch(),
-            loadAverage: os.loadavg()
+            loadAverage: os.loadavg(),
+            source: 'os'
         };
     }
     
@@ -233,27 +389,101 @@ class SystemMetricsCollector extends EventEmitter {
     
     /**
      * Get disk metrics
+     * @param {number} [timestamp] - Sample time used to compute I/O rates
      */
-    async getDiskMetrics() {
-        try {
-            const stats = await fs.stat('.');
-            return {
-                available: true,
-                // Note: More detailed disk metrics would require platform-specific implementations
-                timestamp: Date.now()
-            };
-        } catch (error) {
-            return {
-                available: false,
-                error: error.message
+    async getDiskMetrics(timestamp = Date.now()) {
+        const metrics = {
+            available: false,
+            filesystems: await this.getFilesystemMetrics()
+        };
+        metrics.available = metrics.filesystems.some(filesystem => !filesystem.error);
+        
+        if (this.useProcfs) {
+            try {
+                metrics.io = await this.getDiskIOMetrics(timestamp);
+            } catch (error) {
+                metrics.io = { error: error.message };
+            }
+        }
+        
+        return metrics;
+    }
+    
+    /**
+     * Get usage of the configured mount points via statfs
+     */
+    async getFilesystemMetrics() {
+        if (typeof fs.statfs !== 'function') {
+            return this.filesystems.map(mount => ({ mount, error: 'statfs is not supported' }));
+        }
+        
+        return Promise.all(this.filesystems.map(async mount => {
+            try {
+                const stats = await fs.statfs(mount);
+                const total = stats.blocks * stats.bsize;
+                const free = stats.bfree * stats.bsize;
+                const available = stats.bavail * stats.bsize;
+                const used = total - free;
+                
+                // Same basis as df: blocks reserved for root count as neither
+                // used nor available to unprivileged processes
+                const usable = used + available;
+                
+                return {
+                    mount,
+                    total,
+                    used,
+                    free,
+                    available,
+                    usagePercent: usable > 0 ? Math.round((used / usable) * 10000) / 100 : 0,
+                    inodes: {
+                        total: stats.files,
+                        free: stats.ffree
+                    }
+                };
+            } catch (error) {
+                return { mount, error: error.message };
+            }
+        }));
+    }
+    
+    /**
+     * Get per-device I/O rates from /proc/diskstats
+     */
+    async getDiskIOMetrics(timestamp) {
+        const current = procfs.parseDiskStats(await procfs.readProcFile(this.procRoot, 'diskstats'));
+        const previous = this.previousDiskStats;
+        this.previousDiskStats = { devices: current, timestamp };
+        
+        const elapsed = previous ? timestamp - previous.timestamp : 0;
+        const devices = {};
+        const totals = { readBytesPerSec: 0, writtenBytesPerSec: 0, readsPerSec: 0, writesPerSec: 0 };
+        
+        for (const [name, counters] of Object.entries(current)) {
+            const rates = procfs.calculateRates(previous && previous.devices[name], counters, elapsed);
+            devices[name] = {
+                readBytesPerSec: rates.readBytesPerSec,
+                writtenBytesPerSec: rates.writtenBytesPerSec,
+                readsPerSec: rates.readsPerSec,
+                writesPerSec: rates.writesPerSec,
+                // Milliseconds spent doing I/O per second of wall time
+                utilization: Math.min(100, Math.round(rates.ioTimeMsPerSec * 10) / 100),
+                inProgress: counters.inProgress
             };
+            
+            Object.keys(totals).forEach(key => {
+                totals[key] += rates[key];
+            });
         }
+        
+        return { devices, ...totals };
     }
     
     /**
      * Get network metrics
+     * @param {number} [timestamp] - Sample time used to compute traffic rates
      */
-    async getNetworkMetrics() {
+    async getNetworkMetrics(timestamp = Date.now()) {
         const interfaces = os.networkInterfaces();
         const metrics = {};
         
@@ -266,16 +496,59 @@ class SystemMetricsCollector extends EventEmitter {
             }));
         }
         
-        return {
+        const result = {
             interfaces: metrics,
             hostname: os.hostname()
         };
+        
+        if (this.useProcfs) {
+            try {
+                Object.assign(result, await this.getNetworkTrafficMetrics(timestamp));
+            } catch (error) {
+                result.error = error.message;
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Get per-interface traffic rates from /proc/net/dev
+     */
+    async getNetworkTrafficMetrics(timestamp) {
+        const current = procfs.parseNetDev(await procfs.readProcFile(this.procRoot, 'net/dev'));
+        const previous = this.previousNetDev;
+        this.previousNetDev = { interfaces: current, timestamp };
+        
+        const elapsed = previous ? timestamp - previous.timestamp : 0;
+        const traffic = {};
+        const totals = {
+            rxBytesPerSec: 0,
+            txBytesPerSec: 0,
+            rxPacketsPerSec: 0,
+            txPacketsPerSec: 0,
+            rxErrorsPerSec: 0,
+            txErrorsPerSec: 0
+        };
+        
+        for (const [name, counters] of Object.entries(current)) {
+            const rates = procfs.calculateRates(previous && previous.interfaces[name], counters, elapsed);
+            traffic[name] = rates;
+            
+            // Loopback traffic never leaves the host
+            if (name === 'lo') continue;
+            Object.keys(totals).forEach(key => {
+                totals[key] += rates[key];
+            });
+        }
+        
+        return { traffic, totals };
     }
     
     /**
      * Get system load metrics
      */
-    getLoadMetrics() {
+    async getLoadMetrics() {
         const loadAvg = os.loadavg();
         const uptime = os.uptime();
         
@@ -284,13 +557,30 @@ class SystemMetricsCollector extends EventEmitter {
             load5: loadAvg[1],
             load15: loadAvg[2],
             uptime: uptime,
-            processes: {
-                // Would require platform-specific implementations for accurate process count
-                estimated: Math.floor(Math.random() * 200) + 100
-            }
+            processes: await this.getProcessCounts()
         };
     }
     
+    /**
+     * Count host processes from procfs; null where procfs is unavailable
+     */
+    async getProcessCounts() {
+        if (!this.useProcfs) {
+            return { total: null, running: null, blocked: null };
+        }
+        
+        try {
+            const [total, stat] = await Promise.all([
+                procfs.countProcesses(this.procRoot),
+                procfs.readProcFile(this.procRoot, 'stat').then(procfs.parseProcStat)
+            ]);
+            
+            return { total, running: stat.procsRunning, blocked: stat.procsBlocked };
+        } catch (error) {
+            return { total: null, running: null, blocked: null, error: error.message };
+        }
+    }
+    
     /**
      * Collect process-level metrics
      */
@@ -305,29 +595,105 @@ class SystemMetricsCollector extends EventEmitter {
             memory: memUsage,
             cpu: cpuUsage,
             eventLoop: this.getEventLoopMetrics(),
-            handles: {
-                // Approximations - real implementations would use native modules
-                open: Math.floor(Math.random() * 100) + 10,
-                total: Math.floor(Math.random() * 1000) + 100
-            }
+            gc: this.getGCMetrics(),
+            handles: this.getHandleMetrics()
         };
     }
     
     /**
-     * Get event loop metrics
+     * Get event loop metrics for the interval since the previous sample
+     *
+     * Delay comes from the monitorEventLoopDelay histogram (reset after every
+     * sample) and is reported in milliseconds; `lag` is the mean delay.
+     * Utilization is the fraction of the interval the loop spent busy.
      */
     getEventLoopMetrics() {
-        const start = performance.now();
+        const metrics = {
+            lag: 0,
+            min: 0,
+            max: 0,
+            stddev: 0,
+            p50: 0,
+            p90: 0,
+            p99: 0,
+            utilization: 0
+        };
+        
+        const histogram = this.eventLoopDelay;
+        if (histogram && histogram.count > 0) {
+            const toMs = nanoseconds =>
+                Math.max(0, Math.round((nanoseconds / 1e6 - EVENT_LOOP_RESOLUTION) * 100) / 100);
+            metrics.lag = toMs(histogram.mean);
+            metrics.min = toMs(histogram.min);
+            metrics.max = toMs(histogram.max);
+            metrics.stddev = Math.round(histogram.stddev / 1e4) / 100;
+            metrics.p50 = toMs(histogram.percentile(50));
+            metrics.p90 = toMs(histogram.percentile(90));
+            metrics.p99 = toMs(histogram.percentile(99));
+            histogram.reset();
+        }
         
-        // Measure event loop lag
-        setImmediate(() => {
-            const lag = performance.now() - start;
-            this.emit('eventLoopLag', lag);
+        if (this.previousELU) {
+            const current = performance.eventLoopUtilization();
+            const interval = performance.eventLoopUtilization(current, this.previousELU);
+            metrics.utilization = Math.round(interval.utilization * 10000) / 10000;
+            this.previousELU = current;
+        }
+        
+        this.emit('eventLoopLag', metrics.lag);
+        return metrics;
+    }
+    
+    /**
+     * Get cumulative GC pause statistics by kind (durations in milliseconds)
+     */
+    getGCMetrics() {
+        const byKind = {};
+        let count = 0;
+        let duration = 0;
+        
+        for (const [kind, stats] of Object.entries(this.gcStats)) {
+            byKind[kind] = {
+                count: stats.count,
+                duration: Math.round(stats.duration * 100) / 100,
+                maxDuration: Math.round(stats.maxDuration * 100) / 100
+            };
+            count += stats.count;
+            duration += stats.duration;
+        }
+        
+        return {
+            count,
+            duration: Math.round(duration * 100) / 100,
+            byKind
+        };
+    }
+    
+    /**
+     * Get the libuv handles and requests keeping the event loop alive
+     */
+    getHandleMetrics() {
+        if (typeof process.getActiveResourcesInfo !== 'function') {
+            return { open: null, requests: null, total: null, byType: {} };
+        }
+        
+        const byType = {};
+        let requests = 0;
+        const resources = process.getActiveResourcesInfo();
+        
+        resources.forEach(type => {
+            byType[type] = (byType[type] || 0) + 1;
+            // Requests are short-lived operations (FSReqCallback, WriteWrap, ...)
+            if (/Req|WriteWrap|ShutdownWrap/.test(type)) {
+                requests++;
+            }
         });
         
         return {
-            lag: 0, // Will be updated by the callback
-            utilization: Math.random() * 0.1 // Simulated - real implementation would use perf_hooks
+            open: resources.length - requests,
+            requests,
+            total: resources.length,
+            byType
         };
     }
     
@@ -335,23 +701,17 @@ class SystemMetricsCollector extends EventEmitter {
      * Add metric to storage
      */
     addMetric(category, data, timestamp) {
-        const metric = { ...data, timestamp };
-        
-        if (category === 'system') {
-            Object.keys(data).forEach(key => {
-                if (key !== 'timestamp' && this.metrics.system[key]) {
-                    this.metrics.system[key].push(metric);
-                    this.trimMetricArray(this.metrics.system[key]);
-                }
-            });
-        } else if (category === 'process') {
-            Object.keys(data).forEach(key => {
-                if (key !== 'timestamp' && this.metrics.process[key]) {
-                    this.metrics.process[key].push(metric);
-                    this.trimMetricArray(this.metrics.process[key]);
-                }
-            });
-        }
+        const storage = this.metrics[category];
+        if (category !== 'system' && category !== 'process') return;
+        
+        // Each subcategory keeps its own series, e.g. system.cpu holds CPU
+        // samples only, so `getLatestMetric('system').cpu.overall` resolves
+        Object.keys(data).forEach(key => {
+            if (key !== 'timestamp' && storage[key]) {
+                storage[key].push({ ...data[key], timestamp });
+                this.trimMetricArray(storage[key]);
+            }
+        });
     }
     
     /**
@@ -368,9 +728,25 @@ class SystemMetricsCollector extends EventEmitter {
         this.metrics.custom.get(name).push(metric);
         this.trimMetricArray(this.metrics.custom.get(name));
         
+        try {
+            const series = this.registry.get(name) ||
+                this.registry.gauge({ name, help: 'Custom application metric' });
+            series.record(labels, value);
+        } catch (error) {
+            this.logger.warn('Custom metric not exported', { name, error: error.message });
+        }
+        
         this.emit('customMetric', { name, ...metric });
     }
     
+    /**
+     * Get the stored samples of a custom metric
+     * @returns {Array|undefined} Samples ({ value, labels, timestamp }), or undefined if never recorded
+     */
+    getCustomMetricSeries(name) {
+        return this.metrics.custom.get(name);
+    }
+    
     /**
      * Trim metric array to max size
      */
@@ -519,59 +895,57 @@ class SystemMetricsCollector extends EventEmitter {
     
     /**
      * Format metrics for Prometheus
+     *
+     * Host and process gauges are taken from the latest samples; application
+     * metrics come from the registry with one series per label set.
      */
     formatPrometheusMetrics(metrics) {
-        let output = '';
+        const snapshot = new MetricsRegistry();
+        const gauge = (name, help, value, labels = {}) => {
+            if (typeof value === 'number') {
+                snapshot.gauge({ name, help }).set(labels, value);
+            }
+        };
         
-        // System metrics
-        if (metrics.system?.cpu) {
-            output += `# HELP system_cpu_usage_percent System CPU usage percentage\n`;
-            output += `# TYPE system_cpu_usage_percent gauge\n`;
-            output += `system_cpu_usage_percent ${metrics.system.cpu.overall || 0}\n\n`;
-        }
+        const system = metrics.system || {};
+        const proc = metrics.process || {};
         
-        if (metrics.system?.memory) {
-            output += `# HELP system_memory_usage_percent System memory usage percentage\n`;
-            output += `# TYPE system_memory_usage_percent gauge\n`;
-            output += `system_memory_usage_percent ${metrics.system.memory.system?.usagePercent || 0}\n\n`;
-            
-            output += `# HELP system_memory_total_bytes Total system memory in bytes\n`;
-            output += `# TYPE system_memory_total_bytes gauge\n`;
-            output += `system_memory_total_bytes ${metrics.system.memory.system?.total || 0}\n\n`;
-        }
+        gauge('system_cpu_usage_percent', 'System CPU usage percentage', system.cpu?.overall);
+        gauge('system_memory_usage_percent', 'System memory usage percentage', system.memory?.system?.usagePercent);
+        gauge('system_memory_total_bytes', 'Total system memory in bytes', system.memory?.system?.total);
+        gauge('system_load_average_1m', 'System load average 1 minute', system.load?.load1);
+        gauge('system_processes', 'Number of processes on the host', system.load?.processes?.total);
         
-        if (metrics.system?.load) {
-            output += `# HELP system_load_average_1m System load average 1 minute\n`;
-            output += `# TYPE system_load_average_1m gauge\n`;
-            output += `system_load_average_1m ${metrics.system.load.load1 || 0}\n\n`;
+        (system.disk?.filesystems || []).forEach(filesystem => {
+            gauge('system_filesystem_usage_percent', 'Filesystem usage percentage',
+                filesystem.usagePercent, { mount: filesystem.mount });
+        });
+        for (const [device, io] of Object.entries(system.disk?.io?.devices || {})) {
+            gauge('system_disk_read_bytes_per_second', 'Disk read throughput', io.readBytesPerSec, { device });
+            gauge('system_disk_written_bytes_per_second', 'Disk write throughput', io.writtenBytesPerSec, { device });
         }
-        
-        // Process metrics
-        if (metrics.process?.memory) {
-            output += `# HELP process_memory_heap_used_bytes Process heap memory used in bytes\n`;
-            output += `# TYPE process_memory_heap_used_bytes gauge\n`;
-            output += `process_memory_heap_used_bytes ${metrics.process.memory.heapUsed || 0}\n\n`;
+        for (const [iface, traffic] of Object.entries(system.network?.traffic || {})) {
+            gauge('system_network_receive_bytes_per_second', 'Network receive throughput',
+                traffic.rxBytesPerSec, { interface: iface });
+            gauge('system_network_transmit_bytes_per_second', 'Network transmit throughput',
+                traffic.txBytesPerSec, { interface: iface });
         }
         
-        // Custom metrics
-        for (const [name, values] of this.metrics.custom) {
-            if (values.length > 0) {
-                const latest = values[values.length - 1];
-                output += `# HELP ${name} Custom application metric\n`;
-                output += `# TYPE ${name} gauge\n`;
-                
-                if (latest.labels && Object.keys(latest.labels).length > 0) {
-                    const labelStr = Object.entries(latest.labels)
-                        .map(([key, value]) => `${key}="${value}"`)
-                        .join(',');
-                    output += `${name}{${labelStr}} ${latest.value}\n\n`;
-                } else {
-                    output += `${name} ${latest.value}\n\n`;
-                }
-            }
+        gauge('process_memory_heap_used_bytes', 'Process heap memory used in bytes', proc.memory?.heapUsed);
+        gauge('process_event_loop_lag_ms', 'Mean event loop delay in milliseconds', proc.eventLoop?.lag);
+        gauge('process_event_loop_lag_p99_ms', '99th percentile event loop delay in milliseconds', proc.eventLoop?.p99);
+        gauge('process_event_loop_utilization', 'Event loop utilization ratio', proc.eventLoop?.utilization);
+        gauge('process_active_handles', 'Active libuv handles', proc.handles?.open);
+        gauge('process_active_requests', 'Active libuv requests', proc.handles?.requests);
+        
+        for (const [kind, stats] of Object.entries(proc.gc?.byKind || {})) {
+            snapshot.counter({ name: 'process_gc_pauses_total', help: 'Garbage collection pauses' })
+                .inc({ kind }, stats.count);
+            snapshot.counter({ name: 'process_gc_pause_ms_total', help: 'Time spent in garbage collection pauses' })
+                .inc({ kind }, stats.duration);
         }
         
-        return output;
+        return [snapshot.render(), this.registry.render()].filter(Boolean).join('\n');
     }
     
     /**
@@ -592,6 +966,7 @@ class SystemMetricsCollector extends EventEmitter {
         this.metrics.application.errors = [];
         this.metrics.application.rateLimits = [];
         this.metrics.custom.clear();
+        this.registry.reset();
         
         this.logger.info('All metrics reset');
         this.emit('reset');
@@ -0,0 +1,260 @@
+/**
+ * Traffic Buckets
+ *
+ * Fixed-size ring of per-second buckets holding aggregated request and
+ * response counters and a latency sketch. Recording touches one bucket and
+ * queries visit at most one bucket per second of the requested range, so
+ * cost does not grow with the request rate.
+ *
+ * @module trafficBuckets
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const QuantileSketch = require("../utils/quantileSketch");
+
+/**
+ * Increment a counter in a plain-object tally
+ */
+function tally(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+class TrafficBuckets {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size=3600] - Number of one-second buckets kept
+   */
+  constructor(options = {}) {
+    this.size = options.size || 3600;
+    this.slots = new Array(this.size).fill(null);
+
+    // Summaries of completed seconds per window length. Past buckets no
+    // longer change, so each is reused until the clock enters a new second.
+    this.completedCache = new Map();
+  }
+
+  /**
+   * Create an empty bucket for a second
+   */
+  createBucket(second) {
+    return {
+      second,
+      requests: 0,
+      responses: 0,
+      errors: 0,
+      responseTimeSum: 0,
+      responseTimeMax: 0,
+      latency: new QuantileSketch(),
+      endpointLatency: new Map(),
+      statusCodes: {},
+      methods: {},
+      endpoints: {},
+      ips: {},
+      clients: {},
+      userAgents: {},
+    };
+  }
+
+  /**
+   * Get the bucket for a timestamp, recycling the slot if it holds an
+   * older second
+   * @param {number} timestamp - Time in ms since epoch
+   * @returns {Object} Bucket
+   */
+  bucketFor(timestamp) {
+    const second = Math.floor(timestamp / 1000);
+    const slot = second % this.size;
+    let bucket = this.slots[slot];
+
+    if (!bucket || bucket.second !== second) {
+      bucket = this.createBucket(second);
+      this.slots[slot] = bucket;
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Record an incoming request
+   * @param {number} timestamp - Time in ms since epoch
+   * @param {Object} request - { ip, client, method, url, userAgent }
+   */
+  recordRequest(timestamp, request) {
+    const bucket = this.bucketFor(timestamp);
+
+    bucket.requests++;
+    tally(bucket.methods, request.method);
+    tally(bucket.endpoints, String(request.url || "").split("?")[0]);
+    tally(bucket.ips, request.ip);
+    tally(bucket.clients, request.client || request.ip);
+    tally(bucket.userAgents, request.userAgent);
+  }
+
+  /**
+   * Record a completed response
+   * @param {number} timestamp - Time in ms since epoch
+   * @param {Object} response - { responseTime, statusCode, url }
+   */
+  recordResponse(timestamp, response) {
+    const bucket = this.bucketFor(timestamp);
+    const responseTime = response.responseTime || 0;
+
+    bucket.responses++;
+    bucket.responseTimeSum += responseTime;
+    bucket.responseTimeMax = Math.max(bucket.responseTimeMax, responseTime);
+    bucket.latency.add(responseTime);
+
+    if (response.url) {
+      const endpoint = String(response.url).split("?")[0];
+      if (!bucket.endpointLatency.has(endpoint)) {
+        bucket.endpointLatency.set(endpoint, new QuantileSketch());
+      }
+      bucket.endpointLatency.get(endpoint).add(responseTime);
+    }
+    tally(bucket.statusCodes, response.statusCode);
+
+    if (response.statusCode >= 400) {
+      bucket.errors++;
+    }
+  }
+
+  /**
+   * Get the live buckets covering a time range, oldest first
+   * @param {number} startTime - Range start in ms (exclusive)
+   * @param {number} endTime - Range end in ms (inclusive)
+   * @returns {Array<Object>} Buckets
+   */
+  range(startTime, endTime) {
+    const last = Math.floor(endTime / 1000);
+    const first = Math.max(
+      Math.floor(startTime / 1000) + 1,
+      last - this.size + 1
+    );
+    const buckets = [];
+
+    for (let second = first; second <= last; second++) {
+      const bucket = this.slots[second % this.size];
+      if (bucket && bucket.second === second) {
+        buckets.push(bucket);
+      }
+    }
+
+    return buckets;
+  }
+
+  /**
+   * Aggregate the buckets of a time range
+   * @param {number} startTime - Range start in ms (exclusive)
+   * @param {number} endTime - Range end in ms (inclusive)
+   * @returns {Object} Totals, maximum response time and merged latency sketch
+   */
+  summarize(startTime, endTime) {
+    return this.range(startTime, endTime).reduce(
+      (summary, bucket) => this.addToSummary(summary, bucket),
+      this.createSummary()
+    );
+  }
+
+  /**
+   * Merge the per-endpoint latency sketches of a time range
+   * @param {number} startTime - Range start in ms (exclusive)
+   * @param {number} endTime - Range end in ms (inclusive)
+   * @returns {Map<string, QuantileSketch>} Sketch per endpoint
+   */
+  endpointLatency(startTime, endTime) {
+    const sketches = new Map();
+
+    this.range(startTime, endTime).forEach((bucket) => {
+      for (const [endpoint, sketch] of bucket.endpointLatency) {
+        if (!sketches.has(endpoint)) {
+          sketches.set(endpoint, new QuantileSketch());
+        }
+        sketches.get(endpoint).merge(sketch);
+      }
+    });
+
+    return sketches;
+  }
+
+  /**
+   * Aggregate the most recent window ending at `now`, including the
+   * current (still filling) second
+   *
+   * Cheap enough to call on every request: completed seconds are summarized
+   * once per second and only the current bucket is added on each call.
+   *
+   * @param {number} windowMs - Window length in ms (rounded up to seconds)
+   * @param {number} now - Current time in ms
+   * @returns {Object} Summary as returned by summarize()
+   */
+  summarizeRecent(windowMs, now) {
+    const second = Math.floor(now / 1000);
+    const windowSeconds = Math.max(1, Math.ceil(windowMs / 1000));
+
+    let completed = this.completedCache.get(windowSeconds);
+    if (!completed || completed.second !== second) {
+      completed = {
+        second,
+        summary: this.summarize(
+          (second - windowSeconds) * 1000,
+          (second - 1) * 1000
+        ),
+      };
+      this.completedCache.set(windowSeconds, completed);
+    }
+
+    const summary = this.addToSummary(this.createSummary(), completed.summary);
+    const current = this.slots[second % this.size];
+    return current && current.second === second
+      ? this.addToSummary(summary, current)
+      : summary;
+  }
+
+  /**
+   * Create an empty summary
+   */
+  createSummary() {
+    return {
+      requests: 0,
+      responses: 0,
+      errors: 0,
+      responseTimeSum: 0,
+      responseTimeMax: 0,
+      peakRequestsPerSecond: 0,
+      latency: new QuantileSketch(),
+    };
+  }
+
+  /**
+   * Fold a bucket or another summary into a summary
+   */
+  addToSummary(summary, source) {
+    summary.requests += source.requests;
+    summary.responses += source.responses;
+    summary.errors += source.errors;
+    summary.responseTimeSum += source.responseTimeSum;
+    summary.responseTimeMax = Math.max(
+      summary.responseTimeMax,
+      source.responseTimeMax
+    );
+    summary.peakRequestsPerSecond = Math.max(
+      summary.peakRequestsPerSecond,
+      source.peakRequestsPerSecond !== undefined
+        ? source.peakRequestsPerSecond
+        : source.requests
+    );
+    summary.latency.merge(source.latency);
+    return summary;
+  }
+
+  /**
+   * Clear all buckets
+   */
+  reset() {
+    this.slots.fill(null);
+    this.completedCache.clear();
+  }
+}
+
+module.exports = TrafficBuckets;
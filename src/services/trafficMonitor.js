@@ -10,6 +10,36 @@
 
 const winston = require("winston");
 const config = require("../config/default");
+const TrafficBuckets = require("./trafficBuckets");
+const QuantileSketch = require("../utils/quantileSketch");
+const { getClientKey } = require("../utils/keyExtractor");
+
+/**
+ * Latency percentiles reported in statistics
+ */
+const LATENCY_PERCENTILES = {
+  p50: 0.5,
+  p90: 0.9,
+  p95: 0.95,
+  p99: 0.99,
+  p999: 0.999,
+};
+
+/**
+ * Summarize a latency sketch as rounded percentiles (null when empty)
+ * @param {QuantileSketch} sketch - Latency sketch
+ * @returns {Object} { p50, p90, p95, p99, p999 }
+ */
+function latencyPercentiles(sketch) {
+  const names = Object.keys(LATENCY_PERCENTILES);
+  const values = sketch.quantiles(Object.values(LATENCY_PERCENTILES));
+
+  return names.reduce((percentiles, name, index) => {
+    percentiles[name] =
+      values[index] === null ? null : Math.round(values[index] * 100) / 100;
+    return percentiles;
+  }, {});
+}
 
 // Configure logger
 const logger = winston.createLogger({
@@ -32,12 +62,23 @@ const logger = winston.createLogger({
  * - Response time tracking
  * - Error rate monitoring
  * - Traffic pattern analysis
+ *
+ * Requests and responses are aggregated into one-second buckets kept in a
+ * fixed-size ring (see TrafficBuckets), so recording is O(1) and queries are
+ * O(seconds in range) regardless of request rate.
  */
 class TrafficMonitor {
-  constructor() {
-    this.requestHistory = [];
-    this.errorHistory = [];
-    this.responseTimeHistory = [];
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.retentionSeconds=3600] - History kept, in seconds
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   * @param {boolean} [options.autoStart=true] - Start periodic logging
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.buckets = new TrafficBuckets({
+      size: options.retentionSeconds || 3600,
+    });
     this.trafficStats = {
       requestsPerSecond: 0,
       requestsPerMinute: 0,
@@ -47,52 +88,52 @@ class TrafficMonitor {
       totalErrors: 0,
       peakRequestsPerSecond: 0,
       peakResponseTime: 0,
-      lastUpdated: Date.now(),
+      latencyPercentiles: latencyPercentiles(new QuantileSketch()),
+      lastUpdated: this.now(),
     };
+    this.timers = [];
 
-    this.startMonitoring();
+    if (options.autoStart !== false) {
+      this.startMonitoring();
+    }
   }
 
   /**
    * Start traffic monitoring
    */
   startMonitoring() {
-    // Clean up old data every minute
-    setInterval(() => {
-      this.cleanupOldData();
-      this.calculateStats();
-    }, 60000);
+    // Refresh statistics every minute
+    this.timers.push(
+      setInterval(() => {
+        this.calculateStats();
+      }, 60000)
+    );
 
     // Log traffic stats every 5 minutes
-    setInterval(() => {
-      this.logTrafficStats();
-    }, 300000);
+    this.timers.push(
+      setInterval(() => {
+        this.logTrafficStats();
+      }, 300000)
+    );
 
     logger.info("Traffic monitoring started");
   }
 
+  /**
+   * Stop periodic monitoring tasks
+   */
+  stopMonitoring() {
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers = [];
+  }
+
   /**
    * Record a request
    * @param {Object} requestData - Request metadata
    */
   recordRequest(requestData) {
-    const now = Date.now();
-
-    this.requestHistory.push({
-      timestamp: now,
-      ip: requestData.ip,
-      method: requestData.method,
-      url: requestData.url,
-      userAgent: requestData.userAgent,
-    });
-
+    this.buckets.recordRequest(this.now(), requestData);
     this.trafficStats.totalRequests++;
-
-    // Keep only last hour of data
-    const oneHourAgo = now - 3600000;
-    this.requestHistory = this.requestHistory.filter(
-      (req) => req.timestamp > oneHourAgo
-    );
   }
 
   /**
@@ -100,83 +141,41 @@ class TrafficMonitor {
    * @param {Object} responseData - Response metadata
    */
   recordResponse(responseData) {
-    const now = Date.now();
-
-    this.responseTimeHistory.push({
-      timestamp: now,
-      responseTime: responseData.responseTime,
-      statusCode: responseData.statusCode,
-      contentLength: responseData.contentLength,
-    });
+    this.buckets.recordResponse(this.now(), responseData);
+    this.trafficStats.peakResponseTime = Math.max(
+      this.trafficStats.peakResponseTime,
+      responseData.responseTime || 0
+    );
 
     // Track errors
     if (responseData.statusCode >= 400) {
-      this.errorHistory.push({
-        timestamp: now,
-        statusCode: responseData.statusCode,
-        message: responseData.message,
-      });
       this.trafficStats.totalErrors++;
     }
-
-    // Keep only last hour of data
-    const oneHourAgo = now - 3600000;
-    this.responseTimeHistory = this.responseTimeHistory.filter(
-      (res) => res.timestamp > oneHourAgo
-    );
-    this.errorHistory = this.errorHistory.filter(
-      (err) => err.timestamp > oneHourAgo
-    );
   }
 
   /**
    * Calculate current traffic statistics
    */
   calculateStats() {
-    const now = Date.now();
+    const now = this.now();
 
     // Calculate requests per second (last minute average)
-    const oneMinuteAgo = now - 60000;
-    const recentRequests = this.requestHistory.filter(
-      (req) => req.timestamp > oneMinuteAgo
-    );
+    const recent = this.buckets.summarizeRecent(60000, now);
 
-    this.trafficStats.requestsPerMinute = recentRequests.length;
-    this.trafficStats.requestsPerSecond = Math.round(
-      recentRequests.length / 60
-    );
+    this.trafficStats.requestsPerMinute = recent.requests;
+    this.trafficStats.requestsPerSecond = Math.round(recent.requests / 60);
 
     // Calculate average response time
-    const recentResponses = this.responseTimeHistory.filter(
-      (res) => res.timestamp > oneMinuteAgo
-    );
-
-    if (recentResponses.length > 0) {
-      const totalResponseTime = recentResponses.reduce(
-        (sum, res) => sum + res.responseTime,
-        0
-      );
+    if (recent.responses > 0) {
       this.trafficStats.averageResponseTime = Math.round(
-        totalResponseTime / recentResponses.length
-      );
-
-      // Update peak response time
-      const maxResponseTime = Math.max(
-        ...recentResponses.map((res) => res.responseTime)
-      );
-      this.trafficStats.peakResponseTime = Math.max(
-        this.trafficStats.peakResponseTime,
-        maxResponseTime
+        recent.responseTimeSum / recent.responses
       );
     }
+    this.trafficStats.latencyPercentiles = latencyPercentiles(recent.latency);
 
     // Calculate error rate
-    const recentErrors = this.errorHistory.filter(
-      (err) => err.timestamp > oneMinuteAgo
-    );
-
-    if (recentRequests.length > 0) {
-      this.trafficStats.errorRate = recentErrors.length / recentRequests.length;
+    if (recent.requests > 0) {
+      this.trafficStats.errorRate = recent.errors / recent.requests;
     }
 
     // Update peak requests per second
@@ -189,47 +188,86 @@ class TrafficMonitor {
   }
 
   /**
-   * Clean up old data
+   * Get current traffic statistics
+   * @returns {Object} Current traffic statistics
    */
-  cleanupOldData() {
-    const now = Date.now();
-    const oneHourAgo = now - 3600000;
+  getCurrentStats() {
+    this.calculateStats();
+    return {
+      ...this.trafficStats,
+      latencyPercentiles: { ...this.trafficStats.latencyPercentiles },
+    };
+  }
 
-    this.requestHistory = this.requestHistory.filter(
-      (req) => req.timestamp > oneHourAgo
-    );
-    this.responseTimeHistory = this.responseTimeHistory.filter(
-      (res) => res.timestamp > oneHourAgo
-    );
-    this.errorHistory = this.errorHistory.filter(
-      (err) => err.timestamp > oneHourAgo
-    );
+  /**
+   * Get the merged latency sketch of a time range
+   *
+   * Sketches from several nodes can be combined with
+   * `QuantileSketch.fromJSON(a).merge(QuantileSketch.fromJSON(b))`.
+   *
+   * @param {number} minutes - Number of minutes to cover
+   * @param {string} [endpoint] - Restrict to one endpoint (path without query)
+   * @returns {QuantileSketch} Latency sketch
+   */
+  getLatencySketch(minutes = 1, endpoint) {
+    const now = this.now();
+    const start = now - minutes * 60000;
+
+    if (endpoint) {
+      return (
+        this.buckets.endpointLatency(start, now).get(endpoint) ||
+        new QuantileSketch()
+      );
+    }
+    return this.buckets.summarize(start, now).latency;
   }
 
   /**
-   * Get current traffic statistics
-   * @returns {Object} Current traffic statistics
+   * Get latency percentiles per endpoint
+   * @param {number} minutes - Number of minutes to cover
+   * @returns {Object} { [endpoint]: { count, p50, p90, p95, p99, p999 } }
    */
-  getCurrentStats() {
-    this.calculateStats();
-    return { ...this.trafficStats };
+  getEndpointLatency(minutes = 5) {
+    const now = this.now();
+    const endpoints = {};
+
+    for (const [endpoint, sketch] of this.buckets.endpointLatency(
+      now - minutes * 60000,
+      now
+    )) {
+      endpoints[endpoint] = {
+        count: sketch.count,
+        ...latencyPercentiles(sketch),
+      };
+    }
+
+    return endpoints;
   }
 
   /**
    * Get traffic history
    * @param {number} minutes - Number of minutes to retrieve
-   * @returns {Object} Traffic history
+   * @returns {Object} Per-second buckets that saw traffic, oldest first
    */
   getTrafficHistory(minutes = 60) {
-    const now = Date.now();
-    const cutoff = now - minutes * 60000;
+    const now = this.now();
 
     return {
-      requests: this.requestHistory.filter((req) => req.timestamp > cutoff),
-      responses: this.responseTimeHistory.filter(
-        (res) => res.timestamp > cutoff
-      ),
-      errors: this.errorHistory.filter((err) => err.timestamp > cutoff),
+      interval: 1000,
+      buckets: this.buckets
+        .range(now - minutes * 60000, now)
+        .map((bucket) => ({
+          timestamp: bucket.second * 1000,
+          requests: bucket.requests,
+          responses: bucket.responses,
+          errors: bucket.errors,
+          averageResponseTime:
+            bucket.responses > 0
+              ? Math.round(bucket.responseTimeSum / bucket.responses)
+              : 0,
+          maxResponseTime: bucket.responseTimeMax,
+          statusCodes: { ...bucket.statusCodes },
+        })),
     };
   }
 
@@ -238,44 +276,37 @@ class TrafficMonitor {
    * @returns {Object} Traffic pattern analysis
    */
   getTrafficPatterns() {
-    const now = Date.now();
-    const fiveMinutesAgo = now - 300000;
-
-    const recentRequests = this.requestHistory.filter(
-      (req) => req.timestamp > fiveMinutesAgo
-    );
+    const now = this.now();
 
     // Analyze request patterns
     const patterns = {
       topEndpoints: {},
       topIPs: {},
+      topClients: {},
       topUserAgents: {},
       methodDistribution: {},
       statusCodeDistribution: {},
       hourlyDistribution: {},
     };
 
-    recentRequests.forEach((req) => {
-      // Top endpoints
-      const endpoint = req.url.split("?")[0];
-      patterns.topEndpoints[endpoint] =
-        (patterns.topEndpoints[endpoint] || 0) + 1;
-
-      // Top IPs
-      patterns.topIPs[req.ip] = (patterns.topIPs[req.ip] || 0) + 1;
-
-      // Top user agents
-      patterns.topUserAgents[req.userAgent] =
-        (patterns.topUserAgents[req.userAgent] || 0) + 1;
+    const merge = (target, counts) => {
+      for (const [key, count] of Object.entries(counts)) {
+        target[key] = (target[key] || 0) + count;
+      }
+    };
 
-      // Method distribution
-      patterns.methodDistribution[req.method] =
-        (patterns.methodDistribution[req.method] || 0) + 1;
+    this.buckets.range(now - 300000, now).forEach((bucket) => {
+      merge(patterns.topEndpoints, bucket.endpoints);
+      merge(patterns.topIPs, bucket.ips);
+      merge(patterns.topClients, bucket.clients);
+      merge(patterns.topUserAgents, bucket.userAgents);
+      merge(patterns.methodDistribution, bucket.methods);
+      merge(patterns.statusCodeDistribution, bucket.statusCodes);
 
       // Hourly distribution
-      const hour = new Date(req.timestamp).getHours();
+      const hour = new Date(bucket.second * 1000).getHours();
       patterns.hourlyDistribution[hour] =
-        (patterns.hourlyDistribution[hour] || 0) + 1;
+        (patterns.hourlyDistribution[hour] || 0) + bucket.requests;
     });
 
     return patterns;
@@ -298,30 +329,23 @@ class TrafficMonitor {
         totalErrors: stats.totalErrors,
       },
       thresholds: {
-        highTraffic: config.get("highTrafficThreshold") || 100,
-        mediumTraffic: config.get("mediumTrafficThreshold") || 50,
-        criticalErrorRate: config.get("criticalErrorRate") || 0.1,
-        warningErrorRate: config.get("warningErrorRate") || 0.05,
-        criticalResponseTime: config.get("criticalResponseTime") || 1000,
-        warningResponseTime: config.get("warningResponseTime") || 500,
+        highTraffic: config.get("highTrafficThreshold"),
+        mediumTraffic: config.get("mediumTrafficThreshold"),
+        criticalErrorRate: config.get("criticalErrorRate"),
+        warningErrorRate: config.get("warningErrorRate"),
+        criticalResponseTime: config.get("criticalResponseTime"),
+        warningResponseTime: config.get("warningResponseTime"),
       },
     };
   }
 
   /**
-   * Calculate health status based on metrics
+   * Calculate health status based on metrics and the configured thresholds
    * @param {Object} stats - Traffic statistics
    * @returns {string} Health status
    */
   calculateHealthStatus(stats) {
-    const thresholds = {
-      highTrafficThreshold: 100,
-      mediumTrafficThreshold: 50,
-      criticalErrorRate: 0.1,
-      warningErrorRate: 0.05,
-      criticalResponseTime: 1000,
-      warningResponseTime: 500,
-    };
+    const thresholds = config.getConfig();
 
     if (stats.requestsPerSecond > thresholds.highTrafficThreshold) {
       return "high-load";
@@ -395,9 +419,7 @@ class TrafficMonitor {
    * Reset statistics
    */
   reset() {
-    this.requestHistory = [];
-    this.errorHistory = [];
-    this.responseTimeHistory = [];
+    this.buckets.reset();
     this.trafficStats = {
       requestsPerSecond: 0,
       requestsPerMinute: 0,
@@ -407,7 +429,8 @@ class TrafficMonitor {
       totalErrors: 0,
       peakRequestsPerSecond: 0,
       peakResponseTime: 0,
-      lastUpdated: Date.now(),
+      latencyPercentiles: latencyPercentiles(new QuantileSketch()),
+      lastUpdated: this.now(),
     };
 
     logger.info("Traffic statistics reset");
@@ -420,12 +443,14 @@ const trafficMonitor = new TrafficMonitor();
 // Express middleware to integrate with DAASR
 function trafficMonitoringMiddleware(req, res, next) {
   const startTime = Date.now();
+  const url = req.url;
 
   // Record request
   trafficMonitor.recordRequest({
     ip: req.ip || req.connection.remoteAddress,
+    client: getClientKey(req),
     method: req.method,
-    url: req.url,
+    url,
     userAgent: req.get("User-Agent"),
   });
 
@@ -438,6 +463,7 @@ function trafficMonitoringMiddleware(req, res, next) {
       responseTime,
       statusCode: res.statusCode,
       contentLength: res.get("content-length") || 0,
+      url,
     });
 
     originalEnd.call(this, chunk, encoding);
@@ -447,4 +473,6 @@ function trafficMonitoringMiddleware(req, res, next) {
 }
 
 module.exports = trafficMonitor;
+module.exports.TrafficMonitor = TrafficMonitor;
+module.exports.latencyPercentiles = latencyPercentiles;
 module.exports.trafficMonitoringMiddleware = trafficMonitoringMiddleware;
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * DAASR Stores
+ *
+ * Factory for the store backing rate limit counters, offense history and
+ * reputation. The implementation is chosen by the `rateLimitStore` setting.
+ *
+ * @module stores
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const config = require("../config/default");
+const MemoryStore = require("./memoryStore");
+const RedisStore = require("./redisStore");
+
+/**
+ * Create the store selected by configuration
+ * @param {Object} options - Options passed through to the store
+ * @returns {MemoryStore|RedisStore} Store instance
+ */
+function createStore(options = {}) {
+  const type = options.type || config.get("rateLimitStore");
+
+  if (type === "redis") {
+    return RedisStore.fromUrl(options.url || config.get("redisUrl"), {
+      prefix: config.get("redisKeyPrefix"),
+      commandTimeout: config.get("redisCommandTimeout"),
+      ...options,
+    });
+  }
+
+  return new MemoryStore(options);
+}
+
+module.exports = {
+  createStore,
+  MemoryStore,
+  RedisStore,
+};
@@ -0,0 +1,262 @@
+/**
+ * In-Memory Counter Store
+ *
+ * Process-local implementation of the DAASR store interface. Suitable for a
+ * single instance or for development; every replica keeps its own state.
+ *
+ * @module memoryStore
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const countingAlgorithms = require("../utils/countingAlgorithms");
+
+/**
+ * In-memory store for rate limit counters, offense history and reputation
+ *
+ * All methods are async so the store can be swapped for a distributed
+ * implementation (see RedisStore) without changing callers.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} [options.reputationTTL] - How long an idle identity's reputation is kept (ms)
+   * @param {number} [options.cleanupInterval] - How often expired entries are purged (ms)
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   */
+  constructor(options = {}) {
+    this.reputationTTL = options.reputationTTL || 7 * 24 * 3600000; // 7 days
+    this.now = options.now || Date.now;
+    this.counters = new Map();
+    this.limiters = new Map();
+    this.offenses = new Map();
+    this.reputations = new Map();
+
+    this.cleanupTimer = setInterval(
+      () => this.cleanup(),
+      options.cleanupInterval || 60000
+    );
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Increment a window counter, starting a new window if the previous one expired
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @param {number} [amount=1] - Amount to add
+   * @returns {Promise<{totalHits: number, resetTime: Date}>} Counter state
+   */
+  async increment(key, windowMs, amount = 1) {
+    const now = this.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.expiresAt <= now) {
+      counter = { hits: 0, expiresAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.hits += amount;
+
+    return { totalHits: counter.hits, resetTime: new Date(counter.expiresAt) };
+  }
+
+  /**
+   * Read a window counter without changing it
+   * @param {string} key - Counter key
+   * @returns {Promise<{totalHits: number, resetTime: Date}|null>} Counter
+   *     state, or null when no window is running
+   */
+  async get(key) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.expiresAt <= this.now()) {
+      return null;
+    }
+
+    return { totalHits: counter.hits, resetTime: new Date(counter.expiresAt) };
+  }
+
+  /**
+   * Decrement a window counter (used when a counted request is refunded)
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} Remaining hits
+   */
+  async decrement(key) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.expiresAt <= this.now()) {
+      return 0;
+    }
+
+    counter.hits = Math.max(0, counter.hits - 1);
+    return counter.hits;
+  }
+
+  /**
+   * Count a request with one of the counting algorithms
+   * @param {string} key - Limiter key
+   * @param {Object} options - Limiter settings
+   * @param {string} options.algorithm - Counting algorithm (not "fixed-window")
+   * @param {number} options.limit - Requests per window (sustained rate)
+   * @param {number} options.windowMs - Window length in milliseconds
+   * @param {number} [options.burst] - Most requests allowed at once
+   * @param {number} [options.cost=1] - Amount the request uses
+   * @param {boolean} [options.force=false] - Record the cost even over the limit
+   * @returns {Promise<{allowed: boolean, remaining: number, resetTime: Date, retryAfter: number}>} Decision
+   */
+  async consume(key, options) {
+    return this.runLimiter(key, options, true);
+  }
+
+  /**
+   * Read a limiter as a request of 0 units would see it, without changing it
+   * @param {string} key - Limiter key
+   * @param {Object} options - Limiter settings, as for `consume`
+   * @returns {Promise<{allowed: boolean, remaining: number, resetTime: Date, retryAfter: number}>} Decision
+   */
+  async peek(key, options) {
+    return this.runLimiter(key, { ...options, cost: 0, force: false }, false);
+  }
+
+  /**
+   * Run a counting algorithm on a limiter, saving its new state if asked
+   */
+  runLimiter(key, options, save) {
+    const { algorithm, limit, windowMs, burst = limit, cost = 1 } = options;
+    const now = this.now();
+    const id = `${algorithm}:${key}`;
+    const limiter = this.limiters.get(id);
+    const previous =
+      limiter && limiter.expiresAt > now ? limiter.state : undefined;
+
+    const result = countingAlgorithms.consume(algorithm, previous, {
+      now,
+      limit,
+      windowMs,
+      burst,
+      cost,
+      force: Boolean(options.force),
+    });
+    if (save) {
+      this.limiters.set(id, {
+        state: result.state,
+        expiresAt: now + result.ttl,
+      });
+    }
+
+    return {
+      allowed: result.allowed,
+      remaining: result.remaining,
+      resetTime: new Date(result.resetAt),
+      retryAfter: result.retryAfter,
+    };
+  }
+
+  /**
+   * Reset a single counter and the limiters sharing its key
+   * @param {string} key - Counter key
+   */
+  async resetKey(key) {
+    this.counters.delete(key);
+    for (const algorithm of countingAlgorithms.COUNTING_ALGORITHMS) {
+      this.limiters.delete(`${algorithm}:${key}`);
+    }
+  }
+
+  /**
+   * Record a rate limit offense and drop offenses older than the retention window
+   * @param {string} identifier - Client identifier
+   * @param {number} timestamp - Offense time (ms since epoch)
+   * @param {number} retentionMs - How long offenses are remembered
+   * @returns {Promise<number>} Number of offenses still within retention
+   */
+  async recordOffense(identifier, timestamp, retentionMs) {
+    const offenses = (this.offenses.get(identifier) || []).filter(
+      (offenseTime) => timestamp - offenseTime < retentionMs
+    );
+    offenses.push(timestamp);
+    this.offenses.set(identifier, offenses);
+
+    return offenses.length;
+  }
+
+  /**
+   * Get offense timestamps recorded after a point in time
+   * @param {string} identifier - Client identifier
+   * @param {number} since - Lower bound (ms since epoch, exclusive)
+   * @returns {Promise<number[]>} Offense timestamps, oldest first
+   */
+  async getOffenses(identifier, since) {
+    const offenses = this.offenses.get(identifier) || [];
+    return offenses.filter((offenseTime) => offenseTime > since);
+  }
+
+  /**
+   * Record activity for an identity and return its updated reputation record
+   * @param {string} identifier - Client identifier
+   * @param {number} timestamp - Activity time (ms since epoch)
+   * @returns {Promise<{totalRequests: number, firstSeen: number, lastSeen: number}>} Reputation
+   */
+  async recordActivity(identifier, timestamp) {
+    const reputation = this.reputations.get(identifier) || {
+      totalRequests: 0,
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+    };
+
+    reputation.totalRequests++;
+    reputation.lastSeen = timestamp;
+    this.reputations.set(identifier, reputation);
+
+    return { ...reputation };
+  }
+
+  /**
+   * Get the reputation record for an identity
+   * @param {string} identifier - Client identifier
+   * @returns {Promise<Object|null>} Reputation, or null for unknown identities
+   */
+  async getReputation(identifier) {
+    const reputation = this.reputations.get(identifier);
+    return reputation ? { ...reputation } : null;
+  }
+
+  /**
+   * Remove expired counters and limiters, offenses and idle reputations
+   */
+  cleanup() {
+    const now = this.now();
+
+    for (const store of [this.counters, this.limiters]) {
+      for (const [key, entry] of store) {
+        if (entry.expiresAt <= now) {
+          store.delete(key);
+        }
+      }
+    }
+
+    for (const [identifier, reputation] of this.reputations) {
+      if (now - reputation.lastSeen > this.reputationTTL) {
+        this.reputations.delete(identifier);
+        this.offenses.delete(identifier);
+      }
+    }
+  }
+
+  /**
+   * Clear all state
+   */
+  async resetAll() {
+    this.counters.clear();
+    this.limiters.clear();
+    this.offenses.clear();
+    this.reputations.clear();
+  }
+
+  /**
+   * Release resources held by the store
+   */
+  async close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+module.exports = MemoryStore;
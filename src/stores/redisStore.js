@@ -0,0 +1,590 @@
+/**
+ * Redis Counter Store
+ *
+ * Distributed implementation of the DAASR store interface. Every replica
+ * pointing at the same Redis shares counters, offense history and reputation,
+ * so limits hold across the whole deployment instead of per process.
+ *
+ * All read-modify-write operations run as Lua scripts so they are atomic on
+ * the Redis side. Every command, including the wait for the connection,
+ * fails after `commandTimeout` ms, so callers can fail open while Redis is
+ * down instead of hanging.
+ *
+ * @module redisStore
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Lua scripts used by the store, keyed by operation
+ */
+const SCRIPTS = {
+  // KEYS[1] counter key, ARGV[1] window ms, ARGV[2] amount
+  increment: `
+    local current = redis.call('INCRBY', KEYS[1], ARGV[2])
+    local ttl = redis.call('PTTL', KEYS[1])
+    if ttl < 0 then
+      redis.call('PEXPIRE', KEYS[1], ARGV[1])
+      ttl = tonumber(ARGV[1])
+    end
+    return { current, ttl }
+  `,
+
+  // KEYS[1] counter key; nil when no window is running
+  getCounter: `
+    local current = redis.call('GET', KEYS[1])
+    if not current then
+      return nil
+    end
+    return { current, redis.call('PTTL', KEYS[1]) }
+  `,
+
+  // KEYS[1] counter key
+  decrement: `
+    if redis.call('EXISTS', KEYS[1]) == 0 then
+      return 0
+    end
+    local current = redis.call('DECR', KEYS[1])
+    if current < 0 then
+      redis.call('SET', KEYS[1], 0, 'KEEPTTL')
+      return 0
+    end
+    return current
+  `,
+
+  // KEYS[1] offense set, ARGV[1] now, ARGV[2] retention ms, ARGV[3] member
+  recordOffense: `
+    local now = tonumber(ARGV[1])
+    local retention = tonumber(ARGV[2])
+    redis.call('ZADD', KEYS[1], now, ARGV[3])
+    redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - retention)
+    redis.call('PEXPIRE', KEYS[1], retention)
+    return redis.call('ZCARD', KEYS[1])
+  `,
+
+  // KEYS[1] offense set, ARGV[1] since (exclusive)
+  getOffenses: `
+    return redis.call('ZRANGEBYSCORE', KEYS[1], '(' .. ARGV[1], '+inf', 'WITHSCORES')
+  `,
+
+  // KEYS[1] reputation hash, ARGV[1] now, ARGV[2] ttl ms
+  recordActivity: `
+    redis.call('HINCRBY', KEYS[1], 'totalRequests', 1)
+    redis.call('HSETNX', KEYS[1], 'firstSeen', ARGV[1])
+    redis.call('HSET', KEYS[1], 'lastSeen', ARGV[1])
+    redis.call('PEXPIRE', KEYS[1], ARGV[2])
+    return redis.call('HMGET', KEYS[1], 'totalRequests', 'firstSeen', 'lastSeen')
+  `,
+
+  // Counting algorithms (see utils/countingAlgorithms). All take KEYS[1]
+  // limiter key, ARGV[1] now, ARGV[2] limit, ARGV[3] window ms, ARGV[4]
+  // burst, ARGV[5] cost, ARGV[6] unique member, ARGV[7] force ("1" records
+  // the cost even over the limit), ARGV[8] peek ("1" writes nothing), and
+  // return { allowed, remaining, resetAt, retryAfter }
+
+  // Hash of tokens and last refill time
+  tokenBucket: `
+    local now = tonumber(ARGV[1])
+    local rate = tonumber(ARGV[2]) / tonumber(ARGV[3])
+    local burst = tonumber(ARGV[4])
+    local cost = tonumber(ARGV[5])
+    local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+    local tokens = tonumber(state[1]) or burst
+    local updatedAt = tonumber(state[2]) or now
+    tokens = math.min(burst, tokens + math.max(0, now - updatedAt) * rate)
+    local allowed = 0
+    local retryAfter = 0
+    if tokens >= cost or ARGV[7] == '1' then
+      tokens = tokens - cost
+      allowed = 1
+    elseif cost > burst then
+      retryAfter = tonumber(ARGV[3])
+    else
+      retryAfter = math.ceil((cost - tokens) / rate)
+    end
+    local ttl = math.max(1, math.ceil((burst - tokens) / rate))
+    if ARGV[8] ~= '1' then
+      redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', ARGV[1])
+      redis.call('PEXPIRE', KEYS[1], ttl)
+    end
+    return { allowed, math.max(0, math.floor(tokens)), now + ttl, retryAfter }
+  `,
+
+  // Hash of the current window's start and the current and previous counts
+  slidingWindow: `
+    local now = tonumber(ARGV[1])
+    local limit = tonumber(ARGV[2])
+    local window = tonumber(ARGV[3])
+    local cost = tonumber(ARGV[5])
+    local start = now - (now % window)
+    local state = redis.call('HMGET', KEYS[1], 'windowStart', 'current', 'previous')
+    local windowStart = tonumber(state[1])
+    local current = tonumber(state[2]) or 0
+    local previous = tonumber(state[3]) or 0
+    if windowStart ~= start then
+      if windowStart ~= nil and windowStart + window == start then
+        previous = current
+      else
+        previous = 0
+      end
+      current = 0
+    end
+    local elapsed = now - start
+    local estimated = previous * (1 - elapsed / window) + current
+    local allowed = 0
+    local retryAfter = 0
+    if estimated + cost <= limit or ARGV[7] == '1' then
+      current = current + cost
+      estimated = estimated + cost
+      allowed = 1
+    elseif current + cost > limit or previous == 0 then
+      retryAfter = start + window - now
+    else
+      local room = (limit - current - cost) / previous
+      retryAfter = math.ceil(window * (1 - room) - elapsed)
+    end
+    if ARGV[8] ~= '1' then
+      redis.call('HSET', KEYS[1], 'windowStart', start, 'current', current,
+        'previous', previous)
+      redis.call('PEXPIRE', KEYS[1], 2 * window)
+    end
+    local remaining = math.floor(math.max(0, limit - estimated))
+    return { allowed, remaining, start + window, math.max(0, retryAfter) }
+  `,
+
+  // Sorted set of requests scored by time; members end in ":<cost>"
+  slidingLog: `
+    local now = tonumber(ARGV[1])
+    local limit = tonumber(ARGV[2])
+    local window = tonumber(ARGV[3])
+    local cost = tonumber(ARGV[5])
+    if ARGV[8] ~= '1' then
+      redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+    end
+    local entries = redis.call('ZRANGEBYSCORE', KEYS[1], '(' .. (now - window),
+      '+inf', 'WITHSCORES')
+    local costs = {}
+    local used = 0
+    for i = 1, #entries, 2 do
+      costs[i] = tonumber(string.match(entries[i], ':([^:]+)$'))
+      used = used + costs[i]
+    end
+    local oldest = tonumber(entries[2]) or now
+    if used + cost <= limit or ARGV[7] == '1' then
+      if ARGV[8] ~= '1' then
+        redis.call('ZADD', KEYS[1], now, ARGV[6])
+        redis.call('PEXPIRE', KEYS[1], window)
+      end
+      return { 1, math.max(0, limit - used - cost), oldest + window, 0 }
+    end
+    local freed = 0
+    local retryAt = now + window
+    for i = 1, #entries, 2 do
+      freed = freed + costs[i]
+      if used - freed + cost <= limit then
+        retryAt = tonumber(entries[i + 1]) + window
+        break
+      end
+    end
+    return { 0, math.max(0, limit - used), oldest + window, retryAt - now }
+  `,
+
+  // String holding the theoretical arrival time
+  gcra: `
+    local now = tonumber(ARGV[1])
+    local interval = tonumber(ARGV[3]) / tonumber(ARGV[2])
+    local burst = tonumber(ARGV[4])
+    local cost = tonumber(ARGV[5])
+    local tat = math.max(tonumber(redis.call('GET', KEYS[1])) or now, now)
+    local newTat = tat + cost * interval
+    local allowAt = newTat - burst * interval
+    if now < allowAt and ARGV[7] ~= '1' then
+      local remaining = math.max(0, math.floor(burst - (tat - now) / interval))
+      local retryAfter = math.ceil(allowAt - now)
+      if cost > burst then
+        retryAfter = tonumber(ARGV[3])
+      end
+      return { 0, remaining, math.ceil(tat), retryAfter }
+    end
+    local ttl = math.max(1, math.ceil(newTat - now))
+    if ARGV[8] ~= '1' then
+      redis.call('SET', KEYS[1], tostring(newTat), 'PX', ttl)
+    end
+    local remaining = math.max(0, math.floor((now - allowAt) / interval))
+    return { 1, remaining, math.ceil(newTat), 0 }
+  `,
+};
+
+/**
+ * Scripts implementing each counting algorithm
+ */
+const LIMITER_SCRIPTS = {
+  "token-bucket": "tokenBucket",
+  "sliding-window": "slidingWindow",
+  "sliding-log": "slidingLog",
+  gcra: "gcra",
+};
+
+// Precompute SHA1 digests so scripts can be invoked with EVALSHA
+for (const [name, lua] of Object.entries(SCRIPTS)) {
+  SCRIPTS[name] = {
+    lua,
+    sha: crypto.createHash("sha1").update(lua).digest("hex"),
+  };
+}
+
+/**
+ * Redis-backed store for rate limit counters, offense history and reputation
+ *
+ * Expects a node-redis v4 compatible client (`evalSha`, `eval`, `hGetAll`,
+ * `del`, `scanIterator`).
+ */
+class RedisStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.client - Connected Redis client
+   * @param {string} [options.prefix="daasr:"] - Key prefix shared by all replicas
+   * @param {number} [options.reputationTTL] - How long an idle identity's reputation is kept (ms)
+   * @param {Promise} [options.ready] - Resolves once the client is connected
+   * @param {number} [options.commandTimeout=1000] - Most ms a command may
+   *     take, waiting for the connection included
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   */
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error("RedisStore requires a Redis client");
+    }
+
+    this.client = options.client;
+    this.prefix = options.prefix || "daasr:";
+    this.reputationTTL = options.reputationTTL || 7 * 24 * 3600000; // 7 days
+    this.ready = options.ready || Promise.resolve();
+    this.commandTimeout = options.commandTimeout || 1000;
+    this.now = options.now || Date.now;
+
+    // Commands report a failed connection; this only keeps it from being
+    // an unhandled rejection when none is waiting
+    this.ready.catch(() => {});
+  }
+
+  /**
+   * Create a store with its own client connected to the given URL
+   * @param {string} url - Redis connection URL
+   * @param {Object} options - Store options (see constructor)
+   * @returns {RedisStore} Store instance (connection completes asynchronously)
+   */
+  static fromUrl(url, options = {}) {
+    // Loaded lazily so the in-memory store works without the redis package
+    const { createClient } = require("redis");
+    const client = createClient({
+      url,
+      // Reject commands while disconnected instead of queueing them
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: options.commandTimeout || 1000,
+        // Keep reconnecting, at most 2 seconds apart
+        reconnectStrategy: (retries) => Math.min(retries * 100, 2000),
+      },
+    });
+
+    if (options.onError) {
+      client.on("error", options.onError);
+    }
+
+    return new RedisStore({ ...options, client, ready: client.connect() });
+  }
+
+  /**
+   * Build a namespaced key
+   * @param {string} type - Key type (counter, limiter, offenses, reputation)
+   * @param {string} id - Key or identifier
+   * @returns {string} Redis key
+   */
+  key(type, id) {
+    return `${this.prefix}${type}:${id}`;
+  }
+
+  /**
+   * Run commands once the client is connected, failing after
+   * `commandTimeout` ms
+   * @param {Function} command - Issues the commands
+   * @returns {Promise<*>} The commands' result
+   */
+  async call(command) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(
+            new Error(`Redis command timed out after ${this.commandTimeout}ms`)
+          ),
+        this.commandTimeout
+      );
+    });
+
+    try {
+      return await Promise.race([this.ready.then(command), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run a Lua script, loading it on the server if it is not cached yet
+   * @param {string} name - Script name in SCRIPTS
+   * @param {string[]} keys - Redis keys
+   * @param {Array} args - Script arguments
+   * @returns {Promise<*>} Script result
+   */
+  runScript(name, keys, args) {
+    const script = SCRIPTS[name];
+    const options = { keys, arguments: args.map(String) };
+
+    return this.call(async () => {
+      try {
+        return await this.client.evalSha(script.sha, options);
+      } catch (error) {
+        if (!String(error.message).includes("NOSCRIPT")) {
+          throw error;
+        }
+        return this.client.eval(script.lua, options);
+      }
+    });
+  }
+
+  /**
+   * Increment a window counter, starting a new window if the previous one expired
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @param {number} [amount=1] - Amount to add
+   * @returns {Promise<{totalHits: number, resetTime: Date}>} Counter state
+   */
+  async increment(key, windowMs, amount = 1) {
+    const [totalHits, ttl] = await this.runScript(
+      "increment",
+      [this.key("counter", key)],
+      [windowMs, amount]
+    );
+
+    return {
+      totalHits: Number(totalHits),
+      resetTime: new Date(this.now() + Number(ttl)),
+    };
+  }
+
+  /**
+   * Read a window counter without changing it
+   * @param {string} key - Counter key
+   * @returns {Promise<{totalHits: number, resetTime: Date}|null>} Counter
+   *     state, or null when no window is running
+   */
+  async get(key) {
+    const reply = await this.runScript(
+      "getCounter",
+      [this.key("counter", key)],
+      []
+    );
+    if (!reply) return null;
+
+    const [totalHits, ttl] = reply;
+    return {
+      totalHits: Number(totalHits),
+      resetTime: new Date(this.now() + Number(ttl)),
+    };
+  }
+
+  /**
+   * Decrement a window counter (used when a counted request is refunded)
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} Remaining hits
+   */
+  async decrement(key) {
+    const current = await this.runScript(
+      "decrement",
+      [this.key("counter", key)],
+      []
+    );
+    return Number(current);
+  }
+
+  /**
+   * Count a request with one of the counting algorithms
+   * @param {string} key - Limiter key
+   * @param {Object} options - Limiter settings
+   * @param {string} options.algorithm - Counting algorithm (not "fixed-window")
+   * @param {number} options.limit - Requests per window (sustained rate)
+   * @param {number} options.windowMs - Window length in milliseconds
+   * @param {number} [options.burst] - Most requests allowed at once
+   * @param {number} [options.cost=1] - Amount the request uses
+   * @param {boolean} [options.force=false] - Record the cost even over the limit
+   * @returns {Promise<{allowed: boolean, remaining: number, resetTime: Date, retryAfter: number}>} Decision
+   */
+  async consume(key, options) {
+    const { algorithm, limit, windowMs, burst = limit, cost = 1 } = options;
+    const script = LIMITER_SCRIPTS[algorithm];
+    if (!script) {
+      throw new Error(`Unknown counting algorithm: ${algorithm}`);
+    }
+
+    // Log members must be unique so concurrent requests in the same ms count
+    const member = `${crypto.randomBytes(4).toString("hex")}:${cost}`;
+    const [allowed, remaining, resetAt, retryAfter] = await this.runScript(
+      script,
+      [this.key("limiter", `${algorithm}:${key}`)],
+      [
+        this.now(),
+        limit,
+        windowMs,
+        burst,
+        cost,
+        member,
+        options.force ? 1 : 0,
+        options.peek ? 1 : 0,
+      ]
+    );
+
+    return {
+      allowed: Number(allowed) === 1,
+      remaining: Number(remaining),
+      resetTime: new Date(Number(resetAt)),
+      retryAfter: Number(retryAfter),
+    };
+  }
+
+  /**
+   * Read a limiter as a request of 0 units would see it, without changing it
+   * @param {string} key - Limiter key
+   * @param {Object} options - Limiter settings, as for `consume`
+   * @returns {Promise<{allowed: boolean, remaining: number, resetTime: Date, retryAfter: number}>} Decision
+   */
+  peek(key, options) {
+    return this.consume(key, { ...options, cost: 0, force: false, peek: true });
+  }
+
+  /**
+   * Reset a single counter and the limiters sharing its key
+   * @param {string} key - Counter key
+   */
+  async resetKey(key) {
+    await this.call(() =>
+      this.client.del([
+        this.key("counter", key),
+        ...Object.keys(LIMITER_SCRIPTS).map((algorithm) =>
+          this.key("limiter", `${algorithm}:${key}`)
+        ),
+      ])
+    );
+  }
+
+  /**
+   * Record a rate limit offense and drop offenses older than the retention window
+   * @param {string} identifier - Client identifier
+   * @param {number} timestamp - Offense time (ms since epoch)
+   * @param {number} retentionMs - How long offenses are remembered
+   * @returns {Promise<number>} Number of offenses still within retention
+   */
+  async recordOffense(identifier, timestamp, retentionMs) {
+    // Members must be unique so concurrent offenses in the same ms both count
+    const member = `${timestamp}:${crypto.randomBytes(4).toString("hex")}`;
+    const count = await this.runScript(
+      "recordOffense",
+      [this.key("offenses", identifier)],
+      [timestamp, retentionMs, member]
+    );
+    return Number(count);
+  }
+
+  /**
+   * Get offense timestamps recorded after a point in time
+   * @param {string} identifier - Client identifier
+   * @param {number} since - Lower bound (ms since epoch, exclusive)
+   * @returns {Promise<number[]>} Offense timestamps, oldest first
+   */
+  async getOffenses(identifier, since) {
+    const reply = await this.runScript(
+      "getOffenses",
+      [this.key("offenses", identifier)],
+      [since]
+    );
+
+    // WITHSCORES replies alternate member, score
+    const offenses = [];
+    for (let i = 1; i < reply.length; i += 2) {
+      offenses.push(Number(reply[i]));
+    }
+    return offenses;
+  }
+
+  /**
+   * Record activity for an identity and return its updated reputation record
+   * @param {string} identifier - Client identifier
+   * @param {number} timestamp - Activity time (ms since epoch)
+   * @returns {Promise<{totalRequests: number, firstSeen: number, lastSeen: number}>} Reputation
+   */
+  async recordActivity(identifier, timestamp) {
+    const [totalRequests, firstSeen, lastSeen] = await this.runScript(
+      "recordActivity",
+      [this.key("reputation", identifier)],
+      [timestamp, this.reputationTTL]
+    );
+
+    return {
+      totalRequests: Number(totalRequests),
+      firstSeen: Number(firstSeen),
+      lastSeen: Number(lastSeen),
+    };
+  }
+
+  /**
+   * Get the reputation record for an identity
+   * @param {string} identifier - Client identifier
+   * @returns {Promise<Object|null>} Reputation, or null for unknown identities
+   */
+  async getReputation(identifier) {
+    const hash = await this.call(() =>
+      this.client.hGetAll(this.key("reputation", identifier))
+    );
+
+    if (!hash || hash.totalRequests === undefined) {
+      return null;
+    }
+
+    return {
+      totalRequests: Number(hash.totalRequests),
+      firstSeen: Number(hash.firstSeen),
+      lastSeen: Number(hash.lastSeen),
+    };
+  }
+
+  /**
+   * Clear all keys under this store's prefix
+   */
+  async resetAll() {
+    // Only the connection is bounded: a large keyspace takes a while to scan
+    await this.call(() => undefined);
+
+    const keys = [];
+    for await (const key of this.client.scanIterator({
+      MATCH: `${this.prefix}*`,
+      COUNT: 100,
+    })) {
+      keys.push(key);
+    }
+
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
+
+  /**
+   * Close the underlying connection
+   */
+  async close() {
+    await this.call(() => this.client.quit());
+  }
+}
+
+module.exports = RedisStore;
+module.exports.SCRIPTS = SCRIPTS;
@@ -0,0 +1,219 @@
+/**
+ * Counting Algorithms
+ *
+ * Rate limit counting algorithms other than the fixed window, written as
+ * pure state transitions so any store can keep the state: the memory store
+ * calls them directly and the Redis store runs Lua equivalents.
+ *
+ * Every algorithm takes the key's previous state (undefined for a new key)
+ * and { now, limit, windowMs, burst, cost, force }, where `limit` units per
+ * `windowMs` is the sustained rate, `burst` the most that can be used at
+ * once and `cost` the units the request uses. With `force` the cost is
+ * recorded even over the limit (charges made after the fact). It returns
+ * the new state and the decision:
+ * { state, allowed, remaining, resetAt, retryAfter, ttl } (times in ms).
+ *
+ * @module countingAlgorithms
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+/**
+ * Algorithms a policy can count with; "fixed-window" uses the store's
+ * window counters instead of the functions below
+ */
+const COUNTING_ALGORITHMS = [
+  "fixed-window",
+  "token-bucket",
+  "sliding-window",
+  "sliding-log",
+  "gcra",
+];
+
+/**
+ * Algorithms whose capacity is the burst rather than the limit
+ */
+const BURST_ALGORITHMS = ["token-bucket", "gcra"];
+
+/**
+ * Token bucket: holds up to `burst` tokens, refilled at `limit` per
+ * `windowMs`; each request takes `cost` tokens. A request costing more than
+ * the bucket holds can never pass and is told to retry after a full window.
+ */
+function tokenBucket(state = {}, params) {
+  const { now, limit, windowMs, burst, cost, force } = params;
+  const rate = limit / windowMs;
+  const updatedAt = state.updatedAt === undefined ? now : state.updatedAt;
+  const stored = state.tokens === undefined ? burst : state.tokens;
+  let tokens = Math.min(burst, stored + Math.max(0, now - updatedAt) * rate);
+
+  let allowed = false;
+  let retryAfter = 0;
+  if (tokens >= cost || force) {
+    tokens -= cost; // a forced charge can leave the bucket in debt
+    allowed = true;
+  } else if (cost > burst) {
+    retryAfter = windowMs;
+  } else {
+    retryAfter = Math.ceil((cost - tokens) / rate);
+  }
+
+  // The bucket is full again (and can be forgotten) after this long
+  const ttl = Math.max(1, Math.ceil((burst - tokens) / rate));
+
+  return {
+    state: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.max(0, Math.floor(tokens)),
+    resetAt: now + ttl,
+    retryAfter,
+    ttl,
+  };
+}
+
+/**
+ * Sliding window counter: the previous fixed window's count, weighted by
+ * how much of it still overlaps the sliding window, plus the current one's
+ */
+function slidingWindow(state = {}, { now, limit, windowMs, cost, force }) {
+  const start = now - (now % windowMs);
+  let current = state.current || 0;
+  let previous = state.previous || 0;
+
+  if (state.windowStart !== start) {
+    previous = state.windowStart + windowMs === start ? current : 0;
+    current = 0;
+  }
+
+  const elapsed = now - start;
+  let estimated = previous * (1 - elapsed / windowMs) + current;
+  let allowed = false;
+  let retryAfter = 0;
+
+  if (estimated + cost <= limit || force) {
+    current += cost;
+    estimated += cost;
+    allowed = true;
+  } else if (current + cost > limit || previous === 0) {
+    // Not before the next window
+    retryAfter = start + windowMs - now;
+  } else {
+    // Once enough of the previous window has slid out
+    retryAfter = Math.ceil(
+      windowMs * (1 - (limit - current - cost) / previous) - elapsed
+    );
+  }
+
+  return {
+    state: { windowStart: start, current, previous },
+    allowed,
+    remaining: Math.floor(Math.max(0, limit - estimated)),
+    resetAt: start + windowMs,
+    retryAfter: Math.max(0, retryAfter),
+    ttl: 2 * windowMs,
+  };
+}
+
+/**
+ * Sliding log: the cost of every request in the last `windowMs`
+ */
+function slidingLog(state = {}, { now, limit, windowMs, cost, force }) {
+  const entries = (state.entries || []).filter(([at]) => at > now - windowMs);
+  const used = entries.reduce((sum, [, entryCost]) => sum + entryCost, 0);
+
+  if (used + cost <= limit || force) {
+    entries.push([now, cost]);
+    return {
+      state: { entries },
+      allowed: true,
+      remaining: Math.max(0, limit - used - cost),
+      resetAt: entries[0][0] + windowMs,
+      retryAfter: 0,
+      ttl: windowMs,
+    };
+  }
+
+  // Wait until enough of the oldest requests have left the window
+  let freed = 0;
+  let retryAt = now + windowMs;
+  for (const [at, entryCost] of entries) {
+    freed += entryCost;
+    if (used - freed + cost <= limit) {
+      retryAt = at + windowMs;
+      break;
+    }
+  }
+
+  return {
+    state: { entries },
+    allowed: false,
+    remaining: Math.max(0, limit - used),
+    resetAt: (entries.length > 0 ? entries[0][0] : now) + windowMs,
+    retryAfter: retryAt - now,
+    ttl: windowMs,
+  };
+}
+
+/**
+ * Generic cell rate algorithm: requests are spaced `windowMs / limit`
+ * apart, and up to `burst` of them may arrive early. As with the token
+ * bucket, a request costing more than `burst` can never pass.
+ */
+function gcra(state = {}, { now, limit, windowMs, burst, cost, force }) {
+  const interval = windowMs / limit;
+  const tat = Math.max(state.tat === undefined ? now : state.tat, now);
+  const newTat = tat + cost * interval;
+  const allowAt = newTat - burst * interval;
+
+  if (now < allowAt && !force) {
+    return {
+      state: { tat },
+      allowed: false,
+      remaining: Math.max(0, Math.floor(burst - (tat - now) / interval)),
+      resetAt: Math.ceil(tat),
+      retryAfter: cost > burst ? windowMs : Math.ceil(allowAt - now),
+      ttl: Math.max(1, Math.ceil(tat - now)),
+    };
+  }
+
+  return {
+    state: { tat: newTat },
+    allowed: true,
+    remaining: Math.max(0, Math.floor((now - allowAt) / interval)),
+    resetAt: Math.ceil(newTat),
+    retryAfter: 0,
+    ttl: Math.max(1, Math.ceil(newTat - now)),
+  };
+}
+
+const ALGORITHMS = {
+  "token-bucket": tokenBucket,
+  "sliding-window": slidingWindow,
+  "sliding-log": slidingLog,
+  gcra,
+};
+
+/**
+ * Run a counting algorithm
+ * @param {string} algorithm - Algorithm name (not "fixed-window")
+ * @param {Object|undefined} state - Previous state of the key
+ * @param {Object} params - { now, limit, windowMs, burst, cost, force }
+ * @returns {Object} { state, allowed, remaining, resetAt, retryAfter, ttl }
+ */
+function consume(algorithm, state, params) {
+  const run = ALGORITHMS[algorithm];
+  if (!run) {
+    throw new Error(`Unknown counting algorithm: ${algorithm}`);
+  }
+  return run(state, params);
+}
+
+module.exports = {
+  COUNTING_ALGORITHMS,
+  BURST_ALGORITHMS,
+  consume,
+  tokenBucket,
+  slidingWindow,
+  slidingLog,
+  gcra,
+};
@@ -48,6 +48,61 @@ function exponentialMovingAverage(current, previous, alpha = 0.3) {
   return alpha * current + (1 - alpha) * previous;
 }
 
+/**
+ * Evaluate a linear decay curve
+ *
+ * Returns 1.0 up to `curve.start`, `curve.minFactor` from `curve.end` on, and
+ * interpolates linearly in between.
+ *
+ * @param {number} value - Current reading
+ * @param {Object} curve - Curve definition ({ start, end, minFactor })
+ * @returns {number} Factor between minFactor and 1.0
+ */
+function calculateCurveFactor(value, curve) {
+  if (value <= curve.start) return 1.0;
+  if (value >= curve.end) return curve.minFactor;
+
+  const progress = (value - curve.start) / (curve.end - curve.start);
+  return 1.0 - progress * (1.0 - curve.minFactor);
+}
+
+/**
+ * Evaluate a piecewise curve
+ *
+ * Points are `{ at, value }` pairs taken in order of `at`. A "step" curve
+ * returns the value of the last point the reading is above (the first
+ * point's value up to it); a "linear" curve interpolates between points and
+ * holds the end values beyond them. `at` and `value` may name a setting
+ * instead of giving a number; `lookup` resolves those names.
+ *
+ * @param {number} reading - Current reading
+ * @param {Object} curve - Curve definition ({ mode, points })
+ * @param {Function} [lookup] - Maps a setting name to its number
+ * @returns {number} Curve value at the reading
+ */
+function evaluateCurve(reading, curve, lookup = () => undefined) {
+  const resolve = (entry) =>
+    typeof entry === "string" ? lookup(entry) : entry;
+  const points = curve.points
+    .map((point) => ({ at: resolve(point.at), value: resolve(point.value) }))
+    .sort((a, b) => a.at - b.at);
+
+  const index = points.findIndex((point) => reading <= point.at);
+  if (curve.mode === "step") {
+    return index === 0
+      ? points[0].value
+      : points[index === -1 ? points.length - 1 : index - 1].value;
+  }
+
+  if (index === 0) return points[0].value;
+  if (index === -1) return points[points.length - 1].value;
+
+  const from = points[index - 1];
+  const to = points[index];
+  const progress = (reading - from.at) / (to.at - from.at);
+  return from.value + progress * (to.value - from.value);
+}
+
 /**
  * Generate unique request ID
  * @returns {string} Unique request ID
@@ -329,6 +384,8 @@ function sleep(ms) {
 module.exports = {
   normalizeTrafficData,
   exponentialMovingAverage,
+  calculateCurveFactor,
+  evaluateCurve,
   generateRequestId,
   parseUserAgent,
   calculateRequestSignature,
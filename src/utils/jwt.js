@@ -0,0 +1,133 @@
+/**
+ * JSON Web Tokens
+ *
+ * Minimal compact JWT support: HS256 signing for session tokens, and
+ * HS256/RS256 verification against locally configured keys.
+ *
+ * @module jwt
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Encode a value as a base64url JSON segment
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+/**
+ * Decode a base64url JSON segment
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+/**
+ * Verify a compact JWT signed with HS256 or RS256
+ *
+ * Only locally configured keys are used: the shared secret for HS256 and
+ * the PEM public key for RS256, so a token cannot choose its own key.
+ *
+ * @param {string} token - Compact serialized JWT
+ * @param {Object} options - Verification options
+ * @param {string} [options.secret] - HS256 shared secret
+ * @param {string} [options.publicKey] - RS256 public key (PEM)
+ * @param {Array<string>} [options.algorithms] - Accepted algorithms
+ * @param {string} [options.issuer] - Required `iss` claim
+ * @param {string} [options.audience] - Required `aud` claim
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {Object|null} Payload, or null if the token is invalid
+ */
+function verifyJwt(token, options = {}) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(encodedHeader);
+    payload = decodeSegment(encodedPayload);
+  } catch {
+    return null;
+  }
+
+  const algorithms = options.algorithms || ["HS256", "RS256"];
+  if (!header || !algorithms.includes(header.alg)) return null;
+  if (!payload || typeof payload !== "object") return null;
+
+  const signedData = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, "base64url");
+  let valid = false;
+
+  if (header.alg === "HS256" && options.secret) {
+    const expected = crypto
+      .createHmac("sha256", options.secret)
+      .update(signedData)
+      .digest();
+    valid =
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === "RS256" && options.publicKey) {
+    try {
+      valid = crypto.verify(
+        "RSA-SHA256",
+        Buffer.from(signedData),
+        options.publicKey,
+        signature
+      );
+    } catch {
+      valid = false;
+    }
+  }
+
+  if (!valid) return null;
+
+  const nowSeconds = Math.floor((options.now || Date.now()) / 1000);
+  if (typeof payload.exp === "number" && nowSeconds >= payload.exp) {
+    return null;
+  }
+  if (typeof payload.nbf === "number" && nowSeconds < payload.nbf) {
+    return null;
+  }
+  if (options.issuer && payload.iss !== options.issuer) return null;
+  if (options.audience && ![].concat(payload.aud).includes(options.audience)) {
+    return null;
+  }
+
+  return payload;
+}
+
+/**
+ * Sign a payload as an HS256 JWT
+ * @param {Object} payload - Claims
+ * @param {string} secret - Shared secret
+ * @param {Object} [options]
+ * @param {number} [options.expiresInMs] - Sets `exp` relative to `now`
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {string} Compact serialized JWT
+ */
+function signJwt(payload, secret, options = {}) {
+  const now = options.now || Date.now();
+  const claims = { iat: Math.floor(now / 1000), ...payload };
+  if (options.expiresInMs) {
+    claims.exp = Math.floor((now + options.expiresInMs) / 1000);
+  }
+
+  const header = encodeSegment({ alg: "HS256", typ: "JWT" });
+  const signedData = `${header}.${encodeSegment(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(signedData)
+    .digest("base64url");
+
+  return `${signedData}.${signature}`;
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt,
+};
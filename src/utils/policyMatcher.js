@@ -0,0 +1,118 @@
+/**
+ * Policy Matcher
+ *
+ * Selects the rate limit policy for a request from the policies declared in
+ * configuration. Paths are matched segment by segment: literal segments,
+ * `:name` parameters (one segment) and a trailing `*` (any remaining
+ * segments, including none). When several policies match, the most specific
+ * one wins.
+ *
+ * @module policyMatcher
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+/**
+ * Split a path into its non-empty segments
+ */
+function splitPath(path) {
+  return String(path || "")
+    .split("?")[0]
+    .split("/")
+    .filter((segment) => segment.length > 0);
+}
+
+/**
+ * Prepare a policy for matching
+ * @param {Object} policy - Policy as declared in configuration
+ * @param {number} index - Declaration order, used to break ties
+ * @returns {Object} Compiled policy
+ */
+function compilePolicy(policy, index) {
+  const segments = policy.path === "*" ? ["*"] : splitPath(policy.path);
+  const wildcard = segments[segments.length - 1] === "*";
+  const fixed = wildcard ? segments.slice(0, -1) : segments;
+  const methods = [].concat(policy.method || "*").map((method) =>
+    method.toUpperCase()
+  );
+  const params = fixed.filter((segment) => segment.startsWith(":")).length;
+
+  return {
+    policy,
+    index,
+    segments: fixed,
+    wildcard,
+    methods,
+    // Compared left to right: literal segments, parameter segments, exact
+    // length (no wildcard), explicit method
+    specificity: [
+      fixed.length - params,
+      params,
+      wildcard ? 0 : 1,
+      methods.includes("*") ? 0 : 1,
+    ],
+  };
+}
+
+/**
+ * Compile a list of policies
+ * @param {Array<Object>} policies - Policies as declared in configuration
+ * @returns {Array<Object>} Compiled policies
+ */
+function compilePolicies(policies) {
+  return (policies || []).map(compilePolicy);
+}
+
+/**
+ * Check whether a compiled policy applies to a request
+ */
+function matches(compiled, method, segments) {
+  if (!compiled.methods.includes("*") && !compiled.methods.includes(method)) {
+    return false;
+  }
+
+  if (compiled.wildcard) {
+    if (segments.length < compiled.segments.length) return false;
+  } else if (segments.length !== compiled.segments.length) {
+    return false;
+  }
+
+  return compiled.segments.every(
+    (segment, i) => segment.startsWith(":") || segment === segments[i]
+  );
+}
+
+/**
+ * Order two compiled policies, most specific first
+ */
+function compareSpecificity(a, b) {
+  for (let i = 0; i < a.specificity.length; i++) {
+    if (a.specificity[i] !== b.specificity[i]) {
+      return b.specificity[i] - a.specificity[i];
+    }
+  }
+  return a.index - b.index;
+}
+
+/**
+ * Find the most specific policy for a request
+ * @param {Array<Object>} compiled - Policies from compilePolicies
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path (query string is ignored)
+ * @returns {Object|null} The declared policy, or null when none matches
+ */
+function matchPolicy(compiled, method, path) {
+  const upperMethod = String(method || "").toUpperCase();
+  const segments = splitPath(path);
+
+  const candidates = compiled
+    .filter((entry) => matches(entry, upperMethod, segments))
+    .sort(compareSpecificity);
+
+  return candidates.length > 0 ? candidates[0].policy : null;
+}
+
+module.exports = {
+  compilePolicies,
+  matchPolicy,
+};
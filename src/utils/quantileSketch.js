@@ -0,0 +1,180 @@
+/**
+ * Quantile Sketch
+ *
+ * Mergeable latency sketch with bounded relative error (DDSketch). Values
+ * are counted in logarithmic buckets, so any quantile is reported within
+ * `relativeAccuracy` of the true value and two sketches with the same
+ * accuracy merge by adding bucket counts.
+ *
+ * @module quantileSketch
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+/**
+ * Values at or below this are counted as zero (log buckets need v > 0)
+ */
+const MIN_INDEXABLE_VALUE = 1e-9;
+
+class QuantileSketch {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.relativeAccuracy=0.01] - Maximum relative error of quantiles
+   */
+  constructor(options = {}) {
+    const relativeAccuracy = options.relativeAccuracy || 0.01;
+    if (relativeAccuracy <= 0 || relativeAccuracy >= 1) {
+      throw new Error("relativeAccuracy must be between 0 and 1");
+    }
+
+    this.relativeAccuracy = relativeAccuracy;
+    this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+    this.logGamma = Math.log(this.gamma);
+    this.bins = new Map();
+    this.zeroCount = 0;
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  /**
+   * Record a value
+   * @param {number} value - Non-negative value (e.g. latency in ms)
+   * @param {number} [weight=1] - Number of occurrences
+   */
+  add(value, weight = 1) {
+    if (!Number.isFinite(value) || value < 0) {
+      return;
+    }
+
+    if (value <= MIN_INDEXABLE_VALUE) {
+      this.zeroCount += weight;
+    } else {
+      const index = Math.ceil(Math.log(value) / this.logGamma);
+      this.bins.set(index, (this.bins.get(index) || 0) + weight);
+    }
+
+    this.count += weight;
+    this.sum += value * weight;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+  }
+
+  /**
+   * Fold another sketch into this one
+   * @param {QuantileSketch} other - Sketch with the same relative accuracy
+   * @returns {QuantileSketch} This sketch
+   */
+  merge(other) {
+    if (other.relativeAccuracy !== this.relativeAccuracy) {
+      throw new Error("Cannot merge sketches with different relative accuracy");
+    }
+
+    for (const [index, count] of other.bins) {
+      this.bins.set(index, (this.bins.get(index) || 0) + count);
+    }
+    this.zeroCount += other.zeroCount;
+    this.count += other.count;
+    this.sum += other.sum;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    return this;
+  }
+
+  /**
+   * Estimate a quantile
+   * @param {number} q - Quantile in [0, 1]
+   * @returns {number|null} Estimated value, or null when empty
+   */
+  quantile(q) {
+    return this.quantiles([q])[0];
+  }
+
+  /**
+   * Estimate several quantiles in one pass over the bins
+   * @param {Array<number>} qs - Quantiles in [0, 1]
+   * @returns {Array<number|null>} Estimates in the order requested
+   */
+  quantiles(qs) {
+    if (this.count === 0) {
+      return qs.map(() => null);
+    }
+
+    const indexes = [...this.bins.keys()].sort((a, b) => a - b);
+
+    return qs.map((q) => {
+      if (q <= 0) return this.min;
+      if (q >= 1) return this.max;
+
+      // Nearest rank: the smallest value with at least q of all values at
+      // or below it
+      const rank = Math.max(1, Math.ceil(q * this.count));
+      let seen = this.zeroCount;
+      if (seen >= rank) {
+        return 0;
+      }
+
+      for (const index of indexes) {
+        seen += this.bins.get(index);
+        if (seen >= rank) {
+          // Midpoint of the bucket (gamma^(i-1), gamma^i] in relative
+          // terms, clamped to the observed range
+          const estimate =
+            (2 * Math.pow(this.gamma, index)) / (this.gamma + 1);
+          return Math.min(this.max, Math.max(this.min, estimate));
+        }
+      }
+
+      return this.max;
+    });
+  }
+
+  /**
+   * Mean of the recorded values
+   * @returns {number|null} Mean, or null when empty
+   */
+  mean() {
+    return this.count > 0 ? this.sum / this.count : null;
+  }
+
+  /**
+   * Serialize for transfer to another node
+   * @returns {Object} Plain object accepted by QuantileSketch.fromJSON
+   */
+  toJSON() {
+    return {
+      relativeAccuracy: this.relativeAccuracy,
+      count: this.count,
+      sum: this.sum,
+      min: this.count > 0 ? this.min : null,
+      max: this.count > 0 ? this.max : null,
+      zeroCount: this.zeroCount,
+      bins: [...this.bins],
+    };
+  }
+
+  /**
+   * Rebuild a sketch serialized with toJSON
+   * @param {Object} data - Serialized sketch
+   * @returns {QuantileSketch} Sketch
+   */
+  static fromJSON(data) {
+    if (!data || !Array.isArray(data.bins)) {
+      throw new Error("Invalid serialized sketch");
+    }
+
+    const sketch = new QuantileSketch({
+      relativeAccuracy: data.relativeAccuracy,
+    });
+    data.bins.forEach(([index, count]) => sketch.bins.set(index, count));
+    sketch.zeroCount = data.zeroCount || 0;
+    sketch.count = data.count || 0;
+    sketch.sum = data.sum || 0;
+    sketch.min = typeof data.min === "number" ? data.min : Infinity;
+    sketch.max = typeof data.max === "number" ? data.max : -Infinity;
+    return sketch;
+  }
+}
+
+module.exports = QuantileSketch;
@@ -0,0 +1,218 @@
+/**
+ * Adaptive Controller Tests
+ *
+ * Unit tests for the AIMD and PID controllers, their smoothing and the
+ * decisions they expose, and the controller adaptation mode
+ *
+ * @module tests
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const request = require("supertest");
+const config = require("../src/config/default");
+const AdaptiveController = require("../src/services/adaptiveController");
+const { DAASRAlgorithm } = require("../src/middleware/daasr");
+
+describe("Adaptive Controller Tests", () => {
+  let expect;
+  let originalStorePath;
+  let clock;
+  let controller;
+
+  const defaults = config.get("controller");
+
+  /**
+   * Traffic statistics with a p95 latency and error rate
+   */
+  const stats = (p95, errorRate = 0) => ({
+    latencyPercentiles: { p50: p95 / 2, p95 },
+    errorRate,
+  });
+
+  /**
+   * Advance the clock one interval and read the factor
+   */
+  const step = (readings, settings = defaults) => {
+    clock += settings.interval;
+    return controller.getFactor(readings, settings);
+  };
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+
+    // Keep runtime config changes made by tests out of the store file
+    originalStorePath = config.storePath;
+    config.storePath = null;
+  });
+
+  after(() => {
+    config.storePath = originalStorePath;
+  });
+
+  beforeEach(() => {
+    clock = Date.UTC(2026, 0, 1);
+    controller = new AdaptiveController({ now: () => clock });
+  });
+
+  describe("AIMD", () => {
+    it("should decrease multiplicatively while the target is missed", () => {
+      expect(step(stats(2000))).to.be.closeTo(0.7, 1e-9);
+      expect(step(stats(2000))).to.be.closeTo(0.49, 1e-9);
+      for (let i = 0; i < 20; i++) step(stats(2000));
+      expect(controller.factor).to.equal(defaults.minFactor);
+    });
+
+    it("should increase additively back to the ceiling", () => {
+      const settings = { ...defaults, smoothing: 1 };
+      step(stats(2000), settings);
+      expect(step(stats(100), settings)).to.be.closeTo(0.75, 1e-9);
+      expect(step(stats(100), settings)).to.be.closeTo(0.8, 1e-9);
+      for (let i = 0; i < 20; i++) step(stats(100), settings);
+      expect(controller.factor).to.equal(defaults.maxFactor);
+    });
+
+    it("should react to the error rate target", () => {
+      step(stats(100, 0.2));
+
+      const [decision] = controller.getDecisions(1);
+      expect(decision).to.include({ action: "decrease" });
+      expect(decision.reason).to.equal("error rate 20% over target 5%");
+    });
+
+    it("should only adjust once per interval", () => {
+      step(stats(2000));
+      clock += defaults.interval / 2;
+      controller.getFactor(stats(2000), defaults);
+
+      expect(controller.adjustments).to.equal(1);
+      expect(controller.factor).to.be.closeTo(0.7, 1e-9);
+    });
+
+    it("should smooth out single spikes", () => {
+      step(stats(100));
+      step(stats(900));
+
+      const [decision] = controller.getDecisions(1);
+      expect(decision.smoothedLatency).to.equal(340);
+      expect(decision.action).to.equal("hold"); // already at the ceiling
+      expect(decision.reason).to.equal("p95 latency 340ms within target 500ms");
+    });
+
+    it("should hold without latency samples", () => {
+      step({ latencyPercentiles: { p95: null }, errorRate: 0 });
+
+      expect(controller.getDecisions(1)[0]).to.include({
+        action: "hold",
+        reason: "no p95 latency samples",
+        factor: 1,
+      });
+    });
+  });
+
+  describe("PID", () => {
+    const pid = { ...defaults, algorithm: "pid", smoothing: 1 };
+
+    it("should scale the factor with the distance from the target", () => {
+      const slightly = step(stats(600), pid);
+      controller.reset();
+      const far = step(stats(1500), pid);
+
+      expect(slightly).to.be.below(1);
+      expect(far).to.be.below(slightly);
+      expect(far).to.be.at.least(pid.minFactor);
+    });
+
+    it("should settle near the target under steady load", () => {
+      // Latency falls as the factor sheds load
+      let factor = 1;
+      for (let i = 0; i < 60; i++) {
+        factor = step(stats(400 + 400 * factor), pid);
+      }
+
+      expect(controller.smoothedLatency).to.be.closeTo(500, 25);
+      expect(factor).to.be.closeTo(0.25, 0.07);
+    });
+
+    it("should recover promptly after a long overload", () => {
+      for (let i = 0; i < 50; i++) step(stats(5000), pid);
+      expect(controller.factor).to.equal(pid.minFactor);
+
+      step(stats(100), pid);
+      step(stats(100), pid);
+      expect(controller.factor).to.equal(pid.maxFactor);
+    });
+  });
+
+  describe("Observability", () => {
+    it("should expose state and decisions, newest first", () => {
+      const seen = [];
+      controller.on("decision", (decision) => seen.push(decision));
+
+      step(stats(2000));
+      step(stats(2000));
+
+      const state = controller.getState();
+      expect(state).to.include({ algorithm: "aimd", adjustments: 2 });
+      expect(state.factor).to.equal(0.49);
+      expect(state.lastDecision).to.deep.equal(seen[1]);
+      expect(controller.getDecisions().map((d) => d.factor)).to.deep.equal([
+        0.49, 0.7,
+      ]);
+      expect(seen[0]).to.include({
+        previousFactor: 1,
+        factor: 0.7,
+        latency: 2000,
+        pressure: 4,
+      });
+    });
+  });
+
+  describe("Controller Mode", () => {
+    let originalMode;
+
+    beforeEach(() => {
+      originalMode = config.get("adaptationMode");
+    });
+
+    afterEach(() => {
+      config.set("adaptationMode", originalMode);
+    });
+
+    it("should replace the traffic curves with the controller", () => {
+      const daasr = new DAASRAlgorithm({ controller });
+      const overloaded = { ...stats(2000), requestsPerSecond: 10 };
+
+      expect(daasr.calculateTrafficMultiplier(overloaded)).to.equal(1.0);
+      config.set("adaptationMode", "controller");
+      expect(daasr.calculateTrafficMultiplier(overloaded)).to.be.closeTo(
+        0.7,
+        1e-9
+      );
+    });
+
+    it("should serve the controller state", async () => {
+      const originalAuth = config.get("auth");
+      config.set("auth", { ...originalAuth, enabled: false });
+      try {
+        const app = express();
+        app.use("/api", require("../src/routes/api"));
+
+        const response = await request(app)
+          .get("/api/controller?limit=5")
+          .expect(200);
+        expect(response.body.data).to.include.keys(
+          "mode",
+          "settings",
+          "state",
+          "decisions"
+        );
+        expect(response.body.data.settings.latencyPercentile).to.equal("p95");
+      } finally {
+        config.set("auth", originalAuth);
+      }
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Alerting Tests
+ *
+ * Unit tests for the alerting system and the metrics resolver feeding it
+ *
+ * @module tests
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const AlertingSystem = require("../src/services/alerting");
+const MetricsResolver = require("../src/services/metricsResolver");
+const SystemMetricsCollector = require("../src/services/systemMetrics");
+const {
+  parseExpression,
+  evaluateExpression,
+  ExpressionSyntaxError,
+} = require("../src/services/alertExpressions");
+
+describe("Alerting Tests", () => {
+  let expect;
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+  });
+
+  const snapshot = {
+    timestamp: Date.now(),
+    system: {
+      cpu: { overall: 42.5, count: 4 },
+      memory: { system: { usagePercent: 63.2 } },
+      load: { load1: 1.5 },
+    },
+    process: {
+      eventLoop: { lag: 3 },
+    },
+  };
+
+  const trafficMonitor = {
+    getCurrentStats: () => ({
+      requestsPerSecond: 12,
+      averageResponseTime: 250,
+      errorRate: 0.07,
+    }),
+  };
+
+  describe("Metrics Resolver", () => {
+    let systemMetrics;
+    let resolver;
+
+    beforeEach(() => {
+      systemMetrics = new SystemMetricsCollector();
+      resolver = new MetricsResolver({ systemMetrics, trafficMonitor });
+      resolver.observe(snapshot);
+    });
+
+    it("should resolve system and process paths", () => {
+      expect(resolver.resolve("system.cpu.overall")).to.equal(42.5);
+      expect(resolver.resolve("system.load.load1")).to.equal(1.5);
+      expect(resolver.resolve("process.eventLoop.lag")).to.equal(3);
+    });
+
+    it("should resolve the memory alias used by default rules", () => {
+      expect(resolver.resolve("system.memory.usagePercent")).to.equal(63.2);
+    });
+
+    it("should resolve application metrics from traffic stats", () => {
+      expect(resolver.resolve("application.response_time")).to.equal(250);
+      expect(resolver.resolve("application.error_rate")).to.be.closeTo(7, 1e-9);
+    });
+
+    it("should resolve custom metrics to their latest value", () => {
+      systemMetrics.addCustomMetric("queue_depth", 3);
+      systemMetrics.addCustomMetric("queue_depth", 8);
+
+      expect(resolver.resolve("queue_depth")).to.equal(8);
+    });
+
+    it("should fall back to the collector when no snapshot was pushed", () => {
+      const fresh = new MetricsResolver({ systemMetrics, trafficMonitor });
+      expect(fresh.resolve("system.cpu.overall")).to.equal(null);
+
+      systemMetrics.addMetric("system", snapshot.system, Date.now());
+      expect(fresh.resolve("system.cpu.overall")).to.equal(42.5);
+    });
+
+    it("should report unknown paths as errors", () => {
+      expect(() => resolver.resolve("system.cpu.bogus")).to.throw(
+        MetricsResolver.UnknownMetricError
+      );
+      expect(() => resolver.resolve("application.nope")).to.throw(
+        "Unknown metric: application.nope"
+      );
+      expect(() => resolver.resolve("not_a_metric")).to.throw(
+        MetricsResolver.UnknownMetricError
+      );
+    });
+  });
+
+  describe("Rule Evaluation", () => {
+    let alerting;
+
+    beforeEach(() => {
+      alerting = new AlertingSystem({
+        metricsResolver: new MetricsResolver({ trafficMonitor }),
+      });
+      alerting.sendNotifications = async () => {};
+      alerting.sendResolutionNotification = async () => {};
+    });
+
+    it("should evaluate rules against metrics pushed as events", () => {
+      alerting.emit("systemMetrics", {
+        ...snapshot,
+        system: { ...snapshot.system, cpu: { overall: 97 } },
+      });
+      alerting.checkAlerts();
+
+      const active = alerting.getActiveAlerts().map((alert) => alert.ruleId);
+      expect(active).to.include("critical_cpu_usage");
+      expect(active).to.include("high_error_rate");
+      expect(active).to.not.include("high_memory_usage");
+    });
+
+    it("should record and emit errors for unknown metrics", () => {
+      const errors = [];
+      alerting.on("ruleError", (event) => errors.push(event));
+      alerting.addRule({
+        id: "broken",
+        name: "Broken",
+        metric: "system.cpu.typo",
+        threshold: 1,
+      });
+
+      alerting.emit("systemMetrics", snapshot);
+      alerting.checkAlerts();
+
+      expect(alerting.rules.get("broken").lastError).to.equal(
+        "Unknown metric: system.cpu.typo"
+      );
+      expect(errors.map((event) => event.ruleId)).to.deep.equal(["broken"]);
+    });
+
+    it("should skip rules until a sample is available", () => {
+      alerting.checkAlerts();
+
+      expect(alerting.rules.get("high_cpu_usage").lastError).to.equal(null);
+      expect(alerting.getActiveAlerts()).to.have.lengthOf(1); // error rate only
+    });
+  });
+
+  describe("Rule Expressions", () => {
+    let systemMetrics;
+    let resolver;
+    const now = Date.now();
+
+    const evaluate = (source) =>
+      evaluateExpression(parseExpression(source), { resolver, now });
+
+    beforeEach(() => {
+      systemMetrics = new SystemMetricsCollector();
+      resolver = new MetricsResolver({ systemMetrics, trafficMonitor });
+
+      [60, 70, 80, 90].forEach((overall, i) => {
+        systemMetrics.addMetric(
+          "system",
+          { cpu: { overall } },
+          now - (4 - i) * 30000
+        );
+      });
+
+      const record = (name, value, labels, age) => {
+        systemMetrics.addCustomMetric(name, value, labels);
+        const series = systemMetrics.getCustomMetricSeries(name);
+        series[series.length - 1].timestamp = now - age;
+      };
+      for (let i = 0; i < 60; i++) {
+        record("http_requests_total", 1, { status_code: "200" }, i * 1000);
+      }
+      for (let i = 0; i < 6; i++) {
+        record("http_requests_total", 1, { status_code: "503" }, i * 1000);
+      }
+      [100, 200, 300, 400, 1000].forEach((duration, i) => {
+        record(
+          "http_request_duration_ms",
+          duration,
+          { endpoint: "/protected/data" },
+          i * 1000
+        );
+      });
+      record("http_request_duration_ms", 5000, { endpoint: "/other" }, 0);
+    });
+
+    it("should average a range of collector samples", () => {
+      const result = evaluate("avg_over_time(system.cpu.overall[5m]) > 70");
+      expect(result).to.deep.equal({ value: 75, matched: true });
+    });
+
+    it("should only include samples inside the range", () => {
+      expect(evaluate("max_over_time(system.cpu.overall[1m])").value).to.equal(
+        90
+      );
+    });
+
+    it("should compute per-second rates of event series", () => {
+      expect(evaluate("rate(http_requests_total[1m])").value).to.equal(1.1);
+    });
+
+    it("should filter by label matchers and support ratios", () => {
+      const result = evaluate(
+        'rate(http_requests_total{status_code=~"5.."}[1m]) / rate(http_requests_total[1m]) > 0.05'
+      );
+      expect(result.value).to.be.closeTo(6 / 66, 1e-9);
+      expect(result.matched).to.be.true;
+    });
+
+    it("should compute percentiles over labelled series", () => {
+      const result = evaluate(
+        'p95(http_request_duration_ms{endpoint="/protected/data"}[5m])'
+      );
+      expect(result.value).to.be.closeTo(880, 1e-9);
+    });
+
+    it("should combine conditions with and/or", () => {
+      expect(
+        evaluate("system.cpu.overall > 85 and application.error_rate > 5")
+          .matched
+      ).to.be.true;
+      expect(
+        evaluate("system.cpu.overall > 95 or application.response_time < 100")
+          .matched
+      ).to.be.false;
+      expect(evaluate("not (1 + 2 * 3 == 7)").matched).to.be.false;
+    });
+
+    it("should treat missing data as no result", () => {
+      const result = evaluate(
+        'avg_over_time(http_request_duration_ms{endpoint="/none"}[1m]) > 1'
+      );
+      expect(result.matched).to.equal(null);
+    });
+
+    it("should reject invalid expressions with a position", () => {
+      const invalid = [
+        "avg_over_time(system.cpu.overall) > 80",
+        "system.cpu.overall[5m] > 80",
+        "unknown_fn(system.cpu.overall[5m])",
+        "rate(http_requests_total[5x])",
+        "system.cpu.overall >",
+        "p95(http_request_duration_ms{endpoint=/x}[5m])",
+      ];
+
+      invalid.forEach((source) => {
+        expect(() => parseExpression(source), source).to.throw(
+          ExpressionSyntaxError,
+          /at position \d+/
+        );
+      });
+    });
+
+    it("should report parse errors when a rule is added", () => {
+      const alerting = new AlertingSystem();
+
+      expect(() =>
+        alerting.addRule({
+          id: "bad_expression",
+          name: "Bad",
+          expression: "avg_over_time(system.cpu.overall[5m] > 80",
+        })
+      ).to.throw(/Invalid expression for alert rule bad_expression/);
+      expect(alerting.rules.has("bad_expression")).to.be.false;
+    });
+
+    it("should fire expression rules", () => {
+      const alerting = new AlertingSystem({ metricsResolver: resolver });
+      alerting.rules.clear();
+      alerting.sendNotifications = async () => {};
+      alerting.addRule({
+        id: "cpu_trend",
+        name: "CPU Trend",
+        expression: "avg_over_time(system.cpu.overall[5m]) > 70",
+        duration: 0,
+      });
+
+      alerting.checkAlerts();
+
+      const [alert] = alerting.getActiveAlerts();
+      expect(alert.ruleId).to.equal("cpu_trend");
+      expect(alert.currentValue).to.equal(75);
+      expect(alerting.formatAlertMessage(alert)).to.include("value 75");
+    });
+  });
+});
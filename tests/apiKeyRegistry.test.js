@@ -0,0 +1,282 @@
+/**
+ * API Key Registry Tests
+ *
+ * Unit tests for issuing, verifying, rotating and revoking API keys, their
+ * persistence, and the admin endpoints
+ *
+ * @module tests
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+const apiKeyRegistry = require("../src/services/apiKeyRegistry");
+const auditLog = require("../src/services/auditLog");
+
+const { ApiKeyRegistry, hashKey } = apiKeyRegistry;
+
+describe("API Key Registry Tests", () => {
+  let expect;
+  let tempDir;
+  let filePath;
+  let clock;
+  let registry;
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "daasr-keys-"));
+    filePath = path.join(tempDir, "api-keys.json");
+    clock = 1000000;
+    registry = new ApiKeyRegistry({ filePath, now: () => clock });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe("Issuing and Verification", () => {
+    it("should store only the hash of an issued key", () => {
+      const { key, record } = registry.issue({
+        owner: "acme",
+        tier: "premium",
+      });
+
+      expect(record).to.include({ owner: "acme", tier: "premium" });
+      expect(record.status).to.equal("active");
+      expect(record).to.not.have.property("hash");
+
+      const stored = fs.readFileSync(filePath, "utf8");
+      expect(stored).to.not.include(key);
+      expect(stored).to.include(hashKey(key));
+    });
+
+    it("should verify issued keys and reject unknown ones", () => {
+      const { key, record } = registry.issue({ owner: "acme" });
+
+      expect(registry.verify(key).id).to.equal(record.id);
+      expect(registry.verify(`${key}x`)).to.equal(null);
+      expect(registry.verify(undefined)).to.equal(null);
+    });
+
+    it("should reject keys after they expire", () => {
+      const { key } = registry.issue({
+        owner: "acme",
+        expiresAt: clock + 5000,
+      });
+
+      expect(registry.verify(key)).to.not.equal(null);
+      clock += 5000;
+      expect(registry.verify(key)).to.equal(null);
+      expect(registry.list()[0].status).to.equal("expired");
+    });
+
+    it("should validate the owner, tier and expiry", () => {
+      expect(() => registry.issue({})).to.throw("owner is required");
+      expect(() => registry.issue({ owner: "acme", tier: "gold" })).to.throw(
+        "Unknown API key tier"
+      );
+      expect(() =>
+        registry.issue({ owner: "acme", expiresAt: "someday" })
+      ).to.throw("Invalid API key expiry");
+      expect(() => registry.issue({ owner: "acme", role: "root" })).to.throw(
+        "Unknown API key role"
+      );
+    });
+  });
+
+  describe("Revocation and Rotation", () => {
+    it("should reject revoked keys", () => {
+      const { key, record } = registry.issue({ owner: "acme" });
+
+      expect(registry.revoke(record.id).status).to.equal("revoked");
+      expect(registry.verify(key)).to.equal(null);
+      expect(registry.revoke("missing")).to.equal(null);
+    });
+
+    it("should revoke the old key when rotating without a grace period", () => {
+      const old = registry.issue({ owner: "acme", tier: "enterprise" });
+      const rotated = registry.rotate(old.record.id);
+
+      expect(rotated.record).to.include({ owner: "acme", tier: "enterprise" });
+      expect(registry.verify(old.key)).to.equal(null);
+      expect(registry.verify(rotated.key).id).to.equal(rotated.record.id);
+      expect(registry.get(old.record.id).rotatedTo).to.equal(rotated.record.id);
+    });
+
+    it("should keep the old key valid during the grace period", () => {
+      const old = registry.issue({ owner: "acme" });
+      registry.rotate(old.record.id, { gracePeriodMs: 60000 });
+
+      clock += 59999;
+      expect(registry.verify(old.key)).to.not.equal(null);
+      clock += 1;
+      expect(registry.verify(old.key)).to.equal(null);
+    });
+
+    it("should not rotate revoked keys", () => {
+      const { record } = registry.issue({ owner: "acme" });
+      registry.revoke(record.id);
+
+      expect(() => registry.rotate(record.id)).to.throw("is revoked");
+      expect(registry.rotate("missing")).to.equal(null);
+    });
+  });
+
+  describe("Persistence and Tiers", () => {
+    it("should reload keys from the registry file", () => {
+      const { key, record } = registry.issue({ owner: "acme" });
+      registry.issue({ owner: "globex" });
+      registry.revoke(record.id);
+
+      const reloaded = new ApiKeyRegistry({ filePath, now: () => clock });
+      expect(reloaded.list()).to.have.lengthOf(2);
+      expect(reloaded.list({ includeRevoked: false })).to.have.lengthOf(1);
+      expect(reloaded.list({ owner: "acme" })[0].status).to.equal("revoked");
+      expect(reloaded.verify(key)).to.equal(null);
+    });
+
+    it("should keep keys another process wrote to the file", () => {
+      const server = new ApiKeyRegistry({ filePath, now: () => clock });
+      const issued = registry.issue({ owner: "acme" });
+
+      // The server's next change merges instead of overwriting the file
+      const { record } = server.issue({ owner: "globex" });
+      server.revoke(record.id);
+
+      const reloaded = new ApiKeyRegistry({ filePath, now: () => clock });
+      expect(reloaded.list()).to.have.lengthOf(2);
+      expect(server.verify(issued.key)).to.include({ owner: "acme" });
+    });
+
+    it("should start empty when the registry file is corrupt", () => {
+      fs.writeFileSync(filePath, "{ not json");
+
+      const reloaded = new ApiKeyRegistry({ filePath, now: () => clock });
+      expect(reloaded.list()).to.deep.equal([]);
+
+      reloaded.issue({ owner: "acme" });
+      const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      expect(stored.keys).to.have.lengthOf(1);
+    });
+
+    it("should resolve limits from the key's tier", () => {
+      const premium = registry.issue({ owner: "acme", tier: "premium" });
+      const enterprise = registry.issue({ owner: "acme", tier: "enterprise" });
+
+      expect(registry.resolveTier(premium.key)).to.include({
+        tier: "premium",
+        maxRequests: 1000,
+        owner: "acme",
+      });
+      expect(registry.resolveTier(enterprise.key).maxRequests).to.equal(10000);
+      expect(registry.resolveTier("guess")).to.include({
+        tier: "anonymous",
+        maxRequests: 100,
+        keyId: null,
+      });
+    });
+  });
+
+  describe("Admin Endpoints", () => {
+    let app;
+    let originalState;
+    let originalAudit;
+    let adminKey;
+
+    beforeEach(() => {
+      originalState = {
+        keys: apiKeyRegistry.keys,
+        hashes: apiKeyRegistry.hashes,
+        filePath: apiKeyRegistry.filePath,
+      };
+      Object.assign(apiKeyRegistry, {
+        keys: new Map(),
+        hashes: new Map(),
+        filePath,
+      });
+      originalAudit = {
+        entries: auditLog.entries,
+        filePath: auditLog.filePath,
+      };
+      Object.assign(auditLog, { entries: [], filePath: null });
+      adminKey = apiKeyRegistry.issue({ owner: "ops", role: "admin" }).key;
+
+      app = express();
+      app.use(express.json());
+      app.use("/api", require("../src/routes/api"));
+    });
+
+    afterEach(() => {
+      Object.assign(apiKeyRegistry, originalState);
+      Object.assign(auditLog, originalAudit);
+    });
+
+    it("should issue, list, rotate and revoke keys", async () => {
+      const issued = await request(app)
+        .post("/api/keys")
+        .set("x-api-key", adminKey)
+        .send({ owner: "acme", tier: "premium" })
+        .expect(201);
+      const { key, record } = issued.body.data;
+      expect(key).to.match(/^daasr_/);
+
+      const listed = await request(app)
+        .get("/api/keys")
+        .set("x-api-key", adminKey)
+        .expect(200);
+      expect(listed.body.data.keys).to.have.lengthOf(2);
+      expect(JSON.stringify(listed.body)).to.not.include(key);
+
+      const rotated = await request(app)
+        .post(`/api/keys/${record.id}/rotate`)
+        .set("x-api-key", adminKey)
+        .send({})
+        .expect(200);
+      expect(rotated.body.data.previous.status).to.equal("revoked");
+
+      const newId = rotated.body.data.record.id;
+      const revoked = await request(app)
+        .post(`/api/keys/${newId}/revoke`)
+        .set("x-api-key", adminKey)
+        .expect(200);
+      expect(revoked.body.data.record.status).to.equal("revoked");
+
+      expect(auditLog.entries.map((entry) => entry.action)).to.deep.equal([
+        "apiKey.issue",
+        "apiKey.rotate",
+        "apiKey.revoke",
+      ]);
+      expect(auditLog.entries[1].before.status).to.equal("active");
+      expect(auditLog.entries[1].after.rotatedTo).to.equal(newId);
+    });
+
+    it("should reject invalid requests", async () => {
+      await request(app)
+        .post("/api/keys")
+        .set("x-api-key", adminKey)
+        .send({ tier: "premium" })
+        .expect(400);
+      await request(app)
+        .post("/api/keys")
+        .set("x-api-key", adminKey)
+        .send({ owner: "acme", role: "root" })
+        .expect(400);
+      await request(app)
+        .post("/api/keys/missing/rotate")
+        .set("x-api-key", adminKey)
+        .expect(404);
+      await request(app)
+        .post("/api/keys/missing/revoke")
+        .set("x-api-key", adminKey)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Audit Log Tests
+ *
+ * Unit tests for recording, reloading and querying audit entries, and the
+ * audit trail left by the admin endpoints
+ *
+ * @module tests
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+const config = require("../src/config/default");
+const auditLog = require("../src/services/auditLog");
+const apiKeyRegistry = require("../src/services/apiKeyRegistry");
+const blocklistManager = require("../src/services/blocklistManager");
+
+const { AuditLog } = auditLog;
+
+describe("Audit Log Tests", () => {
+  let expect;
+  let originalStorePath;
+  let tempDir;
+  let filePath;
+  let clock;
+  let log;
+
+  const actor = { subject: "apikey:abc", owner: "ops", role: "admin" };
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+
+    // Keep runtime config changes made by tests out of the store file
+    originalStorePath = config.storePath;
+    config.storePath = null;
+  });
+
+  after(() => {
+    config.storePath = originalStorePath;
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "daasr-audit-"));
+    filePath = path.join(tempDir, "audit.jsonl");
+    clock = Date.UTC(2026, 0, 1);
+    log = new AuditLog({ filePath, now: () => clock });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe("Recording", () => {
+    it("should append entries as JSON lines", () => {
+      log.record({
+        actor,
+        action: "config.update",
+        target: "baseRateLimit",
+        before: 100,
+        after: 50,
+      });
+      clock += 1000;
+      log.record({ actor, action: "stats.reset", target: "traffic" });
+
+      const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+      expect(lines).to.have.lengthOf(2);
+      expect(JSON.parse(lines[0])).to.include({
+        id: 1,
+        timestamp: "2026-01-01T00:00:00.000Z",
+        action: "config.update",
+        before: 100,
+        after: 50,
+      });
+      expect(JSON.parse(lines[1])).to.include({ id: 2, before: null });
+    });
+
+    it("should continue from the entries already in the file", () => {
+      log.record({ actor, action: "blocklist.add", target: "10.0.0.1" });
+      fs.appendFileSync(filePath, '{"id": 2, "truncat\n');
+
+      const reloaded = new AuditLog({ filePath, now: () => clock });
+      expect(reloaded.entries).to.have.lengthOf(1);
+      expect(reloaded.record({ actor, action: "stats.reset" }).id).to.equal(2);
+    });
+
+    it("should require an action", () => {
+      expect(() => log.record({ actor })).to.throw("action is required");
+    });
+  });
+
+  describe("Querying", () => {
+    beforeEach(() => {
+      const other = { subject: "sub:ci", owner: "sub:ci", role: "operator" };
+      log.record({ actor, action: "config.update", target: "windowSize" });
+      clock += 60000;
+      log.record({ actor: other, action: "blocklist.add", target: "1.2.3.4" });
+      clock += 60000;
+      log.record({ actor, action: "blocklist.remove", target: "1.2.3.4" });
+      clock += 60000;
+      log.record({ actor: other, action: "stats.reset", target: "traffic" });
+    });
+
+    it("should return the newest entries first", () => {
+      const page = log.query();
+      expect(page.total).to.equal(4);
+      expect(page.entries.map((entry) => entry.id)).to.deep.equal([
+        4, 3, 2, 1,
+      ]);
+    });
+
+    it("should filter by action, actor, target and time", () => {
+      const ids = (filters) => log.query(filters).entries.map((e) => e.id);
+
+      expect(ids({ action: "blocklist" })).to.deep.equal([3, 2]);
+      expect(ids({ action: "stats.reset,config.update" })).to.deep.equal([
+        4, 1,
+      ]);
+      expect(ids({ actor: "ops" })).to.deep.equal([3, 1]);
+      expect(ids({ actor: "sub:ci" })).to.deep.equal([4, 2]);
+      expect(ids({ target: "1.2.3.4" })).to.deep.equal([3, 2]);
+      expect(
+        ids({
+          since: "2026-01-01T00:01:00.000Z",
+          until: String(Date.UTC(2026, 0, 1, 0, 2)),
+        })
+      ).to.deep.equal([3, 2]);
+    });
+
+    it("should paginate", () => {
+      const page = log.query({ limit: "2", offset: "1" });
+      expect(page).to.include({ total: 4, limit: 2, offset: 1 });
+      expect(page.entries.map((entry) => entry.id)).to.deep.equal([3, 2]);
+      expect(log.query({ limit: 5000 }).limit).to.equal(1000);
+    });
+
+    it("should export matching entries as JSON lines", () => {
+      const lines = log.toJsonl({ action: "blocklist" }).trim().split("\n");
+      expect(lines.map((line) => JSON.parse(line).id)).to.deep.equal([2, 3]);
+    });
+  });
+
+  describe("Admin Endpoints", () => {
+    let app;
+    let originalAudit;
+    let originalKeys;
+    let originalLimit;
+    let adminKey;
+
+    beforeEach(() => {
+      originalAudit = {
+        entries: auditLog.entries,
+        filePath: auditLog.filePath,
+      };
+      Object.assign(auditLog, { entries: [], filePath });
+      originalKeys = {
+        keys: apiKeyRegistry.keys,
+        hashes: apiKeyRegistry.hashes,
+        filePath: apiKeyRegistry.filePath,
+      };
+      Object.assign(apiKeyRegistry, {
+        keys: new Map(),
+        hashes: new Map(),
+        filePath: null,
+      });
+      originalLimit = config.get("baseRateLimit");
+      adminKey = apiKeyRegistry.issue({ owner: "ops", role: "admin" }).key;
+
+      app = express();
+      app.use(express.json());
+      app.use("/api", require("../src/routes/api"));
+    });
+
+    afterEach(() => {
+      Object.assign(auditLog, originalAudit);
+      Object.assign(apiKeyRegistry, originalKeys);
+      config.set("baseRateLimit", originalLimit);
+      blocklistManager.remove("10.9.9.9");
+    });
+
+    it("should record who changed what with before and after", async () => {
+      await request(app)
+        .post("/api/config")
+        .set("x-api-key", adminKey)
+        .send({ key: "baseRateLimit", value: originalLimit + 1 })
+        .expect(200);
+
+      const [entry] = auditLog.entries;
+      expect(entry).to.include({
+        action: "config.update",
+        target: "baseRateLimit",
+        before: originalLimit,
+        after: originalLimit + 1,
+      });
+      expect(entry.actor).to.include({ owner: "ops", role: "admin" });
+      expect(fs.readFileSync(filePath, "utf8")).to.include("config.update");
+    });
+
+    it("should record blocklist changes and resets", async () => {
+      await request(app)
+        .post("/api/blocklist/add")
+        .set("x-api-key", adminKey)
+        .send({ ip: "10.9.9.9" })
+        .expect(200);
+      await request(app)
+        .post("/api/blocklist/remove")
+        .set("x-api-key", adminKey)
+        .send({ ip: "10.9.9.9" })
+        .expect(200);
+      await request(app)
+        .post("/api/reset")
+        .set("x-api-key", adminKey)
+        .expect(200);
+
+      expect(auditLog.entries.map((entry) => entry.action)).to.deep.equal([
+        "blocklist.add",
+        "blocklist.remove",
+        "stats.reset",
+      ]);
+      expect(auditLog.entries[0]).to.deep.include({
+        target: "10.9.9.9",
+        before: { blocked: false },
+        after: { blocked: true },
+      });
+    });
+
+    it("should mask secrets in recorded config values", async () => {
+      const auth = config.get("auth");
+      try {
+        await request(app)
+          .post("/api/config")
+          .set("x-api-key", adminKey)
+          .send({ key: "auth", value: { ...auth, sessionSecret: "s3cret" } })
+          .expect(200);
+      } finally {
+        config.set("auth", auth);
+      }
+
+      expect(auditLog.entries[0].after.sessionSecret).to.equal("[redacted]");
+      expect(fs.readFileSync(filePath, "utf8")).to.not.include("s3cret");
+    });
+
+    it("should serve filtered pages and JSONL exports", async () => {
+      await request(app)
+        .post("/api/reset")
+        .set("x-api-key", adminKey)
+        .expect(200);
+      await request(app)
+        .post("/api/blocklist/add")
+        .set("x-api-key", adminKey)
+        .send({ ip: "10.9.9.9" })
+        .expect(200);
+
+      const page = await request(app)
+        .get("/api/audit?action=blocklist&limit=10")
+        .set("x-api-key", adminKey)
+        .expect(200);
+      expect(page.body.data.total).to.equal(1);
+      expect(page.body.data.entries[0].target).to.equal("10.9.9.9");
+
+      const exported = await request(app)
+        .get("/api/audit/export")
+        .set("x-api-key", adminKey)
+        .expect("Content-Type", /application\/x-ndjson/)
+        .expect(200);
+      const lines = exported.text.trim().split("\n").map(JSON.parse);
+      expect(lines.map((entry) => entry.action)).to.deep.equal([
+        "stats.reset",
+        "blocklist.add",
+      ]);
+
+      await request(app).get("/api/audit").expect(401);
+    });
+  });
+});
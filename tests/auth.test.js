@@ -0,0 +1,238 @@
+/**
+ * Admin API Authentication Tests
+ *
+ * Tests for role-based access control on the admin API: API keys, session
+ * tokens from the login endpoint and role-carrying JWTs
+ *
+ * @module tests
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const request = require("supertest");
+const config = require("../src/config/default");
+const apiKeyRegistry = require("../src/services/apiKeyRegistry");
+const auditLog = require("../src/services/auditLog");
+const { hasRole } = require("../src/middleware/auth");
+const { signJwt } = require("../src/utils/jwt");
+
+describe("Admin API Authentication Tests", () => {
+  let expect;
+  let originalStorePath;
+  let app;
+  let originalState;
+  let originalAudit;
+  let originalAuth;
+  let originalClientKey;
+  let keys;
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+
+    // Keep runtime config changes made by tests out of the store file
+    originalStorePath = config.storePath;
+    config.storePath = null;
+  });
+
+  after(() => {
+    config.storePath = originalStorePath;
+  });
+
+  beforeEach(() => {
+    originalState = {
+      keys: apiKeyRegistry.keys,
+      hashes: apiKeyRegistry.hashes,
+      filePath: apiKeyRegistry.filePath,
+    };
+    Object.assign(apiKeyRegistry, {
+      keys: new Map(),
+      hashes: new Map(),
+      filePath: null,
+    });
+    originalAudit = { entries: auditLog.entries, filePath: auditLog.filePath };
+    Object.assign(auditLog, { entries: [], filePath: null });
+    originalAuth = config.get("auth");
+    originalClientKey = config.get("clientKey");
+    config.set("auth", { ...originalAuth, enabled: true });
+
+    keys = {};
+    ["viewer", "operator", "admin"].forEach((role) => {
+      keys[role] = apiKeyRegistry.issue({ owner: role, role });
+    });
+    keys.client = apiKeyRegistry.issue({ owner: "client" });
+
+    app = express();
+    app.use(express.json());
+    app.use("/api", require("../src/routes/api"));
+  });
+
+  afterEach(() => {
+    Object.assign(apiKeyRegistry, originalState);
+    Object.assign(auditLog, originalAudit);
+    config.set("auth", originalAuth);
+    config.set("clientKey", originalClientKey);
+  });
+
+  describe("Roles", () => {
+    it("should rank roles from viewer to admin", () => {
+      expect(hasRole("admin", "operator")).to.equal(true);
+      expect(hasRole("operator", "operator")).to.equal(true);
+      expect(hasRole("viewer", "operator")).to.equal(false);
+      expect(hasRole(null, "viewer")).to.equal(false);
+    });
+  });
+
+  describe("API Keys", () => {
+    it("should answer 401 without credentials", async () => {
+      const response = await request(app)
+        .post("/api/reset")
+        .expect(401);
+
+      expect(response.body.code).to.equal("AUTH_REQUIRED");
+      expect(response.headers["www-authenticate"]).to.include("Bearer");
+    });
+
+    it("should answer 401 for unknown or revoked keys", async () => {
+      const unknown = await request(app)
+        .post("/api/reset")
+        .set("x-api-key", "daasr_guess")
+        .expect(401);
+      expect(unknown.body.code).to.equal("INVALID_CREDENTIALS");
+
+      apiKeyRegistry.revoke(keys.operator.record.id);
+      await request(app)
+        .post("/api/reset")
+        .set("x-api-key", keys.operator.key)
+        .expect(401);
+    });
+
+    it("should answer 403 when the role is too low", async () => {
+      const response = await request(app)
+        .post("/api/reset")
+        .set("x-api-key", keys.viewer.key)
+        .expect(403);
+
+      expect(response.body).to.include({
+        code: "INSUFFICIENT_ROLE",
+        requiredRole: "operator",
+        role: "viewer",
+      });
+
+      await request(app)
+        .post("/api/config")
+        .set("x-api-key", keys.operator.key)
+        .send({ enableLogging: true })
+        .expect(403);
+      await request(app)
+        .get("/api/config")
+        .set("x-api-key", keys.client.key)
+        .expect(403);
+    });
+
+    it("should allow roles at or above the required one", async () => {
+      await request(app)
+        .get("/api/blocklist")
+        .set("x-api-key", keys.viewer.key)
+        .expect(200);
+      await request(app)
+        .post("/api/reset")
+        .set("x-api-key", keys.operator.key)
+        .expect(200);
+      await request(app)
+        .post("/api/reset")
+        .set("x-api-key", keys.admin.key)
+        .expect(200);
+    });
+  });
+
+  describe("Sessions", () => {
+    it("should issue a session token for keys with a role", async () => {
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ apiKey: keys.operator.key })
+        .expect(200);
+      const { token, role } = login.body.data;
+      expect(role).to.equal("operator");
+
+      const me = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+      expect(me.body.data).to.include({ role: "operator", method: "session" });
+
+      await request(app)
+        .post("/api/reset")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+    });
+
+    it("should refuse to sign in without a valid key with a role", async () => {
+      await request(app).post("/api/auth/login").send({}).expect(401);
+      await request(app)
+        .post("/api/auth/login")
+        .send({ apiKey: "daasr_guess" })
+        .expect(401);
+      await request(app)
+        .post("/api/auth/login")
+        .send({ apiKey: keys.client.key })
+        .expect(403);
+    });
+
+    it("should end sessions when their key is revoked", async () => {
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ apiKey: keys.admin.key })
+        .expect(200);
+      const auth = `Bearer ${login.body.data.token}`;
+
+      await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", auth)
+        .expect(200);
+      apiKeyRegistry.revoke(keys.admin.record.id);
+
+      const response = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", auth)
+        .expect(401);
+      expect(response.body.code).to.equal("INVALID_CREDENTIALS");
+    });
+  });
+
+  describe("JWTs and Configuration", () => {
+    it("should take the role from a verified JWT", async () => {
+      const secret = "jwt-test-secret";
+      config.set("clientKey", {
+        ...originalClientKey,
+        jwt: { ...originalClientKey.jwt, secret },
+      });
+
+      await request(app)
+        .post("/api/reset")
+        .set("Authorization", `Bearer ${signJwt({ sub: "ci" }, secret)}`)
+        .expect(403);
+      await request(app)
+        .post("/api/reset")
+        .set(
+          "Authorization",
+          `Bearer ${signJwt({ sub: "ci", role: "operator" }, secret)}`
+        )
+        .expect(200);
+      await request(app)
+        .post("/api/reset")
+        .set(
+          "Authorization",
+          `Bearer ${signJwt({ sub: "ci", role: "admin" }, "wrong")}`
+        )
+        .expect(401);
+    });
+
+    it("should let every request through when auth is disabled", async () => {
+      config.set("auth", { ...originalAuth, enabled: false });
+
+      await request(app).post("/api/reset").expect(200);
+    });
+  });
+});
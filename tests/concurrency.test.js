@@ -0,0 +1,261 @@
+/**
+ * Concurrency Limiter Tests
+ *
+ * Unit tests for the in-flight limit, the priority wait queue and load
+ * shedding, and for the middleware's 503 responses
+ *
+ * @module tests
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const request = require("supertest");
+const config = require("../src/config/default");
+const MetricsRegistry = require("../src/services/metricsRegistry");
+const {
+  ConcurrencyLimiter,
+  createConcurrencyMiddleware,
+} = require("../src/middleware/concurrency");
+
+describe("Concurrency Limiter Tests", () => {
+  let expect;
+  let originalStorePath;
+  let originalSettings;
+  let limiter;
+  let settings;
+
+  const critical = { name: "critical", priority: 0 };
+  const enterprise = { name: "enterprise", priority: 1 };
+  const anonymous = { name: "anonymous", priority: 3 };
+
+  /**
+   * Metrics source reporting a fixed event loop lag
+   */
+  const lagging = (lag) => ({
+    getLatestMetric: () => ({ eventLoop: { lag, timestamp: Date.now() } }),
+  });
+
+  /**
+   * Track the outcome of a pending acquire
+   */
+  const track = (promise) => {
+    const outcome = { settled: false, reason: undefined };
+    promise.then((reason) => Object.assign(outcome, { settled: true, reason }));
+    return outcome;
+  };
+
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+
+    // Keep runtime config changes made by tests out of the store file
+    originalStorePath = config.storePath;
+    config.storePath = null;
+    originalSettings = config.get("concurrency");
+  });
+
+  after(() => {
+    config.storePath = originalStorePath;
+  });
+
+  beforeEach(() => {
+    settings = {
+      ...originalSettings,
+      maxInFlight: 2,
+      maxQueue: 2,
+      queueTimeout: 1000,
+    };
+    config.set("concurrency", settings);
+    limiter = new ConcurrencyLimiter();
+  });
+
+  afterEach(() => {
+    // Clear waiters left by a test
+    while (limiter.queue.length > 0) {
+      limiter.removeWaiter(limiter.queue[0], "queue_timeout");
+    }
+    config.set("concurrency", originalSettings);
+  });
+
+  describe("Queueing", () => {
+    it("should queue over the limit and serve higher classes first", async () => {
+      expect(await limiter.acquire(anonymous, settings)).to.equal(null);
+      expect(await limiter.acquire(anonymous, settings)).to.equal(null);
+
+      const waitingAnonymous = track(limiter.acquire(anonymous, settings));
+      const waitingEnterprise = track(limiter.acquire(enterprise, settings));
+      expect(limiter.getState()).to.include({ inFlight: 2, queued: 2 });
+
+      limiter.release();
+      await flush();
+      expect(waitingEnterprise).to.include({ settled: true, reason: null });
+      expect(waitingAnonymous.settled).to.be.false;
+
+      limiter.release();
+      await flush();
+      expect(waitingAnonymous).to.include({ settled: true, reason: null });
+      expect(limiter.inFlight).to.equal(2);
+    });
+
+    it("should shed lower classes first when the queue is full", async () => {
+      await limiter.acquire(anonymous, settings);
+      await limiter.acquire(anonymous, settings);
+      const first = track(limiter.acquire(anonymous, settings));
+      const second = track(limiter.acquire(anonymous, settings));
+
+      expect(await limiter.acquire(anonymous, settings)).to.equal("queue_full");
+
+      const urgent = track(limiter.acquire(critical, settings));
+      await flush();
+      expect(second).to.include({ settled: true, reason: "queue_full" });
+      expect(first.settled).to.be.false;
+      expect(urgent.settled).to.be.false;
+      expect(limiter.getState().queueDepths).to.deep.equal({
+        critical: 1,
+        anonymous: 1,
+      });
+      expect(limiter.shedCounts).to.deep.equal({
+        anonymous: { queue_full: 2 },
+      });
+    });
+
+    it("should shed requests that wait too long", async () => {
+      settings.queueTimeout = 5;
+      await limiter.acquire(anonymous, settings);
+      await limiter.acquire(anonymous, settings);
+
+      expect(await limiter.acquire(enterprise, settings)).to.equal(
+        "queue_timeout"
+      );
+      expect(limiter.queue).to.be.empty;
+    });
+  });
+
+  describe("Event Loop Lag", () => {
+    it("should shed one more class for each multiple of the lag limit", async () => {
+      limiter.setMetricsSource(lagging(250));
+      expect(await limiter.acquire(anonymous, settings)).to.equal(
+        "event_loop_lag"
+      );
+      expect(
+        await limiter.acquire({ name: "standard", priority: 2 }, settings)
+      ).to.equal(null);
+
+      limiter.setMetricsSource(lagging(5000));
+      expect(await limiter.acquire(enterprise, settings)).to.equal(
+        "event_loop_lag"
+      );
+      expect(await limiter.acquire(critical, settings)).to.equal(null);
+    });
+
+    it("should ignore stale lag samples", async () => {
+      limiter.setMetricsSource({
+        getLatestMetric: () => ({
+          eventLoop: { lag: 5000, timestamp: Date.now() - 3600000 },
+        }),
+      });
+      expect(await limiter.acquire(anonymous, settings)).to.equal(null);
+    });
+  });
+
+  describe("Priority Classes", () => {
+    const classify = (path, tier = "anonymous") =>
+      limiter.classify({
+        method: "GET",
+        baseUrl: "",
+        path,
+        headers: {},
+        apiKeyTier: { tier },
+      }).name;
+
+    it("should classify by path, then API key tier", () => {
+      expect(classify("/health")).to.equal("critical");
+      expect(classify("/api/config", "enterprise")).to.equal("critical");
+      expect(classify("/protected/data", "enterprise")).to.equal("enterprise");
+      expect(classify("/protected/data", "premium")).to.equal("enterprise");
+      expect(classify("/protected/data", "standard")).to.equal("standard");
+      expect(classify("/protected/data")).to.equal("anonymous");
+    });
+
+    it("should put unmatched requests in the lowest class", () => {
+      config.set("concurrency", {
+        ...settings,
+        priorityClasses: [
+          { name: "admin", paths: ["/api/*"] },
+          { name: "paid", tiers: ["enterprise"] },
+        ],
+      });
+      expect(classify("/protected/data")).to.equal("paid");
+    });
+  });
+
+  describe("Metrics", () => {
+    it("should export in-flight requests, queue depth and shed counts", async () => {
+      const registry = new MetricsRegistry();
+      limiter.registerMetrics(registry);
+
+      await limiter.acquire(anonymous, settings);
+      await limiter.acquire(anonymous, settings);
+      limiter.acquire(anonymous, settings);
+      limiter.acquire(anonymous, settings);
+      await limiter.acquire(anonymous, settings);
+
+      expect(registry.get("concurrency_in_flight").get()).to.equal(2);
+      expect(
+        registry.get("concurrency_queue_depth").get({ class: "anonymous" })
+      ).to.equal(2);
+      expect(
+        registry
+          .get("load_shed_total")
+          .get({ class: "anonymous", reason: "queue_full" })
+      ).to.equal(1);
+      expect(registry.render()).to.include(
+        'load_shed_total{class="anonymous",reason="queue_full"} 1'
+      );
+    });
+  });
+
+  describe("Middleware", () => {
+    it("should answer 503 with Retry-After when overloaded", async () => {
+      config.set("concurrency", { ...settings, maxInFlight: 1, maxQueue: 0 });
+
+      let finish;
+      const app = express();
+      app.use(createConcurrencyMiddleware({ limiter }));
+      app.get("/slow", (req, res) => {
+        finish = () => res.json({ priorityClass: req.priorityClass });
+      });
+
+      // Hold the only slot until the second request has been shed
+      const slow = request(app)
+        .get("/slow")
+        .then((response) => response);
+      while (!finish) await flush();
+
+      const shed = await request(app).get("/slow").expect(503);
+      expect(shed.headers["retry-after"]).to.equal(String(settings.retryAfter));
+      expect(shed.body).to.include({
+        error: "Service overloaded",
+        reason: "queue_full",
+        priorityClass: "anonymous",
+      });
+
+      finish();
+      expect((await slow).body.priorityClass).to.equal("anonymous");
+      expect(limiter.inFlight).to.equal(0);
+    });
+
+    it("should pass requests through when disabled", async () => {
+      config.set("concurrency", { ...settings, enabled: false });
+      const app = express();
+      app.use(createConcurrencyMiddleware({ limiter }));
+      app.get("/", (req, res) => res.json({ ok: true }));
+
+      await request(app).get("/").expect(200);
+      expect(limiter.inFlight).to.equal(0);
+    });
+  });
+});
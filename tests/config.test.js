@@ -0,0 +1,659 @@
+/**
+ * Configuration Tests
+ *
+ * Unit tests for the configuration layers (defaults, file, environment),
+ * hot reload, persisted runtime overrides with their version history and
+ * rollback, and the configuration admin endpoints
+ *
+ * @module tests
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+const config = require("../src/config/default");
+const auditLog = require("../src/services/auditLog");
+
+const { ConfigManager } = config;
+
+describe("Configuration Tests", () => {
+  let expect;
+  let tempDir;
+  let storePath;
+  let configFile;
+  let originalEnv;
+
+  /**
+   * Create a config manager reading and persisting to the temp directory
+   */
+  const createManager = () => new ConfigManager();
+
+  /**
+   * Set an environment variable until the end of the test
+   */
+  const setEnv = (name, value) => {
+    if (!(name in originalEnv)) {
+      originalEnv[name] = process.env[name];
+    }
+    process.env[name] = value;
+  };
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "daasr-config-"));
+    storePath = path.join(tempDir, "config.json");
+    configFile = path.join(tempDir, "daasr.yaml");
+    originalEnv = {};
+    setEnv("DAASR_CONFIG_STORE_PATH", storePath);
+    setEnv("DAASR_CONFIG_FILE", configFile);
+  });
+
+  afterEach(() => {
+    Object.entries(originalEnv).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe("Layers", () => {
+    it("should apply the file over defaults and env over the file", () => {
+      fs.writeFileSync(
+        configFile,
+        [
+          "baseRateLimit: 200",
+          "windowSize: 60000",
+          "clientKey:",
+          "  strategy: header",
+          "  jwt:",
+          "    issuer: daasr",
+        ].join("\n")
+      );
+      setEnv("DAASR_WINDOW_SIZE", "120000");
+      setEnv("DAASR_CLIENT_KEY_HEADER", "X-Tenant");
+
+      const manager = createManager();
+      expect(manager.get("baseRateLimit")).to.equal(200);
+      expect(manager.get("windowSize")).to.equal(120000);
+      expect(manager.get("clientKey")).to.include({
+        strategy: "header",
+        header: "x-tenant",
+      });
+      expect(manager.get("clientKey").jwt.issuer).to.equal("daasr");
+
+      manager.set("baseRateLimit", 300);
+      expect(manager.get("baseRateLimit")).to.equal(300);
+    });
+
+    it("should read JSON configuration files", () => {
+      configFile = path.join(tempDir, "daasr.json");
+      setEnv("DAASR_CONFIG_FILE", configFile);
+      fs.writeFileSync(configFile, JSON.stringify({ minRateLimit: 20 }));
+
+      expect(createManager().get("minRateLimit")).to.equal(20);
+    });
+
+    it("should keep zero and false values from the environment", () => {
+      setEnv("DAASR_CONFIG_WATCH_INTERVAL", "0");
+      setEnv("DAASR_ENABLE_CORS", "false");
+      setEnv("DAASR_API_KEY_STORE_PATH", "");
+      setEnv("DAASR_WINDOW_SIZE", "");
+
+      const manager = createManager();
+      expect(manager.get("configWatchInterval")).to.equal(0);
+      expect(manager.get("enableCors")).to.equal(false);
+      expect(manager.get("apiKeyStorePath")).to.equal("");
+      expect(manager.get("windowSize")).to.equal(900000);
+    });
+
+    it("should parse list and JSON variables", () => {
+      setEnv("DAASR_CLIENT_KEY_COMPOSITE", "ip, method");
+      setEnv(
+        "DAASR_API_KEY_TIERS",
+        JSON.stringify({ anonymous: { maxRequests: 5 } })
+      );
+
+      const manager = createManager();
+      expect(manager.get("clientKey").composite).to.deep.equal([
+        "ip",
+        "method",
+      ]);
+      expect(manager.get("apiKeyTiers")).to.deep.equal({
+        anonymous: { maxRequests: 5 },
+      });
+
+      setEnv("DAASR_API_KEY_TIERS", "{oops");
+      expect(createManager).to.throw("DAASR_API_KEY_TIERS must be valid JSON");
+    });
+
+    it("should reject invalid files and unknown settings", () => {
+      fs.writeFileSync(configFile, "baseRateLimt: 200\n");
+      expect(createManager).to.throw('"baseRateLimt" is not allowed');
+
+      fs.writeFileSync(configFile, "baseRateLimit: [\n");
+      expect(createManager).to.throw("Cannot parse");
+    });
+
+    it("should generate an env template covering every setting", () => {
+      const manager = createManager();
+      const template = manager.getEnvTemplate();
+      const variables = manager.getEnvVariables();
+
+      expect(variables.map((variable) => variable.name)).to.include.members([
+        "DAASR_BASE_RATE_LIMIT",
+        "DAASR_JWT_SECRET",
+        "DAASR_SESSION_TTL",
+        "RATE_LIMIT_STORE",
+        "REDIS_URL",
+      ]);
+      variables.forEach((variable) => {
+        expect(template).to.match(new RegExp(`^${variable.name}=`, "m"));
+      });
+
+      // Loading the template gives the defaults back
+      template
+        .split("\n")
+        .filter((line) => /^[A-Z_]+=/.test(line))
+        .forEach((line) => {
+          const [name, ...value] = line.split("=");
+          if (name !== "DAASR_CONFIG_FILE") setEnv(name, value.join("="));
+        });
+      setEnv("DAASR_CONFIG_STORE_PATH", storePath);
+      const loaded = createManager();
+      expect(loaded.get("rateLimitPolicies")).to.deep.equal(
+        manager.get("rateLimitPolicies")
+      );
+      expect(loaded.get("resourceCurves")).to.deep.equal(
+        manager.get("resourceCurves")
+      );
+      expect(loaded.get("clientKey")).to.deep.equal(manager.get("clientKey"));
+    });
+  });
+
+  describe("Hot Reload", () => {
+    it("should apply valid edits and report the changed keys", () => {
+      fs.writeFileSync(configFile, "baseRateLimit: 200\n");
+      const manager = createManager();
+      manager.set("windowSize", 60000);
+      const events = [];
+      manager.on("reload", (event) => events.push(event));
+
+      fs.writeFileSync(configFile, "baseRateLimit: 250\nminRateLimit: 20\n");
+      expect(manager.reloadFile()).to.deep.equal([
+        "baseRateLimit",
+        "minRateLimit",
+      ]);
+      expect(manager.get("baseRateLimit")).to.equal(250);
+      expect(manager.get("windowSize")).to.equal(60000);
+      expect(events[0]).to.include({ file: configFile });
+      expect(events[0].before.baseRateLimit).to.equal(200);
+    });
+
+    it("should reject bad edits and keep the running configuration", () => {
+      fs.writeFileSync(configFile, "baseRateLimit: 200\n");
+      const manager = createManager();
+      const errors = [];
+      manager.on("reloadError", (error) => errors.push(error));
+
+      fs.writeFileSync(configFile, "baseRateLimit: lots\n");
+      expect(manager.reloadFile()).to.equal(null);
+      fs.writeFileSync(configFile, "minRateLimit: 500\nmaxRateLimit: 100\n");
+      expect(manager.reloadFile()).to.equal(null);
+
+      expect(errors).to.have.lengthOf(2);
+      expect(errors[0].message).to.include("baseRateLimit");
+      expect(manager.get("baseRateLimit")).to.equal(200);
+    });
+
+    it("should reload when the watched file changes", async () => {
+      setEnv("DAASR_CONFIG_WATCH_INTERVAL", "20");
+      fs.writeFileSync(configFile, "baseRateLimit: 200\n");
+      const manager = createManager();
+
+      try {
+        expect(manager.watch()).to.equal(true);
+        const reloaded = new Promise((resolve) =>
+          manager.once("reload", resolve)
+        );
+        // Let the first poll record the original file before editing it
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        const later = new Date(Date.now() + 5000);
+        fs.writeFileSync(configFile, "baseRateLimit: 400\n");
+        fs.utimesSync(configFile, later, later);
+
+        const event = await reloaded;
+        expect(event.changed).to.deep.equal(["baseRateLimit"]);
+        expect(manager.get("baseRateLimit")).to.equal(400);
+      } finally {
+        manager.unwatch();
+      }
+    });
+  });
+
+  describe("Persistence", () => {
+    it("should keep runtime changes across restarts", () => {
+      const manager = createManager();
+      const revision = manager.set("baseRateLimit", 250);
+
+      expect(revision.version).to.equal(1);
+      expect(createManager().get("baseRateLimit")).to.equal(250);
+    });
+
+    it("should reapply runtime changes on reload", () => {
+      const manager = createManager();
+      manager.set("windowSize", 60000);
+      manager.reload();
+
+      expect(manager.get("windowSize")).to.equal(60000);
+      expect(manager.version).to.equal(1);
+    });
+
+    it("should reject a store file that no longer validates", () => {
+      fs.writeFileSync(
+        storePath,
+        JSON.stringify({ version: 1, overrides: { baseRateLimit: -5 } })
+      );
+
+      expect(createManager).to.throw("Invalid configuration overrides");
+    });
+
+    it("should not let the store path be changed at runtime", () => {
+      expect(() =>
+        createManager().set("configStorePath", "/tmp/elsewhere.json")
+      ).to.throw("cannot be changed at runtime");
+    });
+  });
+
+  describe("Atomic Updates", () => {
+    it("should apply several keys as one revision", () => {
+      const manager = createManager();
+      const revision = manager.update({
+        minRateLimit: 50,
+        baseRateLimit: 500,
+        maxRateLimit: 5000,
+      });
+
+      expect(revision.version).to.equal(1);
+      expect(manager.get("maxRateLimit")).to.equal(5000);
+      expect(Object.keys(revision.changes)).to.have.lengthOf(3);
+    });
+
+    it("should reject combinations that break limit ordering", () => {
+      const manager = createManager();
+
+      expect(() =>
+        manager.update({ minRateLimit: 500, maxRateLimit: 100 })
+      ).to.throw("minRateLimit (500) must not exceed maxRateLimit (100)");
+      expect(() => manager.set("baseRateLimit", 5000)).to.throw(
+        "baseRateLimit (5000) must be between"
+      );
+      expect(manager.version).to.equal(0);
+      expect(manager.get("minRateLimit")).to.equal(10);
+      expect(fs.existsSync(storePath)).to.equal(false);
+    });
+
+    it("should apply nothing when one key is invalid", () => {
+      const manager = createManager();
+
+      expect(() =>
+        manager.update({ baseRateLimit: 200, windowSize: "soon" })
+      ).to.throw("Invalid configuration value for windowSize");
+      expect(() => manager.update({ nope: 1 })).to.throw(
+        "Invalid configuration key: nope"
+      );
+      expect(manager.get("baseRateLimit")).to.equal(100);
+    });
+  });
+
+  describe("Cross-Field Validation", () => {
+    const paths = (violations) => violations.map((entry) => entry.path);
+
+    it("should report every violation of an update at once", () => {
+      const manager = createManager();
+
+      let error;
+      try {
+        manager.update({
+          minRateLimit: 500,
+          maxRateLimit: 100,
+          warningErrorRate: 0.3,
+          mediumTrafficThreshold: 900,
+          highTrafficThreshold: 500,
+          windowSize: "soon",
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(paths(error.violations)).to.have.members([
+        "windowSize",
+        "minRateLimit",
+        "warningErrorRate",
+        "mediumTrafficThreshold",
+        "factorCurves.requestsPerSecond.points.2.at",
+      ]);
+      expect(error.message).to.include(
+        "warningErrorRate (0.3) must not exceed criticalErrorRate (0.1)"
+      );
+      expect(manager.version).to.equal(0);
+    });
+
+    it("should check the file and environment on load", () => {
+      fs.writeFileSync(
+        configFile,
+        ["warningResponseTime: 2000", "criticalResponseTime: 1500"].join("\n")
+      );
+      setEnv("DAASR_HIGH_TRAFFIC_THRESHOLD", "50");
+
+      expect(createManager).to.throw(
+        "warningResponseTime (2000) must not exceed criticalResponseTime"
+      );
+      expect(createManager).to.throw(
+        "mediumTrafficThreshold (100) must not exceed highTrafficThreshold (50)"
+      );
+    });
+
+    it("should check the limits a policy sets itself", () => {
+      const manager = createManager();
+      const policy = { name: "reports", path: "/reports" };
+
+      const capped = { ...policy, maxRateLimit: 5 };
+      expect(
+        manager.validate({ rateLimitPolicies: [capped] }).valid
+      ).to.equal(true);
+
+      const { violations } = manager.validate({
+        rateLimitPolicies: [{ ...policy, baseRateLimit: 80, maxRateLimit: 50 }],
+      });
+      expect(violations).to.have.lengthOf(1);
+      expect(violations[0].path).to.equal("rateLimitPolicies.0.baseRateLimit");
+      expect(violations[0].message).to.include('Policy "reports"');
+    });
+
+    it("should reject policy costs no request could afford", () => {
+      const manager = createManager();
+      const policy = { name: "reports", path: "/reports", cost: 60 };
+
+      expect(
+        manager.validate({ rateLimitPolicies: [policy] }).valid
+      ).to.equal(true);
+      expect(
+        paths(
+          manager.validate({
+            rateLimitPolicies: [{ ...policy, maxRateLimit: 50 }],
+          }).violations
+        )
+      ).to.deep.equal(["rateLimitPolicies.0.cost"]);
+
+      // Token buckets hold the burst, 10% of the limit at its lowest
+      const bucket = {
+        ...policy,
+        cost: 10,
+        algorithm: { counting: "token-bucket", burstAllowance: 0.1 },
+      };
+      const { violations } = manager.validate({ rateLimitPolicies: [bucket] });
+      expect(violations[0].message).to.include(
+        "must not exceed the smallest token-bucket burst (1)"
+      );
+      expect(
+        manager.validate({
+          rateLimitPolicies: [{ ...bucket, minRateLimit: 100 }],
+        }).valid
+      ).to.equal(true);
+    });
+
+    it("should keep curve points in ascending order", () => {
+      const manager = createManager();
+
+      expect(
+        manager.validate({ mediumTrafficThreshold: 400 }).valid
+      ).to.equal(true);
+      const { violations } = manager.validate({ mediumTrafficThreshold: 600 });
+      expect(paths(violations)).to.deep.equal([
+        "factorCurves.requestsPerSecond.points.2.at",
+      ]);
+      expect(violations[0].message).to.include(
+        "point 500 comes after mediumTrafficThreshold (600)"
+      );
+    });
+
+    it("should check shadow candidates like live settings", () => {
+      const manager = createManager();
+      const shadow = (settings) => ({
+        shadow: { candidates: [{ name: "strict", settings }] },
+      });
+
+      expect(manager.validate(shadow({ maxRateLimit: 500 })).valid).to.equal(
+        true
+      );
+      expect(
+        paths(manager.validate(shadow({ maxRateLimit: 50 })).violations)
+      ).to.deep.equal(["shadow.candidates.0.settings.baseRateLimit"]);
+      expect(
+        paths(manager.validate(shadow({ port: 80 })).violations)
+      ).to.deep.equal(["shadow.candidates.0.settings.port"]);
+      expect(
+        manager.validate(shadow({ burstAllowance: 0 })).violations[0].message
+      ).to.include('"burstAllowance" must be greater than or equal to 0.01');
+    });
+
+    it("should require the settings a choice depends on", () => {
+      const manager = createManager();
+
+      expect(
+        paths(manager.validate({ rateLimitStore: "redis" }).violations)
+      ).to.deep.equal(["redisUrl"]);
+      expect(
+        manager.validate({
+          rateLimitStore: "redis",
+          redisUrl: "redis://cache:6379",
+        }).valid
+      ).to.equal(true);
+
+      const clientKey = manager.get("clientKey");
+      expect(
+        paths(
+          manager.validate({ clientKey: { ...clientKey, strategy: "jwt" } })
+            .violations
+        )
+      ).to.deep.equal(["clientKey.jwt"]);
+      expect(
+        manager.validate({
+          clientKey: {
+            ...clientKey,
+            strategy: "jwt",
+            jwt: { ...clientKey.jwt, algorithms: ["RS256"], secret: "s" },
+          },
+        }).valid
+      ).to.equal(false);
+    });
+
+    it("should validate without applying anything", () => {
+      const manager = createManager();
+
+      const result = manager.validate({ baseRateLimit: 200, nope: 1 });
+      expect(result.valid).to.equal(false);
+      expect(result.violations).to.deep.equal([
+        { path: "nope", message: "Invalid configuration key: nope" },
+      ]);
+      expect(manager.validate({ baseRateLimit: 200 }).valid).to.equal(true);
+      expect(manager.validate({ toString: 1 }).violations).to.deep.equal([
+        { path: "toString", message: "Invalid configuration key: toString" },
+      ]);
+      expect(manager.get("baseRateLimit")).to.equal(100);
+      expect(manager.version).to.equal(0);
+      expect(fs.existsSync(storePath)).to.equal(false);
+    });
+  });
+
+  describe("History and Rollback", () => {
+    it("should roll back to an earlier version as a new revision", () => {
+      const manager = createManager();
+      manager.set("baseRateLimit", 200);
+      manager.update({ baseRateLimit: 300, windowSize: 60000 });
+
+      const revision = manager.rollback(1);
+      expect(revision).to.include({ version: 3, rollbackOf: 1 });
+      expect(manager.get("baseRateLimit")).to.equal(200);
+      expect(manager.get("windowSize")).to.equal(900000);
+
+      manager.rollback(0);
+      expect(manager.get("baseRateLimit")).to.equal(100);
+      expect(manager.overrides).to.deep.equal({});
+      expect(createManager().version).to.equal(4);
+    });
+
+    it("should list revisions newest first with secrets masked", () => {
+      const manager = createManager();
+      manager.set("auth", { sessionSecret: "s3cret" }, {
+        actor: { subject: "apikey:abc" },
+      });
+      manager.set("baseRateLimit", 200);
+
+      const history = manager.getHistory();
+      expect(history.version).to.equal(2);
+      expect(history.revisions.map((r) => r.version)).to.deep.equal([2, 1]);
+      expect(history.revisions[1].actor.subject).to.equal("apikey:abc");
+      expect(JSON.stringify(history)).to.not.include("s3cret");
+    });
+
+    it("should reject unknown versions", () => {
+      expect(() => createManager().rollback(7)).to.throw(
+        "version 7 not found"
+      );
+    });
+  });
+
+  describe("Admin Endpoints", () => {
+    let app;
+    let originalState;
+    let originalAudit;
+
+    beforeEach(() => {
+      originalState = {
+        config: config.config,
+        baseConfig: config.baseConfig,
+        storePath: config.storePath,
+        overrides: config.overrides,
+        version: config.version,
+        history: config.history,
+      };
+      // Authentication is covered by the auth tests
+      const manager = createManager();
+      manager.baseConfig.auth = { ...manager.baseConfig.auth, enabled: false };
+      manager.config.auth = manager.baseConfig.auth;
+      Object.assign(config, {
+        config: manager.config,
+        baseConfig: manager.baseConfig,
+        storePath: manager.storePath,
+        overrides: {},
+        version: 0,
+        history: [],
+      });
+      originalAudit = {
+        entries: auditLog.entries,
+        filePath: auditLog.filePath,
+      };
+      Object.assign(auditLog, { entries: [], filePath: null });
+
+      app = express();
+      app.use(express.json());
+      app.use("/api", require("../src/routes/api"));
+    });
+
+    afterEach(() => {
+      Object.assign(config, originalState);
+      Object.assign(auditLog, originalAudit);
+    });
+
+    it("should update several keys at once", async () => {
+      const response = await request(app)
+        .post("/api/config")
+        .send({ changes: { minRateLimit: 20, baseRateLimit: 40 } })
+        .expect(200);
+
+      expect(response.body.data).to.include({ version: 1 });
+      expect(config.get("minRateLimit")).to.equal(20);
+      expect(auditLog.entries.map((entry) => entry.target)).to.deep.equal([
+        "minRateLimit",
+        "baseRateLimit",
+      ]);
+    });
+
+    it("should answer 400 for invalid combinations", async () => {
+      const response = await request(app)
+        .post("/api/config")
+        .send({ changes: { minRateLimit: 900, maxRateLimit: 500 } })
+        .expect(400);
+
+      expect(response.body.message).to.include("must not exceed");
+      expect(response.body.violations[0].path).to.equal("minRateLimit");
+      await request(app)
+        .post("/api/config")
+        .send({ key: "nope", value: 1 })
+        .expect(400);
+    });
+
+    it("should list violations in a dry run", async () => {
+      const response = await request(app)
+        .post("/api/config/validate")
+        .send({ changes: { warningErrorRate: 0.5, baseRateLimit: -1 } })
+        .expect(200);
+
+      expect(response.body.data.valid).to.equal(false);
+      expect(
+        response.body.data.violations.map((entry) => entry.path)
+      ).to.have.members(["baseRateLimit", "warningErrorRate"]);
+      expect(config.get("warningErrorRate")).to.equal(0.05);
+      expect(auditLog.entries).to.have.lengthOf(0);
+
+      const valid = await request(app)
+        .post("/api/config/validate")
+        .send({ key: "baseRateLimit", value: 150 })
+        .expect(200);
+      expect(valid.body.data).to.include({ valid: true, version: 0 });
+      await request(app).post("/api/config/validate").send({}).expect(400);
+    });
+
+    it("should serve history and roll back", async () => {
+      await request(app)
+        .post("/api/config")
+        .send({ key: "baseRateLimit", value: 150 })
+        .expect(200);
+      await request(app)
+        .post("/api/config")
+        .send({ key: "baseRateLimit", value: 175 })
+        .expect(200);
+
+      const history = await request(app)
+        .get("/api/config/history")
+        .expect(200);
+      expect(history.body.data.version).to.equal(2);
+
+      const rollback = await request(app)
+        .post("/api/config/rollback/1")
+        .expect(200);
+      expect(rollback.body.data).to.include({ version: 3, rollbackOf: 1 });
+      expect(config.get("baseRateLimit")).to.equal(150);
+      expect(auditLog.entries[2]).to.include({
+        action: "config.rollback",
+        before: 175,
+        after: 150,
+      });
+
+      await request(app).post("/api/config/rollback/42").expect(404);
+      await request(app).post("/api/config/rollback/x").expect(400);
+    });
+  });
+});
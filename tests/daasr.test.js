@@ -8,15 +8,32 @@
  * @version 1.0.0
  */
 
-const { DAASRAlgorithm } = require("../src/middleware/daasr");
+const express = require("express");
+const request = require("supertest");
+const {
+  DAASRAlgorithm,
+  createDAASRMiddleware,
+} = require("../src/middleware/daasr");
 const config = require("../src/config/default");
+const ShadowEvaluator = require("../src/services/shadowEvaluator");
+const apiKeyRegistry = require("../src/services/apiKeyRegistry");
+const { compilePolicies, matchPolicy } = require("../src/utils/policyMatcher");
 
 describe("DAASR Algorithm Tests", () => {
   let expect;
+  let originalStorePath;
 
   before(async () => {
     const chai = await import("chai");
     expect = chai.expect;
+
+    // Keep runtime config changes made by tests out of the store file
+    originalStorePath = config.storePath;
+    config.storePath = null;
+  });
+
+  after(() => {
+    config.storePath = originalStorePath;
   });
   let daasr;
 
@@ -126,6 +143,67 @@ describe("DAASR Algorithm Tests", () => {
     });
   });
 
+  describe("Resource Factor Calculation", () => {
+    const createMetricsSource = (readings) => {
+      const { cpu = 10, memory = 40, load1 = 0.5, lag = 5, age = 0 } = readings;
+      const timestamp = Date.now() - age;
+      return {
+        getLatestMetric: (category) =>
+          category === "system"
+            ? {
+                cpu: { overall: cpu, count: 4, timestamp },
+                memory: { system: { usagePercent: memory }, timestamp },
+                load: { load1, timestamp },
+              }
+            : { eventLoop: { lag, timestamp } },
+      };
+    };
+
+    it("should return 1.0 without a metrics source", () => {
+      expect(daasr.calculateResourceFactor()).to.equal(1.0);
+    });
+
+    it("should return 1.0 for an idle host", () => {
+      daasr.setMetricsSource(createMetricsSource({}));
+      expect(daasr.calculateResourceFactor()).to.equal(1.0);
+    });
+
+    it("should scale down along the CPU curve", () => {
+      const { start, end, minFactor } = config.get("resourceCurves").cpu;
+      daasr.setMetricsSource(createMetricsSource({ cpu: (start + end) / 2 }));
+
+      const result = daasr.calculateResourceFactor();
+      expect(result).to.be.closeTo((1 + minFactor) / 2, 0.0001);
+    });
+
+    it("should use the most constrained resource", () => {
+      const curves = config.get("resourceCurves");
+      daasr.setMetricsSource(
+        createMetricsSource({ memory: 99, lag: curves.eventLoopLag.start })
+      );
+
+      expect(daasr.calculateResourceFactor()).to.equal(curves.memory.minFactor);
+    });
+
+    it("should derive load per core from the core count", () => {
+      const { end, minFactor } = config.get("resourceCurves").loadPerCore;
+      daasr.setMetricsSource(createMetricsSource({ load1: end * 4 }));
+
+      expect(daasr.calculateResourceFactor()).to.equal(minFactor);
+    });
+
+    it("should ignore stale metrics", () => {
+      daasr.setMetricsSource(
+        createMetricsSource({
+          cpu: 100,
+          age: config.get("resourceMetricsMaxAge") + 1000,
+        })
+      );
+
+      expect(daasr.calculateResourceFactor()).to.equal(1.0);
+    });
+  });
+
   describe("Window Size Calculation", () => {
     it("should return 1 minute for high traffic (>100 RPS)", () => {
       const trafficStats = { requestsPerSecond: 150 };
@@ -146,6 +224,93 @@ describe("DAASR Algorithm Tests", () => {
     });
   });
 
+  describe("Factor Curves", () => {
+    let originalConfig;
+
+    const stats = (requestsPerSecond, errorRate = 0, responseTime = 0) => ({
+      requestsPerSecond,
+      errorRate,
+      averageResponseTime: responseTime,
+    });
+
+    beforeEach(() => {
+      originalConfig = config.getConfig();
+    });
+
+    afterEach(() => {
+      config.update({
+        factorCurves: originalConfig.factorCurves,
+        highTrafficThreshold: originalConfig.highTrafficThreshold,
+        warningErrorRate: originalConfig.warningErrorRate,
+        newUserBonus: originalConfig.newUserBonus,
+        offenseRetention: originalConfig.offenseRetention,
+      });
+    });
+
+    it("should let the most constrained traffic factor win", () => {
+      expect(daasr.calculateTrafficMultiplier(stats(200, 0.15))).to.equal(0.6);
+      expect(daasr.calculateTrafficMultiplier(stats(50, 0, 1200))).to.equal(
+        0.7
+      );
+    });
+
+    it("should follow threshold settings changed at runtime", () => {
+      config.set("highTrafficThreshold", 2000);
+      expect(daasr.calculateTrafficMultiplier(stats(1500))).to.equal(0.7);
+
+      config.set("newUserBonus", 1.5);
+      expect(daasr.calculateUserReputation("203.0.113.9")).to.equal(1.5);
+
+      const trafficMonitor = require("../src/services/trafficMonitor");
+      const warning = { ...stats(50, 0.08), averageResponseTime: 200 };
+      expect(trafficMonitor.calculateHealthStatus(warning)).to.equal("warning");
+      config.set("warningErrorRate", 0.09);
+      expect(trafficMonitor.calculateHealthStatus(warning)).to.equal("healthy");
+    });
+
+    it("should use curves replaced at runtime", () => {
+      config.set("factorCurves", {
+        ...originalConfig.factorCurves,
+        requestsPerSecond: {
+          mode: "linear",
+          points: [
+            { at: 0, value: 1.0 },
+            { at: 1000, value: 0.5 },
+          ],
+        },
+        windowSize: { mode: "step", points: [{ at: 0, value: 30000 }] },
+      });
+
+      expect(daasr.calculateTrafficMultiplier(stats(500))).to.equal(0.75);
+      expect(daasr.calculateWindowSize(stats(5000))).to.equal(30000);
+    });
+
+    it("should forgive offenses after the configured retention", () => {
+      const now = Date.now();
+      daasr.userPatterns.set("203.0.113.9", {
+        requests: [],
+        offenses: [now - 5000, now - 1000, now],
+      });
+      expect(daasr.calculatePenaltyFactor("203.0.113.9")).to.be.closeTo(
+        0.7,
+        1e-9
+      );
+
+      config.set("offenseRetention", 2000);
+      expect(daasr.calculatePenaltyFactor("203.0.113.9")).to.equal(0.8);
+    });
+
+    it("should reject curves naming unknown settings", () => {
+      const curves = originalConfig.factorCurves;
+      expect(() =>
+        config.set("factorCurves", {
+          ...curves,
+          burst: { mode: "linear", points: [{ at: 0, value: "nope" }] },
+        })
+      ).to.throw('factorCurves.burst refers to "nope"');
+    });
+  });
+
   describe("Dynamic Limit Calculation", () => {
     it("should calculate dynamic limit within bounds", () => {
       const identifier = "192.168.1.1";
@@ -202,15 +367,581 @@ describe("DAASR Algorithm Tests", () => {
       config.set("baseRateLimit", originalValue);
     });
   });
+
+  describe("Route Policies", () => {
+    const policies = [
+      { name: "everything", path: "*" },
+      { name: "protected", path: "/protected/*" },
+      { name: "user", path: "/protected/users/:id" },
+      { name: "analytics", path: "/protected/analytics" },
+      {
+        name: "analytics-write",
+        method: "POST",
+        path: "/protected/analytics",
+      },
+    ];
+    let originalPolicies;
+
+    beforeEach(() => {
+      originalPolicies = config.get("rateLimitPolicies");
+    });
+
+    afterEach(() => {
+      config.set("rateLimitPolicies", originalPolicies);
+    });
+
+    it("should pick the most specific matching policy", () => {
+      const compiled = compilePolicies(policies);
+      const match = (method, path) =>
+        matchPolicy(compiled, method, path).name;
+
+      expect(match("GET", "/protected/analytics")).to.equal("analytics");
+      expect(match("POST", "/protected/analytics")).to.equal(
+        "analytics-write"
+      );
+      expect(match("GET", "/protected/users/42")).to.equal("user");
+      expect(match("GET", "/protected/users/42/keys")).to.equal("protected");
+      expect(match("GET", "/protected")).to.equal("protected");
+      expect(match("GET", "/health?full=1")).to.equal("everything");
+    });
+
+    it("should return null when no policy matches", () => {
+      const compiled = compilePolicies([{ name: "data", path: "/data" }]);
+      expect(matchPolicy(compiled, "GET", "/other")).to.equal(null);
+    });
+
+    it("should inherit unset limits from the global configuration", () => {
+      config.set("rateLimitPolicies", [
+        { name: "reports", path: "/reports/*", maxRateLimit: 50 },
+      ]);
+
+      const policy = daasr.resolvePolicy("GET", "/reports/daily");
+      expect(policy.name).to.equal("reports");
+      expect(policy.maxRateLimit).to.equal(50);
+      expect(policy.baseRateLimit).to.equal(config.get("baseRateLimit"));
+      expect(policy.windowSize).to.equal(null);
+
+      expect(daasr.resolvePolicy("GET", "/other").name).to.equal("default");
+    });
+
+    it("should apply fixed limits when adaptation is disabled", () => {
+      config.set("rateLimitPolicies", [
+        {
+          name: "fixed",
+          path: "/fixed",
+          baseRateLimit: 7,
+          minRateLimit: 1,
+          windowSize: 10000,
+          algorithm: { adaptive: false, burstDetection: false },
+        },
+      ]);
+      daasr.calculateUserReputation = () => 1.0;
+
+      const result = daasr.calculateDynamicLimit("10.0.0.1", {
+        url: "/fixed",
+        method: "GET",
+      });
+      expect(result.max).to.equal(7);
+      expect(result.windowMs).to.equal(10000);
+      expect(result.policy).to.equal("fixed");
+    });
+
+    it("should count each policy separately and name it in 429s", async () => {
+      config.set("rateLimitPolicies", [
+        {
+          name: "expensive",
+          method: "GET",
+          path: "/protected/analytics",
+          baseRateLimit: 2,
+          minRateLimit: 1,
+          maxRateLimit: 2,
+          windowSize: 60000,
+        },
+      ]);
+
+      const app = express();
+      const router = express.Router();
+      router.use(createDAASRMiddleware({ algorithm: daasr }));
+      router.get("/analytics", (req, res) => res.json({ ok: true }));
+      router.get("/data", (req, res) => res.json(req.rateLimit));
+      app.use("/protected", router);
+
+      await request(app).get("/protected/analytics").expect(200);
+      await request(app).get("/protected/analytics").expect(200);
+      const blocked = await request(app)
+        .get("/protected/analytics")
+        .expect(429);
+      expect(blocked.body.policy).to.equal("expensive");
+
+      const data = await request(app).get("/protected/data").expect(200);
+      expect(data.body.policy).to.equal("default");
+      expect(data.body.used).to.equal(1);
+    });
+
+    it("should count with the policy's algorithm and burst", async () => {
+      config.set("rateLimitPolicies", [
+        {
+          name: "bursty",
+          path: "/bursty",
+          baseRateLimit: 5,
+          minRateLimit: 5,
+          maxRateLimit: 5,
+          windowSize: 10000,
+          algorithm: { counting: "token-bucket", burstAllowance: 0.4 },
+        },
+      ]);
+      let clock = Date.UTC(2026, 0, 1);
+      const algorithm = new DAASRAlgorithm({ now: () => clock });
+
+      const app = express();
+      app.use(createDAASRMiddleware({ algorithm }));
+      app.get("/bursty", (req, res) => res.json(req.rateLimit));
+      app.get("/steady", (req, res) => res.json(req.rateLimit));
+
+      // 5 per 10 seconds refills one token every 2 seconds; 2 at once
+      await request(app).get("/bursty").expect(200);
+      const last = await request(app).get("/bursty").expect(200);
+      expect(last.headers["ratelimit-policy"]).to.equal("5;w=10;burst=2");
+      expect(last.headers["ratelimit-remaining"]).to.equal("0");
+
+      const blocked = await request(app).get("/bursty").expect(429);
+      expect(blocked.headers["retry-after"]).to.equal("2");
+      expect(blocked.body.retryAfter).to.equal(2);
+
+      clock += 2000;
+      const refilled = await request(app).get("/bursty").expect(200);
+      expect(refilled.body.algorithm).to.equal("token-bucket");
+
+      const steady = await request(app).get("/steady").expect(200);
+      expect(steady.body).to.include({
+        policy: "default",
+        algorithm: config.get("countingAlgorithm"),
+      });
+      expect(steady.headers["ratelimit-policy"]).to.not.include("burst");
+    });
+
+    it("should scale the burst with the adapted limit", () => {
+      config.set("rateLimitPolicies", [
+        {
+          name: "bursty",
+          path: "/bursty",
+          baseRateLimit: 40,
+          minRateLimit: 1,
+          algorithm: {
+            adaptive: false,
+            burstDetection: false,
+            counting: "gcra",
+            burstAllowance: 0.5,
+          },
+        },
+      ]);
+      daasr.calculateUserReputation = () => 1.0;
+      daasr.calculatePenaltyFactor = () => 0.5;
+
+      const result = daasr.calculateDynamicLimit("10.0.0.1", {
+        url: "/bursty",
+        method: "GET",
+      });
+      expect(result).to.include({ max: 20, burst: 10, counting: "gcra" });
+    });
+
+    describe("Request Costs", () => {
+      let clock;
+      let algorithm;
+
+      /**
+       * App counting with a fixed 10 unit limit for /reports
+       */
+      const createApp = (policy, middlewareOptions = {}) => {
+        config.set("rateLimitPolicies", [
+          {
+            name: "reports",
+            path: "/reports",
+            baseRateLimit: 10,
+            minRateLimit: 10,
+            maxRateLimit: 10,
+            windowSize: 60000,
+            ...policy,
+          },
+        ]);
+
+        const app = express();
+        app.use(createDAASRMiddleware({ algorithm, ...middlewareOptions }));
+        app.get("/reports", (req, res) => {
+          clock += Number(req.query.took || 0);
+          res.json(req.rateLimit);
+        });
+        return app;
+      };
+
+      beforeEach(() => {
+        clock = Date.UTC(2026, 0, 1);
+        algorithm = new DAASRAlgorithm({ now: () => clock });
+      });
+
+      it("should charge the policy's static cost", async () => {
+        const app = createApp({ cost: 4 });
+
+        const first = await request(app).get("/reports").expect(200);
+        expect(first.body).to.include({ cost: 4, used: 4, remaining: 6 });
+        expect(first.headers["ratelimit-remaining"]).to.equal("6");
+
+        await request(app).get("/reports").expect(200);
+        const blocked = await request(app).get("/reports").expect(429);
+        expect(blocked.headers["ratelimit-remaining"]).to.equal("0");
+      });
+
+      it("should price requests with the cost hook", async () => {
+        const app = createApp(
+          { cost: 2, algorithm: { counting: "sliding-log" } },
+          {
+            cost: (req, { cost }) =>
+              (cost * Number(req.query.pageSize || 10)) / 10,
+          }
+        );
+
+        const large = await request(app)
+          .get("/reports?pageSize=25")
+          .expect(200);
+        expect(large.body).to.include({ cost: 5, remaining: 5 });
+
+        const small = await request(app).get("/reports").expect(200);
+        expect(small.body).to.include({ cost: 2, remaining: 3 });
+
+        await request(app).get("/reports?pageSize=20").expect(429);
+      });
+
+      it("should fall back to the static cost when the hook fails", async () => {
+        const app = createApp(
+          { cost: 3 },
+          {
+            cost: () => {
+              throw new Error("no body");
+            },
+          }
+        );
+
+        const response = await request(app).get("/reports").expect(200);
+        expect(response.body.cost).to.equal(3);
+      });
+
+      it("should charge slow responses after they finish", async () => {
+        const app = createApp({
+          costPerSecond: 2,
+          algorithm: { counting: "token-bucket" },
+        });
+
+        await request(app).get("/reports?took=2500").expect(200);
+        // The charge is recorded once the response has finished
+        await new Promise((resolve) => setImmediate(resolve));
+
+        // 1 unit for the request, 5 for 2.5 seconds
+        const next = await request(app).get("/reports").expect(200);
+        expect(next.headers["ratelimit-remaining"]).to.equal("3");
+      });
+    });
+
+    describe("Shadow Mode", () => {
+      let originalShadow;
+      let algorithm;
+      let shadow;
+
+      /**
+       * Fixed limit policy for /reports
+       */
+      const reports = (limit) => ({
+        name: "reports",
+        path: "/reports",
+        baseRateLimit: limit,
+        minRateLimit: limit,
+        maxRateLimit: limit,
+        windowSize: 60000,
+      });
+
+      beforeEach(() => {
+        originalShadow = config.get("shadow");
+        algorithm = new DAASRAlgorithm();
+        shadow = new ShadowEvaluator({ algorithm });
+      });
+
+      afterEach(() => {
+        config.set("shadow", originalShadow);
+      });
+
+      it("should count candidate decisions without enforcing them", async () => {
+        config.set("rateLimitPolicies", [reports(3)]);
+        config.set("shadow", {
+          ...originalShadow,
+          enabled: true,
+          logDecisions: false,
+          candidates: [
+            { name: "tight", settings: { rateLimitPolicies: [reports(2)] } },
+            { name: "loose", settings: { rateLimitPolicies: [reports(10)] } },
+          ],
+        });
+
+        const app = express();
+        app.use(createDAASRMiddleware({ algorithm, shadow }));
+        app.get("/reports", (req, res) => res.json({ ok: true }));
+
+        for (let i = 0; i < 3; i++) {
+          await request(app).get("/reports").expect(200);
+        }
+        await request(app).get("/reports").expect(429);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        const report = shadow.getReport();
+        expect(report.enforcing).to.include({ requests: 4, blocked: 1 });
+
+        const [tight, loose] = report.candidates;
+        expect(tight).to.include({
+          requests: 4,
+          wouldBlock: 2,
+          wouldBlockAllowed: 1,
+          wouldAllowBlocked: 0,
+          blockRate: 0.5,
+        });
+        expect(tight.policies.reports).to.deep.equal({
+          requests: 4,
+          wouldBlock: 2,
+        });
+        expect(tight.topIdentities).to.have.lengthOf(1);
+        expect(tight.topIdentities[0].wouldBlock).to.equal(2);
+        expect(loose).to.include({ wouldBlock: 0, wouldAllowBlocked: 1 });
+
+        // Candidates read the request history without adding to it
+        const [history] = [...algorithm.userPatterns.values()];
+        expect(history.requests).to.have.lengthOf(4);
+      });
+
+      it("should log shadow recording failures", async () => {
+        config.set("shadow", {
+          ...originalShadow,
+          enabled: true,
+          logDecisions: false,
+          candidates: [{ name: "tight", settings: { baseRateLimit: 50 } }],
+        });
+        let recorded = false;
+        shadow.record = () => {
+          recorded = true;
+          throw new Error("report unavailable");
+        };
+
+        const app = express();
+        app.use(createDAASRMiddleware({ algorithm, shadow }));
+        app.get("/reports", (req, res) => res.json({ ok: true }));
+
+        const unhandled = [];
+        const onUnhandled = (reason) => unhandled.push(reason);
+        process.on("unhandledRejection", onUnhandled);
+        try {
+          await request(app).get("/reports").expect(200);
+          await new Promise((resolve) => setImmediate(resolve));
+        } finally {
+          process.off("unhandledRejection", onUnhandled);
+        }
+
+        expect(recorded).to.be.true;
+        expect(unhandled).to.deep.equal([]);
+      });
+
+      it("should start a new report when the candidates change", () => {
+        config.set("shadow", {
+          ...originalShadow,
+          candidates: [{ name: "tight", settings: { baseRateLimit: 50 } }],
+        });
+        expect(shadow.getCandidates()).to.have.lengthOf(1);
+        shadow.record("client", { policy: "default", allowed: true }, []);
+        expect(shadow.getReport().enforcing.requests).to.equal(1);
+
+        config.set("shadow", { ...originalShadow, candidates: [] });
+        const report = shadow.getReport();
+        expect(report).to.include({ enabled: false });
+        expect(report.enforcing.requests).to.equal(0);
+        expect(report.candidates).to.deep.equal([]);
+      });
+
+      it("should serve the report", async () => {
+        const originalAuth = config.get("auth");
+        config.set("auth", { ...originalAuth, enabled: false });
+        try {
+          const app = express();
+          app.use("/api", require("../src/routes/api"));
+
+          const response = await request(app)
+            .get("/api/shadow/report?limit=5")
+            .expect(200);
+          expect(response.body.data).to.include.keys(
+            "enabled",
+            "since",
+            "enforcing",
+            "candidates"
+          );
+        } finally {
+          config.set("auth", originalAuth);
+        }
+      });
+    });
+
+    describe("Limit Explanations", () => {
+      let algorithm;
+      let app;
+      let originalState;
+
+      beforeEach(() => {
+        config.set("rateLimitPolicies", [
+          {
+            name: "reports",
+            path: "/reports",
+            baseRateLimit: 10,
+            minRateLimit: 10,
+            maxRateLimit: 10,
+            windowSize: 60000,
+          },
+        ]);
+        originalState = {
+          keys: apiKeyRegistry.keys,
+          hashes: apiKeyRegistry.hashes,
+          filePath: apiKeyRegistry.filePath,
+        };
+        Object.assign(apiKeyRegistry, {
+          keys: new Map(),
+          hashes: new Map(),
+          filePath: null,
+        });
+
+        algorithm = new DAASRAlgorithm();
+        app = express();
+        app.use(
+          createDAASRMiddleware({ algorithm, keyGenerator: () => "client" })
+        );
+        app.get("/reports", (req, res) => res.json({ ok: true }));
+      });
+
+      afterEach(() => {
+        Object.assign(apiKeyRegistry, originalState);
+      });
+
+      it("should explain the next limit without counting it", async () => {
+        for (let i = 0; i < 3; i++) {
+          await request(app).get("/reports").expect(200);
+        }
+
+        const explanation = await algorithm.explain("client", {
+          path: "/reports",
+        });
+        expect(explanation).to.include({
+          identity: "client",
+          policy: "reports",
+          limit: 10,
+          windowMs: 60000,
+          counting: "fixed-window",
+        });
+        expect(explanation.factors).to.include({ baseLimit: 10 });
+        expect(explanation.factors).to.include.keys(
+          "trafficMultiplier",
+          "burstFactor",
+          "resourceFactor",
+          "reputationFactor",
+          "penaltyFactor"
+        );
+        expect(explanation.budget).to.include({ used: 3, remaining: 7 });
+        expect(explanation.inputs).to.include({
+          recentRequests: 3,
+          totalRequests: 3,
+          offenses: 0,
+        });
+
+        // Explaining twice gives the same answer and records nothing
+        const again = await algorithm.explain("client", { path: "/reports" });
+        expect(again.budget).to.deep.equal(explanation.budget);
+        expect(algorithm.userPatterns.get("client").requests).to.have.lengthOf(
+          3
+        );
+        const reputation = await algorithm.store.getReputation("client");
+        expect(reputation.totalRequests).to.equal(3);
+
+        // Not even a window is started for clients without one
+        const newcomer = await algorithm.explain("newcomer", {
+          path: "/reports",
+        });
+        expect(newcomer.budget).to.include({ used: 0, remaining: 10 });
+        expect(await algorithm.store.get("reports:newcomer")).to.equal(null);
+      });
+
+      it("should trace the factors for admin keys that ask", async () => {
+        const admin = apiKeyRegistry.issue({ owner: "ops", role: "admin" });
+        const viewer = apiKeyRegistry.issue({ owner: "ops", role: "viewer" });
+
+        const traced = await request(app)
+          .get("/reports")
+          .set("x-api-key", admin.key)
+          .set("X-DAASR-Debug", "1")
+          .expect(200);
+        expect(traced.headers["x-daasr-debug"]).to.match(
+          new RegExp(
+            "^reports;limit=10;base=10;traffic=[\\d.]+;burst=[\\d.]+;" +
+              "resource=[\\d.]+;reputation=[\\d.]+;penalty=1;window=60;" +
+              "counting=fixed-window;cost=1;remaining=9$"
+          )
+        );
+
+        const notAsked = await request(app)
+          .get("/reports")
+          .set("x-api-key", admin.key)
+          .expect(200);
+        expect(notAsked.headers).to.not.have.property("x-daasr-debug");
+
+        const notAdmin = await request(app)
+          .get("/reports")
+          .set("x-api-key", viewer.key)
+          .set("X-DAASR-Debug", "1")
+          .expect(200);
+        expect(notAdmin.headers).to.not.have.property("x-daasr-debug");
+      });
+
+      it("should serve explanations", async () => {
+        const originalAuth = config.get("auth");
+        config.set("auth", { ...originalAuth, enabled: false });
+        try {
+          const api = express();
+          api.use("/api", require("../src/routes/api"));
+
+          const response = await request(api)
+            .get("/api/limits/explain?identity=10.0.0.9&path=/reports")
+            .expect(200);
+          expect(response.body.data).to.include({
+            identity: "10.0.0.9",
+            method: "GET",
+            policy: "reports",
+          });
+          expect(response.body.data.budget.remaining).to.equal(10);
+
+          await request(api).get("/api/limits/explain").expect(400);
+        } finally {
+          config.set("auth", originalAuth);
+        }
+      });
+    });
+  });
 });
 
 describe("Utility Functions Tests", () => {
   let expect;
+  let originalStorePath;
   const helpers = require("../src/utils/helpers");
 
   before(async () => {
     const chai = await import("chai");
     expect = chai.expect;
+
+    // Keep runtime config changes made by tests out of the store file
+    originalStorePath = config.storePath;
+    config.storePath = null;
+  });
+
+  after(() => {
+    config.storePath = originalStorePath;
   });
 
   describe("IP Validation", () => {
@@ -242,6 +973,55 @@ describe("Utility Functions Tests", () => {
     });
   });
 
+  describe("Curve Factor Calculation", () => {
+    const curve = { start: 50, end: 100, minFactor: 0.5 };
+
+    it("should return 1.0 below the curve start", () => {
+      expect(helpers.calculateCurveFactor(10, curve)).to.equal(1.0);
+    });
+
+    it("should interpolate linearly between start and end", () => {
+      expect(helpers.calculateCurveFactor(75, curve)).to.equal(0.75);
+    });
+
+    it("should return minFactor past the curve end", () => {
+      expect(helpers.calculateCurveFactor(500, curve)).to.equal(0.5);
+    });
+  });
+
+  describe("Curve Evaluation", () => {
+    const points = [
+      { at: 0, value: 1.0 },
+      { at: 100, value: 0.8 },
+      { at: "limit", value: 0.4 },
+    ];
+    const lookup = (name) => ({ limit: 200 })[name];
+
+    it("should step to the last point the reading is above", () => {
+      const curve = { mode: "step", points };
+      expect(helpers.evaluateCurve(100, curve, lookup)).to.equal(1.0);
+      expect(helpers.evaluateCurve(150, curve, lookup)).to.equal(0.8);
+      expect(helpers.evaluateCurve(250, curve, lookup)).to.equal(0.4);
+    });
+
+    it("should interpolate linearly and hold the end values", () => {
+      const curve = { mode: "linear", points };
+      expect(helpers.evaluateCurve(50, curve, lookup)).to.equal(0.9);
+      expect(helpers.evaluateCurve(150, curve, lookup)).to.be.closeTo(
+        0.6,
+        1e-9
+      );
+      expect(helpers.evaluateCurve(900, curve, lookup)).to.equal(0.4);
+    });
+
+    it("should order points by their resolved position", () => {
+      const curve = { mode: "step", points };
+      const low = (name) => ({ limit: 50 })[name];
+      expect(helpers.evaluateCurve(75, curve, low)).to.equal(0.4);
+      expect(helpers.evaluateCurve(150, curve, low)).to.equal(0.8);
+    });
+  });
+
   describe("Request Signature Calculation", () => {
     it("should generate consistent signatures", () => {
       const request1 = {
@@ -262,6 +1042,200 @@ describe("Utility Functions Tests", () => {
       expect(sig1).to.equal(sig2);
     });
   });
+
+  describe("Client Key Extraction", () => {
+    const crypto = require("crypto");
+    const {
+      createKeyExtractor,
+      verifyJwt,
+    } = require("../src/utils/keyExtractor");
+    const apiKeyRegistry = require("../src/services/apiKeyRegistry");
+    const secret = "test-secret";
+
+    const encode = (value) =>
+      Buffer.from(JSON.stringify(value)).toString("base64url");
+    const signHS256 = (payload, key = secret) => {
+      const data = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(payload)}`;
+      const signature = crypto
+        .createHmac("sha256", key)
+        .update(data)
+        .digest("base64url");
+      return `${data}.${signature}`;
+    };
+    const fakeRequest = (headers = {}, ip = "10.0.0.1") => ({
+      ip,
+      method: "GET",
+      originalUrl: "/protected/data?page=2",
+      get: (name) => headers[name.toLowerCase()],
+    });
+
+    it("should key by IP by default", () => {
+      const extract = createKeyExtractor({ strategy: "ip" });
+      expect(extract(fakeRequest())).to.equal("10.0.0.1");
+    });
+
+    it("should key by the id of a registered API key", () => {
+      const originalKeys = apiKeyRegistry.keys;
+      const originalHashes = apiKeyRegistry.hashes;
+      const originalPath = apiKeyRegistry.filePath;
+      apiKeyRegistry.keys = new Map();
+      apiKeyRegistry.hashes = new Map();
+      apiKeyRegistry.filePath = null;
+
+      try {
+        const extract = createKeyExtractor({ strategy: "apiKey" });
+        const { key, record } = apiKeyRegistry.issue({ owner: "acme" });
+
+        expect(extract(fakeRequest({ "x-api-key": key }))).to.equal(
+          `apikey:${record.id}`
+        );
+        // Unknown keys do not get a bucket of their own
+        expect(extract(fakeRequest({ "x-api-key": "made-up" }))).to.equal(
+          "10.0.0.1"
+        );
+      } finally {
+        apiKeyRegistry.keys = originalKeys;
+        apiKeyRegistry.hashes = originalHashes;
+        apiKeyRegistry.filePath = originalPath;
+      }
+    });
+
+    it("should key by the subject of a verified HS256 token", () => {
+      const extract = createKeyExtractor({
+        strategy: "jwt",
+        jwt: { secret, algorithms: ["HS256"] },
+      });
+      const token = signHS256({ sub: "user-1" });
+
+      const bearer = { authorization: `Bearer ${token}` };
+
+      expect(extract(fakeRequest(bearer))).to.equal("sub:user-1");
+      // Same user from another address shares the key
+      expect(extract(fakeRequest(bearer, "10.9.9.9"))).to.equal("sub:user-1");
+    });
+
+    it("should verify RS256 tokens with the configured public key", () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+      });
+      const data = `${encode({ alg: "RS256" })}.${encode({ sub: "svc" })}`;
+      const signature = crypto
+        .sign("RSA-SHA256", Buffer.from(data), privateKey)
+        .toString("base64url");
+      const pem = publicKey.export({ type: "spki", format: "pem" });
+
+      const token = `${data}.${signature}`;
+
+      expect(verifyJwt(token, { publicKey: pem }).sub).to.equal("svc");
+      expect(verifyJwt(token, { secret })).to.equal(null);
+    });
+
+    it("should reject forged, expired and unsigned tokens", () => {
+      const options = { secret };
+      const now = Date.now();
+
+      expect(verifyJwt(signHS256({ sub: "a" }, "wrong"), options)).to.equal(
+        null
+      );
+      expect(
+        verifyJwt(signHS256({ sub: "a", exp: now / 1000 - 10 }), options)
+      ).to.equal(null);
+      const unsigned = `${encode({ alg: "none" })}.${encode({ sub: "a" })}.`;
+      expect(verifyJwt(unsigned, options)).to.equal(null);
+      expect(verifyJwt("not-a-token", options)).to.equal(null);
+    });
+
+    it("should fall back to the IP without a valid identity", () => {
+      const extract = createKeyExtractor({ strategy: "jwt", jwt: { secret } });
+      const forged = signHS256({ sub: "admin" }, "guess");
+
+      expect(extract(fakeRequest())).to.equal("10.0.0.1");
+      const bearer = { authorization: `Bearer ${forged}` };
+      expect(extract(fakeRequest(bearer))).to.equal("10.0.0.1");
+    });
+
+    it("should key by an arbitrary header", () => {
+      const extract = createKeyExtractor({
+        strategy: "header",
+        header: "x-tenant-id",
+      });
+      expect(extract(fakeRequest({ "x-tenant-id": "acme" }))).to.equal(
+        "header:acme"
+      );
+    });
+
+    it("should combine sources into composite keys", () => {
+      const extract = createKeyExtractor({
+        strategy: "composite",
+        composite: ["ip", "route"],
+      });
+      expect(extract(fakeRequest())).to.equal("10.0.0.1|route:/protected/data");
+    });
+
+    it("should key composite clients without an identity by IP", () => {
+      const extract = createKeyExtractor({
+        strategy: "composite",
+        composite: ["apiKey", "route"],
+      });
+
+      expect(extract(fakeRequest({}, "10.0.0.1"))).to.equal(
+        "10.0.0.1|route:/protected/data"
+      );
+      expect(extract(fakeRequest({}, "10.0.0.2"))).to.equal(
+        "10.0.0.2|route:/protected/data"
+      );
+    });
+
+    it("should reject unknown sources", () => {
+      expect(() =>
+        createKeyExtractor({ strategy: "composite", composite: ["cookie"] })
+      ).to.throw("Unknown client key source");
+    });
+
+    it("should limit and block by client key across addresses", async () => {
+      const blocklistManager = require("../src/services/blocklistManager");
+      const blocklistMiddleware = require("../src/middleware/blocklist");
+      const originalClientKey = config.get("clientKey");
+      config.set("clientKey", { strategy: "header", header: "x-client-id" });
+
+      const algorithm = new DAASRAlgorithm();
+      algorithm.calculateDynamicLimit = () => ({ max: 1, windowMs: 60000 });
+
+      const app = express();
+      app.set("trust proxy", true);
+      app.use(blocklistMiddleware);
+      app.use(createDAASRMiddleware({ algorithm }));
+      app.get("/", (req, res) => res.json({ key: req.rateLimit.key }));
+
+      try {
+        const first = await request(app)
+          .get("/")
+          .set("X-Client-Id", "tenant-a")
+          .set("X-Forwarded-For", "10.0.0.1")
+          .expect(200);
+        expect(first.body.key).to.equal("header:tenant-a");
+
+        const blocked = await request(app)
+          .get("/")
+          .set("X-Client-Id", "tenant-a")
+          .set("X-Forwarded-For", "10.0.0.2")
+          .expect(429);
+        expect(blocked.body.error).to.equal("Rate limit exceeded");
+        expect(algorithm.userPatterns.get("header:tenant-a").offenses).to.have
+          .lengthOf(1);
+
+        blocklistManager.add("header:tenant-a");
+        await request(app)
+          .get("/")
+          .set("X-Client-Id", "tenant-a")
+          .set("X-Forwarded-For", "10.0.0.3")
+          .expect(403);
+      } finally {
+        blocklistManager.remove("header:tenant-a");
+        config.set("clientKey", originalClientKey);
+      }
+    });
+  });
 });
 
 describe("Traffic Monitor Tests", () => {
@@ -347,4 +1321,220 @@ describe("Traffic Monitor Tests", () => {
       expect(health).to.equal("warning");
     });
   });
+
+  describe("Bucketed Storage", () => {
+    const { TrafficMonitor } = require("../src/services/trafficMonitor");
+    const request = {
+      ip: "10.0.0.1",
+      method: "GET",
+      url: "/api/items?page=2",
+      userAgent: "Test",
+    };
+    let clock;
+    let monitor;
+
+    beforeEach(() => {
+      clock = 1700000000000;
+      monitor = new TrafficMonitor({
+        now: () => clock,
+        retentionSeconds: 120,
+        autoStart: false,
+      });
+    });
+
+    it("should aggregate the last minute only", () => {
+      for (let i = 0; i < 30; i++) {
+        monitor.recordRequest(request);
+        monitor.recordResponse({ responseTime: 100, statusCode: 200 });
+      }
+      clock += 61000;
+      for (let i = 0; i < 12; i++) {
+        monitor.recordRequest(request);
+        monitor.recordResponse({
+          responseTime: 40,
+          statusCode: i < 3 ? 503 : 200,
+        });
+      }
+
+      const stats = monitor.getCurrentStats();
+      expect(stats.requestsPerMinute).to.equal(12);
+      expect(stats.averageResponseTime).to.equal(40);
+      expect(stats.errorRate).to.equal(0.25);
+      expect(stats.totalRequests).to.equal(42);
+      expect(stats.peakResponseTime).to.equal(100);
+    });
+
+    it("should include requests recorded after stats were cached", () => {
+      clock += 5000;
+      monitor.recordRequest(request);
+      expect(monitor.getCurrentStats().requestsPerMinute).to.equal(1);
+
+      monitor.recordRequest(request);
+      expect(monitor.getCurrentStats().requestsPerMinute).to.equal(2);
+
+      clock += 1000;
+      monitor.recordRequest(request);
+      expect(monitor.getCurrentStats().requestsPerMinute).to.equal(3);
+    });
+
+    it("should recycle buckets older than the retention", () => {
+      monitor.recordRequest(request);
+      clock += 120000; // Same ring slot, two minutes later
+      monitor.recordRequest(request);
+
+      const history = monitor.getTrafficHistory(60);
+      expect(history.buckets).to.have.lengthOf(1);
+      expect(history.buckets[0].timestamp).to.equal(clock);
+      expect(monitor.getTrafficHistory(10).buckets).to.have.lengthOf(1);
+    });
+
+    it("should report per-second history and patterns", () => {
+      monitor.recordRequest(request);
+      monitor.recordResponse({ responseTime: 10, statusCode: 200 });
+      clock += 1000;
+      monitor.recordRequest({ ...request, ip: "10.0.0.2", method: "POST" });
+      monitor.recordResponse({ responseTime: 30, statusCode: 404 });
+
+      const { buckets } = monitor.getTrafficHistory(1);
+      expect(buckets.map((bucket) => bucket.requests)).to.deep.equal([1, 1]);
+      expect(buckets[1]).to.include({ errors: 1, averageResponseTime: 30 });
+
+      const patterns = monitor.getTrafficPatterns();
+      expect(patterns.topEndpoints).to.deep.equal({ "/api/items": 2 });
+      expect(patterns.topIPs).to.deep.equal({ "10.0.0.1": 1, "10.0.0.2": 1 });
+      expect(patterns.methodDistribution).to.deep.equal({ GET: 1, POST: 1 });
+      expect(patterns.statusCodeDistribution).to.deep.equal({
+        200: 1,
+        404: 1,
+      });
+    });
+  });
+
+  describe("Latency Percentiles", () => {
+    const { TrafficMonitor } = require("../src/services/trafficMonitor");
+    const QuantileSketch = require("../src/utils/quantileSketch");
+    let clock;
+    let monitor;
+
+    const respond = (url, responseTime) => {
+      monitor.recordRequest({ ip: "10.0.0.1", method: "GET", url });
+      monitor.recordResponse({ responseTime, statusCode: 200, url });
+    };
+
+    beforeEach(() => {
+      clock = 1700000000000;
+      monitor = new TrafficMonitor({ now: () => clock, autoStart: false });
+    });
+
+    it("should expose tail latency in current stats", () => {
+      for (let i = 1; i <= 1000; i++) {
+        respond("/fast", i <= 990 ? 10 : 2000);
+      }
+
+      const { latencyPercentiles } = monitor.getCurrentStats();
+      expect(latencyPercentiles.p50).to.be.closeTo(10, 0.2);
+      expect(latencyPercentiles.p90).to.be.closeTo(10, 0.2);
+      expect(latencyPercentiles.p999).to.be.closeTo(2000, 40);
+      expect(monitor.getCurrentStats().averageResponseTime).to.equal(30);
+    });
+
+    it("should report null percentiles without traffic", () => {
+      expect(monitor.getCurrentStats().latencyPercentiles).to.deep.equal({
+        p50: null,
+        p90: null,
+        p95: null,
+        p99: null,
+        p999: null,
+      });
+    });
+
+    it("should track percentiles per endpoint across buckets", () => {
+      respond("/a?x=1", 100);
+      clock += 1000;
+      respond("/a", 300);
+      respond("/b", 5);
+
+      const endpoints = monitor.getEndpointLatency(5);
+      expect(Object.keys(endpoints)).to.have.members(["/a", "/b"]);
+      expect(endpoints["/a"].count).to.equal(2);
+      expect(endpoints["/a"].p99).to.be.closeTo(300, 6);
+      expect(endpoints["/b"].p50).to.be.closeTo(5, 0.1);
+    });
+
+    it("should merge sketches from several nodes", () => {
+      const other = new TrafficMonitor({ now: () => clock, autoStart: false });
+      for (let i = 0; i < 100; i++) {
+        respond("/a", 10);
+        other.recordResponse({ responseTime: 1000, statusCode: 200 });
+      }
+
+      const merged = QuantileSketch.fromJSON(
+        JSON.parse(JSON.stringify(monitor.getLatencySketch(1)))
+      ).merge(QuantileSketch.fromJSON(other.getLatencySketch(1).toJSON()));
+
+      expect(merged.count).to.equal(200);
+      expect(merged.quantile(0.25)).to.be.closeTo(10, 0.2);
+      expect(merged.quantile(0.75)).to.be.closeTo(1000, 20);
+      expect(monitor.getLatencySketch(1, "/a").count).to.equal(100);
+      expect(monitor.getLatencySketch(1, "/missing").count).to.equal(0);
+    });
+  });
+});
+
+describe("Quantile Sketch Tests", () => {
+  let expect;
+  const QuantileSketch = require("../src/utils/quantileSketch");
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+  });
+
+  it("should estimate quantiles within the relative accuracy", () => {
+    const sketch = new QuantileSketch({ relativeAccuracy: 0.01 });
+    for (let value = 1; value <= 10000; value++) {
+      sketch.add(value);
+    }
+
+    [0.5, 0.9, 0.99, 0.999].forEach((q) => {
+      const exact = 1 + q * 9999;
+      expect(sketch.quantile(q)).to.be.closeTo(exact, exact * 0.011);
+    });
+    expect(sketch.quantile(0)).to.equal(1);
+    expect(sketch.quantile(1)).to.equal(10000);
+  });
+
+  it("should merge sketches losslessly", () => {
+    const whole = new QuantileSketch();
+    const left = new QuantileSketch();
+    const right = new QuantileSketch();
+    for (let value = 0; value < 2000; value++) {
+      whole.add(value);
+      (value % 2 ? left : right).add(value);
+    }
+
+    left.merge(right);
+    expect(left.count).to.equal(whole.count);
+    expect(left.quantile(0.9)).to.equal(whole.quantile(0.9));
+    expect(left.mean()).to.equal(whole.mean());
+  });
+
+  it("should round-trip through JSON", () => {
+    const sketch = new QuantileSketch();
+    [0, 3, 50, 700].forEach((value) => sketch.add(value));
+
+    const copy = QuantileSketch.fromJSON(JSON.parse(JSON.stringify(sketch)));
+    expect(copy.quantiles([0, 0.5, 1])).to.deep.equal(
+      sketch.quantiles([0, 0.5, 1])
+    );
+    expect(copy.sum).to.equal(753);
+    expect(() => QuantileSketch.fromJSON({})).to.throw("Invalid serialized");
+  });
+
+  it("should report empty sketches as null", () => {
+    expect(new QuantileSketch().quantile(0.5)).to.equal(null);
+    expect(() =>
+      new QuantileSketch().merge(new QuantileSketch({ relativeAccuracy: 0.05 }))
+    ).to.throw("different relative accuracy");
+  });
 });
@@ -0,0 +1,201 @@
+/**
+ * In-process fake Redis client
+ *
+ * Implements the subset of the node-redis v4 client used by RedisStore. Lua
+ * scripts are matched by SHA1 and executed by JavaScript equivalents, so the
+ * store's key layout, argument marshalling and reply parsing are exercised
+ * without a live server.
+ *
+ * @module fakeRedis
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const { SCRIPTS } = require("../../src/stores/redisStore");
+const countingAlgorithms = require("../../src/utils/countingAlgorithms");
+
+class FakeRedisClient {
+  constructor() {
+    this.data = new Map();
+    this.loadedScripts = new Set();
+    this.now = () => Date.now();
+    this.handlers = {
+      [SCRIPTS.increment.sha]: (keys, args) => this.runIncrement(keys, args),
+      [SCRIPTS.getCounter.sha]: (keys) => this.runGetCounter(keys),
+      [SCRIPTS.decrement.sha]: (keys) => this.runDecrement(keys),
+      [SCRIPTS.recordOffense.sha]: (keys, args) =>
+        this.runRecordOffense(keys, args),
+      [SCRIPTS.getOffenses.sha]: (keys, args) =>
+        this.runGetOffenses(keys, args),
+      [SCRIPTS.recordActivity.sha]: (keys, args) =>
+        this.runRecordActivity(keys, args),
+      [SCRIPTS.tokenBucket.sha]: (keys, args) =>
+        this.runLimiter("token-bucket", keys, args),
+      [SCRIPTS.slidingWindow.sha]: (keys, args) =>
+        this.runLimiter("sliding-window", keys, args),
+      [SCRIPTS.slidingLog.sha]: (keys, args) =>
+        this.runLimiter("sliding-log", keys, args),
+      [SCRIPTS.gcra.sha]: (keys, args) => this.runLimiter("gcra", keys, args),
+    };
+  }
+
+  entry(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+      this.data.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  pttl(key) {
+    const entry = this.entry(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return entry.expiresAt - this.now();
+  }
+
+  async evalSha(sha, { keys, arguments: args }) {
+    if (!this.loadedScripts.has(sha)) {
+      throw new Error("NOSCRIPT No matching script. Please use EVAL.");
+    }
+    return this.handlers[sha](keys, args);
+  }
+
+  async eval(lua, options) {
+    const sha = crypto.createHash("sha1").update(lua).digest("hex");
+    if (!this.handlers[sha]) {
+      throw new Error("ERR unknown script");
+    }
+    this.loadedScripts.add(sha);
+    return this.evalSha(sha, options);
+  }
+
+  runIncrement([key], [windowMs, amount]) {
+    let entry = this.entry(key);
+    if (!entry) {
+      entry = { value: 0, expiresAt: null };
+      this.data.set(key, entry);
+    }
+    entry.value += Number(amount);
+
+    let ttl = this.pttl(key);
+    if (ttl < 0) {
+      entry.expiresAt = this.now() + Number(windowMs);
+      ttl = Number(windowMs);
+    }
+    return [entry.value, ttl];
+  }
+
+  runGetCounter([key]) {
+    const entry = this.entry(key);
+    return entry ? [String(entry.value), this.pttl(key)] : null;
+  }
+
+  runDecrement([key]) {
+    const entry = this.entry(key);
+    if (!entry) return 0;
+    entry.value = Math.max(0, entry.value - 1);
+    return entry.value;
+  }
+
+  runRecordOffense([key], [now, retention, member]) {
+    let entry = this.entry(key);
+    if (!entry) {
+      entry = { value: new Map(), expiresAt: null };
+      this.data.set(key, entry);
+    }
+    entry.value.set(member, Number(now));
+    for (const [m, score] of entry.value) {
+      if (score <= Number(now) - Number(retention)) {
+        entry.value.delete(m);
+      }
+    }
+    entry.expiresAt = this.now() + Number(retention);
+    return entry.value.size;
+  }
+
+  runGetOffenses([key], [since]) {
+    const entry = this.entry(key);
+    if (!entry) return [];
+    return [...entry.value]
+      .filter(([, score]) => score > Number(since))
+      .sort(([, a], [, b]) => a - b)
+      .flatMap(([member, score]) => [member, String(score)]);
+  }
+
+  runRecordActivity([key], [now, ttl]) {
+    let entry = this.entry(key);
+    if (!entry) {
+      entry = { value: {}, expiresAt: null };
+      this.data.set(key, entry);
+    }
+    const hash = entry.value;
+    hash.totalRequests = String(Number(hash.totalRequests || 0) + 1);
+    if (hash.firstSeen === undefined) hash.firstSeen = now;
+    hash.lastSeen = now;
+    entry.expiresAt = this.now() + Number(ttl);
+    return [hash.totalRequests, hash.firstSeen, hash.lastSeen];
+  }
+
+  runLimiter(
+    algorithm,
+    [key],
+    [now, limit, windowMs, burst, cost, , force, peek]
+  ) {
+    const entry = this.entry(key);
+    const result = countingAlgorithms.consume(
+      algorithm,
+      entry ? entry.value : undefined,
+      {
+        now: Number(now),
+        limit: Number(limit),
+        windowMs: Number(windowMs),
+        burst: Number(burst),
+        cost: Number(cost),
+        force: force === "1",
+      }
+    );
+    if (peek !== "1") {
+      this.data.set(key, {
+        value: result.state,
+        expiresAt: this.now() + result.ttl,
+      });
+    }
+    return [
+      result.allowed ? 1 : 0,
+      result.remaining,
+      result.resetAt,
+      result.retryAfter,
+    ];
+  }
+
+  async hGetAll(key) {
+    const entry = this.entry(key);
+    return entry ? { ...entry.value } : {};
+  }
+
+  async del(keys) {
+    let removed = 0;
+    for (const key of [].concat(keys)) {
+      if (this.data.delete(key)) removed++;
+    }
+    return removed;
+  }
+
+  async *scanIterator({ MATCH }) {
+    const prefix = MATCH.replace(/\*$/, "");
+    for (const key of [...this.data.keys()]) {
+      if (key.startsWith(prefix) && this.entry(key)) {
+        yield key;
+      }
+    }
+  }
+
+  async quit() {
+    return "OK";
+  }
+}
+
+module.exports = FakeRedisClient;
@@ -0,0 +1,272 @@
+/**
+ * Quota Manager Tests
+ *
+ * Unit tests for calendar-aligned quota periods, soft and hard limits,
+ * persistence of usage, and the quota middleware and endpoint
+ *
+ * @module tests
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+const config = require("../src/config/default");
+const quotaManager = require("../src/services/quotaManager");
+const { createQuotaMiddleware } = require("../src/middleware/quota");
+
+const { QuotaManager, getPeriod } = quotaManager;
+
+describe("Quota Manager Tests", () => {
+  let expect;
+  let originalStorePath;
+  let originalQuotas;
+  let originalTiers;
+  let tempDir;
+  let filePath;
+  let clock;
+  let manager;
+
+  const tier = { tier: "standard", dailyQuota: 10, monthlyQuota: 25 };
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+
+    // Keep runtime config changes made by tests out of the store file
+    originalStorePath = config.storePath;
+    config.storePath = null;
+    originalQuotas = config.get("quotas");
+    originalTiers = config.get("apiKeyTiers");
+  });
+
+  after(() => {
+    config.storePath = originalStorePath;
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "daasr-quotas-"));
+    filePath = path.join(tempDir, "quotas.json");
+    clock = Date.UTC(2026, 9, 18, 12);
+    manager = new QuotaManager({ filePath, now: () => clock });
+  });
+
+  afterEach(() => {
+    clearTimeout(manager.saveTimer);
+    config.set("quotas", originalQuotas);
+    config.set("apiKeyTiers", originalTiers);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe("Calendar Periods", () => {
+    it("should reset at midnight in the configured time zone", () => {
+      const day = getPeriod("daily", clock, "America/New_York");
+      expect(day.id).to.equal("2026-10-18");
+      expect(new Date(day.resetAt).toISOString()).to.equal(
+        "2026-10-19T04:00:00.000Z"
+      );
+
+      const month = getPeriod("monthly", clock, "Asia/Tokyo");
+      expect(month.id).to.equal("2026-10");
+      expect(new Date(month.resetAt).toISOString()).to.equal(
+        "2026-10-31T15:00:00.000Z"
+      );
+    });
+
+    it("should follow daylight saving time changes", () => {
+      // New York falls back to EST on 2026-11-01
+      const fallBack = Date.UTC(2026, 10, 1, 12);
+      const day = getPeriod("daily", fallBack, "America/New_York");
+      expect(new Date(day.resetAt).toISOString()).to.equal(
+        "2026-11-02T05:00:00.000Z"
+      );
+
+      const lastDay = getPeriod("daily", Date.UTC(2026, 11, 31, 20), "UTC");
+      expect(lastDay.id).to.equal("2026-12-31");
+      expect(new Date(lastDay.resetAt).toISOString()).to.equal(
+        "2027-01-01T00:00:00.000Z"
+      );
+    });
+  });
+
+  describe("Limits", () => {
+    it("should count units and reject them once a quota is used up", () => {
+      expect(manager.consume("acme", tier, 6).allowed).to.be.true;
+
+      const rejected = manager.consume("acme", tier, 5);
+      expect(rejected).to.include({ allowed: false, exceeded: "daily" });
+      expect(manager.consume("acme", tier, 4).usage.daily).to.include({
+        used: 10,
+        remaining: 0,
+      });
+      expect(manager.consume("acme", tier).allowed).to.be.false;
+    });
+
+    it("should start a new daily quota at midnight but keep the month", () => {
+      manager.consume("acme", tier, 10);
+      clock = Date.UTC(2026, 9, 19);
+
+      const result = manager.consume("acme", tier, 10);
+      expect(result.allowed).to.be.true;
+      expect(result.usage.daily).to.include({ period: "2026-10-19", used: 10 });
+      expect(result.usage.monthly).to.include({ used: 20, remaining: 5 });
+
+      clock = Date.UTC(2026, 9, 20);
+      expect(manager.consume("acme", tier, 6).exceeded).to.equal("monthly");
+    });
+
+    it("should use the configured time zone for resets", () => {
+      config.set("quotas", { ...originalQuotas, timeZone: "Asia/Tokyo" });
+      manager.consume("acme", tier, 10);
+
+      // Already the next day in Tokyo
+      clock = Date.UTC(2026, 9, 18, 15);
+      expect(manager.consume("acme", tier).allowed).to.be.true;
+    });
+
+    it("should not count anything for tiers without quotas", () => {
+      const result = manager.consume("guest", { tier: "anonymous" });
+      expect(result).to.include({ allowed: true, usage: null });
+      expect(manager.usage.has("guest")).to.be.false;
+    });
+
+    it("should warn past the soft limit and emit it once per period", () => {
+      const warnings = [];
+      manager.on("softLimit", (warning) => warnings.push(warning));
+
+      expect(manager.consume("acme", tier, 7).warnings).to.deep.equal([]);
+      expect(manager.consume("acme", tier).warnings).to.deep.equal(["daily"]);
+      expect(manager.consume("acme", tier).warnings).to.deep.equal(["daily"]);
+      expect(warnings).to.have.lengthOf(1);
+      expect(warnings[0]).to.include({
+        identity: "acme",
+        tier: "standard",
+        quota: "daily",
+        used: 8,
+        limit: 10,
+      });
+
+      clock = Date.UTC(2026, 9, 19);
+      manager.consume("acme", tier, 8);
+      expect(warnings).to.have.lengthOf(2);
+      expect(warnings[1]).to.include({ period: "2026-10-19", used: 8 });
+    });
+  });
+
+  describe("Persistence", () => {
+    it("should keep usage across restarts", () => {
+      manager.consume("acme", tier, 9);
+      manager.flush();
+
+      const restarted = new QuotaManager({ filePath, now: () => clock });
+      expect(restarted.getUsage("acme", tier).daily.used).to.equal(9);
+      expect(restarted.consume("acme", tier, 2).allowed).to.be.false;
+    });
+
+    it("should start empty when the quota file is corrupt", () => {
+      fs.writeFileSync(filePath, "{ not json");
+
+      const restarted = new QuotaManager({ filePath, now: () => clock });
+      expect(restarted.usage.size).to.equal(0);
+      expect(restarted.consume("acme", tier).allowed).to.be.true;
+    });
+
+    it("should batch writes unless the flush interval is 0", () => {
+      manager.consume("acme", tier);
+      expect(fs.existsSync(filePath)).to.be.false;
+      expect(manager.saveTimer).to.not.equal(null);
+
+      config.set("quotas", { ...originalQuotas, flushInterval: 0 });
+      manager.flush();
+      manager.consume("acme", tier);
+      const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      expect(stored.usage.acme.daily.used).to.equal(2);
+    });
+
+    it("should drop identities with no usage in the current periods", () => {
+      manager.consume("acme", tier);
+      clock = Date.UTC(2026, 10, 1);
+      manager.consume("globex", tier);
+      manager.flush();
+
+      const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      expect(Object.keys(stored.usage)).to.deep.equal(["globex"]);
+    });
+  });
+
+  describe("Middleware and Endpoint", () => {
+    let originalState;
+
+    beforeEach(() => {
+      config.set("apiKeyTiers", {
+        ...originalTiers,
+        anonymous: { ...originalTiers.anonymous, dailyQuota: 3 },
+      });
+      originalState = {
+        usage: quotaManager.usage,
+        filePath: quotaManager.filePath,
+      };
+      Object.assign(quotaManager, { usage: new Map(), filePath: null });
+    });
+
+    afterEach(() => {
+      Object.assign(quotaManager, originalState);
+    });
+
+    it("should warn, then reject with QUOTA_EXCEEDED", async () => {
+      const app = express();
+      app.use(createQuotaMiddleware({ manager }));
+      app.get("/", (req, res) => res.json({ ok: true }));
+
+      await request(app).get("/").expect(200);
+      const second = await request(app).get("/").expect(200);
+      expect(second.headers).to.not.have.property("x-quota-warning");
+
+      const warned = await request(app).get("/").expect(200);
+      expect(warned.headers["x-quota-warning"]).to.equal(
+        "daily;used=3;limit=3;reset=2026-10-19T00:00:00.000Z"
+      );
+
+      const rejected = await request(app).get("/").expect(429);
+      expect(rejected.headers["retry-after"]).to.equal(String(12 * 3600));
+      expect(rejected.body).to.include({
+        error: "Quota exceeded",
+        code: "QUOTA_EXCEEDED",
+        quota: "daily",
+        tier: "anonymous",
+      });
+    });
+
+    it("should serve a client's usage", async () => {
+      const originalAuth = config.get("auth");
+      config.set("auth", { ...originalAuth, enabled: false });
+      try {
+        quotaManager.consume("10.0.0.1", config.get("apiKeyTiers").anonymous);
+
+        const app = express();
+        app.use("/api", require("../src/routes/api"));
+        const response = await request(app)
+          .get("/api/quotas/10.0.0.1")
+          .expect(200);
+
+        expect(response.body.data).to.include({
+          key: "10.0.0.1",
+          keyId: null,
+          tier: "anonymous",
+          timeZone: "UTC",
+        });
+        expect(response.body.data.usage.daily).to.include({
+          limit: 3,
+          used: 1,
+          remaining: 2,
+        });
+        expect(response.body.data.usage.monthly.limit).to.equal(null);
+      } finally {
+        config.set("auth", originalAuth);
+      }
+    });
+  });
+});
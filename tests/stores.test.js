@@ -0,0 +1,560 @@
+/**
+ * DAASR Store Tests
+ *
+ * Unit tests for the in-memory and Redis-backed stores and for the DAASR
+ * middleware sharing state through them
+ *
+ * @module tests
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const request = require("supertest");
+const MemoryStore = require("../src/stores/memoryStore");
+const RedisStore = require("../src/stores/redisStore");
+const {
+  DAASRAlgorithm,
+  createDAASRMiddleware,
+} = require("../src/middleware/daasr");
+const countingAlgorithms = require("../src/utils/countingAlgorithms");
+const FakeRedisClient = require("./helpers/fakeRedis");
+
+describe("DAASR Store Tests", () => {
+  let expect;
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+  });
+
+  const implementations = {
+    MemoryStore: (now) => new MemoryStore({ now }),
+    RedisStore: (now) => {
+      const client = new FakeRedisClient();
+      if (now) client.now = now;
+      return new RedisStore({ client, now });
+    },
+  };
+
+  // Window-aligned start time for deterministic clocks
+  const START = Date.UTC(2026, 0, 1);
+
+  describe("Counting Algorithms", () => {
+    /**
+     * Run requests at the given offsets from START through an algorithm
+     */
+    const run = (algorithm, offsets, params) => {
+      let state;
+      return offsets.map((offset) => {
+        const result = countingAlgorithms.consume(algorithm, state, {
+          cost: 1,
+          ...params,
+          now: START + offset,
+        });
+        state = result.state;
+        return result;
+      });
+    };
+    const allowed = (results) => results.map((result) => result.allowed);
+
+    it("should refill a token bucket at the sustained rate", () => {
+      const results = run("token-bucket", [0, 0, 0, 0, 0, 0, 100], {
+        limit: 10,
+        windowMs: 1000,
+        burst: 5,
+      });
+
+      expect(allowed(results)).to.deep.equal([
+        true,
+        true,
+        true,
+        true,
+        true,
+        false,
+        true,
+      ]);
+      expect(results.map((result) => result.remaining)).to.deep.equal([
+        4, 3, 2, 1, 0, 0, 0,
+      ]);
+      expect(results[5].retryAfter).to.equal(100);
+    });
+
+    it("should not allow twice the limit across a window boundary", () => {
+      const params = { limit: 10, windowMs: 1000 };
+      const offsets = [...Array(10).fill(999), 1000, 1500];
+      const results = run("sliding-window", offsets, params);
+
+      expect(allowed(results.slice(0, 10))).to.not.include(false);
+      expect(results[10].allowed).to.be.false;
+      // Half of the previous window still counts halfway through
+      expect(results[11].allowed).to.be.true;
+      expect(results[11].remaining).to.equal(4);
+    });
+
+    it("should say when the sliding window has room again", () => {
+      const offsets = [...Array(10).fill(0), 1, 1500, 1500, 1500, 1500];
+      const results = run("sliding-window", [...offsets, 1500, 1500], {
+        limit: 10,
+        windowMs: 1000,
+      });
+
+      expect(results[10].retryAfter).to.equal(999);
+      expect(allowed(results.slice(11, 16))).to.not.include(false);
+      expect(results[16].allowed).to.be.false;
+      expect(results[16].retryAfter).to.equal(100);
+    });
+
+    it("should keep an exact sliding log", () => {
+      const results = run("sliding-log", [0, 100, 200, 300, 999, 1000], {
+        limit: 3,
+        windowMs: 1000,
+      });
+
+      expect(allowed(results)).to.deep.equal([
+        true,
+        true,
+        true,
+        false,
+        false,
+        true,
+      ]);
+      expect(results[3].retryAfter).to.equal(700);
+      expect(results[4].retryAfter).to.equal(1);
+      expect(results[5].resetAt).to.equal(START + 1100);
+    });
+
+    it("should space requests evenly with GCRA", () => {
+      const results = run("gcra", [0, 0, 0, 0, 100, 150], {
+        limit: 10,
+        windowMs: 1000,
+        burst: 3,
+      });
+
+      expect(allowed(results)).to.deep.equal([
+        true,
+        true,
+        true,
+        false,
+        true,
+        false,
+      ]);
+      expect(results.map((result) => result.remaining)).to.deep.equal([
+        2, 1, 0, 0, 0, 0,
+      ]);
+      expect(results[3].retryAfter).to.equal(100);
+      expect(results[5].retryAfter).to.equal(50);
+    });
+
+    it("should weigh requests by cost", () => {
+      const [first, second] = run("token-bucket", [0, 0], {
+        limit: 10,
+        windowMs: 1000,
+        burst: 10,
+        cost: 6,
+      });
+
+      expect(first).to.include({ allowed: true, remaining: 4 });
+      expect(second).to.include({ allowed: false, retryAfter: 200 });
+    });
+
+    it("should tell costs over the burst to wait a full window", () => {
+      ["token-bucket", "gcra"].forEach((algorithm) => {
+        const [result] = run(algorithm, [0], {
+          limit: 10,
+          windowMs: 1000,
+          burst: 2,
+          cost: 3,
+        });
+
+        expect(result, algorithm).to.include({
+          allowed: false,
+          retryAfter: 1000,
+        });
+      });
+    });
+
+    it("should record forced charges over the limit", () => {
+      countingAlgorithms.COUNTING_ALGORITHMS.filter(
+        (algorithm) => algorithm !== "fixed-window"
+      ).forEach((algorithm) => {
+        const params = { now: START, limit: 10, windowMs: 1000, burst: 10 };
+        const charged = countingAlgorithms.consume(algorithm, undefined, {
+          ...params,
+          cost: 15,
+          force: true,
+        });
+        const next = countingAlgorithms.consume(algorithm, charged.state, {
+          ...params,
+          now: START + 100,
+          cost: 1,
+        });
+
+        expect(charged, algorithm).to.include({ allowed: true, remaining: 0 });
+        expect(next.allowed, algorithm).to.be.false;
+      });
+    });
+
+    it("should reject unknown algorithms", () => {
+      expect(() => countingAlgorithms.consume("leaky", undefined, {})).to.throw(
+        "Unknown counting algorithm: leaky"
+      );
+    });
+  });
+
+  Object.entries(implementations).forEach(([name, createStore]) => {
+    describe(name, () => {
+      let store;
+
+      beforeEach(() => {
+        store = createStore();
+      });
+
+      afterEach(async () => {
+        await store.close();
+      });
+
+      it("should count hits within a window", async () => {
+        await store.increment("client", 60000);
+        const result = await store.increment("client", 60000, 2);
+
+        expect(result.totalHits).to.equal(3);
+        expect(result.resetTime).to.be.instanceOf(Date);
+        expect(result.resetTime.getTime()).to.be.greaterThan(Date.now());
+      });
+
+      it("should decrement and reset counters", async () => {
+        await store.increment("client", 60000, 2);
+        expect(await store.decrement("client")).to.equal(1);
+
+        await store.resetKey("client");
+        const result = await store.increment("client", 60000);
+        expect(result.totalHits).to.equal(1);
+      });
+
+      it("should peek at counters and limiters without changing them", async () => {
+        expect(await store.get("client")).to.equal(null);
+        await store.increment("client", 60000, 2);
+        expect((await store.get("client")).totalHits).to.equal(2);
+        expect((await store.increment("client", 60000)).totalHits).to.equal(3);
+
+        for (const algorithm of countingAlgorithms.COUNTING_ALGORITHMS) {
+          if (algorithm === "fixed-window") continue;
+          const settings = { algorithm, limit: 2, windowMs: 60000 };
+
+          expect(await store.peek("peeked", settings), algorithm).to.include({
+            remaining: 2,
+          });
+          await store.consume("peeked", settings);
+          await store.peek("peeked", settings);
+          expect(await store.peek("peeked", settings), algorithm).to.include({
+            remaining: 1,
+          });
+          expect(await store.consume("peeked", settings)).to.include({
+            allowed: true,
+            remaining: 0,
+          });
+        }
+      });
+
+      it("should keep offenses within the retention window only", async () => {
+        const now = Date.now();
+        await store.recordOffense("client", now - 20000, 10000);
+        const count = await store.recordOffense("client", now, 10000);
+
+        expect(count).to.equal(1);
+        expect(await store.getOffenses("client", now - 10000)).to.deep.equal([
+          now,
+        ]);
+      });
+
+      it("should track reputation per identity", async () => {
+        const now = Date.now();
+        await store.recordActivity("client", now - 1000);
+        const reputation = await store.recordActivity("client", now);
+
+        expect(reputation).to.deep.equal({
+          totalRequests: 2,
+          firstSeen: now - 1000,
+          lastSeen: now,
+        });
+        expect(await store.getReputation("client")).to.deep.equal(reputation);
+        expect(await store.getReputation("unknown")).to.equal(null);
+      });
+
+      it("should clear all state on resetAll", async () => {
+        await store.increment("client", 60000);
+        await store.recordActivity("client", Date.now());
+        await store.resetAll();
+
+        expect(await store.getReputation("client")).to.equal(null);
+        expect((await store.increment("client", 60000)).totalHits).to.equal(1);
+      });
+
+      describe("Counting", () => {
+        let clock;
+        let clocked;
+
+        beforeEach(() => {
+          clock = START;
+          clocked = createStore(() => clock);
+        });
+
+        afterEach(async () => {
+          await clocked.close();
+        });
+
+        countingAlgorithms.COUNTING_ALGORITHMS.filter(
+          (algorithm) => algorithm !== "fixed-window"
+        ).forEach((algorithm) => {
+          it(`should limit with ${algorithm}`, async () => {
+            const settings = { algorithm, limit: 2, windowMs: 1000 };
+            const consume = () => clocked.consume("client", settings);
+
+            expect(await consume()).to.include({ allowed: true, remaining: 1 });
+            expect(await consume()).to.include({ allowed: true, remaining: 0 });
+
+            const denied = await consume();
+            expect(denied.allowed).to.be.false;
+            expect(denied.retryAfter).to.be.within(1, 1000);
+            expect(denied.resetTime).to.be.instanceOf(Date);
+
+            // Separate keys and a reset start over
+            expect((await clocked.consume("other", settings)).allowed).to.be
+              .true;
+            await clocked.resetKey("client");
+            expect((await consume()).allowed).to.be.true;
+
+            clock += 2000;
+            expect(await consume()).to.include({ allowed: true, remaining: 1 });
+          });
+        });
+      });
+    });
+  });
+
+  describe("RedisStore", () => {
+    it("should share state between instances using the same Redis", async () => {
+      const client = new FakeRedisClient();
+      const replicaA = new RedisStore({ client });
+      const replicaB = new RedisStore({ client });
+
+      await replicaA.increment("client", 60000);
+      const result = await replicaB.increment("client", 60000);
+
+      expect(result.totalHits).to.equal(2);
+    });
+
+    it("should namespace keys with the configured prefix", async () => {
+      const client = new FakeRedisClient();
+      const store = new RedisStore({ client, prefix: "test:" });
+
+      await store.increment("client", 60000);
+
+      expect([...client.data.keys()]).to.deep.equal(["test:counter:client"]);
+    });
+
+    it("should fall back to EVAL when the script is not cached", async () => {
+      const client = new FakeRedisClient();
+      const store = new RedisStore({ client });
+
+      await store.increment("client", 60000);
+
+      expect(client.loadedScripts.has(RedisStore.SCRIPTS.increment.sha)).to.be
+        .true;
+    });
+
+    it("should keep limiter state under the prefix", async () => {
+      const client = new FakeRedisClient();
+      const store = new RedisStore({ client, prefix: "test:" });
+
+      await store.consume("client", {
+        algorithm: "gcra",
+        limit: 10,
+        windowMs: 1000,
+      });
+
+      expect([...client.data.keys()]).to.deep.equal([
+        "test:limiter:gcra:client",
+      ]);
+      expect(client.loadedScripts.has(RedisStore.SCRIPTS.gcra.sha)).to.be.true;
+      await store.resetKey("client");
+      expect(client.data.size).to.equal(0);
+    });
+
+    it("should require a client", () => {
+      expect(() => new RedisStore()).to.throw("requires a Redis client");
+    });
+
+    it("should time out while the connection is not up", async () => {
+      const store = new RedisStore({
+        client: new FakeRedisClient(),
+        ready: new Promise(() => {}),
+        commandTimeout: 20,
+      });
+
+      let error;
+      try {
+        await store.increment("client", 60000);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).to.equal("Redis command timed out after 20ms");
+    });
+
+    it("should fail fast when Redis is unreachable", async () => {
+      const store = RedisStore.fromUrl("redis://127.0.0.1:1", {
+        commandTimeout: 200,
+      });
+      const started = Date.now();
+
+      let error;
+      try {
+        await store.increment("client", 60000);
+      } catch (caught) {
+        error = caught;
+      } finally {
+        await store.client.disconnect().catch(() => {});
+      }
+
+      expect(error).to.be.instanceOf(Error);
+      expect(Date.now() - started).to.be.below(1000);
+    });
+
+    // Runs the Lua scripts themselves, which the fake client only mimics
+    describe("Against a real server", () => {
+      let store;
+
+      before(async function () {
+        store = RedisStore.fromUrl(
+          process.env.REDIS_URL || "redis://127.0.0.1:6379",
+          { prefix: `daasr-test:${process.pid}:`, commandTimeout: 500 }
+        );
+
+        try {
+          await store.resetAll();
+        } catch {
+          await store.client.disconnect().catch(() => {});
+          store = null;
+          this.skip();
+        }
+      });
+
+      after(async () => {
+        if (store) {
+          await store.resetAll();
+          await store.close();
+        }
+      });
+
+      it("should run the counter scripts", async () => {
+        expect(await store.get("counter")).to.equal(null);
+        await store.increment("counter", 60000, 2);
+        expect((await store.increment("counter", 60000)).totalHits).to.equal(3);
+        expect(await store.decrement("counter")).to.equal(2);
+        expect((await store.get("counter")).totalHits).to.equal(2);
+
+        await store.resetKey("counter");
+        expect(await store.get("counter")).to.equal(null);
+      });
+
+      countingAlgorithms.COUNTING_ALGORITHMS.filter(
+        (algorithm) => algorithm !== "fixed-window"
+      ).forEach((algorithm) => {
+        it(`should run the ${algorithm} script`, async () => {
+          const settings = { algorithm, limit: 2, windowMs: 60000 };
+          const consume = () => store.consume(algorithm, settings);
+
+          expect(await consume()).to.include({ allowed: true, remaining: 1 });
+          expect(await store.peek(algorithm, settings)).to.include({
+            allowed: true,
+            remaining: 1,
+          });
+          expect(await consume()).to.include({ allowed: true, remaining: 0 });
+
+          const denied = await consume();
+          expect(denied.allowed).to.be.false;
+          expect(denied.retryAfter).to.be.within(1, 60000);
+        });
+      });
+
+      it("should run the offense and reputation scripts", async () => {
+        const now = Date.now();
+        await store.recordOffense("client", now - 20000, 10000);
+        expect(await store.recordOffense("client", now, 10000)).to.equal(1);
+        expect(await store.getOffenses("client", now - 10000)).to.deep.equal([
+          now,
+        ]);
+
+        await store.recordActivity("client", now - 1000);
+        const reputation = await store.recordActivity("client", now);
+        expect(reputation).to.deep.equal({
+          totalRequests: 2,
+          firstSeen: now - 1000,
+          lastSeen: now,
+        });
+        expect(await store.getReputation("client")).to.deep.equal(reputation);
+      });
+    });
+  });
+
+  describe("Distributed Middleware", () => {
+    const createReplica = (store) => {
+      const algorithm = new DAASRAlgorithm({ store });
+      algorithm.calculateDynamicLimit = (identifier) => ({
+        max: 3,
+        windowMs: 60000,
+        identifier,
+      });
+
+      const app = express();
+      app.use(createDAASRMiddleware({ algorithm }));
+      app.get("/", (req, res) => res.json({ ok: true }));
+      return { app, algorithm };
+    };
+
+    it("should enforce one limit across replicas sharing a store", async () => {
+      const store = new RedisStore({ client: new FakeRedisClient() });
+      const replicaA = createReplica(store);
+      const replicaB = createReplica(store);
+
+      await request(replicaA.app).get("/").expect(200);
+      await request(replicaB.app).get("/").expect(200);
+      const third = await request(replicaA.app).get("/").expect(200);
+      expect(third.headers["ratelimit-remaining"]).to.equal("0");
+
+      const blocked = await request(replicaB.app).get("/").expect(429);
+      expect(blocked.body.error).to.equal("Rate limit exceeded");
+      expect(blocked.headers).to.have.property("retry-after");
+    });
+
+    it("should share offense history through the store", async () => {
+      const store = new RedisStore({ client: new FakeRedisClient() });
+      const replicaA = createReplica(store);
+      const replicaB = createReplica(store);
+
+      for (let i = 0; i < 4; i++) {
+        await request(replicaA.app).get("/");
+      }
+      // Offenses are recorded asynchronously
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const [identifier] = replicaA.algorithm.userPatterns.keys();
+      const history = await replicaB.algorithm.loadIdentityState(identifier);
+      expect(history.offenses).to.have.lengthOf(1);
+      expect(history.reputation.totalRequests).to.equal(5);
+    });
+
+    it("should allow requests when the store fails", async () => {
+      const store = new MemoryStore();
+      store.increment = async () => {
+        throw new Error("connection lost");
+      };
+      const { app } = createReplica(store);
+
+      await request(app).get("/").expect(200);
+      await store.close();
+    });
+  });
+});
@@ -0,0 +1,407 @@
+/**
+ * System Metrics Tests
+ *
+ * Unit tests for the procfs parsers, the Linux collectors built on them
+ * (using captured /proc snapshots under tests/fixtures/proc) and the
+ * process instrumentation and Prometheus export
+ *
+ * @module tests
+ * @author DAASR Team
+ * @version 1.0.0
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { constants } = require("perf_hooks");
+const procfs = require("../src/services/procfs");
+const SystemMetricsCollector = require("../src/services/systemMetrics");
+const MetricsRegistry = require("../src/services/metricsRegistry");
+
+const FIXTURES = path.join(__dirname, "fixtures", "proc");
+const fixture = (snapshot, file) =>
+  fs.readFileSync(path.join(FIXTURES, snapshot, file), "utf8");
+
+describe("System Metrics Tests", () => {
+  let expect;
+
+  before(async () => {
+    const chai = await import("chai");
+    expect = chai.expect;
+  });
+
+  describe("procfs Parsers", () => {
+    it("should parse aggregate and per-core CPU ticks", () => {
+      const stat = procfs.parseProcStat(fixture("t0", "stat"));
+
+      expect(stat.total).to.deep.equal({
+        user: 1000,
+        nice: 0,
+        system: 500,
+        idle: 8000,
+        iowait: 300,
+        irq: 0,
+        softirq: 0,
+        steal: 0,
+      });
+      expect(stat.cores).to.have.lengthOf(2);
+      expect(stat.cores[1].idle).to.equal(4000);
+      expect(stat.procsRunning).to.equal(2);
+      expect(stat.procsBlocked).to.equal(0);
+    });
+
+    it("should reject /proc/stat without an aggregate cpu line", () => {
+      expect(() => procfs.parseProcStat("ctxt 1\n")).to.throw(
+        "No aggregate cpu line"
+      );
+    });
+
+    it("should compute CPU usage from tick deltas", () => {
+      const before = procfs.parseProcStat(fixture("t0", "stat"));
+      const after = procfs.parseProcStat(fixture("t1", "stat"));
+
+      expect(procfs.calculateCPUUsage(before.total, after.total)).to.deep.equal(
+        { usage: 40, user: 30, system: 10, iowait: 10, steal: 0 }
+      );
+      expect(
+        procfs.calculateCPUUsage(before.cores[0], after.cores[0]).usage
+      ).to.equal(60);
+      expect(
+        procfs.calculateCPUUsage(before.cores[1], after.cores[1]).usage
+      ).to.equal(20);
+    });
+
+    it("should parse disk counters and skip partitions and virtual devices", () => {
+      const devices = procfs.parseDiskStats(fixture("t0", "diskstats"));
+
+      expect(Object.keys(devices)).to.deep.equal(["sda", "nvme0n1"]);
+      expect(devices.sda).to.deep.equal({
+        reads: 10000,
+        readBytes: 800000 * 512,
+        readTimeMs: 5000,
+        writes: 20000,
+        writtenBytes: 1600000 * 512,
+        writeTimeMs: 12000,
+        inProgress: 0,
+        ioTimeMs: 9000,
+      });
+    });
+
+    it("should parse interface counters", () => {
+      const interfaces = procfs.parseNetDev(fixture("t0", "net/dev"));
+
+      expect(Object.keys(interfaces)).to.deep.equal(["lo", "eth0"]);
+      expect(interfaces.eth0).to.deep.equal({
+        rxBytes: 90000000,
+        rxPackets: 60000,
+        rxErrors: 2,
+        rxDropped: 1,
+        txBytes: 30000000,
+        txPackets: 40000,
+        txErrors: 0,
+        txDropped: 0,
+      });
+    });
+
+    it("should convert counters to per-second rates", () => {
+      const rates = procfs.calculateRates(
+        { rxBytes: 1000, rxErrors: 5 },
+        { rxBytes: 3000, rxErrors: 2 },
+        2000
+      );
+
+      expect(rates).to.deep.equal({ rxBytesPerSec: 1000, rxErrorsPerSec: 0 });
+      expect(procfs.calculateRates(undefined, { rxBytes: 10 }, 0)).to.deep.equal(
+        { rxBytesPerSec: 0 }
+      );
+    });
+  });
+
+  describe("Linux Collectors", () => {
+    let collector;
+
+    beforeEach(() => {
+      collector = new SystemMetricsCollector({
+        useProcfs: true,
+        procRoot: path.join(FIXTURES, "t0"),
+      });
+    });
+
+    it("should report host CPU usage between samples", async () => {
+      const first = await collector.getCPUMetrics();
+      expect(first.source).to.equal("procfs");
+      expect(first.overall).to.equal(0);
+
+      collector.procRoot = path.join(FIXTURES, "t1");
+      const second = await collector.getCPUMetrics();
+
+      expect(second.overall).to.equal(40);
+      expect(second.iowait).to.equal(10);
+      expect(second.count).to.equal(2);
+      expect(second.cores.map((core) => core.usage)).to.deep.equal([60, 20]);
+    });
+
+    it("should fall back to os.cpus() when procfs is unreadable", async () => {
+      collector.procRoot = path.join(FIXTURES, "missing");
+
+      const cpu = await collector.getCPUMetrics();
+
+      expect(cpu.source).to.equal("os");
+      expect(collector.useProcfs).to.be.false;
+    });
+
+    it("should report disk I/O rates per device", async () => {
+      await collector.getDiskMetrics(10000);
+      collector.procRoot = path.join(FIXTURES, "t1");
+      const disk = await collector.getDiskMetrics(12000);
+
+      expect(disk.io.devices.sda).to.deep.equal({
+        readBytesPerSec: 524288,
+        writtenBytesPerSec: 1048576,
+        readsPerSec: 50,
+        writesPerSec: 25,
+        utilization: 12.5,
+        inProgress: 1,
+      });
+      expect(disk.io.readBytesPerSec).to.equal(524288);
+      expect(disk.io.devices.nvme0n1.readsPerSec).to.equal(0);
+    });
+
+    it("should report filesystem usage via statfs", async () => {
+      const disk = await collector.getDiskMetrics();
+      const [root] = disk.filesystems;
+
+      expect(disk.available).to.be.true;
+      expect(root.mount).to.equal("/");
+      expect(root.total).to.be.greaterThan(0);
+      expect(root.usagePercent).to.be.within(0, 100);
+    });
+
+    it("should report interface traffic rates excluding loopback from totals", async () => {
+      await collector.getNetworkMetrics(10000);
+      collector.procRoot = path.join(FIXTURES, "t1");
+      const network = await collector.getNetworkMetrics(12000);
+
+      expect(network.traffic.eth0).to.include({
+        rxBytesPerSec: 1000000,
+        rxPacketsPerSec: 750,
+        rxErrorsPerSec: 2,
+        txBytesPerSec: 250000,
+        txPacketsPerSec: 400,
+      });
+      expect(network.traffic.lo.rxBytesPerSec).to.equal(50000);
+      expect(network.totals.rxBytesPerSec).to.equal(1000000);
+      expect(network.interfaces).to.be.an("object");
+    });
+
+    it("should count host processes from procfs", async () => {
+      const load = await collector.getLoadMetrics();
+
+      expect(load.processes).to.deep.equal({ total: 2, running: 2, blocked: 0 });
+    });
+  });
+
+  describe("Process Instrumentation", () => {
+    let collector;
+
+    beforeEach(() => {
+      collector = new SystemMetricsCollector({ useProcfs: false });
+    });
+
+    afterEach(() => {
+      collector.stopInstrumentation();
+    });
+
+    it("should measure event loop delay and utilization", async () => {
+      collector.startInstrumentation();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      const blockedUntil = Date.now() + 60;
+      while (Date.now() < blockedUntil) {
+        // Busy-wait to stall the event loop
+      }
+      await new Promise((resolve) => setTimeout(resolve, 30));
+
+      const eventLoop = collector.getEventLoopMetrics();
+      expect(eventLoop.max).to.be.at.least(30);
+      expect(eventLoop.p99).to.be.at.least(eventLoop.p50);
+      expect(eventLoop.utilization).to.be.within(0.1, 1);
+    });
+
+    it("should report zeros before instrumentation starts", () => {
+      const eventLoop = collector.getEventLoopMetrics();
+
+      expect(eventLoop.lag).to.equal(0);
+      expect(eventLoop.utilization).to.equal(0);
+    });
+
+    it("should aggregate GC pauses by kind", () => {
+      collector.recordGC({
+        duration: 4,
+        detail: { kind: constants.NODE_PERFORMANCE_GC_MINOR },
+      });
+      collector.recordGC({
+        duration: 2,
+        detail: { kind: constants.NODE_PERFORMANCE_GC_MINOR },
+      });
+      collector.recordGC({
+        duration: 15,
+        detail: { kind: constants.NODE_PERFORMANCE_GC_MAJOR },
+      });
+
+      expect(collector.getGCMetrics()).to.deep.equal({
+        count: 3,
+        duration: 21,
+        byKind: {
+          minor: { count: 2, duration: 6, maxDuration: 4 },
+          major: { count: 1, duration: 15, maxDuration: 15 },
+        },
+      });
+    });
+
+    it("should count active handles by type", () => {
+      const timer = setTimeout(() => {}, 1000);
+
+      try {
+        const handles = collector.getHandleMetrics();
+        expect(handles.byType.Timeout).to.be.at.least(1);
+        expect(handles.total).to.equal(handles.open + handles.requests);
+      } finally {
+        clearTimeout(timer);
+      }
+    });
+
+    it("should not report processes without procfs", async () => {
+      const load = await collector.getLoadMetrics();
+
+      expect(load.processes.total).to.equal(null);
+    });
+  });
+
+  describe("Prometheus Export", () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = new MetricsRegistry();
+    });
+
+    it("should keep a cumulative counter per label set", () => {
+      const counter = registry.counter({
+        name: "http_requests_total",
+        help: "HTTP requests",
+      });
+      counter.inc({ endpoint: "/a", method: "GET" });
+      counter.inc({ method: "GET", endpoint: "/a" });
+      counter.inc({ endpoint: "/b", method: "GET" });
+
+      expect(registry.render()).to.equal(
+        [
+          "# HELP http_requests_total HTTP requests",
+          "# TYPE http_requests_total counter",
+          'http_requests_total{endpoint="/a",method="GET"} 2',
+          'http_requests_total{endpoint="/b",method="GET"} 1',
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("should render histograms with cumulative buckets", () => {
+      const histogram = registry.histogram({
+        name: "latency_ms",
+        help: "Latency",
+        buckets: [10, 100],
+      });
+      [5, 50, 50, 500].forEach((value) => histogram.observe({}, value));
+
+      const lines = registry.render().split("\n");
+      expect(lines).to.include.members([
+        "# TYPE latency_ms histogram",
+        'latency_ms_bucket{le="10"} 1',
+        'latency_ms_bucket{le="100"} 3',
+        'latency_ms_bucket{le="+Inf"} 4',
+        "latency_ms_sum 605",
+        "latency_ms_count 4",
+      ]);
+    });
+
+    it("should render summary quantiles", () => {
+      const summary = registry.summary({
+        name: "payload_bytes",
+        quantiles: [0.5, 0.9],
+      });
+      [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].forEach((value) =>
+        summary.observe({ route: "/x" }, value)
+      );
+
+      const lines = registry.render().split("\n");
+      expect(lines).to.include.members([
+        'payload_bytes{route="/x",quantile="0.5"} 5',
+        'payload_bytes{route="/x",quantile="0.9"} 9',
+        'payload_bytes_sum{route="/x"} 55',
+        'payload_bytes_count{route="/x"} 10',
+      ]);
+    });
+
+    it("should escape label values and help text", () => {
+      registry
+        .gauge({ name: "odd", help: "Line one\nback\\slash" })
+        .set({ path: 'say "hi"\\\n' }, 1);
+
+      const lines = registry.render().split("\n");
+      expect(lines[0]).to.equal("# HELP odd Line one\\nback\\\\slash");
+      expect(lines[2]).to.equal('odd{path="say \\"hi\\"\\\\\\n"} 1');
+    });
+
+    it("should evict the least recently updated series past the cap", () => {
+      const counter = new MetricsRegistry({ maxSeries: 2 }).counter({
+        name: "requests_total",
+      });
+      counter.inc({ endpoint: "/a" });
+      counter.inc({ endpoint: "/b" });
+      counter.inc({ endpoint: "/a" });
+      counter.inc({ endpoint: "/c" });
+
+      expect(counter.series.size).to.equal(2);
+      expect(counter.get({ endpoint: "/a" })).to.equal(2);
+      expect(counter.get({ endpoint: "/b" })).to.equal(0);
+    });
+
+    it("should reject invalid names and conflicting registrations", () => {
+      expect(() => registry.counter({ name: "bad-name" })).to.throw(
+        "Invalid metric name"
+      );
+      expect(() =>
+        registry.histogram({ name: "h" }).observe({ le: "1" }, 1)
+      ).to.throw('cannot use the label "le"');
+      registry.counter({ name: "requests" });
+      expect(() => registry.gauge({ name: "requests" })).to.throw(
+        "already registered as a counter"
+      );
+      expect(() => registry.get("requests").inc({}, -1)).to.throw(
+        "cannot be decreased"
+      );
+    });
+
+    it("should export custom metrics with their registered types", () => {
+      const collector = new SystemMetricsCollector({ useProcfs: false });
+      collector.registry.counter({ name: "http_requests_total" });
+      collector.registry.histogram({
+        name: "http_request_duration_ms",
+        buckets: [100],
+      });
+
+      collector.addCustomMetric("http_requests_total", 1, { endpoint: "/a" });
+      collector.addCustomMetric("http_requests_total", 1, { endpoint: "/b" });
+      collector.addCustomMetric("http_requests_total", 1, { endpoint: "/a" });
+      collector.addCustomMetric("http_request_duration_ms", 40);
+      collector.addCustomMetric("queue_depth", 7);
+      collector.addCustomMetric("bad name", 1);
+
+      const output = collector.exportMetrics("prometheus");
+      expect(output).to.include('http_requests_total{endpoint="/a"} 2');
+      expect(output).to.include('http_requests_total{endpoint="/b"} 1');
+      expect(output).to.include('http_request_duration_ms_bucket{le="100"} 1');
+      expect(output).to.include("# TYPE queue_depth gauge\nqueue_depth 7");
+      expect(output).to.not.include("bad name");
+    });
+  });
+});